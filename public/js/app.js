@@ -6,6 +6,15 @@ const API_BASE = "https://bubtt-chatbot-backend.onrender.com/api";
 let currentUserId = "user123";
 let currentUserData = null;
 
+// Session token from /auth/login, /auth/register or /auth/guest
+let authToken = localStorage.getItem("nourishAuthToken");
+
+// Conversation history paging (older pages load as the chat scrolls up)
+const HISTORY_PAGE_SIZE = 20;
+let historyCursor = null;
+let historyHasMore = false;
+let historyLoading = false;
+
 // ============================================================================
 // DOM Elements
 // ============================================================================
@@ -14,12 +23,15 @@ const chatMessages = document.getElementById("chatMessages");
 const chatInput = document.getElementById("chatInput");
 const sendBtn = document.getElementById("sendBtn");
 const userIdInput = document.getElementById("userIdInput");
+const passwordInput = document.getElementById("passwordInput");
+const guestBtn = document.getElementById("guestBtn");
 const updateUserBtn = document.getElementById("updateUserBtn");
 const clearHistoryBtn = document.getElementById("clearHistoryBtn");
 const togglePrefsBtn = document.getElementById("togglePrefsBtn");
 const savePrefsBtn = document.getElementById("savePrefsBtn");
 const preferencesForm = document.getElementById("preferencesForm");
 const budgetLevel = document.getElementById("budgetLevel");
+const replyLanguage = document.getElementById("replyLanguage");
 const familySize = document.getElementById("familySize");
 const dietaryPrefs = document.getElementById("dietaryPrefs");
 const allergies = document.getElementById("allergies");
@@ -45,9 +57,11 @@ function setupEventListeners() {
   chatInput.addEventListener("keypress", (e) => {
     if (e.key === "Enter") sendMessage();
   });
+  chatMessages.addEventListener("scroll", handleChatScroll);
 
   // User controls
   updateUserBtn.addEventListener("click", createOrLoadUser);
+  guestBtn.addEventListener("click", startGuestSession);
   clearHistoryBtn.addEventListener("click", clearChatHistory);
   togglePrefsBtn.addEventListener("click", togglePreferencesForm);
   savePrefsBtn.addEventListener("click", saveUserPreferences);
@@ -82,55 +96,99 @@ function setupEventListeners() {
 // User Account Management
 // ============================================================================
 
+/**
+ * Fetch an API path with the session token attached
+ */
+function apiFetch(path, options = {}) {
+  const headers = { ...(options.headers || {}) };
+  if (authToken) headers.Authorization = `Bearer ${authToken}`;
+
+  return fetch(`${API_BASE}${path}`, { ...options, headers });
+}
+
+function setSession(token, user) {
+  authToken = token;
+  localStorage.setItem("nourishAuthToken", token);
+  currentUserId = user.userId;
+  currentUserData = user;
+  userIdInput.value = user.role === "guest" ? "" : user.userId;
+  passwordInput.value = "";
+}
+
 async function loadUserAccount() {
-  currentUserId = userIdInput.value.trim() || "user123";
+  if (!authToken) {
+    showToast("Log in, register or continue as guest to start", "default");
+    return;
+  }
 
   try {
-    const response = await fetch(`${API_BASE}/user/${currentUserId}`);
+    const response = await apiFetch(`/auth/me`);
     const data = await response.json();
 
     if (data.success) {
+      currentUserId = data.user.userId;
       currentUserData = data.user;
+      if (data.user.role !== "guest") userIdInput.value = data.user.userId;
       updatePreferencesUI(currentUserData.preferences);
       await loadConversationHistory();
       showToast(`Welcome back, ${currentUserId}!`, "default");
+    } else {
+      // Expired or revoked session
+      authToken = null;
+      localStorage.removeItem("nourishAuthToken");
     }
   } catch (error) {
-    console.log("New user - creating account...");
+    console.log("Could not restore session:", error);
   }
 }
 
 async function createOrLoadUser() {
   const newUserId = userIdInput.value.trim();
+  const password = passwordInput.value;
 
-  if (!newUserId) {
-    showToast("Please enter a User ID", "warning");
+  if (!newUserId || !password) {
+    showToast("Please enter a User ID and password", "warning");
     return;
   }
 
-  currentUserId = newUserId;
   showSpinner(true);
 
   try {
-    // Try to create/load user with preferences
-    const response = await fetch(`${API_BASE}/user/create`, {
+    // Log in, or offer to register if the account doesn't exist
+    let response = await apiFetch(`/auth/login`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
       },
-      body: JSON.stringify({
-        userId: newUserId,
-        budget: "moderate",
-        familySize: 1,
-        dietaryPreferences: [],
-        allergies: [],
-      }),
+      body: JSON.stringify({ userId: newUserId, password }),
     });
 
+    if (
+      response.status === 401 &&
+      confirm(
+        `Create a new account "${newUserId}"? (নতুন অ্যাকাউন্ট তৈরি করবেন?)`
+      )
+    ) {
+      response = await apiFetch(`/auth/register`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          userId: newUserId,
+          password,
+          budget: "moderate",
+          familySize: 1,
+          dietaryPreferences: [],
+          allergies: [],
+        }),
+      });
+    }
+
     const data = await response.json();
 
     if (data.success) {
-      currentUserData = data.user;
+      setSession(data.token, data.user);
       updatePreferencesUI(data.user.preferences);
       startNewConversation();
       greetUser();
@@ -139,10 +197,42 @@ async function createOrLoadUser() {
       await loadConversationHistory();
 
       showToast(`Account loaded: ${newUserId}`, "default");
+    } else {
+      showToast(data.error || "Login failed", "error");
+    }
+  } catch (error) {
+    console.error("Error logging in:", error);
+    showToast("Error loading user account", "error");
+  } finally {
+    showSpinner(false);
+  }
+}
+
+async function startGuestSession() {
+  showSpinner(true);
+
+  try {
+    const response = await apiFetch(`/auth/guest`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ budget: "moderate", familySize: 1 }),
+    });
+    const data = await response.json();
+
+    if (data.success) {
+      setSession(data.token, data.user);
+      updatePreferencesUI(data.user.preferences);
+      startNewConversation();
+      greetUser();
+      showToast("Guest session started (data kept for 24 hours)", "default");
+    } else {
+      showToast(data.error || "Guest mode is unavailable", "error");
     }
   } catch (error) {
-    console.error("Error creating user:", error);
-    showToast("Error creating user account", "error");
+    console.error("Error starting guest session:", error);
+    showToast("Could not start guest session", "error");
   } finally {
     showSpinner(false);
   }
@@ -156,6 +246,7 @@ function togglePreferencesForm() {
 async function saveUserPreferences() {
   const preferences = {
     budget: budgetLevel.value,
+    language: replyLanguage.value,
     familySize: parseInt(familySize.value),
     dietaryPreferences: dietaryPrefs.value.split(",").map((p) => p.trim()),
     allergies: allergies.value.split(",").map((a) => a.trim()),
@@ -164,8 +255,8 @@ async function saveUserPreferences() {
   showSpinner(true);
 
   try {
-    const response = await fetch(
-      `${API_BASE}/user/${currentUserId}/preferences`,
+    const response = await apiFetch(
+      `/user/${currentUserId}/preferences`,
       {
         method: "PUT",
         headers: {
@@ -192,17 +283,18 @@ async function saveUserPreferences() {
 
 function updatePreferencesUI(preferences) {
   budgetLevel.value = preferences.budget || "moderate";
+  replyLanguage.value = preferences.language || "auto";
   familySize.value = preferences.familySize || 1;
   dietaryPrefs.value = (preferences.dietaryPreferences || []).join(", ");
   allergies.value = (preferences.allergies || []).join(", ");
 }
 
 async function loadConversationHistory() {
+  historyCursor = null;
+  historyHasMore = false;
+
   try {
-    const response = await fetch(
-      `${API_BASE}/user/${currentUserId}/conversations?limit=50`
-    );
-    const data = await response.json();
+    const data = await fetchConversationPage();
 
     if (data.success && data.conversations && data.conversations.length > 0) {
       // Clear existing messages except welcome
@@ -211,7 +303,7 @@ async function loadConversationHistory() {
         if (idx > 0) msg.remove(); // Keep welcome message
       });
 
-      // Load all conversations into chat
+      // Load the newest page into chat
       data.conversations.forEach((conv) => {
         addMessageToChat(conv.userMessage, "user");
         addMessageToChat(conv.botResponse, "bot");
@@ -232,6 +324,68 @@ async function loadConversationHistory() {
   }
 }
 
+/**
+ * Fetch the next (older) page of conversations and remember its cursor
+ */
+async function fetchConversationPage() {
+  const params = new URLSearchParams({ limit: HISTORY_PAGE_SIZE });
+  if (historyCursor) params.set("cursor", historyCursor);
+
+  const response = await apiFetch(
+    `/user/${currentUserId}/conversations?${params}`
+  );
+  const data = await response.json();
+
+  if (data.success && data.pagination) {
+    historyCursor = data.pagination.nextCursor;
+    historyHasMore = data.pagination.hasMore;
+  }
+
+  return data;
+}
+
+/**
+ * Load older messages (including archived ones) when scrolled to the top
+ */
+async function loadOlderConversations() {
+  if (historyLoading || !historyHasMore) return;
+  historyLoading = true;
+
+  try {
+    const data = await fetchConversationPage();
+    if (!data.success || !data.conversations) return;
+
+    // Insert above the oldest loaded message, after the welcome message
+    const welcome = chatMessages.querySelector(".message");
+    const anchor = welcome ? welcome.nextSibling : chatMessages.firstChild;
+    const previousHeight = chatMessages.scrollHeight;
+
+    data.conversations.forEach((conv) => {
+      chatMessages.insertBefore(
+        createMessageElement(conv.userMessage, "user"),
+        anchor
+      );
+      chatMessages.insertBefore(
+        createMessageElement(conv.botResponse, "bot"),
+        anchor
+      );
+    });
+
+    // Keep the view where it was instead of jumping to the new content
+    chatMessages.scrollTop += chatMessages.scrollHeight - previousHeight;
+  } catch (error) {
+    console.error("Error loading older conversations:", error);
+  } finally {
+    historyLoading = false;
+  }
+}
+
+function handleChatScroll() {
+  if (chatMessages.scrollTop < 50) {
+    loadOlderConversations();
+  }
+}
+
 // ============================================================================
 // Chat Functions
 // ============================================================================
@@ -241,6 +395,11 @@ async function sendMessage() {
 
   if (!message) return;
 
+  if (!authToken) {
+    showToast("Please log in or continue as guest first", "warning");
+    return;
+  }
+
   // Add user message to chat
   addMessageToChat(message, "user");
   chatInput.value = "";
@@ -248,36 +407,129 @@ async function sendMessage() {
 
   showSpinner(true);
 
-  try {
-    const response = await fetch(`${API_BASE}/chat`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
+  const request = {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      userId: currentUserId,
+      message: message,
+      // Lets the server refuse a retry of a turn it already started
+      turnId: `${Date.now()}_${Math.random().toString(36).slice(2, 10)}`,
+      preferences: currentUserData?.preferences || {
+        budget: "moderate",
+        familySize: 1,
+        dietaryPreferences: [],
+        allergies: [],
       },
-      body: JSON.stringify({
-        userId: currentUserId,
-        message: message,
-        preferences: currentUserData?.preferences || {
-          budget: "moderate",
-          familySize: 1,
-          dietaryPreferences: [],
-          allergies: [],
-        },
-      }),
-    });
+    }),
+  };
 
-    const data = await response.json();
+  let botMessage = null; // Bubble the streamed reply is written into
+  let streamedText = "";
 
-    if (data.success) {
-      addMessageToChat(data.message, "bot");
-      showToast("Response from NourishAI ✨", "default");
+  try {
+    const response = await apiFetch(`/chat/stream`, request);
+    const contentType = response.headers.get("Content-Type") || "";
+
+    // Validation, rate-limit and quota errors arrive as plain JSON
+    if (!contentType.includes("text/event-stream") || !response.body) {
+      showChatResult(response.status, await response.json());
+      return;
+    }
+
+    showSpinner(false);
+    botMessage = addMessageToChat("", "bot");
+
+    const final = await readChatStream(response, (text) => {
+      streamedText += text;
+      setMessageText(botMessage, streamedText);
+    });
+
+    if (final?.event === "done") {
+      setMessageText(botMessage, final.data.message);
+      showToast(chatResultToast(final.data), "default");
+      showPreferenceSuggestions(final.data.suggestions);
+    } else if (final?.event === "error" && !streamedText) {
+      // The server couldn't get a reply at all - retrying won't help
+      botMessage.remove();
+      showChatResult(500, final.data);
     } else {
-      showToast("Error: " + data.error, "error");
-      addMessageToChat(
-        "Sorry, I encountered an error. Please try again.",
-        "bot"
-      );
+      // Failed mid-reply, or the connection closed before the reply finished
+      await handleDroppedStream(botMessage, streamedText, request);
+    }
+  } catch (error) {
+    console.error("Chat stream error:", error);
+    await handleDroppedStream(botMessage, streamedText, request);
+  } finally {
+    showSpinner(false);
+  }
+}
+
+/**
+ * Read Server-Sent Events from a /chat/stream response
+ * Calls onToken for each token event and resolves with the final
+ * { event: "done" | "error", data }, or null if the stream ended early.
+ */
+async function readChatStream(response, onToken) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) return null;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split("\n\n");
+    buffer = events.pop(); // Last piece may be incomplete
+
+    for (const block of events) {
+      let event = "message";
+      let data = "";
+      for (const line of block.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      }
+      if (!data) continue; // Comment / keep-alive
+
+      const payload = JSON.parse(data);
+      if (event === "token") onToken(payload.text);
+      else if (event === "done" || event === "error") {
+        reader.cancel();
+        return { event, data: payload };
+      }
     }
+  }
+}
+
+/**
+ * The stream broke off. With nothing shown yet, ask again without
+ * streaming - the server refuses (409) if the first request already got to
+ * the model, so tools never run twice; otherwise keep the partial reply.
+ */
+async function handleDroppedStream(botMessage, streamedText, request) {
+  if (!streamedText) {
+    if (botMessage) botMessage.remove();
+    await sendMessageWithoutStreaming(request);
+    return;
+  }
+
+  setMessageText(
+    botMessage,
+    streamedText +
+      "\n\n⚠️ সংযোগ বিচ্ছিন্ন হয়েছে - উত্তরটি অসম্পূর্ণ। (Connection lost - this reply is incomplete, please ask again.)"
+  );
+  showToast("Connection lost - reply incomplete", "warning");
+}
+
+async function sendMessageWithoutStreaming(request) {
+  showSpinner(true);
+
+  try {
+    const response = await apiFetch(`/chat`, request);
+    showChatResult(response.status, await response.json());
   } catch (error) {
     console.error("Chat error:", error);
     showToast("Failed to send message", "error");
@@ -290,26 +542,159 @@ async function sendMessage() {
   }
 }
 
+/**
+ * Show a complete (non-streamed) /chat response
+ */
+function showChatResult(status, data) {
+  if (status === 429) {
+    // Rate limit or quota hit - the server sends a localized explanation
+    addMessageToChat(data.message, "bot");
+    showToast(data.error, "warning");
+  } else if (status === 409 && data.code === "TURN_ALREADY_STARTED") {
+    // The lost stream's turn reached the model and may have changed the
+    // inventory or logs - replaying it could do that twice
+    addMessageToChat(
+      "⚠️ সংযোগ বিচ্ছিন্ন হয়েছে - উত্তরটি পাওয়া যায়নি। আবার জিজ্ঞেস করার আগে আপনার ইনভেন্টরি দেখে নিন। (Connection lost before the reply arrived. Check your inventory before asking again.)",
+      "bot"
+    );
+    showToast("Connection lost - reply not received", "warning");
+  } else if (data.success) {
+    addMessageToChat(data.message, "bot");
+    showToast(chatResultToast(data), "default");
+    showPreferenceSuggestions(data.suggestions);
+  } else {
+    showToast("Error: " + data.error, "error");
+    addMessageToChat(
+      "Sorry, I encountered an error. Please try again.",
+      "bot"
+    );
+  }
+}
+
+/**
+ * Toast for a chat reply - says so when the bot changed the account
+ * (inventory or logs) through its tools
+ */
+function chatResultToast(data) {
+  const changed = (data.metadata?.tools || []).some(
+    (tool) =>
+      !tool.result?.error &&
+      ["add_inventory_item", "update_inventory_item", "log_food"].includes(
+        tool.name
+      )
+  );
+  return changed
+    ? "NourishAI updated your inventory/logs ✅"
+    : "Response from NourishAI ✨";
+}
+
+const SUGGESTION_LABELS = {
+  allergies: "Allergy",
+  dietaryPreferences: "Diet",
+  familySize: "Family size",
+  budget: "Budget",
+};
+
+/**
+ * Ask whether to save preferences the server spotted in the user's message
+ * ("my son is allergic to peanuts"); nothing is saved until they say yes
+ */
+function showPreferenceSuggestions(suggestions) {
+  for (const suggestion of suggestions || []) {
+    const label = SUGGESTION_LABELS[suggestion.field] || suggestion.field;
+
+    // Built with textContent - the value comes from the user's own message
+    const messageElement = document.createElement("div");
+    messageElement.className = "message bot-message";
+    const content = document.createElement("div");
+    content.className = "message-content";
+    const question = document.createElement("p");
+    question.textContent = `Save to your profile? ${label}: ${suggestion.value}`;
+    content.appendChild(question);
+    messageElement.appendChild(content);
+
+    const actions = document.createElement("div");
+    actions.className = "suggestion-actions";
+    for (const [decision, text] of [
+      ["accept", "Save"],
+      ["reject", "No thanks"],
+    ]) {
+      const button = document.createElement("button");
+      button.className = `btn ${decision === "accept" ? "btn-primary" : "btn-secondary"}`;
+      button.textContent = text;
+      button.addEventListener("click", () =>
+        resolvePreferenceSuggestion(suggestion, decision, messageElement)
+      );
+      actions.appendChild(button);
+    }
+    content.appendChild(actions);
+
+    chatMessages.appendChild(messageElement);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+}
+
+async function resolvePreferenceSuggestion(suggestion, decision, messageElement) {
+  try {
+    const response = await apiFetch(
+      `/user/${currentUserId}/preference-suggestions/${suggestion.id}/${decision}`,
+      { method: "POST" }
+    );
+    const data = await response.json();
+
+    if (!data.success) {
+      showToast("Error: " + data.error, "error");
+      return;
+    }
+
+    messageElement.querySelector(".suggestion-actions").remove();
+    if (decision === "accept") {
+      currentUserData.preferences = data.preferences;
+      updatePreferencesUI(data.preferences);
+      showToast("Preferences updated ✅", "default");
+    }
+  } catch (error) {
+    console.error("Error updating suggestion:", error);
+    showToast("Failed to update preferences", "error");
+  }
+}
+
 function addMessageToChat(message, sender) {
+  const messageElement = createMessageElement(message, sender);
+  chatMessages.appendChild(messageElement);
+
+  // Scroll to bottom
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+  return messageElement;
+}
+
+function createMessageElement(message, sender) {
   const messageDiv = document.createElement("div");
   messageDiv.className = `message ${sender}-message`;
 
   const contentDiv = document.createElement("div");
   contentDiv.className = "message-content";
+  contentDiv.innerHTML = formatMessage(message);
+
+  messageDiv.appendChild(contentDiv);
+  return messageDiv;
+}
 
+/**
+ * Replace a message's text (used while a reply streams in)
+ */
+function setMessageText(messageElement, message) {
+  messageElement.querySelector(".message-content").innerHTML =
+    formatMessage(message);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+function formatMessage(message) {
   // Convert URLs to links
-  let formattedMessage = message.replace(
+  return message.replace(
     /(https?:\/\/[^\s]+)/g,
     '<a href="$1" target="_blank" style="color: inherit; text-decoration: underline;">$1</a>'
   );
-
-  contentDiv.innerHTML = formattedMessage;
-
-  messageDiv.appendChild(contentDiv);
-  chatMessages.appendChild(messageDiv);
-
-  // Scroll to bottom
-  chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
 function startNewConversation() {
@@ -350,6 +735,7 @@ function greetUser() {
 function clearChatHistory() {
   if (confirm("আপনি কি চ্যাট ইতিহাস সাফ করতে নিশ্চিত? (Clear chat history?)")) {
     startNewConversation();
+    historyHasMore = false; // Don't page old messages back into a cleared chat
     showToast("Chat history cleared", "default");
   }
 }
@@ -362,12 +748,22 @@ async function loadAnalytics() {
   showSpinner(true);
 
   try {
-    const response = await fetch(
-      `${API_BASE}/user/${currentUserId}/sdg-profile`
+    const response = await apiFetch(
+      `/user/${currentUserId}/sdg-profile`
     );
     const data = await response.json();
 
-    if (data.success) {
+    if (data.success && !data.hasData) {
+      // New user - nothing logged yet
+      document.getElementById("sdgScoreDisplay").innerHTML = `
+                <div class="score-number">—</div>
+                <div class="score-label">/100</div>
+            `;
+      document.getElementById("analyticsDetails").innerHTML = `
+                <p>${data.scoreInterpretation}</p>
+            `;
+      showToast("No food logged yet", "warning");
+    } else if (data.success) {
       // Update SDG Score
       document.getElementById("sdgScoreDisplay").innerHTML = `
                 <div class="score-number">${data.personalSDGScore}</div>
@@ -440,7 +836,7 @@ async function loadInventory() {
   showSpinner(true);
 
   try {
-    const response = await fetch(`${API_BASE}/user/${currentUserId}/inventory`);
+    const response = await apiFetch(`/user/${currentUserId}/inventory`);
     const data = await response.json();
 
     if (data.success) {
@@ -500,8 +896,8 @@ async function addInventoryItem() {
   showSpinner(true);
 
   try {
-    const response = await fetch(
-      `${API_BASE}/user/${currentUserId}/inventory`,
+    const response = await apiFetch(
+      `/user/${currentUserId}/inventory`,
       {
         method: "POST",
         headers: {
@@ -543,7 +939,7 @@ async function generateMealPlan() {
   showSpinner(true);
 
   try {
-    const response = await fetch(`${API_BASE}/user/${currentUserId}/meal-plan`);
+    const response = await apiFetch(`/user/${currentUserId}/meal-plan`);
     const data = await response.json();
 
     if (data.success) {
@@ -600,8 +996,8 @@ async function generateWeeklyMealPlan() {
   showSpinner(true);
 
   try {
-    const response = await fetch(
-      `${API_BASE}/user/${currentUserId}/weekly-meal-plan`
+    const response = await apiFetch(
+      `/user/${currentUserId}/weekly-meal-plan`
     );
     const data = await response.json();
 
@@ -656,12 +1052,18 @@ async function loadSDGProfile() {
   showSpinner(true);
 
   try {
-    const response = await fetch(
-      `${API_BASE}/user/${currentUserId}/sdg-profile`
+    const response = await apiFetch(
+      `/user/${currentUserId}/sdg-profile`
     );
     const data = await response.json();
 
-    if (data.success) {
+    if (data.success && !data.hasData) {
+      // New user - nothing logged yet
+      document.getElementById("personalSDGScore").textContent = "—";
+      document.getElementById("scoreInterpretation").textContent =
+        data.scoreInterpretation;
+      showToast("No food logged yet", "warning");
+    } else if (data.success) {
       // Update main score
       document.getElementById("personalSDGScore").textContent =
         data.personalSDGScore;
@@ -0,0 +1,109 @@
+/**
+ * Cross-validate the intent classifier on the bundled dataset
+ *
+ * Usage:
+ *   node scripts/evaluateIntentClassifier.js [--folds 5]
+ *   BANGLISH_TRANSLITERATION=false node scripts/evaluateIntentClassifier.js
+ *
+ * Trains on all folds but one and tests on the held-out fold, in turn, then
+ * prints accuracy overall, per language and per intent, and the most common
+ * confusions. Run it after adding examples to data/intentDataset.json.
+ * Messages go through the same Banglish pipeline as chat messages.
+ */
+
+const dataset = require("../data/intentDataset.json");
+const {
+  IntentModel,
+  trainingExamples,
+} = require("../services/intentClassifier");
+const { normalizeMessage } = require("../services/banglish");
+
+/**
+ * Split examples into folds, spreading each intent/language evenly
+ */
+function stratifiedFolds(examples, folds) {
+  const groups = {};
+  for (const example of examples) {
+    const key = `${example.intent}/${example.lang}`;
+    (groups[key] = groups[key] || []).push(example);
+  }
+
+  const result = Array.from({ length: folds }, () => []);
+  let next = 0;
+  for (const group of Object.values(groups)) {
+    for (const example of group) {
+      result[next % folds].push(example);
+      next++;
+    }
+  }
+  return result;
+}
+
+function percent(correct, total) {
+  return total ? `${((correct / total) * 100).toFixed(1)}%` : "-";
+}
+
+function evaluate({ folds = 5 } = {}) {
+  const parts = stratifiedFolds(dataset.examples, folds);
+  const tally = { all: [0, 0], lang: {}, intent: {} };
+  const confusions = {};
+
+  parts.forEach((testSet, index) => {
+    const trainSet = parts.filter((part, i) => i !== index).flat();
+    const model = IntentModel.train(trainingExamples(trainSet));
+
+    for (const example of testSet) {
+      const predicted = model.classify(
+        normalizeMessage(example.text).text
+      ).intent;
+      const hit = predicted === example.intent ? 1 : 0;
+
+      for (const [bucket, key] of [
+        [tally.lang, example.lang],
+        [tally.intent, example.intent],
+      ]) {
+        bucket[key] = bucket[key] || [0, 0];
+        bucket[key][0] += hit;
+        bucket[key][1] += 1;
+      }
+      tally.all[0] += hit;
+      tally.all[1] += 1;
+
+      if (!hit) {
+        const pair = `${example.intent} -> ${predicted}`;
+        confusions[pair] = (confusions[pair] || 0) + 1;
+      }
+    }
+  });
+
+  return { tally, confusions };
+}
+
+if (require.main === module) {
+  const foldsArg = process.argv.indexOf("--folds");
+  const folds = foldsArg !== -1 ? parseInt(process.argv[foldsArg + 1]) : 5;
+  const { tally, confusions } = evaluate({ folds });
+
+  console.log(
+    `Intent classifier: ${dataset.examples.length} examples, ${folds}-fold cross-validation\n`
+  );
+  console.log(`Accuracy: ${percent(...tally.all)}\n`);
+  console.log("By language:");
+  for (const [lang, [correct, total]] of Object.entries(tally.lang)) {
+    console.log(`  ${lang.padEnd(20)} ${percent(correct, total)} (${total})`);
+  }
+  console.log("\nBy intent:");
+  for (const [intent, [correct, total]] of Object.entries(tally.intent)) {
+    console.log(`  ${intent.padEnd(20)} ${percent(correct, total)} (${total})`);
+  }
+
+  const top = Object.entries(confusions)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10);
+  if (top.length > 0) {
+    console.log("\nMost common confusions:");
+    for (const [pair, count] of top) console.log(`  ${pair}: ${count}`);
+  }
+}
+
+module.exports = { evaluate, stratifiedFolds };
@@ -0,0 +1,41 @@
+/**
+ * Move records from legacy user-ID keys to opaque storage keys
+ *
+ * Usage:
+ *   node scripts/migrateStorageKeys.js [--dry-run]
+ *
+ *   --dry-run  Report the renames without writing anything
+ *
+ * The server also does this on startup; see services/storageKeyMigration.js.
+ * Uses the configured backend (USER_STORAGE). Run it while the server is stopped.
+ */
+
+require("dotenv").config();
+const { migrateStorageKeys } = require("../services/storageKeyMigration");
+
+if (require.main === module) {
+  const dryRun = process.argv.slice(2).includes("--dry-run");
+
+  migrateStorageKeys({ dryRun })
+    .then((report) => {
+      console.log(
+        `${dryRun ? "🔍 Dry run" : "🛠️  Migration"} to opaque storage keys\n`
+      );
+      for (const { from, to } of report.renamed) {
+        console.log(
+          `${dryRun ? "would rename" : "renamed"}  "${from}" → "${to}"`
+        );
+      }
+      console.log("");
+      for (const [namespace, count] of Object.entries(report.moved)) {
+        console.log(`${namespace}: ${count} ${dryRun ? "to move" : "moved"}`);
+      }
+      console.log(
+        `conversation_search: ${report.droppedIndexes} legacy indexes ${dryRun ? "to drop" : "dropped"}`
+      );
+    })
+    .catch((error) => {
+      console.error("Migration failed:", error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,94 @@
+/**
+ * Apply pending user record schema migrations in bulk
+ *
+ * Usage:
+ *   node scripts/migrateUserRecords.js [--dry-run]
+ *
+ *   --dry-run  Report which records/files would change and which
+ *              migrations would run, without writing anything
+ *
+ * Uses the configured backend (USER_STORAGE). Run it while the server is
+ * stopped - per-user locking only covers a single server process.
+ * Run scripts/migrateStorageKeys.js first if records still use legacy keys.
+ */
+
+require("dotenv").config();
+const path = require("path");
+const { createStorageAdapter } = require("../services/storage");
+const { toStorageKey } = require("../services/userIdPolicy");
+const {
+  CURRENT_SCHEMA_VERSION,
+  migrateUserRecord,
+} = require("../services/userMigrations");
+
+async function migrateAll({ dryRun = false } = {}) {
+  const storage = createStorageAdapter();
+  const report = { changed: [], upToDate: 0, unreadable: 0 };
+
+  try {
+    await storage.connect();
+    const records = await storage.list();
+
+    for (const record of records) {
+      if (!record || !record.userId) {
+        report.unreadable++;
+        continue;
+      }
+
+      const result = migrateUserRecord(record);
+      if (!result.changed) {
+        report.upToDate++;
+        continue;
+      }
+
+      const location =
+        typeof storage.locate === "function"
+          ? path.relative(
+              process.cwd(),
+              storage.locate(toStorageKey(record.userId))
+            )
+          : record.userId;
+
+      report.changed.push({
+        userId: record.userId,
+        location,
+        fromVersion: result.fromVersion,
+        toVersion: result.toVersion,
+        applied: result.applied,
+      });
+
+      if (!dryRun) {
+        await storage.write(toStorageKey(record.userId), result.record);
+      }
+    }
+  } finally {
+    await storage.close();
+  }
+
+  return report;
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.slice(2).includes("--dry-run");
+
+  migrateAll({ dryRun })
+    .then((report) => {
+      console.log(
+        `${dryRun ? "🔍 Dry run" : "🛠️  Migration"} to schemaVersion ${CURRENT_SCHEMA_VERSION}\n`
+      );
+      for (const entry of report.changed) {
+        console.log(
+          `${dryRun ? "would change" : "changed"}  ${entry.location}  (v${entry.fromVersion} → v${entry.toVersion}: ${entry.applied.join(", ")})`
+        );
+      }
+      console.log(
+        `\n${report.changed.length} ${dryRun ? "to migrate" : "migrated"}, ${report.upToDate} up to date, ${report.unreadable} unreadable`
+      );
+    })
+    .catch((error) => {
+      console.error("Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateAll };
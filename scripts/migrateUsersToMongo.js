@@ -0,0 +1,118 @@
+/**
+ * Migrate file-backed data (users, consumption logs, conversation archive and
+ * search index) into MongoDB
+ *
+ * Usage:
+ *   node scripts/migrateUsersToMongo.js [--dry-run] [--overwrite]
+ *
+ *   --dry-run    List what would be copied without writing anything
+ *   --overwrite  Replace records that already exist in MongoDB
+ *
+ * Reads DATABASE_URL (and optional MONGODB_DB) from .env
+ */
+
+require("dotenv").config();
+const {
+  FileStorageAdapter,
+  MongoStorageAdapter,
+} = require("../services/storage");
+
+// File namespaces copied into Mongo collections of the same name
+const NAMESPACES = [
+  "users",
+  "consumption_logs",
+  "conversation_archive",
+  "conversation_segments",
+  "conversation_search",
+  "conversation_memory",
+  "llm_usage",
+  "households",
+  "household_members",
+  "audit_log",
+  "guardrail_log",
+];
+
+async function migrateNamespace(namespace, { dryRun, overwrite }) {
+  const source = new FileStorageAdapter({ namespace });
+  const target = dryRun ? null : new MongoStorageAdapter({ namespace });
+
+  const summary = { copied: 0, skipped: 0, failed: 0 };
+
+  try {
+    const keys = await source.keys();
+    if (target) {
+      await target.connect();
+    }
+
+    for (const key of keys) {
+      let record = null;
+      try {
+        record = await source.read(key);
+      } catch (error) {
+        // Unrecoverable file, or a legacy key (run migrate:keys first)
+      }
+
+      if (!record) {
+        console.warn(`⚠️  [${namespace}] Skipping unreadable file ${key}`);
+        summary.failed++;
+        continue;
+      }
+
+      if (dryRun) {
+        console.log(`📝 [${namespace}] Would copy ${key}`);
+        summary.copied++;
+        continue;
+      }
+
+      if (!overwrite && (await target.exists(key))) {
+        console.log(`⏭️  [${namespace}] ${key} already in MongoDB`);
+        summary.skipped++;
+        continue;
+      }
+
+      await target.write(key, record);
+      console.log(`✅ [${namespace}] Copied ${key}`);
+      summary.copied++;
+    }
+  } finally {
+    if (target) {
+      await target.close();
+    }
+  }
+
+  return summary;
+}
+
+async function migrate({ dryRun = false, overwrite = false } = {}) {
+  const results = {};
+  for (const namespace of NAMESPACES) {
+    results[namespace] = await migrateNamespace(namespace, {
+      dryRun,
+      overwrite,
+    });
+  }
+  return results;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  migrate({
+    dryRun: args.includes("--dry-run"),
+    overwrite: args.includes("--overwrite"),
+  })
+    .then((results) => {
+      console.log("");
+      for (const [namespace, summary] of Object.entries(results)) {
+        console.log(
+          `${namespace}: ${summary.copied} copied, ${summary.skipped} skipped, ${summary.failed} failed`
+        );
+      }
+    })
+    .catch((error) => {
+      console.error("Migration failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
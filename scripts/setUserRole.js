@@ -0,0 +1,51 @@
+/**
+ * Change a registered user's role (e.g. create the first admin)
+ *
+ * Usage:
+ *   node scripts/setUserRole.js <userId> <role>
+ *
+ *   role  user | admin | guest
+ *
+ * Uses the configured backend (USER_STORAGE). Once one admin exists, further
+ * role changes can go through PATCH /api/admin/users/:userId/role.
+ */
+
+require("dotenv").config();
+const UserManager = require("../services/userManager");
+const { ROLES } = require("../services/authService");
+const { validateUserId } = require("../services/userIdPolicy");
+
+async function setUserRole(userId, role) {
+  const { error } = validateUserId(userId);
+  if (error) throw new Error(error);
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role. Use one of: ${ROLES.join(", ")}`);
+  }
+
+  const storage = UserManager.getStorage();
+  await storage.connect();
+  try {
+    return await UserManager.setRole(userId, role);
+  } finally {
+    await storage.close();
+  }
+}
+
+if (require.main === module) {
+  const [userId, role] = process.argv.slice(2);
+
+  setUserRole(userId, role)
+    .then((updated) => {
+      if (!updated) {
+        console.error(`❌ No registered user "${userId}"`);
+        process.exit(1);
+      }
+      console.log(`✅ ${userId} is now ${updated}`);
+    })
+    .catch((error) => {
+      console.error("Role change failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { setUserRole };
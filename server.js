@@ -1,35 +1,76 @@
 /**
  * NourishAI Chatbot Server - Enhanced with User Accounts & Conversation Persistence
- * Express API with Gemini 2.0 Flash, user profiles, and conversation history
+ * Express API with pluggable LLM providers (Gemini, OpenAI-compatible, mock),
+ * user profiles, and conversation history
  */
 
 const express = require("express");
 const cors = require("cors");
 const bodyParser = require("body-parser");
+const crypto = require("crypto");
 require("dotenv").config();
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-
-// Initialize Gemini API
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
 
 // Import services
+const { getLLMClient, LLMError } = require("./services/llm");
 const UserManager = require("./services/userManager");
+const ConsumptionLogManager = require("./services/consumptionLogManager");
+const ConversationArchive = require("./services/conversationArchive");
+const ConversationSearch = require("./services/conversationSearch");
+const {
+  isGuestModeEnabled,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  issueToken,
+  authenticate,
+  requireAuth,
+  requireOwnership,
+  requireRole,
+  ROLES,
+} = require("./services/authService");
+const AdminService = require("./services/adminService");
+const HouseholdManager = require("./services/householdManager");
+const AuditLog = require("./services/auditLog");
+const ConversationMemory = require("./services/conversationMemory");
+const { extractPreferenceSuggestions } = require("./services/preferenceExtractor");
+const {
+  UsageQuota,
+  estimateTokens,
+  sendQuotaExceeded,
+  enforceChatLimits,
+  getRateStatus,
+} = require("./services/usageLimits");
+const {
+  validateUserId,
+  sameUserId,
+  toStorageKey,
+  invalidUserIdResponse,
+  requireValidUserIdParam,
+} = require("./services/userIdPolicy");
+const { migrateStorageKeys } = require("./services/storageKeyMigration");
 const PromptChainBuilder = require("./services/promptChainBuilder");
+const ChatTools = require("./services/chatTools");
+const { generateStructured } = require("./services/structuredResponses");
+const { enforceGuardrails } = require("./services/responseGuardrails");
+const GuardrailLog = require("./services/guardrailLog");
+const { replyLanguage } = require("./services/banglish");
 const bangladeshFoodDatabase = require("./services/bangladeshFoodDatabase");
 const {
   getUserContext,
   buildSystemPrompt,
-  detectIntent,
   buildUserMessage,
 } = require("./services/chatbotService");
+const { classifyIntent } = require("./services/intentClassifier");
 const {
   calculateWasteMetrics,
   calculateSDGScore,
   formatMetricsForDisplay,
   generateCompleteSDGProfile,
   calculateNutritionScore,
+  generateWeeklyInsights,
+  generateInsightsTimeSeries,
 } = require("./services/analyticsService");
+const { entriesInRange } = require("./services/reportingPeriods");
 const {
   generateMealPlan,
   generateWeeklyMealPlan,
@@ -46,12 +87,21 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
+// Behind a reverse proxy (e.g. Render), set TRUST_PROXY so req.ip is the client's
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set("trust proxy", isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 app.use(cors());
 
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(express.static("public")); // Serve static files from public folder
 
+// Bind the bearer token's user (if any) to req.user for every API route
+app.use("/api", authenticate);
+
 // ============================================================================
 // ROOT & HEALTH CHECK
 // ============================================================================
@@ -64,38 +114,111 @@ app.get("/", (req, res) => {
     description: "AI-powered food waste reduction chatbot",
     baseUrl: "https://dashboard.render.com/web/srv-d4g80sali9vc73d35vm0",
     documentation: {
+      auth: "POST /api/auth/register|login|guest|logout - Bearer token sessions",
       chat: "POST /api/chat - Send message to chatbot",
+      chatStream:
+        "POST /api/chat/stream - Same as /api/chat, streamed as Server-Sent Events",
+      threads:
+        "GET/POST /api/user/:userId/threads - List or start conversation threads",
+      chatHistory:
+        "GET /api/chat/history/:conversationId - Messages in one thread",
+      chatQuota:
+        "GET /api/chat/quota - Remaining chat rate limit and daily/monthly LLM quota",
+      conversationSearch:
+        "GET /api/user/:userId/conversations/search?q= - Search past chats (Bengali/English)",
+      memory:
+        "GET/DELETE /api/user/:userId/memory - What the bot remembers from older chats",
+      preferenceSuggestions:
+        "GET /api/user/:userId/preference-suggestions - Allergies, diet, family size and budget spotted in chat, to accept or reject",
       analytics: "GET /api/user/:userId/analytics - Get sustainability metrics",
       sdgProfile:
         "GET /api/user/:userId/sdg-profile - Complete SDG impact scoring with insights",
-      sdgInsights: "POST /api/user/:userId/sdg-insights - Weekly AI insights",
+      sdgInsights:
+        "POST /api/user/:userId/sdg-insights - Week/month/custom period insights",
+      insightsTimeSeries:
+        "GET /api/user/:userId/insights/timeseries - Charting time series",
       inventory: "GET /api/user/:userId/inventory - View current inventory",
       mealPlan: "GET /api/user/:userId/meal-plan - Generate meal plan",
+      dietaryProfiles:
+        "GET/POST /api/user/:userId/dietary-profiles - Per-member allergies, conditions and nutrition needs",
+      household:
+        "GET/POST /api/household - Shared inventory, logs and meal plans for a family",
+      audit:
+        "GET /api/household/audit - Who changed the inventory, logs and profiles",
+      admin:
+        "GET /api/admin/users|stats|guardrails - User management, platform totals and reply rule breaks (admin role)",
       health: "GET /health - Health check",
     },
     endpoints: [
+      "POST   /api/auth/register",
+      "POST   /api/auth/login",
+      "POST   /api/auth/guest",
+      "POST   /api/auth/logout",
+      "GET    /api/auth/me",
       "POST   /api/chat",
-      "GET    /api/health",
+      "POST   /api/chat/stream",
+      "GET    /api/chat/history/:conversationId",
+      "GET    /api/chat/quota",
+      "GET    /health",
+      "GET    /api/user/:userId/threads",
+      "POST   /api/user/:userId/threads",
+      "PATCH  /api/user/:userId/threads/:conversationId",
+      "DELETE /api/user/:userId/threads/:conversationId",
+      "GET    /api/user/:userId/conversations/search",
+      "GET    /api/user/:userId/memory",
+      "GET    /api/user/:userId/preference-suggestions",
+      "POST   /api/user/:userId/preference-suggestions/:suggestionId/accept",
+      "POST   /api/user/:userId/preference-suggestions/:suggestionId/reject",
+      "DELETE /api/user/:userId/memory",
       "GET    /api/user/:userId/analytics",
       "GET    /api/user/:userId/sdg-profile  (NEW! Enhanced SDG scoring)",
       "POST   /api/user/:userId/sdg-insights (NEW! Weekly insights)",
+      "GET    /api/user/:userId/insights/timeseries",
       "GET    /api/user/:userId/inventory",
       "POST   /api/user/:userId/inventory",
+      "PATCH  /api/user/:userId/inventory/:itemId",
+      "DELETE /api/user/:userId/inventory/:itemId",
+      "GET    /api/user/:userId/audit",
       "POST   /api/user/:userId/log",
       "GET    /api/user/:userId/logs",
       "GET    /api/user/:userId",
+      "GET    /api/user/:userId/dietary-profiles",
+      "POST   /api/user/:userId/dietary-profiles",
+      "PATCH  /api/user/:userId/dietary-profiles/:profileId",
+      "DELETE /api/user/:userId/dietary-profiles/:profileId",
       "GET    /api/user/:userId/meal-plan",
       "GET    /api/user/:userId/weekly-meal-plan",
       "GET    /api/recipe/:recipeName",
       "GET    /api/recipes/by-ingredient/:ingredient",
       "POST   /api/user/:userId/analyze-image",
       "POST   /api/user/:userId/analyze-images",
+      "GET    /api/household",
+      "POST   /api/household",
+      "PATCH  /api/household",
+      "DELETE /api/household",
+      "POST   /api/household/invitations",
+      "DELETE /api/household/invitations/:invitationId",
+      "POST   /api/household/invitations/:invitationId/accept|decline",
+      "POST   /api/household/leave",
+      "PATCH  /api/household/members/:memberId",
+      "DELETE /api/household/members/:memberId",
+      "GET    /api/household/audit",
+      "GET    /api/admin/users (admin)",
+      "GET    /api/admin/users/:userId (admin)",
+      "PATCH  /api/admin/users/:userId/role (admin)",
+      "PUT    /api/admin/users/:userId/password (admin)",
+      "DELETE /api/admin/users/:userId (admin)",
+      "POST   /api/admin/users/bulk-delete (admin)",
+      "GET    /api/admin/stats (admin)",
+      "GET    /api/admin/audit (admin)",
+      "GET    /api/admin/guardrails (admin)",
     ],
     sdgFeatures: {
       personalSDGScore: "0-100 scale based on waste reduction & nutrition",
       nutritionTracking:
         "Analyzes dietary variety (fruits, veggies, proteins, grains, dairy)",
-      weeklyInsights: "Compares progress week-over-week with AI commentary",
+      weeklyInsights:
+        "Compares calendar weeks/months (Asia/Dhaka) with period-over-period deltas",
       actionableRecommendations:
         "Specific steps to improve score (e.g., +10% for focusing on veggies)",
       unGoals: [
@@ -115,123 +238,762 @@ app.get("/health", (req, res) => {
 });
 
 // ============================================================================
-// CHATBOT ENDPOINTS
+// AUTH ENDPOINTS
 // ============================================================================
 
 /**
- * POST /api/chat
- * Send a message and get a response using Gemini API with user context
+ * Account summary returned by the auth endpoints
+ */
+function toAccountSummary(user) {
+  return {
+    userId: user.userId,
+    role: user.auth ? user.auth.role : null,
+    preferences: user.preferences,
+    statistics: user.statistics,
+  };
+}
+
+/**
+ * POST /api/auth/register
+ * Create an account with a password and get a session token
+ * Any existing ID is taken (409), including accounts from before passwords
+ * existed: an admin sets their password through
+ * PUT /api/admin/users/:userId/password.
  *
  * Request body:
  * {
- *   "userId": "user123",
- *   "message": "What should I cook?",
- *   "preferences": { "budget": "low", "familySize": 4 } // Optional: set user preferences
+ *   "userId": "rahima",
+ *   "password": "at least 8 chars",
+ *   "budget": "low", "familySize": 4 // Optional: initial preferences
  * }
  */
-app.post("/api/chat", async (req, res) => {
+app.post("/api/auth/register", async (req, res) => {
   try {
-    const { userId, message, preferences } = req.body;
+    const {
+      userId,
+      password,
+      budget,
+      familySize,
+      dietaryPreferences,
+      allergies,
+    } = req.body;
+
+    const validation = validateUserId(userId);
+    if (validation.error) {
+      return res.status(400).json(invalidUserIdResponse(validation.error));
+    }
 
-    if (!userId || !message) {
+    const passwordError = validatePassword(password);
+    if (passwordError) {
       return res.status(400).json({
-        error: "Missing userId or message",
+        error: passwordError,
       });
     }
 
-    // Create/get user account
-    let user = UserManager.createUser(userId, preferences);
+    const user = await UserManager.registerUser(
+      validation.userId,
+      { passwordHash: await hashPassword(password), role: "user" },
+      { budget, familySize, dietaryPreferences, allergies }
+    );
 
-    // Update preferences if provided
-    if (preferences) {
-      user = UserManager.updateUserPreferences(userId, preferences);
+    if (!user) {
+      return res.status(409).json({
+        error: "User ID is already taken",
+      });
     }
 
-    // Get user context
-    const userContext = UserManager.getUserContext(userId);
+    const { token, expiresAt } = issueToken(user);
 
-    // Detect intent
-    const intent = PromptChainBuilder.detectIntent(message);
+    res.status(201).json({
+      success: true,
+      message: "Account registered successfully",
+      token,
+      expiresAt,
+      user: toAccountSummary(user),
+    });
+  } catch (error) {
+    console.error("Registration error:", error);
+    res.status(500).json({
+      error: "Failed to register",
+      message: error.message,
+    });
+  }
+});
 
-    // Build comprehensive system prompt
-    const systemPrompt = PromptChainBuilder.buildContextualPrompt(
-      intent,
-      userContext,
-      message
-    );
+/**
+ * POST /api/auth/login
+ * Exchange userId + password for a session token
+ */
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const { userId, password } = req.body;
+
+    if (!userId || !password) {
+      return res.status(400).json({
+        error: "Missing userId or password",
+      });
+    }
 
-    // Build conversation history for Gemini (fix conversation history format)
-    const conversationHistory = UserManager.getConversationHistory(userId, 5);
-    const geminiHistory = [];
+    const validation = validateUserId(userId);
+    if (validation.error) {
+      return res.status(400).json(invalidUserIdResponse(validation.error));
+    }
 
-    // Build proper alternating history
-    for (let i = 0; i < conversationHistory.length; i++) {
-      const conv = conversationHistory[i];
+    const auth = await UserManager.getAuth(validation.userId);
+    const valid =
+      auth &&
+      auth.role !== "guest" &&
+      (await verifyPassword(password, auth.passwordHash));
 
-      // Add user message
-      geminiHistory.push({
-        role: "user",
-        parts: [{ text: conv.userMessage }],
+    if (!valid) {
+      return res.status(401).json({
+        error: "Invalid userId or password",
       });
+    }
+
+    const user = await UserManager.getUserData(validation.userId);
+    const { token, expiresAt } = issueToken(user);
+
+    res.json({
+      success: true,
+      token,
+      expiresAt,
+      user: toAccountSummary(user),
+    });
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({
+      error: "Failed to log in",
+      message: error.message,
+    });
+  }
+});
 
-      // Add bot response
-      geminiHistory.push({
-        role: "model",
-        parts: [{ text: conv.botResponse }],
+/**
+ * POST /api/auth/guest
+ * Start an anonymous demo session (a throwaway guest_* account, 24h token)
+ * Disabled when GUEST_MODE=disabled.
+ */
+app.post("/api/auth/guest", async (req, res) => {
+  try {
+    if (!isGuestModeEnabled()) {
+      return res.status(403).json({
+        error: "Guest mode is disabled. Please register or log in.",
       });
     }
 
-    // Initialize Gemini model
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+    const { budget, familySize, dietaryPreferences, allergies } = req.body;
+    const userId = `guest_${crypto.randomBytes(6).toString("hex")}`;
 
-    // Start chat with history (exclude current message which will be sent next)
-    const chat = model.startChat({
-      history: geminiHistory,
+    const user = await UserManager.registerUser(
+      userId,
+      { role: "guest" },
+      { budget, familySize, dietaryPreferences, allergies }
+    );
+    const { token, expiresAt } = issueToken(user);
+
+    res.status(201).json({
+      success: true,
+      message: "Guest session started",
+      token,
+      expiresAt,
+      user: toAccountSummary(user),
+    });
+  } catch (error) {
+    console.error("Guest session error:", error);
+    res.status(500).json({
+      error: "Failed to start guest session",
+      message: error.message,
     });
+  }
+});
 
-    // Send message with enhanced prompt
-    const fullPrompt = `${systemPrompt}\n\nUser: ${message}`;
-    const result = await chat.sendMessage(fullPrompt);
-    const botResponse = result.response.text();
+/**
+ * POST /api/auth/logout
+ * Revoke every session token issued to the current user
+ */
+app.post("/api/auth/logout", requireAuth, async (req, res) => {
+  try {
+    await UserManager.revokeSessions(req.user.userId);
 
-    // Save conversation to user history
-    UserManager.saveConversation(userId, message, botResponse, intent);
+    res.json({
+      success: true,
+      message: "Logged out",
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      error: "Failed to log out",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Current session's account
+ */
+app.get("/api/auth/me", requireAuth, async (req, res) => {
+  try {
+    const user = await UserManager.getUserData(req.user.userId);
 
-    // Return response with full user context
     res.json({
       success: true,
-      message: botResponse,
-      intent: intent,
-      userId: userId,
-      userContext: {
-        budget: user.preferences.budget,
-        familySize: user.preferences.familySize,
-        sdgScore: user.statistics.sdgScore,
+      user: toAccountSummary(user),
+    });
+  } catch (error) {
+    console.error("Session lookup error:", error);
+    res.status(500).json({
+      error: "Failed to load session",
+      message: error.message,
+    });
+  }
+});
+
+// ============================================================================
+// CHATBOT ENDPOINTS
+// ============================================================================
+
+// Client turn IDs of recent chat turns (storage key + turnId -> start time).
+// A client that lost a stream before any text arrived re-sends the turn to
+// /api/chat with the same turnId; if the first request already reached the
+// model (and maybe ran tools), the replay is refused instead of run twice.
+const TURN_ID_TTL_MS = 10 * 60 * 1000;
+const MAX_TURN_ID_LENGTH = 100;
+const startedTurns = new Map();
+
+/**
+ * Mark a client turn as started
+ * @returns {Boolean} false if that turn had already started
+ */
+function startTurn(userId, turnId) {
+  const now = Date.now();
+  for (const [key, startedAt] of startedTurns) {
+    if (now - startedAt < TURN_ID_TTL_MS) break; // Oldest first
+    startedTurns.delete(key);
+  }
+
+  const key = `${toStorageKey(userId)}:${turnId}`;
+  if (startedTurns.has(key)) return false;
+  startedTurns.set(key, now);
+  return true;
+}
+
+/**
+ * Forget a turn that was refused before it reached the model, so the client
+ * can send it again
+ */
+function forgetTurn(userId, turnId) {
+  startedTurns.delete(`${toStorageKey(userId)}:${turnId}`);
+}
+
+/**
+ * Validate a chat request and gather what the LLM call needs
+ * Shared by /api/chat and /api/chat/stream. Sends the error response itself
+ * and returns null when the request can't go ahead.
+ * @returns {Promise<Object|null>} { userId, user, message, conversationId,
+ *   userContext, intent, intents, language, systemPrompt, conversationHistory,
+ *   history } - language is the language the reply must be in
+ */
+async function prepareChatTurn(req, res) {
+  const { message, turnId } = req.body;
+  const { userId } = req.user;
+
+  if (!message) {
+    res.status(400).json({
+      error: "Missing message",
+    });
+    return null;
+  }
+
+  if (
+    turnId !== undefined &&
+    (typeof turnId !== "string" ||
+      !turnId ||
+      turnId.length > MAX_TURN_ID_LENGTH)
+  ) {
+    res.status(400).json({
+      error: `turnId must be a string of at most ${MAX_TURN_ID_LENGTH} characters`,
+    });
+    return null;
+  }
+
+  if (req.body.userId && !sameUserId(req.body.userId, userId)) {
+    res.status(403).json({
+      error: "You can only chat as your own account",
+    });
+    return null;
+  }
+
+  // Refuse a replay before it can change anything on the account
+  if (turnId && !startTurn(userId, turnId)) {
+    res.status(409).json({
+      error: "This message was already sent",
+      code: "TURN_ALREADY_STARTED",
+      turnId,
+    });
+    return null;
+  }
+
+  let turn = null;
+  try {
+    turn = await loadChatTurn(req, res);
+    return turn;
+  } finally {
+    if (!turn && turnId) forgetTurn(userId, turnId);
+  }
+}
+
+/**
+ * Apply request preferences and build the turn's prompt and history
+ * (the rest of prepareChatTurn, once the request is known to be new)
+ * @returns {Promise<Object|null>} See prepareChatTurn()
+ */
+async function loadChatTurn(req, res) {
+  const { message, preferences } = req.body;
+  const { userId } = req.user;
+  const conversationId =
+    req.body.conversationId || UserManager.DEFAULT_THREAD_ID;
+
+  let user = await UserManager.getUserData(userId);
+
+  // Update preferences if provided
+  if (preferences) {
+    const invalid = UserManager.validatePreferences(preferences);
+    if (invalid) {
+      res.status(400).json({ error: invalid });
+      return null;
+    }
+    user = await UserManager.updateUserPreferences(userId, preferences, {
+      source: "chat",
+    });
+  }
+
+  // Only the default thread is created implicitly
+  if (
+    conversationId !== UserManager.DEFAULT_THREAD_ID &&
+    !(await UserManager.getThread(userId, conversationId))
+  ) {
+    res.status(404).json({
+      error: "Conversation not found",
+      conversationId,
+    });
+    return null;
+  }
+
+  // Get user context (recent messages from this thread only)
+  const userContext = await UserManager.getUserContext(userId, {
+    conversationId,
+  });
+
+  // Detect intent (a message can carry more than one, most confident first)
+  const { intent, intents } = classifyIntent(message);
+
+  // Build comprehensive system prompt
+  const systemPrompt = PromptChainBuilder.buildContextualPrompt(
+    intent,
+    userContext,
+    message,
+    intents.slice(1).map((i) => i.intent)
+  );
+
+  // Earlier turns of this thread, as alternating user/assistant messages
+  const conversationHistory = await UserManager.getConversationHistory(
+    userId,
+    5,
+    conversationId
+  );
+  const history = conversationHistory.flatMap((conv) => [
+    { role: "user", content: conv.userMessage },
+    { role: "assistant", content: conv.botResponse },
+  ]);
+
+  // The first LLM call (tool rounds and regenerations reserve their own)
+  if (!(await req.usageMeter.reserve())) {
+    await sendQuotaExceeded(req, res, req.usageMeter.exceeded);
+    return null;
+  }
+
+  return {
+    userId,
+    user,
+    message,
+    conversationId,
+    userContext,
+    intent,
+    intents,
+    language: replyLanguage(message, userContext.preferences),
+    systemPrompt,
+    conversationHistory,
+    history,
+  };
+}
+
+/**
+ * Tokens to charge for a reply (mock replies use none; estimated when the
+ * provider doesn't report usage - each call resends the prompt)
+ * @param {Number} calls - Provider calls the reply took
+ */
+function chatTokens(turn, text, calls, usage) {
+  if (!calls) return 0;
+  return (
+    (usage && usage.totalTokens) ||
+    estimateTokens(
+      turn.systemPrompt,
+      turn.message,
+      ...turn.conversationHistory.map((c) => c.userMessage + c.botResponse),
+      text
+    ) * calls
+  );
+}
+
+/**
+ * Record usage, save the exchange and build the response body
+ * @param {Object} turn - From prepareChatTurn()
+ * @param {Object} reply - From the LLM client's generate() or stream()
+ * @param {Object} guardrails - From enforceGuardrails()
+ */
+async function finishChatTurn(req, turn, reply, guardrails) {
+  const { userId, user, message, conversationId, intent, intents } = turn;
+  const botResponse = reply.text;
+
+  // Rule breaks are kept (without the text) to tune the prompt
+  await GuardrailLog.record(guardrails, {
+    conversationId,
+    intent,
+    language: turn.language,
+    provider: reply.provider,
+    model: reply.model,
+  });
+
+  // Count the calls against the user's quota (mock answers are given back)
+  const tokens = chatTokens(turn, botResponse, reply.calls, reply.usage);
+  const usage = await req.usageMeter.settle(reply.calls, tokens);
+
+  // Save conversation to user history
+  const saved = await UserManager.saveConversation(
+    userId,
+    message,
+    botResponse,
+    intent,
+    conversationId
+  );
+
+  // Profile facts in the message ("my son is allergic to peanuts") wait
+  // for the user to accept them
+  const suggestions = await UserManager.addPreferenceSuggestions(
+    userId,
+    extractPreferenceSuggestions(message, user.preferences),
+    { conversationId, messageId: saved.id }
+  );
+
+  // Summarize older exchanges in the background; the reply doesn't wait
+  UserManager.refreshConversationMemory(userId).catch((error) =>
+    console.error("Memory refresh error:", error)
+  );
+
+  return {
+    success: true,
+    message: botResponse,
+    intent: intent,
+    // Every intent detected, with its confidence (0-1)
+    intents,
+    userId: userId,
+    conversationId,
+    // Preference changes spotted in the message, to confirm or reject
+    suggestions,
+    userContext: {
+      budget: user.preferences.budget,
+      familySize: user.preferences.familySize,
+      sdgScore: user.statistics.sdgScore,
+    },
+    metadata: {
+      timestamp: new Date(),
+      conversationCount: saved.messagesCount,
+      llm: {
+        provider: reply.provider,
+        model: reply.model,
+        usingMock: reply.usingMock,
+        fallbacks: reply.attempts.length,
       },
-      metadata: {
-        timestamp: new Date(),
-        conversationCount: user.statistics.messagesCount,
+      // Actions the bot took on the account while answering
+      tools: reply.toolCalls,
+      // Format rules the reply was checked against (see responseGuardrails)
+      guardrails,
+      usage: {
+        tokens,
+        // Provider calls this reply took (tool rounds, regeneration)
+        calls: reply.calls,
+        callsToday: usage.daily.calls,
+        callsLeftToday: req.usageStatus.daily.limit.calls
+          ? Math.max(req.usageStatus.daily.limit.calls - usage.daily.calls, 0)
+          : null,
       },
+    },
+  };
+}
+
+/**
+ * Write one Server-Sent Event
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * POST /api/chat
+ * Send a message and get a reply from the configured LLM provider
+ * Requires a session token; rate limits and LLM quotas answer 429.
+ * The bot can act on the account through services/chatTools, and replies
+ * that break the guardrails (services/responseGuardrails) are written again
+ * once - see metadata.tools and metadata.guardrails.
+ *
+ * Request body: { message, conversationId, preferences, turnId,
+ *   responseFormat: "text" (default) | "structured" }
+ * A turnId that was already sent gets 409. Structured replies add
+ * schema-validated cards (services/structuredResponses) as "structured".
+ */
+app.post("/api/chat", requireAuth, enforceChatLimits, async (req, res) => {
+  try {
+    const { responseFormat = "text" } = req.body;
+    if (!["text", "structured"].includes(responseFormat)) {
+      return res.status(400).json({
+        error: 'responseFormat must be "text" or "structured"',
+      });
+    }
+
+    const turn = await prepareChatTurn(req, res);
+    if (!turn) return;
+
+    const request = {
+      systemPrompt: turn.systemPrompt,
+      history: turn.history,
+      message: turn.message,
+      context: turn.userContext,
+      tools: ChatTools.createToolset(turn.userId),
+      beforeCall: () => req.usageMeter.reserve(),
+    };
+
+    if (responseFormat === "structured") {
+      const result = await generateStructured(getLLMClient(), request);
+      const checked = await enforceGuardrails(
+        getLLMClient(),
+        request,
+        { ...result.reply, text: result.text },
+        { language: turn.language, regenerate: false }
+      );
+      const body = await finishChatTurn(
+        req,
+        turn,
+        checked.reply,
+        checked.guardrails
+      );
+      return res.json({ ...body, structured: result.structured });
+    }
+
+    const reply = await getLLMClient().generate(request);
+    const checked = await enforceGuardrails(getLLMClient(), request, reply, {
+      language: turn.language,
     });
+
+    // Return response with full user context
+    res.json(
+      await finishChatTurn(req, turn, checked.reply, checked.guardrails)
+    );
   } catch (error) {
     console.error("Chat error:", error);
-    res.status(500).json({
+    await req.usageMeter
+      .release()
+      .catch((usageError) => console.error("Chat usage error:", usageError));
+    // LLMError: every provider failed and the mock fallback is disabled (503)
+    res.status(error instanceof LLMError ? error.statusCode : 500).json({
       error: "Failed to generate response",
+      code: error.code,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/chat/stream
+ * Same as /api/chat, but the reply arrives as Server-Sent Events while the
+ * LLM writes it. Validation, rate-limit and quota errors are plain JSON
+ * responses, as for /api/chat; once the stream starts:
+ *
+ *   event: token  data: { "text": "..." }        (repeated)
+ *   event: done   data: <the /api/chat response body>
+ *   event: error  data: { "error", "code", "message" }
+ *
+ * The tokens are the reply as first written. If it breaks the guardrails
+ * (see /api/chat) it is written again once, and done.message is the text
+ * that was saved - clients should show it in place of the streamed text.
+ *
+ * The conversation is saved only when the reply completes; if the client
+ * disconnects or the provider fails mid-reply, nothing is saved (the tokens
+ * already generated still count against the quota).
+ *
+ * Request body: as for /api/chat (structured responses aren't streamed)
+ */
+app.post(
+  "/api/chat/stream",
+  requireAuth,
+  enforceChatLimits,
+  async (req, res) => {
+    const controller = new AbortController();
+    let turn = null;
+    let streamed = "";
+
+    // The browser went away before the reply finished
+    res.on("close", () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    try {
+      if (req.body.responseFormat === "structured") {
+        return res.status(400).json({
+          error: "Structured responses aren't streamed - use POST /api/chat",
+        });
+      }
+
+      turn = await prepareChatTurn(req, res);
+      if (!turn) return;
+
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no", // don't let proxies buffer the stream
+      });
+      res.write(": stream open\n\n");
+
+      const request = {
+        systemPrompt: turn.systemPrompt,
+        history: turn.history,
+        message: turn.message,
+        context: turn.userContext,
+        tools: ChatTools.createToolset(turn.userId),
+        beforeCall: () => req.usageMeter.reserve(),
+      };
+      const reply = await getLLMClient().stream(
+        { ...request, signal: controller.signal },
+        (text) => {
+          streamed += text;
+          sendEvent(res, "token", { text });
+        }
+      );
+      const checked = await enforceGuardrails(getLLMClient(), request, reply, {
+        language: turn.language,
+      });
+
+      sendEvent(
+        res,
+        "done",
+        await finishChatTurn(req, turn, checked.reply, checked.guardrails)
+      );
+      res.end();
+    } catch (error) {
+      // Charge for what was generated before the stream broke off (the
+      // calls made are already counted); with nothing generated, give the
+      // reserved calls back
+      if (turn && streamed && !req.usageMeter.settled) {
+        const { reserved } = req.usageMeter;
+        const tokens = chatTokens(
+          turn,
+          streamed,
+          error.provider === "mock" ? 0 : reserved,
+          null
+        );
+        await req.usageMeter
+          .settle(reserved, tokens)
+          .catch((usageError) =>
+            console.error("Chat stream usage error:", usageError)
+          );
+      } else {
+        await req.usageMeter
+          .release()
+          .catch((usageError) =>
+            console.error("Chat stream usage error:", usageError)
+          );
+      }
+
+      if (controller.signal.aborted) {
+        console.log(`🔌 Chat stream closed by client (${req.user.userId})`);
+        return;
+      }
+
+      console.error("Chat stream error:", error);
+      const body = {
+        error: "Failed to generate response",
+        code: error.code,
+        message: error.message,
+      };
+
+      if (!res.headersSent) {
+        return res
+          .status(error instanceof LLMError ? error.statusCode : 500)
+          .json(body);
+      }
+      sendEvent(res, "error", body);
+      res.end();
+    }
+  }
+);
+
+/**
+ * GET /api/chat/quota
+ * Remaining chat requests and LLM quota for the current user
+ */
+app.get("/api/chat/quota", requireAuth, async (req, res) => {
+  try {
+    const { userId, role } = req.user;
+    const quota = await UsageQuota.getStatus(userId, role);
+
+    res.json({
+      success: true,
+      userId,
+      role,
+      rateLimit: getRateStatus(req),
+      quota,
+    });
+  } catch (error) {
+    console.error("Quota fetch error:", error);
+    res.status(500).json({
+      error: "Failed to fetch quota",
       message: error.message,
     });
   }
 });
 
 /**
- * GET /api/chat/history/:conversationId
- * Get chat history for a conversation (DEPRECATED - use /api/user/:userId/conversations)
+ * GET /api/chat/history/:conversationId?limit=50
+ * Get the messages of one of the current user's threads (oldest first)
  */
-app.get("/api/chat/history/:conversationId", (req, res) => {
+app.get("/api/chat/history/:conversationId", requireAuth, async (req, res) => {
   try {
-    res.status(404).json({
-      error: "Endpoint deprecated",
-      message: "Please use /api/user/:userId/conversations instead",
-      helpText: "This endpoint has been moved to use the user account system",
+    const { conversationId } = req.params;
+    const { limit = 50 } = req.query;
+    const { userId } = req.user;
+
+    const thread = await UserManager.getThread(userId, conversationId);
+    if (!thread) {
+      return res.status(404).json({
+        error: "Conversation not found",
+        conversationId,
+      });
+    }
+
+    const messages = await UserManager.getConversationHistory(
+      userId,
+      parseInt(limit) || 50,
+      conversationId
+    );
+
+    res.json({
+      success: true,
+      userId,
+      conversation: thread,
+      messages,
+      count: messages.length,
     });
   } catch (error) {
     console.error("History error:", error);
@@ -248,20 +1010,21 @@ app.get("/api/chat/history/:conversationId", (req, res) => {
 
 /**
  * POST /api/user/create
- * Create a new user account with preferences
+ * Load the current session's account (kept for older clients;
+ * new accounts are created by /api/auth/register or /api/auth/guest)
  */
-app.post("/api/user/create", (req, res) => {
+app.post("/api/user/create", requireAuth, async (req, res) => {
   try {
-    const { userId, budget, familySize, dietaryPreferences, allergies } =
-      req.body;
+    const { budget, familySize, dietaryPreferences, allergies } = req.body;
+    const { userId } = req.user;
 
-    if (!userId) {
-      return res.status(400).json({
-        error: "Missing userId",
+    if (req.body.userId && !sameUserId(req.body.userId, userId)) {
+      return res.status(403).json({
+        error: "You can only access your own account",
       });
     }
 
-    const user = UserManager.createUser(userId, {
+    const user = await UserManager.createUser(userId, {
       budget,
       familySize,
       dietaryPreferences,
@@ -286,14 +1049,17 @@ app.post("/api/user/create", (req, res) => {
   }
 });
 
+// Every /api/user/:userId route below needs a valid ID owned by the caller
+app.use("/api/user/:userId", requireValidUserIdParam, requireOwnership);
+
 /**
  * GET /api/user/:userId
  * Get user account details
  */
-app.get("/api/user/:userId", (req, res) => {
+app.get("/api/user/:userId", async (req, res) => {
   try {
     const { userId } = req.params;
-    const user = UserManager.getUserData(userId);
+    const user = await UserManager.getUserData(userId);
 
     if (!user) {
       return res.status(404).json({
@@ -323,20 +1089,24 @@ app.get("/api/user/:userId", (req, res) => {
 /**
  * PUT /api/user/:userId/preferences
  * Update user preferences
+ * language is the reply language: "auto" (the message's language, Banglish
+ * answered in Bengali), "bengali" or "english".
  */
-app.put("/api/user/:userId/preferences", (req, res) => {
+app.put("/api/user/:userId/preferences", async (req, res) => {
   try {
     const { userId } = req.params;
     const preferences = req.body;
 
-    const updatedUser = UserManager.updateUserPreferences(userId, preferences);
-
-    if (!updatedUser) {
-      return res.status(404).json({
-        error: "User not found",
-      });
+    const invalid = UserManager.validatePreferences(preferences || {});
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
     }
 
+    const updatedUser = await UserManager.updateUserPreferences(
+      userId,
+      preferences
+    );
+
     res.json({
       success: true,
       message: "Preferences updated successfully",
@@ -352,120 +1122,724 @@ app.put("/api/user/:userId/preferences", (req, res) => {
 });
 
 /**
- * GET /api/user/:userId/conversations
- * Get all conversations for a user (PERSISTED)
+ * GET /api/user/:userId/preference-suggestions
+ * Preference changes spotted in chat (new allergies, a diet, household size,
+ * budget) that wait for the user's answer
+ *
+ * Query: status - pending (default), accepted, rejected or all
  */
-app.get("/api/user/:userId/conversations", (req, res) => {
+app.get("/api/user/:userId/preference-suggestions", async (req, res) => {
   try {
     const { userId } = req.params;
-    const { limit = 20 } = req.query;
+    const status = req.query.status || "pending";
+
+    if (!["pending", "accepted", "rejected", "all"].includes(status)) {
+      return res.status(400).json({
+        error: "status must be pending, accepted, rejected or all",
+      });
+    }
 
-    const conversations = UserManager.getConversationHistory(
+    const suggestions = await UserManager.getPreferenceSuggestions(
       userId,
-      parseInt(limit)
+      status
     );
 
     res.json({
       success: true,
       userId,
-      conversations: conversations,
-      count: conversations.length,
-      message: "Persisted conversations from user account",
+      status,
+      suggestions,
     });
   } catch (error) {
-    console.error("Conversations error:", error);
+    console.error("Preference suggestions error:", error);
     res.status(500).json({
-      error: "Failed to fetch conversations",
+      error: "Failed to fetch preference suggestions",
       message: error.message,
     });
   }
 });
 
 /**
- * GET /api/user/:userId/context
- * Get user's full context for chatbot (user data, inventory, conversation history)
+ * Accept or reject a preference suggestion (shared by the two routes below)
  */
-app.get("/api/user/:userId/context", (req, res) => {
+async function resolveSuggestion(req, res, decision) {
   try {
-    const { userId } = req.params;
-    const context = UserManager.getUserContext(userId);
+    const { userId, suggestionId } = req.params;
+    const result = await UserManager.resolvePreferenceSuggestion(
+      userId,
+      suggestionId,
+      decision
+    );
 
-    if (!context) {
+    if (!result) {
       return res.status(404).json({
-        error: "User not found",
+        error: "Suggestion not found",
+        suggestionId,
+      });
+    }
+    if (result.error) {
+      return res.status(409).json({
+        error: result.error,
+        suggestionId,
       });
     }
 
     res.json({
       success: true,
-      context: context,
+      message:
+        decision === "accept" ? "Preferences updated" : "Suggestion rejected",
+      suggestion: result.suggestion,
+      preferences: result.preferences,
+    });
+  } catch (error) {
+    console.error("Preference suggestion update error:", error);
+    res.status(500).json({
+      error: "Failed to update suggestion",
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * POST /api/user/:userId/preference-suggestions/:suggestionId/accept
+ * Apply a suggestion to the user's preferences
+ */
+app.post(
+  "/api/user/:userId/preference-suggestions/:suggestionId/accept",
+  (req, res) => resolveSuggestion(req, res, "accept")
+);
+
+/**
+ * POST /api/user/:userId/preference-suggestions/:suggestionId/reject
+ * Dismiss a suggestion (the same fact won't be suggested again)
+ */
+app.post(
+  "/api/user/:userId/preference-suggestions/:suggestionId/reject",
+  (req, res) => resolveSuggestion(req, res, "reject")
+);
+
+/**
+ * GET /api/user/:userId/dietary-profiles
+ * Dietary profiles of the people the user cooks for (shared in a household)
+ * and the combined restrictions the chatbot and meal planner apply
+ */
+app.get("/api/user/:userId/dietary-profiles", async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    res.json({
+      success: true,
+      profiles: await UserManager.getDietaryProfiles(userId),
+      restrictions: await UserManager.getDietaryRestrictions(userId),
+    });
+  } catch (error) {
+    console.error("Dietary profiles error:", error);
+    res.status(500).json({
+      error: "Failed to fetch dietary profiles",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/user/:userId/dietary-profiles
+ * Add a member profile
+ *
+ * Request body:
+ * {
+ *   "name": "Nadia",
+ *   "ageGroup": "adult",              // infant | child | teen | adult | senior
+ *   "sex": "female",                  // female | male | other (optional)
+ *   "pregnancyStatus": "pregnant",    // none | pregnant | lactating
+ *   "medicalConditions": ["anemia"],
+ *   "allergies": ["shrimp"],
+ *   "dietaryPreferences": ["Halal"]
+ * }
+ */
+app.post("/api/user/:userId/dietary-profiles", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { profile, error } = await UserManager.addDietaryProfile(
+      userId,
+      req.body
+    );
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.status(201).json({
+      success: true,
+      profile,
+      restrictions: await UserManager.getDietaryRestrictions(userId),
+    });
+  } catch (error) {
+    console.error("Dietary profile create error:", error);
+    res.status(500).json({
+      error: "Failed to add dietary profile",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/user/:userId/dietary-profiles/:profileId
+ * Update a member profile (fields as for POST)
+ */
+app.patch(
+  "/api/user/:userId/dietary-profiles/:profileId",
+  async (req, res) => {
+    try {
+      const { userId, profileId } = req.params;
+      const result = await UserManager.updateDietaryProfile(
+        userId,
+        profileId,
+        req.body
+      );
+
+      if (!result) {
+        return res.status(404).json({ error: "Dietary profile not found" });
+      }
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      res.json({
+        success: true,
+        profile: result.profile,
+        restrictions: await UserManager.getDietaryRestrictions(userId),
+      });
+    } catch (error) {
+      console.error("Dietary profile update error:", error);
+      res.status(500).json({
+        error: "Failed to update dietary profile",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/user/:userId/dietary-profiles/:profileId
+ * Remove a member profile
+ */
+app.delete(
+  "/api/user/:userId/dietary-profiles/:profileId",
+  async (req, res) => {
+    try {
+      const { userId, profileId } = req.params;
+      const removed = await UserManager.removeDietaryProfile(
+        userId,
+        profileId
+      );
+
+      if (!removed) {
+        return res.status(404).json({ error: "Dietary profile not found" });
+      }
+
+      res.json({
+        success: true,
+        message: "Dietary profile removed",
+      });
+    } catch (error) {
+      console.error("Dietary profile delete error:", error);
+      res.status(500).json({
+        error: "Failed to remove dietary profile",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/user/:userId/conversations
+ * Page through a user's conversations, including archived ones (PERSISTED)
+ *
+ * Query parameters (all optional):
+ *   limit          - Page size (default 20, max 100)
+ *   cursor         - nextCursor from the previous page, to load older messages
+ *   from, to       - Date range; YYYY-MM-DD days are Asia/Dhaka, "to" inclusive
+ *   intent         - Intent or comma-separated intents (e.g. mealPlanning,wasteReduction)
+ *   conversationId - Only messages from one thread
+ *
+ * Each page is in chronological order; pages go from newest to oldest.
+ */
+app.get("/api/user/:userId/conversations", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { limit, cursor, from, to, intent, conversationId } = req.query;
+
+    const query = { limit, cursor, from, to, intent, conversationId };
+
+    try {
+      ConversationArchive.parseHistoryQuery(query);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: validationError.message,
+      });
+    }
+
+    const result = await UserManager.queryConversations(userId, query);
+
+    res.json({
+      success: true,
+      userId,
+      conversations: result.conversations,
+      count: result.conversations.length,
+      pagination: {
+        limit: result.limit,
+        nextCursor: result.nextCursor,
+        hasMore: result.hasMore,
+      },
+      message: "Persisted conversations from user account",
+    });
+  } catch (error) {
+    console.error("Conversations error:", error);
+    res.status(500).json({
+      error: "Failed to fetch conversations",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/user/:userId/conversations/search?q=ভাত
+ * Full-text search over live and archived conversations (Bengali + English)
+ *
+ * Query parameters:
+ *   q              - Search text (required)
+ *   intent         - Intent or comma-separated intents
+ *   from, to       - Date range; YYYY-MM-DD days are Asia/Dhaka, "to" inclusive
+ *   conversationId - Only messages from one thread
+ *   limit, offset  - Paging over ranked results (default 10, max 50)
+ *
+ * Each result has a snippet with matches wrapped in <mark> (HTML-escaped).
+ */
+app.get("/api/user/:userId/conversations/search", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { q, intent, from, to, conversationId, limit, offset } = req.query;
+
+    if (!q || ConversationSearch.tokenize(q).length === 0) {
+      return res.status(400).json({
+        error: "Missing search query (q)",
+      });
+    }
+
+    try {
+      ConversationArchive.parseHistoryQuery({ from, to, intent });
+    } catch (validationError) {
+      return res.status(400).json({
+        error: validationError.message,
+      });
+    }
+
+    const result = await UserManager.searchConversations(userId, {
+      q,
+      intent,
+      from,
+      to,
+      conversationId,
+      limit,
+      offset,
+    });
+
+    res.json({
+      success: true,
+      userId,
+      query: q,
+      terms: result.terms,
+      results: result.results,
+      count: result.results.length,
+      total: result.total,
+      pagination: {
+        limit: result.limit,
+        offset: result.offset,
+        hasMore: result.hasMore,
+      },
+    });
+  } catch (error) {
+    console.error("Conversation search error:", error);
+    res.status(500).json({
+      error: "Failed to search conversations",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/user/:userId/threads
+ * List conversation threads, most recently active first
+ */
+app.get("/api/user/:userId/threads", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const threads = await UserManager.listThreads(userId);
+
+    res.json({
+      success: true,
+      userId,
+      threads,
+      count: threads.length,
+    });
+  } catch (error) {
+    console.error("Threads error:", error);
+    res.status(500).json({
+      error: "Failed to fetch threads",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/user/:userId/threads
+ * Start a new conversation thread
+ *
+ * Request body:
+ * {
+ *   "title": "Eid meal planning" // Optional: defaults to the first message
+ * }
+ */
+app.post("/api/user/:userId/threads", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const thread = await UserManager.createThread(userId, req.body.title);
+
+    res.status(201).json({
+      success: true,
+      thread,
+      message: "Conversation created",
+    });
+  } catch (error) {
+    console.error("Thread create error:", error);
+    res.status(500).json({
+      error: "Failed to create thread",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/user/:userId/threads/:conversationId
+ * Rename a conversation thread
+ *
+ * Request body:
+ * {
+ *   "title": "Weekly bazar list"
+ * }
+ */
+app.patch("/api/user/:userId/threads/:conversationId", async (req, res) => {
+  try {
+    const { userId, conversationId } = req.params;
+    const { title } = req.body;
+
+    if (!title || typeof title !== "string" || !title.trim()) {
+      return res.status(400).json({
+        error: "Missing title",
+      });
+    }
+
+    const thread = await UserManager.renameThread(userId, conversationId, title);
+    if (!thread) {
+      return res.status(404).json({
+        error: "Conversation not found",
+        conversationId,
+      });
+    }
+
+    res.json({
+      success: true,
+      thread,
+      message: "Conversation renamed",
+    });
+  } catch (error) {
+    console.error("Thread rename error:", error);
+    res.status(500).json({
+      error: "Failed to rename thread",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/user/:userId/threads/:conversationId
+ * Delete a conversation thread and its messages
+ */
+app.delete("/api/user/:userId/threads/:conversationId", async (req, res) => {
+  try {
+    const { userId, conversationId } = req.params;
+    const deleted = await UserManager.deleteThread(userId, conversationId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: "Conversation not found",
+        conversationId,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Conversation deleted",
+      conversationId,
+    });
+  } catch (error) {
+    console.error("Thread delete error:", error);
+    res.status(500).json({
+      error: "Failed to delete thread",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/user/:userId/context
+ * Get user's full context for chatbot (user data, inventory, conversation history)
+ */
+app.get("/api/user/:userId/context", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const context = await UserManager.getUserContext(userId);
+
+    if (!context) {
+      return res.status(404).json({
+        error: "User not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      context: context,
       message: "User context for chatbot personalization",
     });
   } catch (error) {
-    console.error("Context error:", error);
+    console.error("Context error:", error);
+    res.status(500).json({
+      error: "Failed to fetch context",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/user/:userId/memory
+ * What the bot remembers from older conversations
+ * Exchanges that drop out of the recent history sent with each message are
+ * summarized into a short list of facts ("we don't eat beef", "small fridge")
+ * that goes into every chat prompt, within a token budget.
+ */
+app.get("/api/user/:userId/memory", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const memory = await ConversationMemory.getMemory(userId);
+
+    res.json({
+      success: true,
+      userId,
+      facts: memory.facts,
+      // Facts that fit in the prompt (the rest are kept but not sent)
+      inPrompt: (await ConversationMemory.getPromptFacts(userId)).length,
+      summarizedExchanges: memory.summarizedCount,
+      updatedAt: memory.updatedAt,
+    });
+  } catch (error) {
+    console.error("Memory fetch error:", error);
+    res.status(500).json({
+      error: "Failed to fetch memory",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/user/:userId/memory
+ * Forget everything remembered so far (conversations themselves are kept)
+ */
+app.delete("/api/user/:userId/memory", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const memory = await UserManager.clearConversationMemory(userId);
+
+    if (!memory) {
+      return res.status(404).json({
+        error: "User not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Memory cleared",
+      userId,
+    });
+  } catch (error) {
+    console.error("Memory clear error:", error);
+    res.status(500).json({
+      error: "Failed to clear memory",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/user/:userId/inventory
+ * Add item to user's inventory
+ */
+app.post("/api/user/:userId/inventory", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { name, quantity, unit, expiryDate, category, price } = req.body;
+
+    if (!name || quantity === undefined || quantity === "" || !expiryDate) {
+      return res.status(400).json({
+        error: "Missing required fields: name, quantity, expiryDate",
+      });
+    }
+
+    const item = {
+      name,
+      quantity,
+      unit: unit || "kg",
+      expiryDate,
+      category: category || "General",
+      price,
+    };
+    const invalid = UserManager.validateInventoryChanges(item);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const inventory = await UserManager.updateInventory(userId, item);
+
+    res.json({
+      success: true,
+      message: "Item added to inventory",
+      inventory: inventory,
+    });
+  } catch (error) {
+    console.error("Inventory add error:", error);
+    res.status(500).json({
+      error: "Failed to add inventory item",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/user/:userId/inventory
+ * Get user's current inventory
+ */
+app.get("/api/user/:userId/inventory", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const inventory = await UserManager.getInventory(userId);
+
+    res.json({
+      success: true,
+      userId,
+      householdId: await HouseholdManager.getHouseholdId(userId),
+      inventory: inventory,
+      count: inventory.length,
+    });
+  } catch (error) {
+    console.error("Inventory fetch error:", error);
+    res.status(500).json({
+      error: "Failed to fetch inventory",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/user/:userId/inventory/:itemId
+ * Edit an inventory item (the household's when the user is in one)
+ *
+ * Request body: any of { name, quantity, unit, expiryDate, category, price }
+ */
+app.patch("/api/user/:userId/inventory/:itemId", async (req, res) => {
+  try {
+    const { userId, itemId } = req.params;
+    const result = await UserManager.updateInventoryItem(
+      userId,
+      itemId,
+      req.body
+    );
+
+    if (!result) {
+      return res.status(404).json({ error: "Inventory item not found" });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: "Inventory item updated",
+      item: result.item,
+    });
+  } catch (error) {
+    console.error("Inventory update error:", error);
     res.status(500).json({
-      error: "Failed to fetch context",
+      error: "Failed to update inventory item",
       message: error.message,
     });
   }
 });
 
 /**
- * POST /api/user/:userId/inventory
- * Add item to user's inventory
+ * DELETE /api/user/:userId/inventory/:itemId
+ * Remove an inventory item
  */
-app.post("/api/user/:userId/inventory", (req, res) => {
+app.delete("/api/user/:userId/inventory/:itemId", async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { name, quantity, unit, expiryDate, category } = req.body;
+    const { userId, itemId } = req.params;
+    const removed = await UserManager.removeInventoryItem(userId, itemId);
 
-    if (!name || !quantity || !expiryDate) {
-      return res.status(400).json({
-        error: "Missing required fields: name, quantity, expiryDate",
-      });
+    if (!removed) {
+      return res.status(404).json({ error: "Inventory item not found" });
     }
 
-    const inventory = UserManager.updateInventory(userId, {
-      name,
-      quantity,
-      unit: unit || "kg",
-      expiryDate,
-      category: category || "General",
-    });
-
     res.json({
       success: true,
-      message: "Item added to inventory",
-      inventory: inventory,
+      message: "Inventory item removed",
+      item: removed,
     });
   } catch (error) {
-    console.error("Inventory add error:", error);
+    console.error("Inventory remove error:", error);
     res.status(500).json({
-      error: "Failed to add inventory item",
+      error: "Failed to remove inventory item",
       message: error.message,
     });
   }
 });
 
 /**
- * GET /api/user/:userId/inventory
- * Get user's current inventory
+ * GET /api/user/:userId/audit
+ * History of changes to the user's own data (preferences, and inventory,
+ * logs and dietary profiles while they are not in a household), newest first
+ *
+ * Query parameters (all optional):
+ *   action     - Action or prefix, e.g. inventory.remove or inventory
+ *   source     - rest | chat | vision | admin | system
+ *   q          - Text in the item / profile name (e.g. fish)
+ *   from, to   - Date range
+ *   limit, offset
  */
-app.get("/api/user/:userId/inventory", (req, res) => {
+app.get("/api/user/:userId/audit", async (req, res) => {
   try {
     const { userId } = req.params;
-    const inventory = UserManager.getInventory(userId);
+    const result = await AuditLog.getEntries(
+      AuditLog.userScope(userId),
+      req.query
+    );
 
     res.json({
       success: true,
       userId,
-      inventory: inventory,
-      count: inventory.length,
+      ...result,
     });
   } catch (error) {
-    console.error("Inventory fetch error:", error);
+    console.error("Audit log error:", error);
     res.status(500).json({
-      error: "Failed to fetch inventory",
+      error: "Failed to fetch audit log",
       message: error.message,
     });
   }
@@ -475,10 +1849,10 @@ app.get("/api/user/:userId/inventory", (req, res) => {
  * DELETE /api/user/:userId
  * Delete user account (with all data)
  */
-app.delete("/api/user/:userId", (req, res) => {
+app.delete("/api/user/:userId", async (req, res) => {
   try {
     const { userId } = req.params;
-    const deleted = UserManager.deleteUser(userId);
+    const deleted = await UserManager.deleteUser(userId);
 
     if (!deleted) {
       return res.status(404).json({
@@ -519,6 +1893,348 @@ app.get("/api/data/bangladesh", (req, res) => {
   }
 });
 
+// ============================================================================
+// HOUSEHOLD ENDPOINTS
+// ============================================================================
+
+// Households need a registered (non-guest) session
+app.use("/api/household", requireAuth, (req, res, next) => {
+  if (req.user.guest) {
+    return res.status(403).json({
+      error: "Register an account to create or join a household",
+    });
+  }
+  next();
+});
+
+/**
+ * Send a household error with its status (other errors become a 500)
+ */
+function sendHouseholdError(res, error, action) {
+  if (error instanceof HouseholdManager.HouseholdError) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code,
+    });
+  }
+
+  console.error(`Household ${action} error:`, error);
+  res.status(500).json({
+    error: `Failed to ${action} household`,
+    message: error.message,
+  });
+}
+
+/**
+ * Validate a user ID from the request, sending a 400 if it is invalid
+ * @returns {String|null} Normalized user ID
+ */
+function requireUserIdInput(res, raw) {
+  const { userId, error } = validateUserId(raw);
+  if (error) {
+    res.status(400).json(invalidUserIdResponse(error));
+    return null;
+  }
+  return userId;
+}
+
+/**
+ * GET /api/household
+ * The current user's household (null if none) and invitations they received
+ */
+app.get("/api/household", async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const household = await HouseholdManager.getHouseholdForUser(userId);
+
+    res.json({
+      success: true,
+      household: household
+        ? HouseholdManager.describe(household, userId)
+        : null,
+      invitations: await HouseholdManager.getInvitationsForUser(userId),
+    });
+  } catch (error) {
+    sendHouseholdError(res, error, "load");
+  }
+});
+
+/**
+ * POST /api/household
+ * Create a household owned by the current user; their inventory and
+ * consumption logs become the household's
+ *
+ * Request body: { "name": "Rahman family" }
+ */
+app.post("/api/household", async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const household = await HouseholdManager.createHousehold(
+      userId,
+      req.body.name
+    );
+
+    res.status(201).json({
+      success: true,
+      household: HouseholdManager.describe(household, userId),
+    });
+  } catch (error) {
+    sendHouseholdError(res, error, "create");
+  }
+});
+
+/**
+ * PATCH /api/household
+ * Rename the household (owner only)
+ *
+ * Request body: { "name": "New name" }
+ */
+app.patch("/api/household", async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const household = await HouseholdManager.renameHousehold(
+      userId,
+      req.body.name
+    );
+
+    res.json({
+      success: true,
+      household: HouseholdManager.describe(household, userId),
+    });
+  } catch (error) {
+    sendHouseholdError(res, error, "rename");
+  }
+});
+
+/**
+ * DELETE /api/household
+ * Disband the household (owner only); shared inventory and logs go back
+ * to the owner
+ */
+app.delete("/api/household", async (req, res) => {
+  try {
+    const household = await HouseholdManager.disbandHousehold(
+      req.user.userId
+    );
+
+    res.json({
+      success: true,
+      message: "Household disbanded",
+      householdId: household.householdId,
+    });
+  } catch (error) {
+    sendHouseholdError(res, error, "disband");
+  }
+});
+
+/**
+ * POST /api/household/invitations
+ * Invite a registered user (owner only); invitations expire after 7 days
+ *
+ * Request body: { "userId": "karim" }
+ */
+app.post("/api/household/invitations", async (req, res) => {
+  try {
+    const inviteeId = requireUserIdInput(res, req.body.userId);
+    if (!inviteeId) return;
+
+    const invitation = await HouseholdManager.inviteMember(
+      req.user.userId,
+      inviteeId
+    );
+
+    res.status(201).json({
+      success: true,
+      invitation,
+    });
+  } catch (error) {
+    sendHouseholdError(res, error, "invite to");
+  }
+});
+
+/**
+ * DELETE /api/household/invitations/:invitationId
+ * Withdraw a pending invitation (owner only)
+ */
+app.delete("/api/household/invitations/:invitationId", async (req, res) => {
+  try {
+    const invitation = await HouseholdManager.revokeInvitation(
+      req.user.userId,
+      req.params.invitationId
+    );
+
+    res.json({
+      success: true,
+      message: "Invitation withdrawn",
+      invitationId: invitation.invitationId,
+    });
+  } catch (error) {
+    sendHouseholdError(res, error, "update");
+  }
+});
+
+/**
+ * POST /api/household/invitations/:invitationId/accept
+ * Join the inviting household
+ */
+app.post(
+  "/api/household/invitations/:invitationId/accept",
+  async (req, res) => {
+    try {
+      const { userId } = req.user;
+      const household = await HouseholdManager.acceptInvitation(
+        userId,
+        req.params.invitationId
+      );
+
+      res.json({
+        success: true,
+        household: HouseholdManager.describe(household, userId),
+      });
+    } catch (error) {
+      sendHouseholdError(res, error, "join");
+    }
+  }
+);
+
+/**
+ * POST /api/household/invitations/:invitationId/decline
+ * Decline an invitation
+ */
+app.post(
+  "/api/household/invitations/:invitationId/decline",
+  async (req, res) => {
+    try {
+      const invitation = await HouseholdManager.declineInvitation(
+        req.user.userId,
+        req.params.invitationId
+      );
+
+      res.json({
+        success: true,
+        message: "Invitation declined",
+        invitationId: invitation.invitationId,
+      });
+    } catch (error) {
+      sendHouseholdError(res, error, "update");
+    }
+  }
+);
+
+/**
+ * POST /api/household/leave
+ * Leave the household (a sole owner disbands it; otherwise the owner must
+ * transfer ownership first)
+ */
+app.post("/api/household/leave", async (req, res) => {
+  try {
+    const { disbanded } = await HouseholdManager.leaveHousehold(
+      req.user.userId
+    );
+
+    res.json({
+      success: true,
+      message: disbanded ? "Household disbanded" : "You left the household",
+      disbanded,
+    });
+  } catch (error) {
+    sendHouseholdError(res, error, "leave");
+  }
+});
+
+/**
+ * PATCH /api/household/members/:memberId
+ * Make another member the owner (owner only)
+ *
+ * Request body: { "role": "owner" }
+ */
+app.patch("/api/household/members/:memberId", async (req, res) => {
+  try {
+    const memberId = requireUserIdInput(res, req.params.memberId);
+    if (!memberId) return;
+
+    if (req.body.role !== "owner") {
+      return res.status(400).json({
+        error: 'Only ownership can be transferred: use { "role": "owner" }',
+      });
+    }
+
+    const { userId } = req.user;
+    const household = await HouseholdManager.transferOwnership(
+      userId,
+      memberId
+    );
+
+    res.json({
+      success: true,
+      household: HouseholdManager.describe(household, userId),
+    });
+  } catch (error) {
+    sendHouseholdError(res, error, "update");
+  }
+});
+
+/**
+ * DELETE /api/household/members/:memberId
+ * Remove a member (owner only); they keep their personal data and threads
+ */
+app.delete("/api/household/members/:memberId", async (req, res) => {
+  try {
+    const memberId = requireUserIdInput(res, req.params.memberId);
+    if (!memberId) return;
+
+    const { userId } = req.user;
+    const household = await HouseholdManager.removeMember(userId, memberId);
+
+    res.json({
+      success: true,
+      household: HouseholdManager.describe(household, userId),
+    });
+  } catch (error) {
+    sendHouseholdError(res, error, "update");
+  }
+});
+
+/**
+ * GET /api/household/audit
+ * History of changes to the shared inventory, logs and dietary profiles,
+ * plus members' account deletions, newest first
+ * ("who removed the fish?" → ?action=inventory.remove&q=fish)
+ *
+ * Query parameters (all optional):
+ *   actor      - Only changes made by this member
+ *   action     - Action or prefix, e.g. inventory.remove or inventory
+ *   source     - rest | chat | vision | admin | system
+ *   q          - Text in the item / profile name
+ *   from, to   - Date range
+ *   limit, offset
+ */
+app.get("/api/household/audit", async (req, res) => {
+  try {
+    const householdId = await HouseholdManager.getHouseholdId(req.user.userId);
+    if (!householdId) {
+      throw new HouseholdManager.HouseholdError(
+        "You are not in a household",
+        "NOT_IN_HOUSEHOLD",
+        404
+      );
+    }
+
+    const result = await AuditLog.getEntries(
+      AuditLog.householdScope(householdId),
+      req.query
+    );
+
+    res.json({
+      success: true,
+      householdId,
+      ...result,
+    });
+  } catch (error) {
+    sendHouseholdError(res, error, "load");
+  }
+});
+
 // ============================================================================
 // ANALYTICS ENDPOINTS
 // ============================================================================
@@ -531,20 +2247,18 @@ app.get("/api/user/:userId/analytics", async (req, res) => {
   try {
     const { userId } = req.params;
 
-    // Fetch data
-    const logs = await prisma.consumptionLog.findMany({
-      where: { userId: userId },
-      orderBy: { logDate: "desc" },
-      take: 30,
-    });
-
-    const inventory = await prisma.inventory.findMany({
-      where: { userId: userId, quantity: { gt: 0 } },
-      include: { foodItem: true },
+    // Fetch data (last 30 logged items + current inventory)
+    const { logs } = await ConsumptionLogManager.getLogs(userId, {
+      limit: 30,
     });
+    const inventory = await UserManager.getInventory(userId);
 
     // Calculate metrics
-    const wasteMetrics = calculateWasteMetrics(logs, inventory);
+    const wasteMetrics = calculateWasteMetrics(
+      logs,
+      inventory,
+      new Date().toISOString()
+    );
     const sdgMetrics = calculateSDGScore(logs);
     const displayMetrics = formatMetricsForDisplay(wasteMetrics, sdgMetrics);
 
@@ -566,59 +2280,32 @@ app.get("/api/user/:userId/analytics", async (req, res) => {
  * GET /api/user/:userId/sdg-profile
  * Enhanced SDG Impact Scoring Engine with weekly insights & recommendations
  * Returns: Personal SDG Score, nutrition analysis, weekly insights, actionable recommendations
+ * New users with no logged food get an empty-state profile (hasData: false)
  */
 app.get("/api/user/:userId/sdg-profile", async (req, res) => {
   try {
     const { userId } = req.params;
 
-    // Get mock or real user data
-    const mockHistory = [
-      { name: "Apple", status: "consumed", price: 2.5 },
-      { name: "Yogurt", status: "wasted", price: 3.0 },
-      { name: "Carrot", status: "consumed", price: 1.5 },
-      { name: "Bread", status: "consumed", price: 2.0 },
-      { name: "Spinach", status: "wasted", price: 1.0 },
-      { name: "Eggs", status: "consumed", price: 2.5 },
-      { name: "Milk", status: "consumed", price: 3.0 },
-    ];
-
-    const mockInventory = [
-      {
-        name: "Yogurt",
-        expiry: "2025-11-22",
-        quantity: 1,
-        price: 3.0,
-      },
-      {
-        name: "Apples",
-        expiry: "2025-11-26",
-        quantity: 3,
-        price: 2.5,
-      },
-      {
-        name: "Carrots",
-        expiry: "2025-12-05",
-        quantity: 5,
-        price: 1.5,
-      },
-      {
-        name: "Bread",
-        expiry: "2025-11-24",
-        quantity: 1,
-        price: 2.0,
-      },
-    ];
+    // Build the profile from the user's own logs and inventory
+    const history = await ConsumptionLogManager.getAllLogs(userId);
+    const inventory = await UserManager.getInventory(userId);
 
-    // Generate comprehensive SDG profile
+    // Generate comprehensive SDG profile (evaluated against today)
     const sdgProfile = generateCompleteSDGProfile(
-      mockHistory,
-      mockInventory,
-      "2025-11-21"
+      history,
+      inventory,
+      new Date()
     );
 
+    // Keep the stored score in sync so chat context sees the real value
+    if (sdgProfile.hasData) {
+      await UserManager.updateSDGScore(userId, sdgProfile.personalSDGScore);
+    }
+
     res.json({
       success: true,
       userId,
+      hasData: sdgProfile.hasData,
       personalSDGScore: sdgProfile.personalSDGScore,
       scoreInterpretation: sdgProfile.scoreInterpretation,
       waste: sdgProfile.waste,
@@ -636,71 +2323,141 @@ app.get("/api/user/:userId/sdg-profile", async (req, res) => {
       timestamp: new Date(),
     });
   } catch (error) {
-    console.error("SDG profile error:", error);
+    console.error("SDG profile error:", error);
+    res.status(500).json({
+      error: "Failed to fetch SDG profile",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/user/:userId/sdg-insights
+ * Generate insights from the user's logged history (future LLM integration)
+ * Compares the current calendar period with the previous one (Asia/Dhaka time)
+ *
+ * Request body (all optional):
+ * {
+ *   "period": "week",        // week (default), month, custom
+ *   "from": "2025-11-01",    // custom only, inclusive
+ *   "to": "2025-11-15"       // custom only, inclusive
+ * }
+ */
+app.post("/api/user/:userId/sdg-insights", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { period = "week", from, to } = req.body || {};
+
+    const history = await ConsumptionLogManager.getAllLogs(userId);
+
+    if (history.length === 0) {
+      return res.json({
+        success: true,
+        userId,
+        hasData: false,
+        weeklyInsights: {
+          performanceScore: null,
+          nutritionScore: null,
+          message:
+            "No food logged yet. Log what you eat, waste or donate to unlock your weekly insights.",
+          highlights: [],
+          areasToImprove: ["Log your first consumed, wasted or donated item"],
+        },
+        timestamp: new Date(),
+      });
+    }
+
+    let periodInsights;
+    try {
+      periodInsights = generateWeeklyInsights(history, { period, from, to });
+    } catch (periodError) {
+      return res.status(400).json({
+        error: periodError.message,
+      });
+    }
+
+    const { current } = periodInsights;
+    const periodEntries = entriesInRange(history, periodInsights.period.current);
+    const nutritionMetrics = calculateNutritionScore(periodEntries);
+
+    res.json({
+      success: true,
+      userId,
+      hasData: true,
+      weeklyInsights: {
+        performanceScore: current.sdgScore,
+        nutritionScore:
+          periodEntries.length > 0 ? nutritionMetrics.nutritionScore : null,
+        message:
+          current.sdgScore === null
+            ? `Nothing logged for ${periodInsights.period.current.label} yet. Log your food to track progress!`
+            : `You're making progress! Your SDG score is ${current.sdgScore}/100. Keep focusing on reducing waste!`,
+        highlights: [
+          `✅ Consumed ${current.consumedCount} items successfully`,
+          `⚠️  ${current.wasteCount} items went to waste (${current.wastedBDT} BDT)`,
+          `🤝 Donated ${current.donatedCount} items`,
+          `📊 Nutrition variety: ${nutritionMetrics.nutritionScore}/100`,
+        ],
+        insights: periodInsights.insights,
+        areasToImprove: nutritionMetrics.suggestions,
+      },
+      period: periodInsights.period,
+      current: periodInsights.current,
+      previous: periodInsights.previous,
+      deltas: periodInsights.deltas,
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    console.error("SDG insights error:", error);
     res.status(500).json({
-      error: "Failed to fetch SDG profile",
+      error: "Failed to generate insights",
       message: error.message,
     });
   }
 });
 
 /**
- * POST /api/user/:userId/sdg-insights
- * Generate AI-powered weekly insights (future LLM integration)
+ * GET /api/user/:userId/insights/timeseries
+ * Per-period waste, consumption and SDG score series for charting
+ *
+ * Query params:
+ *   interval: day | week (default) | month   (Asia/Dhaka calendar buckets)
+ *   from, to: date range (default: last `count` buckets up to today)
+ *   count:    number of buckets when from is omitted (default 12)
  */
-app.post("/api/user/:userId/sdg-insights", async (req, res) => {
+app.get("/api/user/:userId/insights/timeseries", async (req, res) => {
   try {
     const { userId } = req.params;
+    const { interval = "week", from, to, count } = req.query;
 
-    // Mock insights
-    const mockHistory = [
-      { name: "Apple", status: "consumed", price: 2.5 },
-      { name: "Yogurt", status: "wasted", price: 3.0 },
-      { name: "Carrot", status: "consumed", price: 1.5 },
-      { name: "Bread", status: "consumed", price: 2.0 },
-      { name: "Spinach", status: "wasted", price: 1.0 },
-      { name: "Eggs", status: "consumed", price: 2.5 },
-      { name: "Milk", status: "consumed", price: 3.0 },
-    ];
-
-    const mockInventory = [
-      {
-        name: "Yogurt",
-        expiry: "2025-11-22",
-        quantity: 1,
-        price: 3.0,
-      },
-      {
-        name: "Apples",
-        expiry: "2025-11-26",
-        quantity: 3,
-        price: 2.5,
-      },
-    ];
+    const history = await ConsumptionLogManager.getAllLogs(userId);
 
-    const sdgMetrics = calculateSDGScore(mockHistory);
-    const nutritionMetrics = calculateNutritionScore(mockHistory);
+    let timeSeries;
+    try {
+      timeSeries = generateInsightsTimeSeries(history, {
+        interval,
+        from,
+        to,
+        count,
+      });
+    } catch (periodError) {
+      return res.status(400).json({
+        error: periodError.message,
+      });
+    }
 
     res.json({
       success: true,
       userId,
-      weeklyInsights: {
-        performanceScore: sdgMetrics.sdgScore,
-        nutritionScore: nutritionMetrics.nutritionScore,
-        message: `You're making progress! Your SDG score is ${sdgMetrics.sdgScore}/100. Keep focusing on reducing waste!`,
-        highlights: [
-          `✅ Consumed ${sdgMetrics.consumedCount} items successfully`,
-          `⚠️  ${sdgMetrics.wastedCount} items went to waste`,
-          `📊 Nutrition variety: ${nutritionMetrics.nutritionScore}/100`,
-        ],
-        areasToImprove: nutritionMetrics.suggestions,
-      },
+      hasData: history.length > 0,
+      ...timeSeries,
+      count: timeSeries.series.length,
       timestamp: new Date(),
     });
   } catch (error) {
-    console.error("SDG insights error:", error);
+    console.error("Insights time series error:", error);
     res.status(500).json({
-      error: "Failed to generate insights",
+      error: "Failed to build insights time series",
       message: error.message,
     });
   }
@@ -798,32 +2555,35 @@ app.post("/api/user/:userId/inventory", async (req, res) => {
 /**
  * POST /api/user/:userId/log
  * Log a consumption action (consumed, wasted, donated)
+ *
+ * Request body:
+ * {
+ *   "foodName": "Rice",
+ *   "actionType": "WASTED",        // CONSUMED, WASTED, DONATED
+ *   "quantity": 0.5,
+ *   "unit": "kg",                  // Optional (default: kg)
+ *   "price": 35,                   // Optional: BDT value of the quantity
+ *   "reasonForWaste": "Spoiled",   // Optional, WASTED only
+ *   "logDate": "2025-11-20"        // Optional (default: now)
+ * }
  */
 app.post("/api/user/:userId/log", async (req, res) => {
   try {
     const { userId } = req.params;
-    const { foodName, actionType, quantity, reasonForWaste } = req.body;
 
-    if (!foodName || !actionType || !quantity) {
+    const validationError = ConsumptionLogManager.validateEntry(req.body);
+    if (validationError) {
       return res.status(400).json({
-        error: "Missing required fields",
+        error: validationError,
       });
     }
 
-    const log = await prisma.consumptionLog.create({
-      data: {
-        userId,
-        foodName,
-        actionType, // CONSUMED, WASTED, DONATED
-        quantity,
-        reasonForWaste: reasonForWaste || null,
-      },
-    });
+    const log = await ConsumptionLogManager.addLog(userId, req.body);
 
     res.json({
       success: true,
       log: log,
-      message: `Logged: ${quantity} ${foodName} (${actionType})`,
+      message: `Logged: ${log.quantity} ${log.unit} ${log.foodName} (${log.actionType})`,
     });
   } catch (error) {
     console.error("Log error:", error);
@@ -836,28 +2596,39 @@ app.post("/api/user/:userId/log", async (req, res) => {
 
 /**
  * GET /api/user/:userId/logs
- * Get consumption history
+ * Get consumption history (newest first)
+ *
+ * Query params: actionType, foodName, from, to, limit (default 20), offset
  */
 app.get("/api/user/:userId/logs", async (req, res) => {
   try {
     const { userId } = req.params;
-    const { limit = 20, actionType } = req.query;
+    const { limit, offset, actionType, foodName, from, to } = req.query;
 
-    const where = { userId };
-    if (actionType) {
-      where.actionType = actionType;
+    const invalid = ConsumptionLogManager.validateFilters({ from, to });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
     }
 
-    const logs = await prisma.consumptionLog.findMany({
-      where,
-      orderBy: { logDate: "desc" },
-      take: parseInt(limit),
+    const result = await ConsumptionLogManager.getLogs(userId, {
+      limit,
+      offset,
+      actionType,
+      foodName,
+      from,
+      to,
     });
 
     res.json({
       success: true,
-      logs: logs,
-      count: logs.length,
+      logs: result.logs,
+      count: result.logs.length,
+      total: result.total,
+      pagination: {
+        limit: result.limit,
+        offset: result.offset,
+        hasMore: result.hasMore,
+      },
     });
   } catch (error) {
     console.error("Logs error:", error);
@@ -918,43 +2689,24 @@ app.get("/api/user/:userId", async (req, res) => {
 
 /**
  * GET /api/user/:userId/meal-plan
- * Generate meal plan based on current inventory
+ * Generate meal plan based on current (household) inventory, leaving out
+ * recipes that conflict with any member's dietary restrictions
  */
 app.get("/api/user/:userId/meal-plan", async (req, res) => {
   try {
     const { userId } = req.params;
+    const user = await UserManager.getUserData(userId);
 
-    // Fetch user data
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-      select: { dietaryPreferences: true },
-    });
-
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
-    }
-
-    // Fetch inventory
-    const inventory = await prisma.inventory.findMany({
-      where: { userId: userId, quantity: { gt: 0 } },
-      include: { foodItem: true },
-      orderBy: { expirationDate: "asc" },
-    });
-
-    // Format inventory for meal planning
-    const formattedInventory = inventory.map((item) => ({
-      name: item.customName,
-      quantity: item.quantity,
-      unit: item.unit,
-      expiry: item.expirationDate,
-      daysLeft: Math.ceil(
-        (item.expirationDate - new Date()) / (1000 * 60 * 60 * 24)
-      ),
-    }));
+    const formattedInventory = await UserManager.getPlanningInventory(userId);
 
     // Generate meal plan
-    const preferences = JSON.parse(user.dietaryPreferences || "[]");
-    const mealPlan = generateMealPlan(formattedInventory, preferences);
+    const preferences = user.preferences.dietaryPreferences || [];
+    const restrictions = await UserManager.getDietaryRestrictions(userId);
+    const mealPlan = generateMealPlan(
+      formattedInventory,
+      preferences,
+      restrictions
+    );
 
     res.json({
       success: true,
@@ -979,28 +2731,14 @@ app.get("/api/user/:userId/weekly-meal-plan", async (req, res) => {
     const { userId } = req.params;
     const { mealCount = 7 } = req.query;
 
-    // Fetch inventory
-    const inventory = await prisma.inventory.findMany({
-      where: { userId: userId, quantity: { gt: 0 } },
-      include: { foodItem: true },
-      orderBy: { expirationDate: "asc" },
-    });
-
-    // Format inventory
-    const formattedInventory = inventory.map((item) => ({
-      name: item.customName,
-      quantity: item.quantity,
-      unit: item.unit,
-      expiry: item.expirationDate,
-      daysLeft: Math.ceil(
-        (item.expirationDate - new Date()) / (1000 * 60 * 60 * 24)
-      ),
-    }));
+    const formattedInventory = await UserManager.getPlanningInventory(userId);
+    const restrictions = await UserManager.getDietaryRestrictions(userId);
 
     // Generate weekly plan
     const weeklyPlan = generateWeeklyMealPlan(
       formattedInventory,
-      parseInt(mealCount)
+      parseInt(mealCount),
+      restrictions
     );
 
     res.json({
@@ -1069,6 +2807,26 @@ app.get("/api/recipes/by-ingredient/:ingredient", (req, res) => {
 // VISION & IMAGE ENDPOINTS
 // ============================================================================
 
+/**
+ * Add items detected by the vision service to the user's (household) inventory
+ * Each item is audited with source "vision".
+ */
+async function importVisionItems(userId, items) {
+  for (const item of items) {
+    await UserManager.updateInventory(
+      userId,
+      {
+        name: item.customName,
+        quantity: item.quantity,
+        unit: item.unit,
+        expiryDate: item.expirationDate,
+        category: item.aiMetadata?.type || "General",
+      },
+      { source: "vision" }
+    );
+  }
+}
+
 /**
  * POST /api/user/:userId/analyze-image
  * Upload an image (URL) for food recognition
@@ -1100,16 +2858,13 @@ app.post("/api/user/:userId/analyze-image", async (req, res) => {
       });
     }
 
-    // Optionally save to database
+    // Add detected items to the (household) inventory
     if (result.items && result.items.length > 0) {
       try {
-        await prisma.inventory.createMany({
-          data: result.items,
-          skipDuplicates: true,
-        });
+        await importVisionItems(userId, result.items);
       } catch (dbError) {
-        console.warn("Failed to save items to DB:", dbError.message);
-        // Still return the detected items even if DB save fails
+        console.warn("Failed to save items to inventory:", dbError.message);
+        // Still return the detected items even if the save fails
       }
     }
 
@@ -1157,12 +2912,9 @@ app.post("/api/user/:userId/analyze-images", async (req, res) => {
       const allItems = result.details.flatMap((detail) => detail.items || []);
 
       try {
-        await prisma.inventory.createMany({
-          data: allItems,
-          skipDuplicates: true,
-        });
+        await importVisionItems(userId, allItems);
       } catch (dbError) {
-        console.warn("Failed to save items to DB:", dbError.message);
+        console.warn("Failed to save items to inventory:", dbError.message);
       }
     }
 
@@ -1187,6 +2939,358 @@ app.post("/api/user/:userId/analyze-images", async (req, res) => {
   }
 });
 
+// ============================================================================
+// ADMIN ENDPOINTS
+// ============================================================================
+
+// Every /api/admin route needs an admin session
+app.use("/api/admin", requireRole("admin"));
+
+/**
+ * GET /api/admin/users
+ * List and search users with activity and message counts
+ *
+ * Query parameters:
+ *   q            - Substring of the user ID
+ *   pattern      - User ID glob ("cleanup_test_*", "?" = one character)
+ *   role         - user | admin | guest | unregistered
+ *   inactiveDays - Only users idle for at least this many days
+ *   sort         - lastActive (default) | createdAt | messageCount | userId
+ *   limit        - Page size (default 50, max 200)
+ *   offset       - Users to skip
+ */
+app.get("/api/admin/users", async (req, res) => {
+  let filters;
+  try {
+    filters = AdminService.parseUserFilters(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const page = await AdminService.listUsers(filters);
+
+    res.json({
+      success: true,
+      ...page,
+    });
+  } catch (error) {
+    console.error("Admin user list error:", error);
+    res.status(500).json({
+      error: "Failed to list users",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/bulk-delete
+ * Delete accounts by ID pattern and/or inactivity (admins are never deleted)
+ *
+ * Request body:
+ * {
+ *   "pattern": "format_test_*",   // and/or
+ *   "inactiveDays": 90,
+ *   "dryRun": true                // Optional: only report what would be deleted
+ * }
+ */
+app.post("/api/admin/users/bulk-delete", async (req, res) => {
+  const { pattern, inactiveDays, dryRun } = req.body || {};
+
+  let filters;
+  try {
+    filters = AdminService.parseUserFilters({ pattern, inactiveDays });
+    if (!filters.pattern && filters.inactiveDays === null) {
+      throw new Error("Provide a pattern or inactiveDays to select users");
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const report = await AdminService.bulkDeleteUsers(filters, {
+      actorId: req.user.userId,
+      dryRun: dryRun === true,
+    });
+
+    console.log(
+      `🧹 Bulk delete by ${req.user.userId}: ${report.deleted.length} users${report.dryRun ? " (dry run)" : ""}`
+    );
+
+    res.json({
+      success: true,
+      ...report,
+      deletedCount: report.deleted.length,
+    });
+  } catch (error) {
+    console.error("Admin bulk delete error:", error);
+    res.status(500).json({
+      error: "Failed to delete users",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/users/:userId
+ * One user's activity summary and preferences
+ */
+app.get(
+  "/api/admin/users/:userId",
+  requireValidUserIdParam,
+  async (req, res) => {
+    try {
+      const user = await UserManager.findUser(req.params.userId);
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      res.json({
+        success: true,
+        user: {
+          ...(await AdminService.summarizeUser(user)),
+          preferences: user.preferences,
+          statistics: user.statistics,
+        },
+      });
+    } catch (error) {
+      console.error("Admin user fetch error:", error);
+      res.status(500).json({
+        error: "Failed to fetch user",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * PATCH /api/admin/users/:userId/role
+ * Change a registered user's role
+ *
+ * Request body: { "role": "admin" }
+ */
+app.patch(
+  "/api/admin/users/:userId/role",
+  requireValidUserIdParam,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { role } = req.body || {};
+
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({
+          error: `Invalid role. Use one of: ${ROLES.join(", ")}`,
+        });
+      }
+
+      if (sameUserId(userId, req.user.userId) && role !== "admin") {
+        return res.status(400).json({
+          error: "You cannot remove your own admin role",
+        });
+      }
+
+      const updated = await UserManager.setRole(userId, role);
+      if (!updated) {
+        return res.status(404).json({ error: "Registered user not found" });
+      }
+
+      res.json({
+        success: true,
+        userId,
+        role: updated,
+      });
+    } catch (error) {
+      console.error("Admin role update error:", error);
+      res.status(500).json({
+        error: "Failed to update role",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/users/:userId/password
+ * Set a non-admin account's password, e.g. to hand an account from before
+ * passwords existed to its owner. Signs out the account's sessions.
+ *
+ * Request body: { "password": "at least 8 chars" }
+ */
+app.put(
+  "/api/admin/users/:userId/password",
+  requireValidUserIdParam,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { password } = req.body || {};
+
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({ error: passwordError });
+      }
+
+      const user = await UserManager.findUser(userId);
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      if (user.auth && user.auth.role === "admin") {
+        return res.status(400).json({
+          error: "Admin passwords can't be reset here",
+        });
+      }
+
+      await UserManager.setPassword(userId, await hashPassword(password));
+
+      res.json({
+        success: true,
+        message: "Password set",
+        userId: user.userId,
+      });
+    } catch (error) {
+      console.error("Admin password reset error:", error);
+      res.status(500).json({
+        error: "Failed to set password",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/users/:userId
+ * Delete any non-admin account with all its data
+ */
+app.delete(
+  "/api/admin/users/:userId",
+  requireValidUserIdParam,
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const user = await UserManager.findUser(userId);
+
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      if (user.auth && user.auth.role === "admin") {
+        return res.status(400).json({
+          error: "Admin accounts must be demoted before deletion",
+        });
+      }
+
+      await UserManager.deleteUser(userId, {
+        actorId: req.user.userId,
+        source: "admin",
+      });
+
+      res.json({
+        success: true,
+        message: "User account deleted successfully",
+        userId: user.userId,
+      });
+    } catch (error) {
+      console.error("Admin user deletion error:", error);
+      res.status(500).json({
+        error: "Failed to delete user",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/stats
+ * Platform-wide totals: users, messages per day (Asia/Dhaka), items logged
+ * and average SDG score
+ *
+ * Query parameters:
+ *   days - Length of the daily message series (default 30, max 366)
+ */
+app.get("/api/admin/stats", async (req, res) => {
+  try {
+    const stats = await AdminService.getPlatformStats({ days: req.query.days });
+
+    res.json({
+      success: true,
+      stats,
+      generatedAt: new Date(),
+    });
+  } catch (error) {
+    console.error("Admin stats error:", error);
+    res.status(500).json({
+      error: "Failed to compute platform statistics",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/audit
+ * Audit history of one user, one household, or the platform (account deletions)
+ *
+ * Query parameters:
+ *   userId | householdId  - Scope (platform-wide when both are omitted)
+ *   actor, action, source, q, from, to, limit, offset - as for /api/household/audit
+ */
+app.get("/api/admin/audit", async (req, res) => {
+  try {
+    const { userId, householdId, ...filters } = req.query;
+    let scope = AuditLog.platformScope();
+
+    if (userId) {
+      const { error } = validateUserId(userId);
+      if (error) {
+        return res.status(400).json(invalidUserIdResponse(error));
+      }
+      scope = AuditLog.userScope(userId);
+    } else if (householdId) {
+      if (!HouseholdManager.isHouseholdId(householdId)) {
+        return res.status(400).json({ error: "Invalid householdId" });
+      }
+      scope = AuditLog.householdScope(householdId);
+    }
+
+    res.json({
+      success: true,
+      scope: scope.owner,
+      ...(await AuditLog.getEntries(scope, filters)),
+    });
+  } catch (error) {
+    console.error("Admin audit error:", error);
+    res.status(500).json({
+      error: "Failed to fetch audit log",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/guardrails
+ * How often chat replies broke the response guardrails (one script, length,
+ * BDT prices, bullet spacing), per day (Asia/Dhaka) and per rule, with the
+ * latest rule breaks (no user IDs or message text)
+ *
+ * Query parameters:
+ *   days - Days to cover (default 30, max 366)
+ */
+app.get("/api/admin/guardrails", async (req, res) => {
+  try {
+    const summary = await GuardrailLog.getSummary({ days: req.query.days });
+
+    res.json({
+      success: true,
+      ...summary,
+      generatedAt: new Date(),
+    });
+  } catch (error) {
+    console.error("Admin guardrails error:", error);
+    res.status(500).json({
+      error: "Failed to fetch guardrail log",
+      message: error.message,
+    });
+  }
+});
+
 // ============================================================================
 // ERROR HANDLING
 // ============================================================================
@@ -1207,20 +3311,40 @@ app.use((req, res) => {
     method: req.method,
     message: "This endpoint does not exist. Visit GET / for API documentation.",
     availableEndpoints: [
+      "POST   /api/auth/register",
+      "POST   /api/auth/login",
+      "POST   /api/auth/guest",
       "POST   /api/chat",
-      "GET    /api/health",
+      "POST   /api/chat/stream",
+      "GET    /api/chat/history/:conversationId",
+      "GET    /health",
+      "GET    /api/user/:userId/threads",
+      "POST   /api/user/:userId/threads",
       "GET    /api/user/:userId/analytics",
       "GET    /api/user/:userId/inventory",
       "POST   /api/user/:userId/inventory",
+      "PATCH  /api/user/:userId/inventory/:itemId",
+      "DELETE /api/user/:userId/inventory/:itemId",
+      "GET    /api/user/:userId/audit",
       "POST   /api/user/:userId/log",
       "GET    /api/user/:userId/logs",
       "GET    /api/user/:userId",
+      "GET    /api/user/:userId/dietary-profiles",
+      "POST   /api/user/:userId/dietary-profiles",
+      "PATCH  /api/user/:userId/dietary-profiles/:profileId",
+      "DELETE /api/user/:userId/dietary-profiles/:profileId",
       "GET    /api/user/:userId/meal-plan",
       "GET    /api/user/:userId/weekly-meal-plan",
       "GET    /api/recipe/:recipeName",
       "GET    /api/recipes/by-ingredient/:ingredient",
       "POST   /api/user/:userId/analyze-image",
       "POST   /api/user/:userId/analyze-images",
+      "GET    /api/household",
+      "POST   /api/household",
+      "GET    /api/admin/users",
+      "GET    /api/admin/stats",
+      "GET    /api/admin/audit",
+      "GET    /api/admin/guardrails",
     ],
   });
 });
@@ -1231,15 +3355,42 @@ app.use((req, res) => {
 
 async function start() {
   try {
-    // Database ready (using mock data - no real DB required)
-    console.log("✅ Database ready (Mock mode - no real DB required)");
+    // Connect the configured user storage backend (file, mongo or memory)
+    const storage = await UserManager.init();
+    await ConsumptionLogManager.init();
+    await UsageQuota.init();
+    await GuardrailLog.init();
+    console.log(`✅ User storage ready (${storage.name} backend)`);
+
+    // Move records saved under legacy raw-userId keys to opaque keys
+    const keyMigration = await migrateStorageKeys();
+    const movedRecords = Object.values(keyMigration.moved).reduce(
+      (sum, count) => sum + count,
+      0
+    );
+    if (movedRecords > 0) {
+      console.log(
+        `🔑 Moved ${movedRecords} records to opaque storage keys (${keyMigration.renamed.length} user IDs renamed)`
+      );
+    }
+
+    const llm = getLLMClient().describe();
+    console.log(
+      llm.providers.length > 0
+        ? `🤖 LLM providers: ${llm.providers.map((p) => `${p.name} (${p.models.join(", ")})`).join(" → ")}${llm.mockFallback ? " → mock" : ""}`
+        : "⚠️  No LLM provider configured (set GEMINI_API_KEY or OPENAI_API_KEY) - chat answers from the mock"
+    );
 
     app.listen(PORT, () => {
       console.log(
         `\n🚀 NourishAI Chatbot Server running on http://localhost:${PORT}`
       );
       console.log(`📚 API Docs:`);
+      console.log(`   POST   /api/auth/register|login|guest - Sessions`);
       console.log(`   POST   /api/chat - Send message to chatbot`);
+      console.log(`   POST   /api/chat/stream - Streamed reply (SSE)`);
+      console.log(`   GET    /api/user/:userId/threads - Conversation threads`);
+      console.log(`   GET    /api/user/:userId/memory - Long-term chat memory`);
       console.log(`   GET    /api/user/:userId/analytics - Get analytics`);
       console.log(`   GET    /api/user/:userId/inventory - Get inventory`);
       console.log(`   POST   /api/user/:userId/inventory - Add item`);
@@ -1248,7 +3399,10 @@ async function start() {
       console.log(`   GET    /api/user/:userId - Get profile`);
       console.log(`   GET    /api/user/:userId/meal-plan - Generate meal plan`);
       console.log(`   GET    /api/user/:userId/weekly-meal-plan - Weekly plan`);
+      console.log(`   GET    /api/user/:userId/dietary-profiles - Member dietary needs`);
       console.log(`   GET    /api/recipe/:recipeName - Get recipe`);
+      console.log(`   GET    /api/household - Shared household`);
+      console.log(`   GET    /api/admin/users|stats|guardrails - Admin (admin role)`);
       console.log(
         `   GET    /api/recipes/by-ingredient/:ingredient - Recipes\n`
       );
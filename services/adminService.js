@@ -0,0 +1,316 @@
+/**
+ * Admin Service
+ * User management and platform-wide statistics for the admin API
+ *
+ * Everything here works across accounts, so the routes using it must be
+ * limited to the "admin" role. Admin accounts are never bulk-deleted.
+ */
+
+const UserManager = require("./userManager");
+const ConsumptionLogManager = require("./consumptionLogManager");
+const ConversationArchive = require("./conversationArchive");
+const { calculateSDGScore, getEntryStatus } = require("./analyticsService");
+const {
+  TIMEZONE,
+  buildBuckets,
+  entriesInRange,
+} = require("./reportingPeriods");
+const { sameUserId } = require("./userIdPolicy");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const DEFAULT_STATS_DAYS = 30;
+const MAX_STATS_DAYS = 366;
+const SORT_FIELDS = ["lastActive", "createdAt", "messageCount", "userId"];
+
+/**
+ * Compile a user ID pattern ("*" = any run, "?" = one character) to a RegExp
+ * Patterns are globs rather than regular expressions so a request can't
+ * supply a catastrophic regex. Matching is case-insensitive, like user IDs.
+ */
+function compilePattern(pattern) {
+  const source = String(pattern)
+    .trim()
+    .split("")
+    .map((char) => {
+      if (char === "*") return ".*";
+      if (char === "?") return ".";
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+
+  return new RegExp(`^${source}$`, "iu");
+}
+
+/**
+ * Parse admin user filters
+ * @param {Object} query - { q, pattern, role, inactiveDays, sort, limit, offset }
+ * @returns {Object} Parsed filters
+ * @throws {Error} On invalid values
+ */
+function parseUserFilters(query = {}) {
+  let inactiveDays = null;
+  if (query.inactiveDays !== undefined && query.inactiveDays !== "") {
+    inactiveDays = parseFloat(query.inactiveDays);
+    if (isNaN(inactiveDays) || inactiveDays < 0) {
+      throw new Error("inactiveDays must be a non-negative number");
+    }
+  }
+
+  const sort = query.sort || "lastActive";
+  if (!SORT_FIELDS.includes(sort)) {
+    throw new Error(
+      `Invalid sort "${sort}". Use one of: ${SORT_FIELDS.join(", ")}`
+    );
+  }
+
+  return {
+    q: query.q ? String(query.q).trim().toLowerCase() : null,
+    pattern: query.pattern ? compilePattern(query.pattern) : null,
+    role: query.role || null,
+    inactiveDays,
+    sort,
+    limit: Math.min(
+      Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    ),
+    offset: Math.max(parseInt(query.offset) || 0, 0),
+  };
+}
+
+/**
+ * Role of a user record ("unregistered" for pre-auth accounts)
+ */
+function roleOf(user) {
+  return user.auth ? user.auth.role || "user" : "unregistered";
+}
+
+/**
+ * Whether a user record matches the filters (uses record fields only)
+ */
+function matchesFilters(user, filters, now = Date.now()) {
+  if (filters.q && !String(user.userId).toLowerCase().includes(filters.q))
+    return false;
+  if (filters.pattern && !filters.pattern.test(user.userId)) return false;
+  if (filters.role && roleOf(user) !== filters.role) return false;
+  if (filters.inactiveDays !== null) {
+    const lastActive = new Date(user.lastActive || user.createdAt).getTime();
+    if (now - lastActive < filters.inactiveDays * DAY_MS) return false;
+  }
+  return true;
+}
+
+/**
+ * Activity summary of one account
+ */
+async function summarizeUser(user) {
+  const liveMessages = (user.conversationHistory || []).length;
+  const archivedMessages = await ConversationArchive.countMessages(user.userId);
+  const logs = await ConsumptionLogManager.getAllLogs(user.userId);
+  // Only the personal log goes with the account; a shared household's stays
+  const ownLogs = await ConsumptionLogManager.getPersonalLogs(user.userId);
+  const lastMessage = (user.conversationHistory || []).slice(-1)[0];
+
+  return {
+    userId: user.userId,
+    role: roleOf(user),
+    createdAt: user.createdAt,
+    lastActive: user.lastActive,
+    lastMessageAt: lastMessage ? lastMessage.timestamp : null,
+    messageCount: liveMessages + archivedMessages,
+    archivedMessages,
+    threadCount: (user.threads || []).length,
+    inventoryCount: (user.inventory || []).length,
+    logCount: ownLogs.length,
+    sdgScore: logs.length > 0 ? calculateSDGScore(logs).sdgScore : null,
+  };
+}
+
+/**
+ * Every readable user record
+ */
+async function loadUsers() {
+  return (await UserManager.getAllUsers()).filter(Boolean);
+}
+
+/**
+ * List and search users
+ * @param {Object} filters - Parsed filters (see parseUserFilters)
+ * @returns {Object} { users, total, limit, offset, hasMore }
+ */
+async function listUsers(filters) {
+  const matched = (await loadUsers()).filter((user) =>
+    matchesFilters(user, filters)
+  );
+
+  let summaries;
+  if (filters.sort === "messageCount") {
+    // Message counts need the archive, so summarize before paging
+    summaries = await Promise.all(matched.map(summarizeUser));
+    summaries.sort((a, b) => b.messageCount - a.messageCount);
+    summaries = summaries.slice(filters.offset, filters.offset + filters.limit);
+  } else {
+    const compare = {
+      lastActive: (a, b) => new Date(b.lastActive) - new Date(a.lastActive),
+      createdAt: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+      userId: (a, b) => String(a.userId).localeCompare(String(b.userId)),
+    }[filters.sort];
+
+    const page = matched
+      .sort(compare)
+      .slice(filters.offset, filters.offset + filters.limit);
+    summaries = await Promise.all(page.map(summarizeUser));
+  }
+
+  return {
+    users: summaries,
+    total: matched.length,
+    limit: filters.limit,
+    offset: filters.offset,
+    hasMore: filters.offset + summaries.length < matched.length,
+  };
+}
+
+/**
+ * Delete every account matching a pattern and/or inactivity threshold
+ * Admin accounts and the acting admin are always skipped.
+ * @param {Object} filters - Parsed filters; pattern or inactiveDays is required
+ * @param {Object} options - { actorId, dryRun }
+ * @returns {Object} { dryRun, matched, deleted: [userId], skipped: [{ userId, reason }] }
+ */
+async function bulkDeleteUsers(filters, { actorId, dryRun = false } = {}) {
+  if (!filters.pattern && filters.inactiveDays === null) {
+    throw new Error("Provide a pattern or inactiveDays to select users");
+  }
+
+  const matched = (await loadUsers()).filter((user) =>
+    matchesFilters(user, filters)
+  );
+  const report = { dryRun, matched: matched.length, deleted: [], skipped: [] };
+
+  for (const user of matched) {
+    if (actorId && sameUserId(user.userId, actorId)) {
+      report.skipped.push({ userId: user.userId, reason: "own account" });
+      continue;
+    }
+    if (roleOf(user) === "admin") {
+      report.skipped.push({ userId: user.userId, reason: "admin account" });
+      continue;
+    }
+
+    if (!dryRun) {
+      await UserManager.deleteUser(user.userId, { actorId, source: "admin" });
+    }
+    report.deleted.push(user.userId);
+  }
+
+  return report;
+}
+
+/**
+ * Platform-wide totals
+ * @param {Object} options - { days } (length of the daily message series, default 30)
+ * @returns {Object} { users, messages, itemsLogged, sdg }
+ */
+async function getPlatformStats(options = {}) {
+  const days = Math.min(
+    Math.max(parseInt(options.days) || DEFAULT_STATS_DAYS, 1),
+    MAX_STATS_DAYS
+  );
+  const buckets = buildBuckets({ interval: "day", count: days });
+  const windowStart = buckets[0].start;
+  const now = Date.now();
+
+  const users = await loadUsers();
+  const byRole = {};
+  let active7d = 0;
+  let active30d = 0;
+  let newInWindow = 0;
+
+  let totalMessages = 0;
+  const recentMessages = [];
+
+  const items = { total: 0, consumed: 0, wasted: 0, donated: 0, wastedBDT: 0 };
+  const sdgScores = [];
+
+  for (const user of users) {
+    const role = roleOf(user);
+    byRole[role] = (byRole[role] || 0) + 1;
+
+    const idle = now - new Date(user.lastActive || user.createdAt).getTime();
+    if (idle < 7 * DAY_MS) active7d++;
+    if (idle < 30 * DAY_MS) active30d++;
+    if (new Date(user.createdAt) >= windowStart) newInWindow++;
+
+    // Messages: live history plus archived segments overlapping the window
+    const live = user.conversationHistory || [];
+    totalMessages +=
+      live.length + (await ConversationArchive.countMessages(user.userId));
+    recentMessages.push(
+      ...entriesInRange(live, { start: windowStart, end: new Date(now + 1) })
+    );
+
+    const archived = await ConversationArchive.collect(
+      user.userId,
+      ConversationArchive.parseHistoryQuery({ from: windowStart }),
+      Infinity
+    );
+    recentMessages.push(...archived);
+  }
+
+  // Logs are read per logbook so a household's shared log counts once
+  for (const record of await ConsumptionLogManager.getAllRecords()) {
+    const logs = record.entries || [];
+    for (const entry of logs) {
+      const status = getEntryStatus(entry);
+      items.total++;
+      if (items[status] !== undefined) items[status]++;
+      if (status === "wasted") items.wastedBDT += parseFloat(entry.price) || 0;
+    }
+    if (logs.length > 0) {
+      sdgScores.push(calculateSDGScore(logs).sdgScore);
+    }
+  }
+
+  items.wastedBDT = parseFloat(items.wastedBDT.toFixed(2));
+
+  const perDay = buckets.map((bucket) => ({
+    date: bucket.label,
+    count: entriesInRange(recentMessages, bucket).length,
+  }));
+
+  return {
+    timezone: TIMEZONE,
+    users: {
+      total: users.length,
+      byRole,
+      activeLast7Days: active7d,
+      activeLast30Days: active30d,
+      newInPeriod: newInWindow,
+    },
+    messages: {
+      total: totalMessages,
+      inPeriod: perDay.reduce((sum, day) => sum + day.count, 0),
+      perDay,
+    },
+    itemsLogged: items,
+    sdg: {
+      averageScore:
+        sdgScores.length > 0
+          ? Math.round(sdgScores.reduce((a, b) => a + b, 0) / sdgScores.length)
+          : null,
+      logbooksScored: sdgScores.length, // personal and household logs
+    },
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  compilePattern,
+  parseUserFilters,
+  summarizeUser,
+  listUsers,
+  bulkDeleteUsers,
+  getPlatformStats,
+};
@@ -6,18 +6,44 @@
  * 3. AI Insights via LLM prompt injection
  */
 
+const {
+  TIMEZONE,
+  resolvePeriod,
+  buildBuckets,
+  entriesInRange,
+} = require("./reportingPeriods");
+
+/**
+ * Helper: Normalize the status of a history entry
+ * Accepts persisted consumption logs (actionType: CONSUMED/WASTED/DONATED)
+ * as well as legacy { status: "consumed" | "wasted" } items
+ * @param {Object} entry - History entry
+ * @returns {String} "consumed", "wasted" or "donated"
+ */
+function getEntryStatus(entry) {
+  if (entry.actionType) return String(entry.actionType).toLowerCase();
+  return entry.status;
+}
+
+/**
+ * Helper: Display name of a history or inventory entry
+ */
+function getEntryName(entry) {
+  return entry.name || entry.item || entry.foodName || "";
+}
+
 /**
  * STEP 1: Calculate Historical Waste & Risk Analysis
- * @param {Array} history - User's consumption history
+ * @param {Array} history - User's consumption history (consumption log entries)
  * @param {Array} inventory - Current inventory items
- * @param {String} todayString - Today's date (ISO format, e.g., "2025-11-21")
+ * @param {String|Date} todayString - Today's date (ISO format, e.g., "2025-11-21"; defaults to now)
  * @returns {Object} { totalWastedMoney, riskValue, riskItems }
  */
-function calculateWasteMetrics(history, inventory, todayString = "2025-11-21") {
+function calculateWasteMetrics(history, inventory, todayString = new Date()) {
   // 1. Calculate Historical Waste
   const totalWastedMoney = history
-    .filter((item) => item.status === "wasted")
-    .reduce((sum, item) => sum + item.price, 0);
+    .filter((item) => getEntryStatus(item) === "wasted")
+    .reduce((sum, item) => sum + (parseFloat(item.price) || 0), 0);
 
   // 2. Predict Future Waste (Risk Analysis)
   const today = new Date(todayString);
@@ -25,16 +51,17 @@ function calculateWasteMetrics(history, inventory, todayString = "2025-11-21") {
   const riskItems = [];
 
   for (const item of inventory) {
-    const expiry = new Date(item.expiry);
+    const expiry = new Date(item.expiry || item.expiryDate);
     const daysLeft = Math.ceil((expiry - today) / (1000 * 60 * 60 * 24));
 
     // If expires in 2 days or less, it's High Risk
     if (daysLeft <= 2 && daysLeft > 0) {
-      riskValue += item.price * item.quantity;
+      const riskPrice = (parseFloat(item.price) || 0) * (item.quantity || 1);
+      riskValue += riskPrice;
       riskItems.push({
-        name: item.name || item.item,
+        name: getEntryName(item),
         daysLeft,
-        riskPrice: item.price * item.quantity,
+        riskPrice,
       });
     }
   }
@@ -49,9 +76,10 @@ function calculateWasteMetrics(history, inventory, todayString = "2025-11-21") {
 
 /**
  * STEP 2: Calculate SDG Impact Score (0-100)
- * Formula: (Consumed Items / Total Items) * 100
- * @param {Array} history - User's consumption history
- * @returns {Object} { sdgScore, successRate, wastedCount, consumedCount }
+ * Formula: ((Consumed + Donated Items) / Total Items) * 100
+ * Donated food is counted as saved - it was eaten rather than thrown away
+ * @param {Array} history - User's consumption history (consumption log entries)
+ * @returns {Object} { sdgScore, successRate, wastedCount, consumedCount, donatedCount }
  */
 function calculateSDGScore(history) {
   if (!history || history.length === 0) {
@@ -60,18 +88,26 @@ function calculateSDGScore(history) {
       successRate: 0,
       wastedCount: 0,
       consumedCount: 0,
+      donatedCount: 0,
       totalItems: 0,
     };
   }
 
-  const wastedCount = history.filter((item) => item.status === "wasted").length;
+  const wastedCount = history.filter(
+    (item) => getEntryStatus(item) === "wasted"
+  ).length;
   const consumedCount = history.filter(
-    (item) => item.status === "consumed"
+    (item) => getEntryStatus(item) === "consumed"
+  ).length;
+  const donatedCount = history.filter(
+    (item) => getEntryStatus(item) === "donated"
   ).length;
   const totalItems = history.length;
 
-  // Calculate success rate (items consumed / total)
-  const successRate = Math.round((consumedCount / totalItems) * 100);
+  // Calculate success rate (items consumed or donated / total)
+  const successRate = Math.round(
+    ((consumedCount + donatedCount) / totalItems) * 100
+  );
 
   // Simple score: percentage of food saved (consumed)
   const sdgScore = successRate;
@@ -81,6 +117,7 @@ function calculateSDGScore(history) {
     successRate,
     wastedCount,
     consumedCount,
+    donatedCount,
     totalItems,
   };
 }
@@ -129,6 +166,7 @@ function formatMetricsForDisplay(wasteMetrics, sdgMetrics) {
     riskItems: wasteMetrics.riskItems,
     wastedCount: sdgMetrics.wastedCount,
     consumedCount: sdgMetrics.consumedCount,
+    donatedCount: sdgMetrics.donatedCount,
     totalLoggedItems: sdgMetrics.totalItems,
     successRate: sdgMetrics.successRate,
     scoreInterpretation: interpretSDGScore(sdgMetrics.sdgScore),
@@ -162,7 +200,9 @@ function calculateNutritionScore(history) {
     };
   }
 
-  const consumedItems = history.filter((item) => item.status === "consumed");
+  const consumedItems = history.filter(
+    (item) => getEntryStatus(item) === "consumed"
+  );
 
   // Categorize foods
   const categories = {
@@ -180,7 +220,7 @@ function calculateNutritionScore(history) {
   const dairyKeywords = ["milk", "cheese", "yogurt", "butter"];
 
   for (const item of consumedItems) {
-    const itemName = (item.name || item.item || "").toLowerCase();
+    const itemName = getEntryName(item).toLowerCase();
 
     if (fruitKeywords.some((k) => itemName.includes(k))) {
       categories.fruits++;
@@ -229,56 +269,130 @@ function calculateNutritionScore(history) {
 }
 
 /**
- * ENHANCED: Generate Weekly Insights
- * Compares this week with previous weeks and provides insights
- * @param {Array} history - Complete consumption history
- * @param {Object} currentMetrics - Current week's metrics
- * @returns {Object} { weeklyChange, insights, improvements }
+ * Helper: Summarize the log entries of one reporting period
+ * @param {Array} entries - Consumption log entries inside the period
+ * @returns {Object} { wasteCount, wastedBDT, consumedCount, donatedCount, totalItems, sdgScore }
+ *   sdgScore is null when nothing was logged in the period
  */
-function generateWeeklyInsights(history, currentMetrics) {
-  const { sdgScore, wastedCount, consumedCount } = currentMetrics;
+function summarizePeriod(entries) {
+  const sdgMetrics = calculateSDGScore(entries);
+  const wastedBDT = entries
+    .filter((item) => getEntryStatus(item) === "wasted")
+    .reduce((sum, item) => sum + (parseFloat(item.price) || 0), 0);
+
+  return {
+    wasteCount: sdgMetrics.wastedCount,
+    wastedBDT: parseFloat(wastedBDT.toFixed(2)),
+    consumedCount: sdgMetrics.consumedCount,
+    donatedCount: sdgMetrics.donatedCount,
+    totalItems: sdgMetrics.totalItems,
+    sdgScore: entries.length > 0 ? sdgMetrics.sdgScore : null,
+  };
+}
 
-  // Split history into weeks (simplified: last 2 weeks)
-  const twoWeeksAgo = history.slice(0, Math.ceil(history.length / 2));
-  const thisWeek = history.slice(Math.ceil(history.length / 2));
+/**
+ * Helper: Difference between two period values (null if either is missing)
+ */
+function periodDelta(current, previous) {
+  if (current === null || previous === null) return null;
+  return parseFloat((current - previous).toFixed(2));
+}
 
-  // Calculate previous week metrics
-  const prevMetrics = calculateSDGScore(twoWeeksAgo);
-  const scoreImprovement = sdgScore - prevMetrics.sdgScore;
+/**
+ * ENHANCED: Generate Weekly Insights
+ * Compares the current calendar period with the previous one (Asia/Dhaka time)
+ * @param {Array} history - Complete consumption history (log entries with logDate)
+ * @param {Object} options - { period: "week" | "month" | "custom", from, to, referenceDate }
+ * @returns {Object} { period, current, previous, deltas, insights, weeklyChange, wasteReduction }
+ */
+function generateWeeklyInsights(history, options = {}) {
+  const range = resolvePeriod(options);
+  const current = summarizePeriod(entriesInRange(history, range.current));
+  const previous = summarizePeriod(entriesInRange(history, range.previous));
+
+  const deltas = {
+    wasteCount: current.wasteCount - previous.wasteCount,
+    wastedBDT: periodDelta(current.wastedBDT, previous.wastedBDT),
+    consumedCount: current.consumedCount - previous.consumedCount,
+    sdgScore: periodDelta(current.sdgScore, previous.sdgScore),
+  };
 
-  // Waste trend
-  const prevWasted = twoWeeksAgo.filter((i) => i.status === "wasted").length;
-  const wasteReduction = prevWasted - wastedCount;
+  const labels = {
+    week: ["this week", "last week"],
+    month: ["this month", "last month"],
+    custom: ["this period", "the previous period"],
+  }[range.period];
 
   // Generate insights
   const insights = [];
 
-  if (scoreImprovement > 0) {
-    insights.push(`🎉 Great job! Your score improved by ${scoreImprovement}% this week!`);
-  } else if (scoreImprovement < 0) {
-    insights.push(`⚠️ Your score dropped by ${Math.abs(scoreImprovement)}%. Let's improve!`);
+  if (current.totalItems === 0) {
+    insights.push(`📊 Nothing logged ${labels[0]} yet.`);
+  } else if (deltas.sdgScore === null) {
+    insights.push(
+      `📊 Your score ${labels[0]} is ${current.sdgScore}/100. Keep logging to compare with ${labels[1]}.`
+    );
+  } else if (deltas.sdgScore > 0) {
+    insights.push(`🎉 Great job! Your score improved by ${deltas.sdgScore} points ${labels[0]}!`);
+  } else if (deltas.sdgScore < 0) {
+    insights.push(`⚠️ Your score dropped by ${Math.abs(deltas.sdgScore)} points. Let's improve!`);
   } else {
-    insights.push(`📊 Your score remained stable this week.`);
+    insights.push(`📊 Your score remained stable ${labels[0]}.`);
   }
 
-  if (wasteReduction > 0) {
-    insights.push(`✅ You wasted ${wasteReduction} fewer items than last week!`);
-  } else if (wasteReduction < 0) {
-    insights.push(`❌ You wasted ${Math.abs(wasteReduction)} more items. Let's focus on reducing waste.`);
-  }
-
-  if (consumedCount > prevMetrics.consumedCount) {
+  if (deltas.wasteCount < 0) {
+    // Fewer items can still be worth more, so only claim savings that happened
+    const saved =
+      deltas.wastedBDT < 0 ? ` (${Math.abs(deltas.wastedBDT)} BDT saved)` : "";
+    insights.push(
+      `✅ You wasted ${Math.abs(deltas.wasteCount)} fewer items than ${labels[1]}${saved}!`
+    );
+  } else if (deltas.wasteCount > 0) {
     insights.push(
-      `💪 You consumed ${consumedCount - prevMetrics.consumedCount} more items this week!`
+      `❌ You wasted ${deltas.wasteCount} more items than ${labels[1]}. Let's focus on reducing waste.`
     );
   }
 
+  if (deltas.consumedCount > 0) {
+    insights.push(`💪 You consumed ${deltas.consumedCount} more items ${labels[0]}!`);
+  }
+
   return {
-    weeklyChange: scoreImprovement,
-    wasteReduction,
+    period: {
+      type: range.period,
+      timezone: range.timezone,
+      current: range.current,
+      previous: range.previous,
+    },
+    current,
+    previous,
+    deltas,
     insights,
-    previousScore: prevMetrics.sdgScore,
-    currentScore: sdgScore,
+    // Backwards-compatible summary fields
+    weeklyChange: deltas.sdgScore || 0,
+    wasteReduction: -deltas.wasteCount,
+    previousScore: previous.sdgScore,
+    currentScore: current.sdgScore,
+  };
+}
+
+/**
+ * ENHANCED: Generate Insights Time Series
+ * Per-bucket metrics for charting (Asia/Dhaka calendar buckets)
+ * @param {Array} history - Complete consumption history (log entries with logDate)
+ * @param {Object} options - { interval: "day" | "week" | "month", from, to, count }
+ * @returns {Object} { interval, timezone, series: [{ start, end, label, ...metrics }] }
+ */
+function generateInsightsTimeSeries(history, options = {}) {
+  const buckets = buildBuckets(options);
+
+  return {
+    interval: options.interval || "week",
+    timezone: TIMEZONE,
+    series: buckets.map((bucket) => ({
+      ...bucket,
+      ...summarizePeriod(entriesInRange(history, bucket)),
+    })),
   };
 }
 
@@ -374,24 +488,87 @@ function generateActionableRecommendations(sdgMetrics, nutritionMetrics) {
   };
 }
 
+/**
+ * Empty-state SDG profile for users who haven't logged any food yet
+ * Same shape as generateCompleteSDGProfile, but with no score
+ * @param {Object} wasteMetrics - Output from calculateWasteMetrics() (inventory risk still applies)
+ * @returns {Object} Empty SDG profile
+ */
+function generateEmptySDGProfile(wasteMetrics) {
+  return {
+    hasData: false,
+    personalSDGScore: null,
+    scoreInterpretation:
+      "No food logged yet. Log what you eat, waste or donate to get your personal SDG score. 📝",
+    waste: {
+      totalWastedMoney: 0,
+      riskValue: wasteMetrics.riskValue,
+      riskItems: wasteMetrics.riskItems,
+      successRate: 0,
+    },
+    nutrition: {
+      score: null,
+      breakdown: { fruits: 0, vegetables: 0, proteins: 0, grains: 0, dairy: 0 },
+      suggestions: [],
+    },
+    weeklyInsights: {
+      change: 0,
+      insights: ["📊 Start logging food to see weekly progress."],
+      wasteReduction: 0,
+    },
+    recommendations: [
+      {
+        action: "Start your food log",
+        description:
+          "Log items as CONSUMED, WASTED or DONATED to calculate your SDG score",
+        impact: 0,
+        priority: "HIGH",
+        steps: [
+          "Add the food in your fridge to your inventory",
+          "Log each item when you eat, waste or donate it",
+          "Check back after a week of logging",
+        ],
+      },
+    ],
+    potentialImprovement: 0,
+    estimatedNewScore: null,
+    metrics: {
+      itemsConsumed: 0,
+      itemsWasted: 0,
+      itemsDonated: 0,
+      totalItems: 0,
+    },
+  };
+}
+
 /**
  * ENHANCED: Complete SDG Profile
  * Combines all metrics into comprehensive profile
- * @param {Array} history - User's consumption history
+ * @param {Array} history - User's consumption history (consumption log entries)
  * @param {Array} inventory - Current inventory
- * @returns {Object} Complete SDG profile
+ * @param {String|Date} todayString - Date to evaluate expiry risk against (defaults to now)
+ * @returns {Object} Complete SDG profile (empty-state profile if history is empty)
  */
-function generateCompleteSDGProfile(history, inventory, todayString = "2025-11-21") {
+function generateCompleteSDGProfile(history, inventory, todayString = new Date()) {
   const wasteMetrics = calculateWasteMetrics(history, inventory, todayString);
+
+  if (!history || history.length === 0) {
+    return generateEmptySDGProfile(wasteMetrics);
+  }
+
   const sdgMetrics = calculateSDGScore(history);
   const nutritionMetrics = calculateNutritionScore(history);
-  const weeklyInsights = generateWeeklyInsights(history, sdgMetrics);
+  const weeklyInsights = generateWeeklyInsights(history, {
+    period: "week",
+    referenceDate: todayString,
+  });
   const recommendations = generateActionableRecommendations(
     sdgMetrics,
     nutritionMetrics
   );
 
   return {
+    hasData: true,
     personalSDGScore: sdgMetrics.sdgScore,
     scoreInterpretation: interpretSDGScore(sdgMetrics.sdgScore),
     waste: {
@@ -409,6 +586,8 @@ function generateCompleteSDGProfile(history, inventory, todayString = "2025-11-2
       change: weeklyInsights.weeklyChange,
       insights: weeklyInsights.insights,
       wasteReduction: weeklyInsights.wasteReduction,
+      period: weeklyInsights.period,
+      deltas: weeklyInsights.deltas,
     },
     recommendations: recommendations.recommendations,
     potentialImprovement: recommendations.potentialImprovement,
@@ -416,19 +595,24 @@ function generateCompleteSDGProfile(history, inventory, todayString = "2025-11-2
     metrics: {
       itemsConsumed: sdgMetrics.consumedCount,
       itemsWasted: sdgMetrics.wastedCount,
+      itemsDonated: sdgMetrics.donatedCount,
       totalItems: sdgMetrics.totalItems,
     },
   };
 }
 
 module.exports = {
+  getEntryStatus,
   calculateWasteMetrics,
   calculateSDGScore,
   calculateNutritionScore,
   generateInsightPrompt,
   formatMetricsForDisplay,
   interpretSDGScore,
+  summarizePeriod,
   generateWeeklyInsights,
+  generateInsightsTimeSeries,
   generateActionableRecommendations,
+  generateEmptySDGProfile,
   generateCompleteSDGProfile,
 };
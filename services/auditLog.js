@@ -0,0 +1,230 @@
+/**
+ * Audit Log
+ * Append-only history of changes to inventory, preferences, dietary profiles,
+ * consumption logs and accounts
+ *
+ * Entries are stored per scope in the "audit_log" namespace:
+ *   <user storage key> - { userId, entries } changes to a user's own data
+ *   <householdId>      - { householdId, entries } changes to shared data
+ *   "platform"         - { platform: true, entries } account deletions
+ *
+ * Each entry records who did what, from where, and the values before and
+ * after: { id, timestamp, actor, action, source, target: { type, id, name },
+ *          before, after }
+ *
+ * Entries are never edited. A scope is only dropped with its owner (account
+ * deletion, or a household deleted with its last member), and a disbanded
+ * household's history moves to the owner like its inventory and logs.
+ */
+
+const { createStorageAdapter, KeyedLock } = require("./storage");
+const { normalizeUserId, sameUserId, toStorageKey } = require("./userIdPolicy");
+const HouseholdManager = require("./householdManager");
+
+const AUDIT_NAMESPACE = "audit_log";
+const PLATFORM_SCOPE = "platform";
+const SOURCES = ["rest", "chat", "vision", "admin", "system"];
+const ACTIONS = [
+  "inventory.add",
+  "inventory.update",
+  "inventory.remove",
+  "preferences.update",
+  "dietaryProfile.add",
+  "dietaryProfile.update",
+  "dietaryProfile.remove",
+  "log.add",
+  "account.delete",
+];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+let storage = null;
+const auditLocks = new KeyedLock();
+
+class AuditLog {
+  /**
+   * Get the active storage adapter (created from config on first use)
+   */
+  static getStorage() {
+    if (!storage) {
+      storage = createStorageAdapter(undefined, { namespace: AUDIT_NAMESPACE });
+    }
+    return storage;
+  }
+
+  /**
+   * Replace the storage adapter (e.g. in-memory for tests)
+   */
+  static useStorage(adapter) {
+    storage = adapter;
+    return storage;
+  }
+
+  static async init() {
+    const adapter = this.getStorage();
+    await adapter.connect();
+    return adapter;
+  }
+
+  /**
+   * Scope a user's shared data (inventory, logs, profiles) is audited under
+   * @returns {Object} { key, owner: { userId } | { householdId } }
+   */
+  static async resolveScope(userId) {
+    const householdId = await HouseholdManager.getHouseholdId(userId);
+    return householdId
+      ? this.householdScope(householdId)
+      : this.userScope(userId);
+  }
+
+  static userScope(userId) {
+    return {
+      key: toStorageKey(userId),
+      owner: { userId: normalizeUserId(userId) },
+    };
+  }
+
+  static householdScope(householdId) {
+    return { key: householdId, owner: { householdId } };
+  }
+
+  static platformScope() {
+    return { key: PLATFORM_SCOPE, owner: { platform: true } };
+  }
+
+  /**
+   * Normalize the request source (unknown values become "rest")
+   */
+  static normalizeSource(source) {
+    return SOURCES.includes(source) ? source : "rest";
+  }
+
+  /**
+   * Append an entry
+   * Auditing must never undo the change it describes, so failures are
+   * logged rather than thrown.
+   * @param {Object} scope - From resolveScope/userScope/householdScope/platformScope
+   * @param {Object} change - { actor, action, source, target, before, after }
+   * @returns {Object|null} Stored entry
+   */
+  static async record(scope, change) {
+    const entry = {
+      id: `audit_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      timestamp: new Date(),
+      actor: change.actor ? normalizeUserId(change.actor) : null,
+      action: change.action,
+      source: this.normalizeSource(change.source),
+      target: change.target || null,
+      before: change.before === undefined ? null : change.before,
+      after: change.after === undefined ? null : change.after,
+    };
+
+    try {
+      await auditLocks.run(scope.key, async () => {
+        const record = (await this.getStorage().read(scope.key)) || {
+          ...scope.owner,
+          entries: [],
+        };
+        record.entries.push(entry);
+        await this.getStorage().write(scope.key, record);
+      });
+      return entry;
+    } catch (error) {
+      console.error(`Audit write failed (${change.action}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Query a scope's entries, newest first
+   * @param {Object} filters - { actor, action, source, q, from, to, limit, offset }
+   *   action may be a prefix ("inventory") or a full action ("inventory.remove");
+   *   q matches the target name
+   * @returns {Object} { entries, total, limit, offset, hasMore }
+   */
+  static async getEntries(scope, filters = {}) {
+    const record = await this.getStorage().read(scope.key);
+    const entries = record ? record.entries : [];
+
+    const action = filters.action ? String(filters.action) : null;
+    const q = filters.q ? String(filters.q).toLowerCase() : null;
+    const from = filters.from ? new Date(filters.from) : null;
+    const to = filters.to ? new Date(filters.to) : null;
+
+    const matching = entries
+      .filter((entry) => {
+        const timestamp = new Date(entry.timestamp);
+        if (filters.actor && !sameUserId(entry.actor || "", filters.actor))
+          return false;
+        if (
+          action &&
+          entry.action !== action &&
+          !entry.action.startsWith(`${action}.`)
+        )
+          return false;
+        if (filters.source && entry.source !== filters.source) return false;
+        if (
+          q &&
+          !String(entry.target?.name || "").toLowerCase().includes(q)
+        )
+          return false;
+        if (from && timestamp < from) return false;
+        if (to && timestamp > to) return false;
+        return true;
+      })
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    const limit = Math.min(
+      Math.max(parseInt(filters.limit) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+    const offset = Math.max(parseInt(filters.offset) || 0, 0);
+    const page = matching.slice(offset, offset + limit);
+
+    return {
+      entries: page,
+      total: matching.length,
+      limit,
+      offset,
+      hasMore: offset + page.length < matching.length,
+    };
+  }
+
+  /**
+   * Append every entry of one scope to another and drop the source
+   * (a disbanded household's history goes to its owner)
+   */
+  static async moveEntries(fromScope, toScope) {
+    return auditLocks.run(fromScope.key, () =>
+      auditLocks.run(toScope.key, async () => {
+        const source = await this.getStorage().read(fromScope.key);
+        if (!source || source.entries.length === 0) {
+          await this.getStorage().remove(fromScope.key);
+          return 0;
+        }
+
+        const target = (await this.getStorage().read(toScope.key)) || {
+          ...toScope.owner,
+          entries: [],
+        };
+        target.entries.push(...source.entries);
+
+        await this.getStorage().write(toScope.key, target);
+        await this.getStorage().remove(fromScope.key);
+        return source.entries.length;
+      })
+    );
+  }
+
+  /**
+   * Remove a scope's history (its owner was deleted)
+   */
+  static async deleteEntries(scope) {
+    return auditLocks.run(scope.key, () => this.getStorage().remove(scope.key));
+  }
+}
+
+AuditLog.SOURCES = SOURCES;
+AuditLog.ACTIONS = ACTIONS;
+
+module.exports = AuditLog;
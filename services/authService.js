@@ -0,0 +1,261 @@
+/**
+ * Authentication Service
+ * Password hashing, signed bearer tokens and the Express auth middleware
+ *
+ * Passwords are hashed with scrypt and a random per-user salt, stored as
+ * "scrypt$<saltBase64>$<hashBase64>" in user.auth.passwordHash.
+ *
+ * Tokens are "<payload>.<signature>" (base64url JSON + HMAC-SHA256) carrying
+ * { sub: userId, role, ver, iat, exp }. `ver` must match the user's
+ * auth.tokenVersion, so bumping it (logout) revokes every issued token, and
+ * `iat` must not predate auth.createdAt, so tokens of a deleted account
+ * don't carry over to someone who registers the same ID later.
+ *
+ * Configuration:
+ *   AUTH_SECRET          - HMAC key (a random one is used if unset; tokens then
+ *                          stop working when the server restarts)
+ *   AUTH_TOKEN_TTL_HOURS - Lifetime of login tokens (default 168 = 7 days)
+ *   GUEST_MODE           - "disabled" turns off anonymous demo sessions
+ */
+
+const crypto = require("crypto");
+const UserManager = require("./userManager");
+const { sameUserId } = require("./userIdPolicy");
+
+const SCRYPT_KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const MIN_PASSWORD_LENGTH = 8;
+const GUEST_TOKEN_TTL_HOURS = 24;
+const ROLES = ["user", "admin", "guest"];
+
+let generatedSecret = null;
+
+/**
+ * HMAC key for signing tokens
+ */
+function getSecret() {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString("hex");
+    console.warn(
+      "⚠️  AUTH_SECRET is not set - using a temporary key, sessions end on restart"
+    );
+  }
+  return generatedSecret;
+}
+
+function isGuestModeEnabled() {
+  return (process.env.GUEST_MODE || "enabled").toLowerCase() !== "disabled";
+}
+
+/**
+ * Validate a new password
+ * @returns {String|null} Error message, or null if acceptable
+ */
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, key) =>
+      error ? reject(error) : resolve(key)
+    );
+  });
+}
+
+/**
+ * Hash a password with a fresh random salt
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(password, salt);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+/**
+ * Check a password against a stored hash (constant-time compare)
+ */
+async function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = String(storedHash || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(String(password), Buffer.from(salt, "base64"));
+
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+function sign(data) {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(data)
+    .digest("base64url");
+}
+
+/**
+ * Issue a signed bearer token for a user record
+ * @param {Object} user - User record with auth
+ * @returns {Object} { token, expiresAt }
+ */
+function issueToken(user) {
+  const role = user.auth.role || "user";
+  const ttlHours =
+    role === "guest"
+      ? GUEST_TOKEN_TTL_HOURS
+      : parseFloat(process.env.AUTH_TOKEN_TTL_HOURS) || 168;
+
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    sub: user.userId,
+    role,
+    ver: user.auth.tokenVersion || 0,
+    iat: now,
+    exp: now + Math.round(ttlHours * 3600),
+  };
+
+  const encoded = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return {
+    token: `${encoded}.${sign(encoded)}`,
+    expiresAt: new Date(payload.exp * 1000),
+  };
+}
+
+/**
+ * Verify a token's signature and expiry
+ * @returns {Object|null} Payload, or null if invalid or expired
+ */
+function verifyToken(token) {
+  const [encoded, signature] = String(token || "").split(".");
+  if (!encoded || !signature) return null;
+
+  const expected = Buffer.from(sign(encoded));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encoded, "base64url").toString());
+    if (!payload.sub || payload.exp * 1000 < Date.now()) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether a verified token still belongs to the account's credentials
+ * @param {Object} payload - From verifyToken()
+ * @param {Object} auth - The account's stored auth (null if none)
+ */
+function isTokenCurrent(payload, auth) {
+  if (!payload || !auth) return false;
+  if ((auth.tokenVersion || 0) !== payload.ver) return false;
+
+  const registeredAt = Math.floor(new Date(auth.createdAt).getTime() / 1000);
+  return !(payload.iat < registeredAt);
+}
+
+/**
+ * Express middleware: bind the bearer token's user to req.user
+ * Requests without a token continue anonymously (req.user = null);
+ * an invalid, expired or revoked token is rejected with 401.
+ */
+async function authenticate(req, res, next) {
+  req.user = null;
+
+  const header = req.headers.authorization || "";
+  if (!header) return next();
+
+  const [scheme, token] = header.split(" ");
+  const payload = scheme === "Bearer" ? verifyToken(token) : null;
+
+  try {
+    const auth = payload ? await UserManager.getAuth(payload.sub) : null;
+    if (!isTokenCurrent(payload, auth)) {
+      return res.status(401).json({
+        error: "Invalid or expired session. Please log in again.",
+      });
+    }
+
+    req.user = {
+      userId: payload.sub,
+      role: auth.role || "user",
+      guest: auth.role === "guest",
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Express middleware: reject anonymous requests
+ */
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({
+      error: "Authentication required",
+      message:
+        "Log in via POST /api/auth/login or start a guest session via POST /api/auth/guest",
+    });
+  }
+  next();
+}
+
+/**
+ * Express middleware: only the account owner may use /api/user/:userId routes
+ */
+function requireOwnership(req, res, next) {
+  if (!req.user) return requireAuth(req, res, next);
+
+  if (!sameUserId(req.params.userId, req.user.userId)) {
+    return res.status(403).json({
+      error: "You can only access your own account",
+    });
+  }
+  next();
+}
+
+/**
+ * Express middleware factory: only users with the given role may continue
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return requireAuth(req, res, next);
+
+    if (req.user.role !== role) {
+      return res.status(403).json({
+        error: `This endpoint requires the ${role} role`,
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  isGuestModeEnabled,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  issueToken,
+  verifyToken,
+  isTokenCurrent,
+  authenticate,
+  requireAuth,
+  requireOwnership,
+  requireRole,
+};
@@ -0,0 +1,364 @@
+/**
+ * Chat Tools
+ * Actions the chatbot can take on the user's account during a conversation
+ *
+ * Each tool is backed by an existing service and always acts on the signed-in
+ * user (never on an id the model supplies). Changes are audited with source
+ * "chat". Tool errors are returned to the model as { error } so it can
+ * explain or ask again - they never fail the chat request.
+ */
+
+const UserManager = require("./userManager");
+const ConsumptionLogManager = require("./consumptionLogManager");
+const bangladeshFoodDatabase = require("./bangladeshFoodDatabase");
+const {
+  generateMealPlan,
+  generateWeeklyMealPlan,
+  getRecipesByIngredient,
+} = require("./mealPlanningService");
+const { generateCompleteSDGProfile } = require("./analyticsService");
+const { toIngredientName } = require("./banglish");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SHELF_LIFE_DAYS = 7; // Same default as the vision service
+
+const STORAGE_UNIT_DAYS = { day: 1, week: 7, month: 30, year: 365 };
+
+/**
+ * Tool definitions (JSON Schema parameters; providers convert as needed)
+ */
+const TOOL_DEFINITIONS = [
+  {
+    name: "add_inventory_item",
+    description:
+      "Add food the user bought or has at home to their inventory, e.g. 'I bought 2 kg potatoes'. Leave out expiryDate if the user didn't give one - a typical shelf life is used.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Food name, e.g. potato" },
+        quantity: { type: "number", description: "Amount bought" },
+        unit: {
+          type: "string",
+          description: "kg, g, litre, pcs... (default kg)",
+        },
+        expiryDate: { type: "string", description: "YYYY-MM-DD" },
+        category: { type: "string", description: "e.g. Vegetables, Dairy" },
+        price: { type: "number", description: "Total price paid in BDT" },
+      },
+      required: ["name", "quantity"],
+    },
+  },
+  {
+    name: "update_inventory_item",
+    description:
+      "Change an item already in the inventory (found by name), e.g. the quantity left or a new expiry date. Set quantity to 0 when it is used up.",
+    parameters: {
+      type: "object",
+      properties: {
+        itemName: {
+          type: "string",
+          description: "Name of the item to change",
+        },
+        quantity: { type: "number" },
+        unit: { type: "string" },
+        expiryDate: { type: "string", description: "YYYY-MM-DD" },
+        price: { type: "number", description: "BDT" },
+      },
+      required: ["itemName"],
+    },
+  },
+  {
+    name: "log_food",
+    description:
+      "Record food the user ate (CONSUMED), threw away (WASTED) or gave away (DONATED). Feeds their SDG score.",
+    parameters: {
+      type: "object",
+      properties: {
+        foodName: { type: "string" },
+        actionType: {
+          type: "string",
+          enum: ["CONSUMED", "WASTED", "DONATED"],
+        },
+        quantity: { type: "number" },
+        unit: { type: "string", description: "default kg" },
+        price: { type: "number", description: "BDT value of the quantity" },
+        reasonForWaste: { type: "string", description: "WASTED only" },
+      },
+      required: ["foodName", "actionType", "quantity"],
+    },
+  },
+  {
+    name: "generate_meal_plan",
+    description:
+      "Plan meals from the user's inventory, using what expires first and respecting the household's dietary restrictions. Set weekly for a 7-day plan with a shopping list.",
+    parameters: {
+      type: "object",
+      properties: {
+        weekly: { type: "boolean" },
+      },
+    },
+  },
+  {
+    name: "get_recipes_by_ingredient",
+    description: "Find Bangladeshi recipes that use an ingredient.",
+    parameters: {
+      type: "object",
+      properties: {
+        ingredient: { type: "string" },
+      },
+      required: ["ingredient"],
+    },
+  },
+  {
+    name: "get_sdg_profile",
+    description:
+      "The user's SDG score (0-100), waste and nutrition figures and top recommendations, from their logs.",
+    parameters: {
+      type: "object",
+      properties: {},
+    },
+  },
+];
+
+/**
+ * Typical shelf life of a food from the food database ("4-5 days" -> 4)
+ * @returns {Number} Days (DEFAULT_SHELF_LIFE_DAYS if unknown)
+ */
+function shelfLifeDays(name) {
+  const lower = toIngredientName(name).toLowerCase();
+  const food = Object.entries(bangladeshFoodDatabase.commonFoods).find(
+    ([key, info]) =>
+      lower.includes(key) || lower.includes(info.bengaliName.toLowerCase())
+  );
+  const match =
+    food && /(\d+)[^a-z]*(day|week|month|year)/i.exec(food[1].storageTime);
+  if (!match) return DEFAULT_SHELF_LIFE_DAYS;
+
+  return parseInt(match[1]) * STORAGE_UNIT_DAYS[match[2].toLowerCase()];
+}
+
+function toDateString(date) {
+  return date.toISOString().split("T")[0];
+}
+
+/**
+ * Inventory item whose name best matches (exact first, then partial, then
+ * the same food under another name: "alu" for "Potato"), soonest expiry first
+ */
+function findItem(inventory, name) {
+  const lower = String(name || "").trim().toLowerCase();
+  if (!lower) return null;
+
+  const bySoonest = [...inventory].sort(
+    (a, b) => new Date(a.expiryDate) - new Date(b.expiryDate)
+  );
+  const ingredient = toIngredientName(lower).toLowerCase();
+  return (
+    bySoonest.find((item) => item.name.toLowerCase() === lower) ||
+    bySoonest.find(
+      (item) =>
+        item.name.toLowerCase().includes(lower) ||
+        lower.includes(item.name.toLowerCase())
+    ) ||
+    bySoonest.find((item) =>
+      toIngredientName(item.name).toLowerCase().startsWith(ingredient)
+    ) ||
+    null
+  );
+}
+
+const handlers = {
+  async add_inventory_item(userId, args) {
+    if (!args.name || !String(args.name).trim()) {
+      return { error: "name is required" };
+    }
+
+    const expiryEstimated = !args.expiryDate;
+    const item = {
+      name: String(args.name).trim(),
+      quantity: args.quantity,
+      unit: args.unit || "kg",
+      expiryDate:
+        args.expiryDate ||
+        toDateString(
+          new Date(Date.now() + shelfLifeDays(args.name) * DAY_MS)
+        ),
+      category: args.category || "General",
+      price: args.price,
+    };
+
+    const error = UserManager.validateInventoryChanges(item);
+    if (error) return { error };
+    if (!(parseFloat(item.quantity) > 0)) {
+      return { error: "quantity must be a positive number" };
+    }
+
+    const inventory = await UserManager.updateInventory(userId, item, {
+      source: "chat",
+    });
+    const added = inventory[inventory.length - 1];
+
+    return {
+      added: {
+        id: added.id,
+        name: added.name,
+        quantity: added.quantity,
+        unit: added.unit,
+        expiryDate: toDateString(new Date(added.expiryDate)),
+      },
+      expiryEstimated,
+      inventoryCount: inventory.length,
+    };
+  },
+
+  async update_inventory_item(userId, args) {
+    const inventory = await UserManager.getInventory(userId);
+    const item = findItem(inventory, args.itemName);
+    if (!item) {
+      return {
+        error: `No "${args.itemName}" in the inventory`,
+        inventory: inventory.map((i) => i.name),
+      };
+    }
+
+    const result = await UserManager.updateInventoryItem(
+      userId,
+      item.id,
+      {
+        quantity: args.quantity,
+        unit: args.unit,
+        expiryDate: args.expiryDate,
+        price: args.price,
+      },
+      { source: "chat" }
+    );
+    if (!result) return { error: `No "${args.itemName}" in the inventory` };
+    if (result.error) return { error: result.error };
+
+    return {
+      updated: {
+        id: result.item.id,
+        name: result.item.name,
+        quantity: result.item.quantity,
+        unit: result.item.unit,
+        expiryDate: toDateString(new Date(result.item.expiryDate)),
+      },
+    };
+  },
+
+  async log_food(userId, args) {
+    const entry = {
+      foodName: args.foodName,
+      actionType: args.actionType,
+      quantity: args.quantity,
+      unit: args.unit,
+      price: args.price,
+      reasonForWaste: args.reasonForWaste,
+    };
+
+    const error = ConsumptionLogManager.validateEntry(entry);
+    if (error) return { error };
+
+    const log = await ConsumptionLogManager.addLog(userId, entry, {
+      source: "chat",
+    });
+
+    return {
+      logged: {
+        id: log.id,
+        foodName: log.foodName,
+        actionType: log.actionType,
+        quantity: log.quantity,
+        unit: log.unit,
+      },
+    };
+  },
+
+  async generate_meal_plan(userId, args) {
+    const inventory = await UserManager.getPlanningInventory(userId);
+    const restrictions = await UserManager.getDietaryRestrictions(userId);
+
+    if (inventory.length === 0) {
+      return { error: "The inventory is empty - add some food first" };
+    }
+
+    if (args.weekly) {
+      return generateWeeklyMealPlan(inventory, 7, restrictions);
+    }
+
+    const user = await UserManager.getUserData(userId);
+    return generateMealPlan(
+      inventory,
+      user.preferences.dietaryPreferences || [],
+      restrictions
+    );
+  },
+
+  async get_recipes_by_ingredient(userId, args) {
+    if (!args.ingredient || !String(args.ingredient).trim()) {
+      return { error: "ingredient is required" };
+    }
+    return getRecipesByIngredient(String(args.ingredient).trim());
+  },
+
+  async get_sdg_profile(userId) {
+    const history = await ConsumptionLogManager.getAllLogs(userId);
+    const inventory = await UserManager.getInventory(userId);
+    const profile = generateCompleteSDGProfile(history, inventory, new Date());
+
+    // Keep the stored score in sync, as GET /sdg-profile does
+    if (profile.hasData) {
+      await UserManager.updateSDGScore(userId, profile.personalSDGScore);
+    }
+
+    return {
+      hasData: profile.hasData,
+      personalSDGScore: profile.personalSDGScore,
+      scoreInterpretation: profile.scoreInterpretation,
+      wastedBDT: profile.waste.totalWastedMoney,
+      // Share of logged items eaten or donated (0-100)
+      successRate: profile.waste.successRate,
+      nutritionScore: profile.nutrition.score,
+      recommendations: (profile.recommendations || []).slice(0, 3),
+    };
+  },
+};
+
+/**
+ * Run one tool for a user
+ * @param {String} userId - The signed-in user (tools never act on anyone else)
+ * @param {String} name - Tool name
+ * @param {Object} args - Arguments from the model
+ * @returns {Promise<Object>} The tool's result, or { error }
+ */
+async function executeTool(userId, name, args = {}) {
+  const handler = handlers[name];
+  if (!handler) {
+    return { error: `Unknown tool "${name}"` };
+  }
+
+  try {
+    return await handler(userId, args && typeof args === "object" ? args : {});
+  } catch (error) {
+    console.error(`Chat tool ${name} error:`, error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Tools for one user's chat request, in the shape the LLM client takes
+ * @returns {Object} { definitions, execute(name, args) }
+ */
+function createToolset(userId) {
+  return {
+    definitions: TOOL_DEFINITIONS,
+    execute: (name, args) => executeTool(userId, name, args),
+  };
+}
+
+module.exports = {
+  TOOL_DEFINITIONS,
+  executeTool,
+  createToolset,
+  shelfLifeDays,
+};
@@ -2,7 +2,7 @@
  * Chatbot Service
  * Handles:
  * 1. Context injection (inventory, preferences, waste history)
- * 2. Message processing and intent detection
+ * 2. Message processing (intents come from intentClassifier)
  * 3. LLM interaction for personalized responses
  * 4. Analytics integration (waste metrics, SDG scores)
  */
@@ -205,54 +205,7 @@ TONE: Supportive, practical, slightly humorous about sustainability.
 }
 
 /**
- * STEP 3: Detect User Intent
- * Categorizes what the user is asking about
- * @param {String} message - User message
- * @returns {String} Intent type
- */
-function detectIntent(message) {
-  const lowerMsg = message.toLowerCase();
-
-  if (
-    lowerMsg.includes("recipe") ||
-    lowerMsg.includes("cook") ||
-    lowerMsg.includes("what should i make") ||
-    lowerMsg.includes("meal")
-  ) {
-    return "RECIPE";
-  }
-
-  if (
-    lowerMsg.includes("how am i doing") ||
-    lowerMsg.includes("score") ||
-    lowerMsg.includes("am i wasting") ||
-    lowerMsg.includes("progress")
-  ) {
-    return "ANALYTICS";
-  }
-
-  if (
-    lowerMsg.includes("alert") ||
-    lowerMsg.includes("expire") ||
-    lowerMsg.includes("spoil")
-  ) {
-    return "ALERTS";
-  }
-
-  if (
-    lowerMsg.includes("wasted") ||
-    lowerMsg.includes("ate") ||
-    lowerMsg.includes("consumed") ||
-    lowerMsg.includes("threw away")
-  ) {
-    return "LOG_ACTION";
-  }
-
-  return "GENERAL";
-}
-
-/**
- * STEP 4: Format Context as JSON for LLM
+ * STEP 3: Format Context as JSON for LLM
  * Some LLMs work better with structured data
  * @param {Object} context - User context
  * @returns {String} JSON string
@@ -269,10 +222,10 @@ function formatContextAsJSON(context) {
 }
 
 /**
- * STEP 5: Build User Message with Context
+ * STEP 4: Build User Message with Context
  * Provides the actual user query plus metadata
  * @param {String} userMessage - User's message
- * @param {String} intent - Detected intent
+ * @param {String} intent - Detected intent (see intentClassifier)
  * @param {Object} context - User context
  * @returns {Object} Formatted message for LLM
  */
@@ -280,14 +233,14 @@ function buildUserMessage(userMessage, intent, context) {
   // Add context hints based on intent
   let enrichedMessage = userMessage;
 
-  if (intent === "RECIPE") {
+  if (intent === "mealPlanning" || intent === "leftoverRecipes") {
     const expiring = context.inventory.filter((i) => i.daysLeft <= 3);
     if (expiring.length > 0) {
       enrichedMessage += `\n\n[HINT: User has items expiring soon: ${expiring.map((i) => i.name).join(", ")}. Suggest recipes using these first!]`;
     }
   }
 
-  if (intent === "ANALYTICS") {
+  if (intent === "progressTracking") {
     enrichedMessage += `\n\n[CONTEXT: User's current SDG score is ${context.analytics.sdgScore}/100. They've wasted $${context.analytics.wastedMoney}.]`;
   }
 
@@ -300,7 +253,6 @@ function buildUserMessage(userMessage, intent, context) {
 module.exports = {
   getUserContext,
   buildSystemPrompt,
-  detectIntent,
   formatContextAsJSON,
   buildUserMessage,
 };
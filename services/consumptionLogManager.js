@@ -0,0 +1,300 @@
+/**
+ * Consumption Log Service
+ * Persists what happened to food: CONSUMED, WASTED or DONATED
+ *
+ * Each user's log is stored as one record ({ userId, entries: [...] }) in the
+ * "consumption_logs" namespace of the configured storage backend, alongside
+ * the user records managed by UserManager.
+ *
+ * Members of a household share the household's log instead
+ * ({ householdId, entries }, keyed by householdId); each entry's userId
+ * records who logged it.
+ */
+
+const { createStorageAdapter, KeyedLock } = require("./storage");
+const { toStorageKey } = require("./userIdPolicy");
+const HouseholdManager = require("./householdManager");
+const AuditLog = require("./auditLog");
+
+const LOG_NAMESPACE = "consumption_logs";
+const ACTION_TYPES = ["CONSUMED", "WASTED", "DONATED"];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 200;
+
+let storage = null;
+const logLocks = new KeyedLock();
+
+class ConsumptionLogManager {
+  /**
+   * Get the active storage adapter (created from config on first use)
+   */
+  static getStorage() {
+    if (!storage) {
+      storage = createStorageAdapter(undefined, { namespace: LOG_NAMESPACE });
+    }
+    return storage;
+  }
+
+  /**
+   * Replace the storage adapter (e.g. in-memory for tests)
+   */
+  static useStorage(adapter) {
+    storage = adapter;
+    return storage;
+  }
+
+  static async init() {
+    const adapter = this.getStorage();
+    await adapter.connect();
+    return adapter;
+  }
+
+  /**
+   * Validate a log entry payload
+   * @returns {String|null} Error message, or null if valid
+   */
+  static validateEntry(entry) {
+    if (
+      !entry ||
+      !entry.foodName ||
+      !entry.actionType ||
+      entry.quantity === undefined ||
+      entry.quantity === null ||
+      entry.quantity === ""
+    ) {
+      return "Missing required fields: foodName, actionType, quantity";
+    }
+
+    if (!ACTION_TYPES.includes(String(entry.actionType).toUpperCase())) {
+      return `Invalid actionType. Use one of: ${ACTION_TYPES.join(", ")}`;
+    }
+
+    if (isNaN(parseFloat(entry.quantity)) || parseFloat(entry.quantity) <= 0) {
+      return "quantity must be a positive number";
+    }
+
+    if (entry.price !== undefined && entry.price !== null) {
+      if (isNaN(parseFloat(entry.price)) || parseFloat(entry.price) < 0) {
+        return "price must be a non-negative number (BDT)";
+      }
+    }
+
+    const logDate = entry.logDate || entry.timestamp;
+    if (logDate && isNaN(new Date(logDate).getTime())) {
+      return "logDate must be a valid date";
+    }
+
+    return null;
+  }
+
+  /**
+   * Storage key and owner of the log a user writes to (their household's if any)
+   * @returns {Object} { key, owner: { userId } | { householdId } }
+   */
+  static async _resolveLog(userId) {
+    const householdId = await HouseholdManager.getHouseholdId(userId);
+    return householdId
+      ? { key: householdId, owner: { householdId } }
+      : { key: toStorageKey(userId), owner: { userId } };
+  }
+
+  /**
+   * Read a log record
+   */
+  static async _readLog(key, owner) {
+    const record = await this.getStorage().read(key);
+    return record || { ...owner, entries: [] };
+  }
+
+  /**
+   * Add a log entry
+   * @param {String} userId - User ID
+   * @param {Object} entry - { foodName, actionType, quantity, unit, price, reasonForWaste, category, logDate }
+   * @param {Object} options - { source } for the audit log (default "rest")
+   * @returns {Object} Stored log entry
+   */
+  static async addLog(userId, entry, options = {}) {
+    const error = this.validateEntry(entry);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const actionType = String(entry.actionType).toUpperCase();
+    const log = {
+      id: `log_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      userId,
+      foodName: entry.foodName,
+      actionType,
+      quantity: parseFloat(entry.quantity),
+      unit: entry.unit || "kg",
+      price:
+        entry.price !== undefined && entry.price !== null
+          ? parseFloat(entry.price)
+          : 0, // Total BDT value of the logged quantity
+      reasonForWaste:
+        actionType === "WASTED" ? entry.reasonForWaste || null : null,
+      category: entry.category || null,
+      logDate: new Date(entry.logDate || entry.timestamp || Date.now()),
+      createdAt: new Date(),
+    };
+
+    // Serialize appends so concurrent logs for one user aren't lost
+    const { key, owner } = await this._resolveLog(userId);
+    await logLocks.run(key, async () => {
+      const record = await this._readLog(key, owner);
+      record.entries.push(log);
+      await this.getStorage().write(key, record);
+    });
+
+    await AuditLog.record(
+      owner.householdId
+        ? AuditLog.householdScope(owner.householdId)
+        : AuditLog.userScope(userId),
+      {
+        actor: userId,
+        action: "log.add",
+        source: options.source,
+        target: { type: "logEntry", id: log.id, name: log.foodName },
+        after: log,
+      }
+    );
+
+    return log;
+  }
+
+  /**
+   * Validate log query filters
+   * @returns {String|null} Error message, or null if valid
+   */
+  static validateFilters(filters = {}) {
+    for (const field of ["from", "to"]) {
+      if (filters[field] && isNaN(new Date(filters[field]).getTime())) {
+        return `${field} must be a valid date`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Query a user's logs, newest first
+   * @param {String} userId - User ID
+   * @param {Object} filters - { actionType, foodName, from, to, limit, offset }
+   * @returns {Object} { logs, total, limit, offset, hasMore }
+   */
+  static async getLogs(userId, filters = {}) {
+    const error = this.validateFilters(filters);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const { key, owner } = await this._resolveLog(userId);
+    const record = await this._readLog(key, owner);
+
+    const actionType = filters.actionType
+      ? String(filters.actionType).toUpperCase()
+      : null;
+    const foodName = filters.foodName
+      ? String(filters.foodName).toLowerCase()
+      : null;
+    const from = filters.from ? new Date(filters.from) : null;
+    const to = filters.to ? new Date(filters.to) : null;
+
+    const matching = record.entries
+      .filter((log) => {
+        const logDate = new Date(log.logDate);
+        if (actionType && log.actionType !== actionType) return false;
+        if (foodName && !log.foodName.toLowerCase().includes(foodName))
+          return false;
+        if (from && logDate < from) return false;
+        if (to && logDate > to) return false;
+        return true;
+      })
+      .sort((a, b) => new Date(b.logDate) - new Date(a.logDate));
+
+    const limit = Math.min(
+      Math.max(parseInt(filters.limit) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+    const offset = Math.max(parseInt(filters.offset) || 0, 0);
+    const logs = matching.slice(offset, offset + limit);
+
+    return {
+      logs,
+      total: matching.length,
+      limit,
+      offset,
+      hasMore: offset + logs.length < matching.length,
+    };
+  }
+
+  /**
+   * Get every log entry for a user (oldest first) - used by analytics
+   */
+  static async getAllLogs(userId) {
+    const { key, owner } = await this._resolveLog(userId);
+    const record = await this._readLog(key, owner);
+    return [...record.entries].sort(
+      (a, b) => new Date(a.logDate) - new Date(b.logDate)
+    );
+  }
+
+  /**
+   * A user's personal log entries, ignoring any household log - the entries
+   * deleteLogs() removes
+   */
+  static async getPersonalLogs(userId) {
+    const record = await this._readLog(toStorageKey(userId), { userId });
+    return record.entries;
+  }
+
+  /**
+   * Every stored log record (personal and household) - used by admin statistics
+   */
+  static async getAllRecords() {
+    return (await this.getStorage().list()).filter(Boolean);
+  }
+
+  /**
+   * Move every entry from one log into another (households are created
+   * from, and disbanded back into, their owner's personal log)
+   * @param {String} fromKey - Source storage key (user or household)
+   * @param {String} toKey - Target storage key
+   * @param {Object} owner - Target owner: { userId } or { householdId }
+   */
+  static async moveLogs(fromKey, toKey, owner) {
+    return logLocks.run(fromKey, () =>
+      logLocks.run(toKey, async () => {
+        const source = await this.getStorage().read(fromKey);
+        if (!source || source.entries.length === 0) {
+          await this.getStorage().remove(fromKey);
+          return 0;
+        }
+
+        const target = await this._readLog(toKey, owner);
+        target.entries.push(...source.entries);
+
+        await this.getStorage().write(toKey, target);
+        await this.getStorage().remove(fromKey);
+        return source.entries.length;
+      })
+    );
+  }
+
+  /**
+   * Remove a user's personal logs (e.g. on account deletion)
+   */
+  static async deleteLogs(userId) {
+    return this.deleteLogsByKey(toStorageKey(userId));
+  }
+
+  /**
+   * Remove a log record by storage key (e.g. a deleted household's)
+   */
+  static async deleteLogsByKey(key) {
+    return logLocks.run(key, () => this.getStorage().remove(key));
+  }
+}
+
+ConsumptionLogManager.ACTION_TYPES = ACTION_TYPES;
+
+module.exports = ConsumptionLogManager;
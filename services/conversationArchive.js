@@ -0,0 +1,388 @@
+/**
+ * Conversation Archive Service
+ * Keeps exchanges that no longer fit in a user's live history
+ *
+ * UserManager keeps the last 100 messages of each thread on the user record.
+ * Older messages are moved here in fixed-size segments instead of being
+ * dropped:
+ *   conversation_archive  - one index record per user:
+ *                           { userId, segments: [{ id, key, from, to, count, conversationIds, intents }] }
+ *   conversation_segments - one record per segment, keyed "<storageKey>~<0001>":
+ *                           { ownerId, segmentId, messages: [...] }
+ *
+ * The index lets history queries skip segments outside the requested
+ * date range, thread or intents without reading them.
+ */
+
+const { createStorageAdapter, KeyedLock } = require("./storage");
+const { parseDhakaDate, startOf, addIntervals } = require("./reportingPeriods");
+const { toStorageKey } = require("./userIdPolicy");
+
+const ARCHIVE_NAMESPACE = "conversation_archive";
+const SEGMENT_NAMESPACE = "conversation_segments";
+const SEGMENT_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+let indexStorage = null;
+let segmentStorage = null;
+const archiveLocks = new KeyedLock();
+
+/**
+ * Sort key of a message: newest first, ties broken by id
+ */
+function compareNewestFirst(a, b) {
+  const diff = new Date(b.timestamp) - new Date(a.timestamp);
+  if (diff !== 0) return diff;
+  return String(b.id).localeCompare(String(a.id));
+}
+
+/**
+ * Whether a message sorts strictly before (is older than) a cursor position
+ */
+function isOlderThan(message, cursor) {
+  const time = new Date(message.timestamp).getTime();
+  if (time !== cursor.time) return time < cursor.time;
+  return String(message.id) < cursor.id;
+}
+
+/**
+ * Opaque pagination cursor pointing at a message
+ */
+function encodeCursor(message) {
+  const time = new Date(message.timestamp).getTime();
+  return Buffer.from(`${time}:${message.id}`).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  const decoded = Buffer.from(String(cursor), "base64url").toString("utf-8");
+  const separator = decoded.indexOf(":");
+  const time = parseInt(decoded.slice(0, separator));
+
+  if (separator < 1 || isNaN(time) || !decoded.slice(separator + 1)) {
+    throw new Error("Invalid cursor");
+  }
+
+  return { time, id: decoded.slice(separator + 1) };
+}
+
+/**
+ * Parse conversation query parameters
+ * Plain "YYYY-MM-DD" dates are Dhaka calendar days; "to" includes the whole day.
+ * @param {Object} query - { limit, cursor, from, to, intent, conversationId }
+ * @returns {Object} { limit, cursor, from, to, intents, conversationId }
+ * @throws {Error} On an invalid cursor or date
+ */
+function parseHistoryQuery(query = {}) {
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+
+  const from = query.from ? parseDhakaDate(query.from) : null;
+  if (query.from && !from) throw new Error("Invalid from date");
+
+  let to = query.to ? parseDhakaDate(query.to) : null;
+  if (query.to && !to) throw new Error("Invalid to date");
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    to = addIntervals(startOf(to, "day"), "day", 1);
+  } else if (to) {
+    to = new Date(to.getTime() + 1); // inclusive instant
+  }
+
+  if (from && to && to <= from) {
+    throw new Error("from must be before to");
+  }
+
+  const intents = query.intent
+    ? String(query.intent)
+        .split(",")
+        .map((intent) => intent.trim())
+        .filter(Boolean)
+    : [];
+
+  return {
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+    from,
+    to,
+    intents,
+    conversationId: query.conversationId || null,
+  };
+}
+
+/**
+ * Build a predicate for messages matching parsed filters
+ */
+function buildMatcher(filters) {
+  return (message) => {
+    const date = new Date(message.timestamp);
+    if (filters.cursor && !isOlderThan(message, filters.cursor)) return false;
+    if (filters.from && date < filters.from) return false;
+    if (filters.to && date >= filters.to) return false;
+    if (filters.intents.length && !filters.intents.includes(message.intent))
+      return false;
+    if (
+      filters.conversationId &&
+      message.conversationId !== filters.conversationId
+    )
+      return false;
+    return true;
+  };
+}
+
+/**
+ * Whether a segment could hold messages matching the filters
+ */
+function segmentMayMatch(segment, filters) {
+  if (filters.from && new Date(segment.to) < filters.from) return false;
+  if (filters.to && new Date(segment.from) >= filters.to) return false;
+  if (filters.cursor && new Date(segment.from).getTime() > filters.cursor.time)
+    return false;
+  if (
+    filters.intents.length &&
+    !filters.intents.some((intent) => segment.intents.includes(intent))
+  )
+    return false;
+  if (
+    filters.conversationId &&
+    !segment.conversationIds.includes(filters.conversationId)
+  )
+    return false;
+  return true;
+}
+
+/**
+ * Index metadata describing a segment's messages
+ */
+function describeSegment(segment, messages) {
+  const times = messages.map((m) => new Date(m.timestamp).getTime());
+
+  return {
+    id: segment.id,
+    key: segment.key,
+    from: new Date(Math.min(...times)),
+    to: new Date(Math.max(...times)),
+    count: messages.length,
+    conversationIds: [...new Set(messages.map((m) => m.conversationId))],
+    intents: [...new Set(messages.map((m) => m.intent))],
+  };
+}
+
+class ConversationArchive {
+  /**
+   * Get the index storage adapter (created from config on first use)
+   */
+  static getStorage() {
+    if (!indexStorage) {
+      indexStorage = createStorageAdapter(undefined, {
+        namespace: ARCHIVE_NAMESPACE,
+      });
+    }
+    return indexStorage;
+  }
+
+  /**
+   * Get the segment storage adapter (created from config on first use)
+   */
+  static getSegmentStorage() {
+    if (!segmentStorage) {
+      segmentStorage = createStorageAdapter(undefined, {
+        namespace: SEGMENT_NAMESPACE,
+      });
+    }
+    return segmentStorage;
+  }
+
+  /**
+   * Replace the storage adapters (e.g. in-memory for tests)
+   */
+  static useStorage(indexAdapter, segmentAdapter) {
+    indexStorage = indexAdapter;
+    segmentStorage = segmentAdapter;
+    return indexStorage;
+  }
+
+  static async init() {
+    await this.getStorage().connect();
+    await this.getSegmentStorage().connect();
+    return this.getStorage();
+  }
+
+  /**
+   * Read a user's archive index
+   */
+  static async _readIndex(userId) {
+    const record = await this.getStorage().read(toStorageKey(userId));
+    return record || { userId, segments: [] };
+  }
+
+  /**
+   * Read the messages stored in one segment
+   */
+  static async _readSegment(segment) {
+    const record = await this.getSegmentStorage().read(segment.key);
+    return record ? record.messages : [];
+  }
+
+  static async _writeSegment(userId, segment, messages) {
+    await this.getSegmentStorage().write(segment.key, {
+      ownerId: userId,
+      segmentId: segment.id,
+      messages,
+    });
+  }
+
+  /**
+   * Move messages into the archive, filling the newest segment first
+   * @param {String} userId - User ID
+   * @param {Array} messages - Conversation entries removed from live history
+   */
+  static async archiveMessages(userId, messages) {
+    if (!messages || messages.length === 0) return;
+
+    return archiveLocks.run(toStorageKey(userId), async () => {
+      const index = await this._readIndex(userId);
+      let pending = [...messages];
+
+      while (pending.length > 0) {
+        let segment = index.segments[index.segments.length - 1];
+        let stored = [];
+
+        if (segment && segment.count < SEGMENT_SIZE) {
+          stored = await this._readSegment(segment);
+        } else {
+          const id = segment ? segment.id + 1 : 1;
+          segment = {
+            id,
+            key: `${toStorageKey(userId)}~${String(id).padStart(4, "0")}`,
+          };
+          index.segments.push(segment);
+        }
+
+        const room = SEGMENT_SIZE - stored.length;
+        const combined = stored.concat(pending.slice(0, room));
+        pending = pending.slice(room);
+
+        await this._writeSegment(userId, segment, combined);
+        index.segments[index.segments.length - 1] = describeSegment(
+          segment,
+          combined
+        );
+      }
+
+      index.updatedAt = new Date();
+      await this.getStorage().write(toStorageKey(userId), index);
+    });
+  }
+
+  /**
+   * Collect archived messages matching filters, newest first
+   * Segments are read newest to oldest and reading stops once `needed`
+   * matches are found and no unread segment can hold anything newer.
+   * @param {String} userId - User ID
+   * @param {Object} filters - Parsed filters (see parseHistoryQuery)
+   * @param {Number} needed - Number of matches wanted
+   * @param {Array} candidates - Matches found elsewhere (e.g. live history)
+   * @returns {Array} Matching archived messages
+   */
+  static async collect(userId, filters, needed, candidates = []) {
+    const index = await this._readIndex(userId);
+    const matches = buildMatcher(filters);
+    const found = [];
+
+    const segments = index.segments
+      .filter((segment) => segmentMayMatch(segment, filters))
+      .sort((a, b) => new Date(b.to) - new Date(a.to));
+
+    for (const segment of segments) {
+      const sorted = candidates.concat(found).sort(compareNewestFirst);
+      if (
+        sorted.length >= needed &&
+        new Date(segment.to) < new Date(sorted[needed - 1].timestamp)
+      ) {
+        break;
+      }
+
+      const messages = await this._readSegment(segment);
+      found.push(...messages.filter(matches));
+    }
+
+    return found;
+  }
+
+  /**
+   * Remove one thread's messages from the archive
+   */
+  static async removeConversation(userId, conversationId) {
+    return archiveLocks.run(toStorageKey(userId), async () => {
+      const index = await this._readIndex(userId);
+      if (index.segments.length === 0) return;
+
+      const segments = [];
+      for (const segment of index.segments) {
+        if (!segment.conversationIds.includes(conversationId)) {
+          segments.push(segment);
+          continue;
+        }
+
+        const messages = (await this._readSegment(segment)).filter(
+          (m) => m.conversationId !== conversationId
+        );
+
+        if (messages.length === 0) {
+          await this.getSegmentStorage().remove(segment.key);
+        } else {
+          await this._writeSegment(userId, segment, messages);
+          segments.push(describeSegment(segment, messages));
+        }
+      }
+
+      index.segments = segments;
+      index.updatedAt = new Date();
+      await this.getStorage().write(toStorageKey(userId), index);
+    });
+  }
+
+  /**
+   * Number of archived messages (read from the index only)
+   */
+  static async countMessages(userId) {
+    const index = await this._readIndex(userId);
+    return index.segments.reduce((sum, segment) => sum + segment.count, 0);
+  }
+
+  /**
+   * Get every archived message for a user (oldest first) - used by export
+   */
+  static async getAllMessages(userId) {
+    const index = await this._readIndex(userId);
+    const messages = [];
+
+    for (const segment of index.segments) {
+      messages.push(...(await this._readSegment(segment)));
+    }
+
+    return messages.sort((a, b) => compareNewestFirst(b, a));
+  }
+
+  /**
+   * Remove a user's whole archive (e.g. on account deletion)
+   */
+  static async deleteArchive(userId) {
+    return archiveLocks.run(toStorageKey(userId), async () => {
+      const index = await this._readIndex(userId);
+      for (const segment of index.segments) {
+        await this.getSegmentStorage().remove(segment.key);
+      }
+      return this.getStorage().remove(toStorageKey(userId));
+    });
+  }
+}
+
+ConversationArchive.parseHistoryQuery = parseHistoryQuery;
+ConversationArchive.buildMatcher = buildMatcher;
+ConversationArchive.compareNewestFirst = compareNewestFirst;
+ConversationArchive.encodeCursor = encodeCursor;
+
+module.exports = ConversationArchive;
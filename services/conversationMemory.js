@@ -0,0 +1,337 @@
+/**
+ * Conversation Memory Service
+ * Long-term memory of what a user has told the bot, kept as rolling summaries
+ *
+ * Chat only sends the last few exchanges of a thread to the model, so
+ * anything said earlier ("we don't eat beef", "our fridge is small") would
+ * otherwise be forgotten. Once enough exchanges have dropped out of that
+ * window, they are summarized (together with the current memory) into a short
+ * list of lasting facts, stored per user in the "conversation_memory"
+ * namespace:
+ *   { userId, facts: [String], cursors: { conversationId: { timestamp, id } },
+ *     summarizedCount, updatedAt }
+ *
+ * cursors mark the newest exchange of each thread already summarized, so
+ * every exchange is summarized once. Facts are listed most important first;
+ * the prompt gets as many as fit in CHAT_MEMORY_TOKEN_BUDGET.
+ *
+ * Summaries use the shared LLM client and are not counted against the
+ * user's chat quota. When only the mock provider answers, facts are picked
+ * out of the user's own messages instead.
+ */
+
+const { createStorageAdapter, KeyedLock } = require("./storage");
+const { toStorageKey } = require("./userIdPolicy");
+const { estimateTokens } = require("./usageLimits");
+const { getLLMClient } = require("./llm");
+
+const MEMORY_NAMESPACE = "conversation_memory";
+const RECENT_EXCHANGES = 5; // Sent to the model verbatim with each message
+const MAX_FACTS = 15;
+const MAX_FACT_LENGTH = 200;
+const MAX_MESSAGE_LENGTH = 500; // Per message in the summary transcript
+
+let storage = null;
+const memoryLocks = new KeyedLock();
+
+/**
+ * Read a positive integer setting from the environment
+ */
+function envSetting(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) || value < 1 ? fallback : value;
+}
+
+function getConfig() {
+  return {
+    // Unsummarized exchanges (outside the recent window) that trigger a summary
+    summarizeEvery: envSetting("CHAT_MEMORY_SUMMARIZE_EVERY", 10),
+    tokenBudget: envSetting("CHAT_MEMORY_TOKEN_BUDGET", 250),
+  };
+}
+
+// User statements worth remembering when no model can summarize
+const FACT_PATTERNS = [
+  /\b(?:i|we|my|our)\b.*\b(?:don'?t|do not|never|can'?t|cannot|allergic|avoid|only|vegetarian|vegan|halal|diabet\w*|pressure|fridge|freezer|kitchen|stove|family|children|kids|budget|salary|like|love|hate|prefer)\b/i,
+  /(?:খাই না|খাইনা|খাবো না|এলার্জি|অ্যালার্জি|ডায়াবেটিস|প্রেশার|ফ্রিজ|চুলা|পরিবার|বাচ্চা|বাজেট|পছন্দ|নিরামিষ)/,
+];
+
+function emptyMemory(userId) {
+  return {
+    userId,
+    facts: [],
+    cursors: {},
+    summarizedCount: 0,
+    updatedAt: null,
+  };
+}
+
+function toCursor(conv) {
+  return { timestamp: new Date(conv.timestamp).toISOString(), id: conv.id };
+}
+
+/**
+ * Whether an exchange is newer than a thread's cursor
+ */
+function isAfterCursor(conv, cursor) {
+  if (!cursor) return true;
+  const diff = new Date(conv.timestamp) - new Date(cursor.timestamp);
+  if (diff !== 0) return diff > 0;
+  return String(conv.id) > String(cursor.id);
+}
+
+function truncate(text, length) {
+  const value = String(text || "").replace(/\s+/g, " ").trim();
+  return value.length > length ? `${value.slice(0, length - 3)}...` : value;
+}
+
+/**
+ * Exchanges that have left the recent window and aren't summarized yet,
+ * oldest first
+ */
+function pendingExchanges(memory, liveHistory) {
+  const byThread = new Map();
+  for (const conv of liveHistory) {
+    if (!byThread.has(conv.conversationId)) byThread.set(conv.conversationId, []);
+    byThread.get(conv.conversationId).push(conv);
+  }
+
+  const pending = [];
+  for (const [conversationId, messages] of byThread) {
+    pending.push(
+      ...messages
+        .slice(0, -RECENT_EXCHANGES)
+        .filter((conv) => isAfterCursor(conv, memory.cursors[conversationId]))
+    );
+  }
+  return pending.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Bullet lines of a model reply ("- fact", "• fact", "1. fact")
+ */
+function parseFacts(text) {
+  return String(text || "")
+    .split("\n")
+    .map((line) => /^\s*(?:[-*•]|\d+[.)])\s+(.+)$/.exec(line))
+    .filter(Boolean)
+    .map((match) => truncate(match[1], MAX_FACT_LENGTH))
+    .filter((fact) => fact && !/^none\.?$/i.test(fact));
+}
+
+/**
+ * Facts picked out of the user's own messages (no model available)
+ * New statements go last, so the oldest are dropped first.
+ */
+function extractFacts(facts, exchanges) {
+  const statements = exchanges
+    .flatMap((conv) => String(conv.userMessage || "").split(/(?<=[.!?।])\s+/))
+    .filter((sentence) => FACT_PATTERNS.some((pattern) => pattern.test(sentence)))
+    .map((sentence) => truncate(sentence, MAX_FACT_LENGTH));
+
+  const seen = new Set();
+  const merged = [...facts, ...statements].filter((fact) => {
+    const key = fact.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  return merged.slice(-MAX_FACTS);
+}
+
+function buildSummaryPrompt() {
+  return `You maintain the long-term memory of NourishAI, a food waste chatbot for Bangladesh.
+Update the memory with anything lasting the user revealed in the new exchanges:
+household size and members, foods they don't eat (religion, allergies, health),
+likes and dislikes, budget, kitchen and storage (fridge size, stove), shopping habits.
+
+Rules:
+- Reply with the updated memory ONLY, one fact per line starting with "- "
+- At most ${MAX_FACTS} facts, most important first (allergies and foods they never eat first)
+- Keep every fact from the current memory unless the user contradicted it
+- One short sentence per fact, in the language the user used
+- Leave out one-off questions, greetings, recipes and advice the bot gave
+- If there is nothing to remember, reply "- none"`;
+}
+
+function buildTranscript(facts, exchanges) {
+  const memory = facts.length
+    ? facts.map((fact) => `- ${fact}`).join("\n")
+    : "(empty)";
+  const transcript = exchanges
+    .map(
+      (conv) =>
+        `User: ${truncate(conv.userMessage, MAX_MESSAGE_LENGTH)}\nBot: ${truncate(conv.botResponse, MAX_MESSAGE_LENGTH)}`
+    )
+    .join("\n\n");
+
+  return `CURRENT MEMORY:\n${memory}\n\nNEW EXCHANGES:\n${transcript}`;
+}
+
+class ConversationMemory {
+  /**
+   * Get the active storage adapter (created from config on first use)
+   */
+  static getStorage() {
+    if (!storage) {
+      storage = createStorageAdapter(undefined, { namespace: MEMORY_NAMESPACE });
+    }
+    return storage;
+  }
+
+  /**
+   * Replace the storage adapter (e.g. in-memory for tests)
+   */
+  static useStorage(adapter) {
+    storage = adapter;
+    return storage;
+  }
+
+  static async init() {
+    const adapter = this.getStorage();
+    await adapter.connect();
+    return adapter;
+  }
+
+  /**
+   * A user's memory record (empty if nothing is remembered yet)
+   */
+  static async getMemory(userId) {
+    const memory = await this.getStorage().read(toStorageKey(userId));
+    return memory || emptyMemory(userId);
+  }
+
+  /**
+   * Facts for the system prompt, most important first, within the token budget
+   * @returns {Promise<String[]>}
+   */
+  static async getPromptFacts(userId, tokenBudget = getConfig().tokenBudget) {
+    const { facts } = await this.getMemory(userId);
+
+    const selected = [];
+    let used = 0;
+    for (const fact of facts) {
+      const tokens = estimateTokens(`- ${fact}\n`);
+      if (used + tokens > tokenBudget) break;
+      selected.push(fact);
+      used += tokens;
+    }
+    return selected;
+  }
+
+  /**
+   * Summarize exchanges that left the recent window, once enough have built up
+   * Errors are logged, never thrown - memory must not fail a chat.
+   * @param {String} userId - User ID
+   * @param {Array} liveHistory - User's live conversation history
+   * @param {Object} options - { force } summarizes whatever is pending
+   * @returns {Promise<Object|null>} The updated record, or null if unchanged
+   */
+  static async refresh(userId, liveHistory = [], options = {}) {
+    const key = toStorageKey(userId);
+
+    return memoryLocks.run(key, async () => {
+      try {
+        const memory = await this.getMemory(userId);
+        const pending = pendingExchanges(memory, liveHistory);
+        if (
+          pending.length === 0 ||
+          (!options.force && pending.length < getConfig().summarizeEvery)
+        ) {
+          return null;
+        }
+
+        const facts = await this._summarize(memory.facts, pending);
+
+        for (const conv of pending) {
+          memory.cursors[conv.conversationId] = toCursor(conv);
+        }
+        memory.facts = facts;
+        memory.summarizedCount += pending.length;
+        memory.updatedAt = new Date();
+
+        await this.getStorage().write(key, memory);
+        console.log(
+          `🧠 Memory updated for ${userId}: ${pending.length} exchanges, ${facts.length} facts`
+        );
+        return memory;
+      } catch (error) {
+        console.error(`Memory refresh failed for ${userId}:`, error.message);
+        return null;
+      }
+    });
+  }
+
+  /**
+   * New fact list from the current facts and newly dropped-out exchanges
+   */
+  static async _summarize(facts, exchanges) {
+    const reply = await getLLMClient().generate({
+      systemPrompt: buildSummaryPrompt(),
+      history: [],
+      message: buildTranscript(facts, exchanges),
+    });
+
+    if (reply.usingMock) return extractFacts(facts, exchanges);
+
+    const summarized = parseFacts(reply.text).slice(0, MAX_FACTS);
+    if (summarized.length > 0) return summarized;
+
+    // "- none" keeps what was known; an unusable reply never wipes it either
+    return /-\s*none/i.test(reply.text)
+      ? facts
+      : extractFacts(facts, exchanges);
+  }
+
+  /**
+   * Forget everything remembered so far
+   * Exchanges already in the history count as summarized, so they aren't
+   * remembered again.
+   * @returns {Promise<Object>} The cleared record
+   */
+  static async clear(userId, liveHistory = []) {
+    const key = toStorageKey(userId);
+
+    return memoryLocks.run(key, async () => {
+      const memory = await this.getMemory(userId);
+      for (const conv of liveHistory) {
+        const cursor = memory.cursors[conv.conversationId];
+        if (isAfterCursor(conv, cursor)) {
+          memory.cursors[conv.conversationId] = toCursor(conv);
+        }
+      }
+      memory.facts = [];
+      memory.updatedAt = new Date();
+
+      await this.getStorage().write(key, memory);
+      return memory;
+    });
+  }
+
+  /**
+   * Drop a deleted thread's cursor (facts from it stay until cleared)
+   */
+  static async removeConversation(userId, conversationId) {
+    const key = toStorageKey(userId);
+
+    return memoryLocks.run(key, async () => {
+      const memory = await this.getStorage().read(key);
+      if (!memory || !memory.cursors[conversationId]) return;
+
+      delete memory.cursors[conversationId];
+      await this.getStorage().write(key, memory);
+    });
+  }
+
+  /**
+   * Remove a user's memory (e.g. on account deletion)
+   */
+  static async deleteMemory(userId) {
+    const key = toStorageKey(userId);
+    return memoryLocks.run(key, () => this.getStorage().remove(key));
+  }
+}
+
+ConversationMemory.RECENT_EXCHANGES = RECENT_EXCHANGES;
+
+module.exports = ConversationMemory;
@@ -0,0 +1,456 @@
+/**
+ * Conversation Search Service
+ * Full-text search over a user's conversations (live and archived)
+ *
+ * Each user has an inverted index in the "conversation_search" namespace:
+ *   { userId, indexVersion, docs: { msgId: { conversationId, timestamp, intent, length } },
+ *     postings: { term: { msgId: termFrequency } } }
+ *
+ * UserManager.saveConversation adds each new exchange to the index. An index
+ * that is missing or was built by an older tokenizer (indexVersion) is
+ * rebuilt from the user's full history the next time it is used.
+ *
+ * Tokenization handles Bengali and English (and Banglish, as Latin text):
+ * Unicode NFC normalization, Bengali digits folded to ASCII, stop words
+ * removed, and light suffix stripping so "ভাতের" finds "ভাত" and
+ * "recipes" finds "recipe". Results are ranked with BM25.
+ */
+
+const { createStorageAdapter, KeyedLock } = require("./storage");
+const ConversationArchive = require("./conversationArchive");
+const { toStorageKey } = require("./userIdPolicy");
+
+const SEARCH_NAMESPACE = "conversation_search";
+const INDEX_VERSION = 1;
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const SNIPPET_RADIUS = 60;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+const PREFIX_MATCH_WEIGHT = 0.5;
+
+const BENGALI_DIGITS = "০১২৩৪৫৬৭৮৯";
+
+const ENGLISH_STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "but", "by", "can", "do", "for",
+  "from", "how", "i", "in", "is", "it", "me", "my", "of", "on", "or", "so",
+  "that", "the", "this", "to", "was", "what", "with", "you", "your",
+]);
+
+const BENGALI_STOP_WORDS = new Set(
+  [
+    "আমি", "আমার", "আমাকে", "আপনি", "আপনার", "এবং", "ও", "কি", "কী", "কিভাবে",
+    "কেমন", "এই", "সেই", "যে", "না", "হয়", "হবে", "করে", "করতে", "জন্য",
+    "থেকে", "একটি", "একটা", "আর", "তে", "কে",
+  ].map((word) => word.normalize("NFC"))
+);
+
+// Bengali inflections (case markers, plurals, classifiers), longest first
+const BENGALI_SUFFIXES = [
+  "গুলোকে", "গুলোতে", "গুলোর", "গুলো", "গুলি", "দেরকে", "দের", "য়ের",
+  "খানা", "েরা", "ের", "কে", "তে", "টা", "টি", "রা", "য়", "ে",
+]
+  .map((suffix) => suffix.normalize("NFC"))
+  .sort((a, b) => b.length - a.length);
+
+let storage = null;
+const searchLocks = new KeyedLock();
+
+/**
+ * Normalize raw text: NFC, lowercase, Bengali digits to ASCII
+ */
+function normalizeText(text) {
+  return String(text || "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[০-৯]/g, (digit) => String(BENGALI_DIGITS.indexOf(digit)));
+}
+
+function isBengali(word) {
+  return /[ঀ-৿]/.test(word);
+}
+
+/**
+ * Reduce an English word to a rough stem
+ */
+function stemEnglish(word) {
+  if (word.endsWith("'s")) word = word.slice(0, -2);
+  if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (word.length > 5 && word.endsWith("ing")) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith("ed")) return word.slice(0, -2);
+  if (word.length > 4 && /(s|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss"))
+    return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Strip one Bengali inflection, keeping at least two characters
+ */
+function stemBengali(word) {
+  for (const suffix of BENGALI_SUFFIXES) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 2) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+/**
+ * Index term for a single word (null for stop words and noise)
+ */
+function toTerm(word) {
+  if (isBengali(word)) {
+    if (BENGALI_STOP_WORDS.has(word)) return null;
+    return stemBengali(word);
+  }
+
+  if (ENGLISH_STOP_WORDS.has(word) || word.length < 2) return null;
+  return stemEnglish(word);
+}
+
+// Runs of Bengali letters/marks, Latin letters or digits
+const WORD_PATTERN = /[ঀ-৿]+|[a-z0-9']+/g;
+
+/**
+ * Split text into words with their positions in the normalized text
+ */
+function splitWords(text) {
+  const normalized = normalizeText(text);
+  const words = [];
+
+  for (const match of normalized.matchAll(WORD_PATTERN)) {
+    const word = match[0].replace(/^'+|'+$/g, "");
+    if (word) {
+      words.push({ word, start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  return { normalized, words };
+}
+
+/**
+ * Turn text into search terms
+ * @param {String} text - Bengali, English or mixed text
+ * @returns {Array<String>} Terms (with repeats, in order)
+ */
+function tokenize(text) {
+  return splitWords(text)
+    .words.map(({ word }) => toTerm(word))
+    .filter(Boolean);
+}
+
+/**
+ * Searchable text of a conversation entry
+ */
+function documentText(conversation) {
+  return `${conversation.userMessage || ""}\n${conversation.botResponse || ""}`;
+}
+
+/**
+ * Add one conversation to an index record (in place)
+ */
+function addToIndex(index, conversation) {
+  if (index.docs[conversation.id]) return;
+
+  const terms = tokenize(documentText(conversation));
+  index.docs[conversation.id] = {
+    conversationId: conversation.conversationId,
+    timestamp: conversation.timestamp,
+    intent: conversation.intent,
+    length: terms.length,
+  };
+
+  for (const term of terms) {
+    const postings = index.postings[term] || (index.postings[term] = {});
+    postings[conversation.id] = (postings[conversation.id] || 0) + 1;
+  }
+}
+
+/**
+ * Remove documents from an index record (in place)
+ */
+function removeFromIndex(index, shouldRemove) {
+  const removed = new Set(
+    Object.keys(index.docs).filter((id) => shouldRemove(id, index.docs[id]))
+  );
+  if (removed.size === 0) return;
+
+  removed.forEach((id) => delete index.docs[id]);
+  for (const [term, postings] of Object.entries(index.postings)) {
+    removed.forEach((id) => delete postings[id]);
+    if (Object.keys(postings).length === 0) delete index.postings[term];
+  }
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Build a snippet around the first matching word, with matches in <mark>
+ * Text is HTML-escaped so the snippet can be rendered directly.
+ * @returns {Object|null} { snippet, matches } or null if nothing matched
+ */
+function buildSnippet(text, queryTerms) {
+  const { normalized, words } = splitWords(text);
+  // Fall back to the normalized text if normalizing changed its length
+  const source = String(text || "").normalize("NFC");
+  const base = source.length === normalized.length ? source : normalized;
+
+  const hits = words.filter(({ word }) => {
+    const term = toTerm(word);
+    return (
+      term &&
+      queryTerms.some(
+        (q) => term === q || (q.length >= 3 && term.startsWith(q))
+      )
+    );
+  });
+  if (hits.length === 0) return null;
+
+  const start = Math.max(0, hits[0].start - SNIPPET_RADIUS);
+  const end = Math.min(base.length, hits[0].end + SNIPPET_RADIUS * 2);
+
+  let snippet = start > 0 ? "…" : "";
+  let cursor = start;
+  for (const hit of hits) {
+    if (hit.start < cursor || hit.end > end) continue;
+    snippet += escapeHtml(base.slice(cursor, hit.start));
+    snippet += `<mark>${escapeHtml(base.slice(hit.start, hit.end))}</mark>`;
+    cursor = hit.end;
+  }
+  snippet += escapeHtml(base.slice(cursor, end));
+  if (end < base.length) snippet += "…";
+
+  return {
+    snippet: snippet.replace(/\s+/g, " ").trim(),
+    matches: hits.length,
+  };
+}
+
+class ConversationSearch {
+  /**
+   * Get the active storage adapter (created from config on first use)
+   */
+  static getStorage() {
+    if (!storage) {
+      storage = createStorageAdapter(undefined, { namespace: SEARCH_NAMESPACE });
+    }
+    return storage;
+  }
+
+  /**
+   * Replace the storage adapter (e.g. in-memory for tests)
+   */
+  static useStorage(adapter) {
+    storage = adapter;
+    return storage;
+  }
+
+  static async init() {
+    const adapter = this.getStorage();
+    await adapter.connect();
+    return adapter;
+  }
+
+  /**
+   * Build a fresh index from a user's live and archived conversations
+   */
+  static async _buildIndex(userId, liveHistory) {
+    const index = { userId, indexVersion: INDEX_VERSION, docs: {}, postings: {} };
+    const archived = await ConversationArchive.getAllMessages(userId);
+
+    archived.concat(liveHistory).forEach((conv) => addToIndex(index, conv));
+    return index;
+  }
+
+  /**
+   * Load a user's index, rebuilding it if missing or outdated
+   * Caller must hold the user's search lock.
+   */
+  static async _loadIndex(userId, liveHistory) {
+    const index = await this.getStorage().read(toStorageKey(userId));
+    if (index && index.indexVersion === INDEX_VERSION) return index;
+
+    const rebuilt = await this._buildIndex(userId, liveHistory);
+    await this.getStorage().write(toStorageKey(userId), rebuilt);
+    return rebuilt;
+  }
+
+  /**
+   * Add a newly saved exchange to the user's index
+   * @param {String} userId - User ID
+   * @param {Object} conversation - Saved conversation entry
+   * @param {Array} liveHistory - User's live history (used if the index must be rebuilt)
+   */
+  static async indexConversation(userId, conversation, liveHistory = []) {
+    return searchLocks.run(toStorageKey(userId), async () => {
+      try {
+        const index = await this._loadIndex(userId, liveHistory);
+        addToIndex(index, conversation);
+        await this.getStorage().write(toStorageKey(userId), index);
+      } catch (error) {
+        // Never fail a chat over search; drop the index so it gets rebuilt
+        console.error(`Search indexing failed for ${userId}:`, error.message);
+        await this.getStorage()
+          .remove(toStorageKey(userId))
+          .catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Drop one thread's messages from the index
+   */
+  static async removeConversation(userId, conversationId) {
+    return searchLocks.run(toStorageKey(userId), async () => {
+      const index = await this.getStorage().read(toStorageKey(userId));
+      if (!index) return;
+
+      removeFromIndex(index, (id, doc) => doc.conversationId === conversationId);
+      await this.getStorage().write(toStorageKey(userId), index);
+    });
+  }
+
+  /**
+   * Remove a user's index (e.g. on account deletion)
+   */
+  static async deleteIndex(userId) {
+    const key = toStorageKey(userId);
+    return searchLocks.run(key, () => this.getStorage().remove(key));
+  }
+
+  /**
+   * Search a user's conversations
+   * @param {String} userId - User ID
+   * @param {Array} liveHistory - User's live conversation history
+   * @param {Object} query - { q, intent, from, to, conversationId, limit, offset }
+   * @returns {Object} { results, total, limit, offset, hasMore, terms }
+   * @throws {Error} On a missing query or invalid filters
+   */
+  static async search(userId, liveHistory, query = {}) {
+    const terms = [...new Set(tokenize(query.q))];
+    if (terms.length === 0) {
+      throw new Error("Search query must contain at least one word");
+    }
+
+    const filters = ConversationArchive.parseHistoryQuery({
+      from: query.from,
+      to: query.to,
+      intent: query.intent,
+      conversationId: query.conversationId,
+    });
+    const limit = Math.min(
+      Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+    const offset = Math.max(parseInt(query.offset) || 0, 0);
+
+    const index = await searchLocks.run(toStorageKey(userId), () =>
+      this._loadIndex(userId, liveHistory)
+    );
+
+    const docIds = Object.keys(index.docs);
+    const docCount = docIds.length;
+    const avgLength =
+      docIds.reduce((sum, id) => sum + index.docs[id].length, 0) /
+        (docCount || 1) || 1;
+    const allTerms = Object.keys(index.postings);
+    const scores = new Map();
+
+    // BM25, with partial credit for index terms that extend a query term
+    for (const queryTerm of terms) {
+      const matchingTerms = allTerms.filter(
+        (term) =>
+          term === queryTerm ||
+          (queryTerm.length >= 3 && term.startsWith(queryTerm))
+      );
+
+      for (const term of matchingTerms) {
+        const postings = index.postings[term];
+        const df = Object.keys(postings).length;
+        const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+        const weight = term === queryTerm ? 1 : PREFIX_MATCH_WEIGHT;
+
+        for (const [id, tf] of Object.entries(postings)) {
+          const length = index.docs[id].length;
+          const score =
+            (idf * tf * (K1 + 1)) /
+            (tf + K1 * (1 - B + (B * length) / avgLength));
+          scores.set(id, (scores.get(id) || 0) + weight * score);
+        }
+      }
+    }
+
+    const matches = ConversationArchive.buildMatcher({
+      ...filters,
+      cursor: null,
+    });
+    const ranked = [...scores.entries()]
+      .map(([id, score]) => ({ id, score, ...index.docs[id] }))
+      .filter((doc) => matches(doc))
+      .sort(
+        (a, b) =>
+          b.score - a.score || new Date(b.timestamp) - new Date(a.timestamp)
+      );
+
+    const page = ranked.slice(offset, offset + limit);
+    const results = await this._hydrate(userId, liveHistory, page, terms);
+
+    return {
+      results,
+      total: ranked.length,
+      limit,
+      offset,
+      hasMore: offset + page.length < ranked.length,
+      terms,
+    };
+  }
+
+  /**
+   * Attach message text and highlighted snippets to ranked hits
+   */
+  static async _hydrate(userId, liveHistory, hits, terms) {
+    const byId = new Map(liveHistory.map((conv) => [conv.id, conv]));
+
+    if (hits.some((hit) => !byId.has(hit.id))) {
+      const archived = await ConversationArchive.getAllMessages(userId);
+      archived.forEach((conv) => byId.has(conv.id) || byId.set(conv.id, conv));
+    }
+
+    return hits
+      .filter((hit) => byId.has(hit.id))
+      .map((hit) => {
+        const conv = byId.get(hit.id);
+        const inQuestion = buildSnippet(conv.userMessage, terms);
+        const inAnswer = buildSnippet(conv.botResponse, terms);
+        const best =
+          inQuestion && (!inAnswer || inQuestion.matches >= inAnswer.matches)
+            ? { matchedIn: "userMessage", ...inQuestion }
+            : { matchedIn: "botResponse", ...inAnswer };
+
+        return {
+          id: conv.id,
+          conversationId: conv.conversationId,
+          timestamp: conv.timestamp,
+          intent: conv.intent,
+          score: Math.round(hit.score * 1000) / 1000,
+          matchedIn: best.snippet ? best.matchedIn : null,
+          snippet: best.snippet || null,
+          userMessage: conv.userMessage,
+          botResponse: conv.botResponse,
+        };
+      });
+  }
+}
+
+ConversationSearch.tokenize = tokenize;
+
+module.exports = ConversationSearch;
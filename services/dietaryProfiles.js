@@ -0,0 +1,398 @@
+/**
+ * Dietary Profiles
+ * Per-member dietary needs for everyone eating from one kitchen
+ *
+ * A profile describes one person (an account holder or a dependent such as
+ * a child or parent without an account):
+ *   { profileId, name, userId, ageGroup, sex, pregnancyStatus,
+ *     medicalConditions: [], allergies: [], dietaryPreferences: [] }
+ *
+ * Profiles live on the household record while the user is in a household,
+ * otherwise on the user record (see UserManager.getDietaryProfiles).
+ * combineRestrictions() merges them into the union the prompt builder and
+ * meal planner honour: an allergen for one member is avoided for everyone.
+ */
+
+const crypto = require("crypto");
+const bangladeshFoodDatabase = require("./bangladeshFoodDatabase");
+
+const AGE_GROUPS = ["infant", "child", "teen", "adult", "senior"];
+const SEXES = ["female", "male", "other"];
+const PREGNANCY_STATUSES = ["none", "pregnant", "lactating"];
+const MAX_PROFILES = 20;
+const MAX_NAME_LENGTH = 40;
+const MAX_LIST_LENGTH = 15;
+
+// Ingredient keywords per allergen (English, Banglish and Bengali)
+const ALLERGEN_KEYWORDS = {
+  peanut: ["peanut", "groundnut", "chinabadam", "চিনাবাদাম"],
+  tree_nut: ["almond", "cashew", "walnut", "pistachio", "kaju", "কাজু", "কাঠবাদাম"],
+  shellfish: ["shrimp", "prawn", "crab", "lobster", "chingri", "চিংড়ি", "কাঁকড়া"],
+  fish: ["fish", "hilsa", "ilish", "rui", "mach", "মাছ", "ইলিশ"],
+  egg: ["egg", "dim", "ডিম"],
+  dairy: ["milk", "yogurt", "curd", "cream", "butter", "cheese", "ghee", "paneer", "doi", "দুধ", "দই", "ঘি"],
+  gluten: ["wheat", "flour", "atta", "maida", "bread", "granola", "oats", "semolina", "suji", "roti", "paratha", "আটা", "ময়দা"],
+  soy: ["soy", "soya", "tofu"],
+  sesame: ["sesame", "til", "তিল"],
+};
+
+const ALLERGEN_ALIASES = {
+  peanuts: "peanut",
+  groundnut: "peanut",
+  nut: "tree_nut",
+  nuts: "tree_nut",
+  "tree nut": "tree_nut",
+  "tree nuts": "tree_nut",
+  prawn: "shellfish",
+  shrimp: "shellfish",
+  chingri: "shellfish",
+  eggs: "egg",
+  milk: "dairy",
+  lactose: "dairy",
+  wheat: "gluten",
+  soya: "soy",
+};
+
+const CONDITION_ALIASES = {
+  diabetic: "diabetes",
+  sugar: "diabetes",
+  "high blood pressure": "hypertension",
+  "high bp": "hypertension",
+  "blood pressure": "hypertension",
+  anaemia: "anemia",
+  anaemic: "anemia",
+  anemic: "anemia",
+  "celiac disease": "celiac",
+  coeliac: "celiac",
+  "lactose intolerant": "lactose_intolerance",
+  "lactose intolerance": "lactose_intolerance",
+  "kidney disease": "kidney_disease",
+  ckd: "kidney_disease",
+  "heart disease": "heart_disease",
+  cholesterol: "heart_disease",
+  "high cholesterol": "heart_disease",
+};
+
+// avoid = left out of meal plans, limit = allowed but flagged
+const CONDITION_RULES = {
+  diabetes: {
+    avoid: ["sugar", "honey", "jaggery", "gur", "mishti", "soft drink"],
+    limit: ["white rice", "rice", "potato", "banana", "maida"],
+    guidance: "Small rice portions, more dal and vegetables, no added sugar",
+  },
+  hypertension: {
+    avoid: ["pickle", "achar", "dried fish", "shutki", "instant noodles"],
+    limit: ["salt", "soy sauce"],
+    guidance: "Cook with less salt; skip pickles and dried fish",
+  },
+  anemia: {
+    avoid: [],
+    limit: ["tea"],
+    guidance: "Iron-rich food with lemon or guava; no tea right after meals",
+    nutrients: ["iron"],
+  },
+  kidney_disease: {
+    avoid: ["dried fish", "shutki"],
+    limit: ["salt", "banana", "potato", "dal"],
+    guidance: "Limit salt, potassium-rich foods and large protein portions",
+  },
+  heart_disease: {
+    avoid: ["dalda", "vanaspati"],
+    limit: ["ghee", "butter", "beef", "mutton", "fried"],
+    guidance: "Little oil, more fish and vegetables, less red meat",
+  },
+  lactose_intolerance: {
+    avoid: ["milk", "cream", "ice cream"],
+    limit: ["yogurt", "cheese"],
+    guidance: "Yogurt in small amounts is usually fine; avoid plain milk",
+  },
+  celiac: {
+    avoid: ALLERGEN_KEYWORDS.gluten,
+    limit: [],
+    guidance: "Strictly gluten-free: rice, dal and fresh foods instead of atta/maida",
+  },
+};
+
+const PREFERENCE_RULES = {
+  vegetarian: ["meat", "chicken", "beef", "mutton", "fish", "shrimp", "prawn", "hilsa", "ilish"],
+  vegan: ["meat", "chicken", "beef", "mutton", "fish", "shrimp", "prawn", "hilsa", "ilish", "egg", "milk", "yogurt", "cream", "butter", "cheese", "ghee", "honey"],
+  "gluten-free": ALLERGEN_KEYWORDS.gluten,
+  halal: ["pork", "bacon", "ham", "wine"],
+};
+
+const PREGNANCY_RULES = {
+  avoid: ["raw papaya", "raw egg"],
+  limit: ["tea", "coffee"],
+};
+
+const deficiencyPrevention =
+  bangladeshFoodDatabase.nutritionTips.deficiencyPrevention;
+
+/**
+ * Clean up a free-text list (lowercased, deduplicated, aliases resolved)
+ */
+function normalizeList(value, aliases = {}) {
+  const items = Array.isArray(value)
+    ? value
+    : typeof value === "string" && value.trim()
+      ? value.split(",")
+      : [];
+
+  const normalized = items
+    .map((item) => String(item).trim().toLowerCase())
+    .filter(Boolean)
+    .map((item) => aliases[item] || item);
+
+  return [...new Set(normalized)].slice(0, MAX_LIST_LENGTH);
+}
+
+function normalizeCondition(condition) {
+  return CONDITION_ALIASES[condition] || condition.replace(/\s+/g, "_");
+}
+
+/**
+ * Validate and normalize a profile
+ * @param {Object} input - Profile fields (partial when updating)
+ * @param {Object} existing - Current profile when updating
+ * @returns {Object} { profile } or { error }
+ */
+function validateProfile(input = {}, existing = null) {
+  const merged = { ...(existing || {}), ...input };
+
+  const name = String(merged.name || "").trim();
+  if (!name) return { error: "name is required" };
+  if (name.length > MAX_NAME_LENGTH) {
+    return { error: `name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+
+  const ageGroup = merged.ageGroup || "adult";
+  if (!AGE_GROUPS.includes(ageGroup)) {
+    return { error: `ageGroup must be one of: ${AGE_GROUPS.join(", ")}` };
+  }
+
+  const sex = merged.sex || null;
+  if (sex && !SEXES.includes(sex)) {
+    return { error: `sex must be one of: ${SEXES.join(", ")}` };
+  }
+
+  const pregnancyStatus = merged.pregnancyStatus || "none";
+  if (!PREGNANCY_STATUSES.includes(pregnancyStatus)) {
+    return {
+      error: `pregnancyStatus must be one of: ${PREGNANCY_STATUSES.join(", ")}`,
+    };
+  }
+  if (pregnancyStatus !== "none") {
+    if (sex === "male") {
+      return { error: "pregnancyStatus applies only to female members" };
+    }
+    if (!["teen", "adult"].includes(ageGroup)) {
+      return { error: "pregnancyStatus applies only to teen or adult members" };
+    }
+  }
+
+  return {
+    profile: {
+      profileId: existing?.profileId || `dp_${crypto.randomBytes(6).toString("hex")}`,
+      name,
+      userId: merged.userId || null,
+      ageGroup,
+      sex,
+      pregnancyStatus,
+      medicalConditions: normalizeList(merged.medicalConditions).map(
+        normalizeCondition
+      ),
+      allergies: normalizeList(merged.allergies, ALLERGEN_ALIASES),
+      dietaryPreferences: normalizeList(merged.dietaryPreferences),
+      updatedAt: new Date(),
+    },
+  };
+}
+
+/**
+ * Nutrients a member needs extra attention on, with the reason
+ */
+function nutritionNeedsFor(profile) {
+  const needs = [];
+  const add = (nutrient, reason) => {
+    if (!needs.some((need) => need.nutrient === nutrient)) {
+      needs.push({ nutrient, reason });
+    }
+  };
+
+  if (profile.pregnancyStatus === "pregnant") {
+    ["iron", "calcium", "iodine"].forEach((n) => add(n, "pregnancy"));
+  } else if (profile.pregnancyStatus === "lactating") {
+    ["calcium", "vitaminA", "iodine"].forEach((n) => add(n, "breastfeeding"));
+  }
+
+  for (const condition of profile.medicalConditions || []) {
+    for (const nutrient of CONDITION_RULES[condition]?.nutrients || []) {
+      add(nutrient, condition);
+    }
+  }
+
+  if (profile.sex === "female" && ["teen", "adult"].includes(profile.ageGroup)) {
+    add("iron", "women and adolescent girls");
+  }
+  if (["infant", "child"].includes(profile.ageGroup)) {
+    add("calcium", "growing child");
+    add("vitaminA", "growing child");
+  }
+  if (profile.ageGroup === "teen") add("calcium", "growth spurt");
+  if (profile.ageGroup === "senior") add("calcium", "bone health in older age");
+
+  return needs.map((need) => ({
+    ...need,
+    guidance: deficiencyPrevention[need.nutrient],
+  }));
+}
+
+/**
+ * Merge profiles into the union of restrictions
+ * @param {Array} people - Profiles, plus { name, allergies, dietaryPreferences }
+ *   entries for account holders' own preferences
+ * @returns {Object} { members, allergens, conditions, dietaryPreferences,
+ *   avoid: [{ keyword, reasons }], limit: [{ keyword, reasons }], nutritionNeeds }
+ */
+function combineRestrictions(people = []) {
+  const allergens = new Map();
+  const conditions = new Map();
+  const preferences = new Map();
+  const avoid = new Map();
+  const limit = new Map();
+  const nutritionNeeds = [];
+
+  const note = (map, key, value) => {
+    if (!map.has(key)) map.set(key, []);
+    if (!map.get(key).includes(value)) map.get(key).push(value);
+  };
+
+  for (const person of people) {
+    const name = person.name;
+
+    for (const allergy of normalizeList(person.allergies, ALLERGEN_ALIASES)) {
+      note(allergens, allergy, name);
+      for (const keyword of ALLERGEN_KEYWORDS[allergy] || [allergy]) {
+        note(avoid, keyword, `${allergy} allergy (${name})`);
+      }
+    }
+
+    for (const condition of normalizeList(person.medicalConditions).map(normalizeCondition)) {
+      note(conditions, condition, name);
+      const rules = CONDITION_RULES[condition];
+      if (!rules) continue;
+      rules.avoid.forEach((keyword) => note(avoid, keyword, `${condition} (${name})`));
+      rules.limit.forEach((keyword) => note(limit, keyword, `${condition} (${name})`));
+    }
+
+    for (const preference of normalizeList(person.dietaryPreferences)) {
+      note(preferences, preference, name);
+      for (const keyword of PREFERENCE_RULES[preference] || []) {
+        note(avoid, keyword, `${preference} (${name})`);
+      }
+    }
+
+    if (person.pregnancyStatus === "pregnant") {
+      PREGNANCY_RULES.avoid.forEach((keyword) => note(avoid, keyword, `pregnancy (${name})`));
+      PREGNANCY_RULES.limit.forEach((keyword) => note(limit, keyword, `pregnancy (${name})`));
+    }
+
+    if (person.ageGroup) {
+      for (const need of nutritionNeedsFor(person)) {
+        nutritionNeeds.push({ member: name, ...need });
+      }
+    }
+  }
+
+  const toList = (map, field) =>
+    [...map.entries()].map(([key, values]) => ({ [field]: key, members: values }));
+
+  return {
+    members: people.length,
+    allergens: toList(allergens, "allergen"),
+    conditions: toList(conditions, "condition").map((entry) => ({
+      ...entry,
+      guidance: CONDITION_RULES[entry.condition]?.guidance || null,
+    })),
+    dietaryPreferences: toList(preferences, "preference"),
+    avoid: [...avoid.entries()].map(([keyword, reasons]) => ({ keyword, reasons })),
+    limit: [...limit.entries()].map(([keyword, reasons]) => ({ keyword, reasons })),
+    nutritionNeeds,
+  };
+}
+
+/**
+ * Whether an ingredient name mentions a keyword
+ * Latin keywords match whole words (plural allowed), so "egg" doesn't match
+ * "eggplant"; Bengali keywords match as substrings.
+ */
+function mentionsKeyword(ingredient, keyword) {
+  const text = String(ingredient).toLowerCase();
+  if (!/^[a-z\s-]+$/.test(keyword)) return text.includes(keyword);
+
+  const escaped = keyword.replace(/[-\s]+/g, "[-\\s]+");
+  return new RegExp(`\\b${escaped}(s|es)?\\b`).test(text);
+}
+
+/**
+ * Check a recipe's ingredients against combined restrictions
+ * @returns {Object} { allowed, conflicts: [{ ingredient, reasons }], cautions: [...] }
+ */
+function checkIngredients(ingredients = [], restrictions = null) {
+  const conflicts = [];
+  const cautions = [];
+  if (!restrictions) return { allowed: true, conflicts, cautions };
+
+  for (const ingredient of ingredients) {
+    const blocked = restrictions.avoid.filter((rule) =>
+      mentionsKeyword(ingredient, rule.keyword)
+    );
+    if (blocked.length > 0) {
+      conflicts.push({
+        ingredient,
+        reasons: [...new Set(blocked.flatMap((rule) => rule.reasons))],
+      });
+      continue;
+    }
+
+    const limited = restrictions.limit.filter((rule) =>
+      mentionsKeyword(ingredient, rule.keyword)
+    );
+    if (limited.length > 0) {
+      cautions.push({
+        ingredient,
+        reasons: [...new Set(limited.flatMap((rule) => rule.reasons))],
+      });
+    }
+  }
+
+  return { allowed: conflicts.length === 0, conflicts, cautions };
+}
+
+/**
+ * Whether combined restrictions contain anything worth mentioning
+ */
+function hasRestrictions(restrictions) {
+  return (
+    !!restrictions &&
+    (restrictions.allergens.length > 0 ||
+      restrictions.conditions.length > 0 ||
+      restrictions.dietaryPreferences.length > 0 ||
+      restrictions.nutritionNeeds.length > 0)
+  );
+}
+
+module.exports = {
+  AGE_GROUPS,
+  SEXES,
+  PREGNANCY_STATUSES,
+  MAX_PROFILES,
+  ALLERGEN_KEYWORDS,
+  ALLERGEN_ALIASES,
+  PREFERENCE_RULES,
+  validateProfile,
+  nutritionNeedsFor,
+  combineRestrictions,
+  checkIngredients,
+  hasRestrictions,
+};
@@ -0,0 +1,165 @@
+/**
+ * Guardrail Log
+ * Daily record of chat replies that broke the response guardrails (see
+ * ./responseGuardrails), for tuning the system prompt
+ *
+ * One record per Dhaka calendar day in the "guardrail_log" namespace:
+ *   <YYYY-MM-DD> - { date, checked, failed, regenerated, fixed,
+ *                    byRule: { rule: count }, entries }
+ *
+ * checked counts every reply checked, failed the replies that broke a rule,
+ * regenerated those written again and fixed the ones that then passed.
+ * entries keeps the latest MAX_DAILY_ENTRIES failures:
+ *   { id, timestamp, conversationId, intent, language, provider, model,
+ *     violations, regenerated, remaining }
+ * No user ID or message text is stored.
+ */
+
+const { createStorageAdapter, KeyedLock } = require("./storage");
+const { formatDhakaDate, buildBuckets } = require("./reportingPeriods");
+const { RULES } = require("./responseGuardrails");
+
+const GUARDRAIL_NAMESPACE = "guardrail_log";
+const MAX_DAILY_ENTRIES = 200;
+const DEFAULT_SUMMARY_DAYS = 30;
+const MAX_SUMMARY_DAYS = 366;
+
+let storage = null;
+const logLocks = new KeyedLock();
+
+function emptyDay(date) {
+  return {
+    date,
+    checked: 0,
+    failed: 0,
+    regenerated: 0,
+    fixed: 0,
+    byRule: Object.fromEntries(RULES.map((rule) => [rule, 0])),
+    entries: [],
+  };
+}
+
+class GuardrailLog {
+  /**
+   * Get the active storage adapter (created from config on first use)
+   */
+  static getStorage() {
+    if (!storage) {
+      storage = createStorageAdapter(undefined, {
+        namespace: GUARDRAIL_NAMESPACE,
+      });
+    }
+    return storage;
+  }
+
+  /**
+   * Replace the storage adapter (e.g. in-memory for tests)
+   */
+  static useStorage(adapter) {
+    storage = adapter;
+    return storage;
+  }
+
+  static async init() {
+    const adapter = this.getStorage();
+    await adapter.connect();
+    return adapter;
+  }
+
+  /**
+   * Count a checked reply, and keep its violations if it broke a rule
+   * Errors are logged, never thrown - the log must not fail a chat.
+   * @param {Object} guardrails - From enforceGuardrails()
+   * @param {Object} details - { conversationId, intent, language, provider, model }
+   * @returns {Promise<Object|null>} Stored entry (null if the reply passed)
+   */
+  static async record(guardrails, details = {}) {
+    if (!guardrails || !guardrails.checked) return null;
+
+    const date = formatDhakaDate(new Date());
+    const failed = guardrails.violations.length > 0;
+    const entry = failed
+      ? {
+          id: `guard_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+          timestamp: new Date(),
+          conversationId: details.conversationId || null,
+          intent: details.intent || null,
+          language: details.language || null,
+          provider: details.provider || null,
+          model: details.model || null,
+          violations: guardrails.violations,
+          regenerated: guardrails.regenerated,
+          remaining: guardrails.remaining,
+        }
+      : null;
+
+    try {
+      await logLocks.run(date, async () => {
+        const day = (await this.getStorage().read(date)) || emptyDay(date);
+
+        day.checked++;
+        if (entry) {
+          day.failed++;
+          if (entry.regenerated) day.regenerated++;
+          if (entry.regenerated && entry.remaining.length === 0) day.fixed++;
+          for (const { rule } of entry.violations) {
+            day.byRule[rule] = (day.byRule[rule] || 0) + 1;
+          }
+          day.entries = [...day.entries, entry].slice(-MAX_DAILY_ENTRIES);
+        }
+
+        await this.getStorage().write(date, day);
+      });
+      return entry;
+    } catch (error) {
+      console.error("Guardrail log write failed:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Totals and daily counts over the last few days
+   * @param {Object} options - { days } (default 30, at most 366)
+   * @returns {Promise<Object>} { days, totals: { checked, failed, regenerated,
+   *   fixed, byRule }, daily: [{ date, checked, failed, regenerated, fixed,
+   *   byRule }], recent: [entries, newest first] }
+   */
+  static async getSummary(options = {}) {
+    const days = Math.min(
+      Math.max(parseInt(options.days) || DEFAULT_SUMMARY_DAYS, 1),
+      MAX_SUMMARY_DAYS
+    );
+    const dates = buildBuckets({ interval: "day", count: days }).map(
+      (bucket) => formatDhakaDate(bucket.start)
+    );
+
+    const totals = emptyDay(null);
+    const daily = [];
+    const recent = [];
+
+    for (const date of dates) {
+      const day = (await this.getStorage().read(date)) || emptyDay(date);
+
+      for (const field of ["checked", "failed", "regenerated", "fixed"]) {
+        totals[field] += day[field];
+      }
+      for (const [rule, count] of Object.entries(day.byRule)) {
+        totals.byRule[rule] = (totals.byRule[rule] || 0) + count;
+      }
+      recent.push(...day.entries);
+
+      const { entries, ...counts } = day;
+      daily.push(counts);
+    }
+
+    const { date, entries, ...totalCounts } = totals;
+    return {
+      days,
+      totals: totalCounts,
+      daily,
+      recent: recent.reverse().slice(0, MAX_DAILY_ENTRIES),
+    };
+  }
+}
+
+module.exports = GuardrailLog;
@@ -0,0 +1,812 @@
+/**
+ * Household Manager
+ * Households share one inventory and one consumption log between members
+ *
+ * Storage (configured backend):
+ *   households        - one record per household, keyed by householdId:
+ *                       { householdId, name, ownerId, members: [{ userId, role, joinedAt }],
+ *                         invitations: [...], inventory: [...], dietaryProfiles: [...],
+ *                         createdAt, updatedAt }
+ *   household_members - one record per user, keyed by toStorageKey(userId):
+ *                       { userId, householdId, invitations: [...] }
+ *
+ * Roles are "owner" (one per household) and "member". Chat threads stay
+ * personal; UserManager.getInventory/getUserContext and ConsumptionLogManager
+ * resolve to the household while a user belongs to one.
+ *
+ * Creating a household moves the owner's inventory, logs and dietary profiles
+ * into it, and disbanding gives them back. Joining members keep their personal inventory
+ * and logs untouched (hidden while they are in the household).
+ */
+
+const crypto = require("crypto");
+const { createStorageAdapter, KeyedLock } = require("./storage");
+const { normalizeUserId, sameUserId, toStorageKey } = require("./userIdPolicy");
+
+const HOUSEHOLD_NAMESPACE = "households";
+const MEMBER_NAMESPACE = "household_members";
+const HOUSEHOLD_ID_PATTERN = /^hh_[0-9a-f]{16}$/;
+const MAX_MEMBERS = 12;
+const MAX_NAME_LENGTH = 60;
+const INVITATION_TTL_DAYS = 7;
+
+// Membership changes touch several records, so they share one lock;
+// inventory writes lock only their household. Membership writes to a
+// household record take its lock too (see _writeMembershipChange).
+const MEMBERSHIP_LOCK = "membership";
+
+let householdStorage = null;
+let memberStorage = null;
+const householdLocks = new KeyedLock();
+
+/**
+ * Household operation error with an HTTP status
+ */
+class HouseholdError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = "HouseholdError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// UserManager, ConsumptionLogManager and AuditLog depend on this module, so
+// they are required lazily where households move data in and out of personal
+// records
+function userManager() {
+  return require("./userManager");
+}
+
+function consumptionLogManager() {
+  return require("./consumptionLogManager");
+}
+
+function auditLog() {
+  return require("./auditLog");
+}
+
+function isHouseholdId(value) {
+  return HOUSEHOLD_ID_PATTERN.test(String(value));
+}
+
+/**
+ * Clean up a household name
+ */
+function normalizeName(name) {
+  const clean = String(name || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_NAME_LENGTH);
+
+  if (!clean) {
+    throw new HouseholdError("Household name is required", "INVALID_NAME");
+  }
+  return clean;
+}
+
+function isExpired(invitation, now = Date.now()) {
+  return new Date(invitation.expiresAt).getTime() <= now;
+}
+
+class HouseholdManager {
+  /**
+   * Get the household storage adapter (created from config on first use)
+   */
+  static getStorage() {
+    if (!householdStorage) {
+      householdStorage = createStorageAdapter(undefined, {
+        namespace: HOUSEHOLD_NAMESPACE,
+      });
+    }
+    return householdStorage;
+  }
+
+  /**
+   * Get the membership index adapter (created from config on first use)
+   */
+  static getMemberStorage() {
+    if (!memberStorage) {
+      memberStorage = createStorageAdapter(undefined, {
+        namespace: MEMBER_NAMESPACE,
+      });
+    }
+    return memberStorage;
+  }
+
+  /**
+   * Replace the storage adapters (e.g. in-memory for tests)
+   */
+  static useStorage(householdAdapter, memberAdapter) {
+    householdStorage = householdAdapter;
+    memberStorage = memberAdapter;
+    return householdStorage;
+  }
+
+  static async init() {
+    await this.getStorage().connect();
+    await this.getMemberStorage().connect();
+    return this.getStorage();
+  }
+
+  // ==========================================================================
+  // Records
+  // ==========================================================================
+
+  static async _readMembership(userId) {
+    const record = await this.getMemberStorage().read(toStorageKey(userId));
+    return record || { userId, householdId: null, invitations: [] };
+  }
+
+  static async _writeMembership(record) {
+    const key = toStorageKey(record.userId);
+
+    if (!record.householdId && record.invitations.length === 0) {
+      return this.getMemberStorage().remove(key);
+    }
+    return this.getMemberStorage().write(key, record);
+  }
+
+  static async _readHousehold(householdId) {
+    if (!isHouseholdId(householdId)) return null;
+    return this.getStorage().read(householdId);
+  }
+
+  static async _writeHousehold(household) {
+    household.updatedAt = new Date();
+    return this.getStorage().write(household.householdId, household);
+  }
+
+  /**
+   * Save a membership change (name, owner, members, invitations) to a
+   * household record. Runs under the household's lock with its current
+   * inventory and dietary profiles, so shared-data changes made since the
+   * record was read are kept.
+   */
+  static async _writeMembershipChange(household) {
+    return householdLocks.run(household.householdId, async () => {
+      const current = await this._readHousehold(household.householdId);
+      if (current) {
+        household.inventory = current.inventory;
+        household.dietaryProfiles = current.dietaryProfiles;
+      }
+      return this._writeHousehold(household);
+    });
+  }
+
+  /**
+   * Household the user belongs to, or throw NOT_IN_HOUSEHOLD
+   */
+  static async _requireHousehold(userId) {
+    const membership = await this._readMembership(userId);
+    const household = membership.householdId
+      ? await this._readHousehold(membership.householdId)
+      : null;
+
+    if (!household) {
+      throw new HouseholdError(
+        "You are not in a household",
+        "NOT_IN_HOUSEHOLD",
+        404
+      );
+    }
+    return household;
+  }
+
+  static _memberOf(household, userId) {
+    return household.members.find((member) =>
+      sameUserId(member.userId, userId)
+    );
+  }
+
+  static _requireOwner(household, userId) {
+    const member = this._memberOf(household, userId);
+    if (!member || member.role !== "owner") {
+      throw new HouseholdError(
+        "Only the household owner can do this",
+        "NOT_OWNER",
+        403
+      );
+    }
+  }
+
+  // ==========================================================================
+  // Lookups
+  // ==========================================================================
+
+  /**
+   * ID of the user's household (null if none)
+   */
+  static async getHouseholdId(userId) {
+    const membership = await this._readMembership(userId);
+    return membership.householdId;
+  }
+
+  /**
+   * The user's household record (null if none)
+   */
+  static async getHouseholdForUser(userId) {
+    const householdId = await this.getHouseholdId(userId);
+    return householdId ? this._readHousehold(householdId) : null;
+  }
+
+  /**
+   * Pending (unexpired) invitations addressed to a user
+   */
+  static async getInvitationsForUser(userId) {
+    const membership = await this._readMembership(userId);
+    return membership.invitations.filter((invitation) => !isExpired(invitation));
+  }
+
+  /**
+   * Public view of a household; invitations are only shown to the owner
+   */
+  static describe(household, viewerId) {
+    const viewer = this._memberOf(household, viewerId);
+
+    return {
+      householdId: household.householdId,
+      name: household.name,
+      ownerId: household.ownerId,
+      role: viewer ? viewer.role : null,
+      members: household.members,
+      memberCount: household.members.length,
+      inventoryCount: household.inventory.length,
+      invitations:
+        viewer && viewer.role === "owner"
+          ? household.invitations.filter((invitation) => !isExpired(invitation))
+          : undefined,
+      createdAt: household.createdAt,
+      updatedAt: household.updatedAt,
+    };
+  }
+
+  // ==========================================================================
+  // Membership
+  // ==========================================================================
+
+  /**
+   * Create a household owned by the user
+   * The owner's current inventory and consumption logs become shared.
+   */
+  static async createHousehold(ownerId, name) {
+    const householdName = normalizeName(name);
+
+    return householdLocks.run(MEMBERSHIP_LOCK, async () => {
+      const membership = await this._readMembership(ownerId);
+      if (membership.householdId) {
+        throw new HouseholdError(
+          "You are already in a household",
+          "ALREADY_IN_HOUSEHOLD",
+          409
+        );
+      }
+
+      const now = new Date();
+      const household = {
+        householdId: `hh_${crypto.randomBytes(8).toString("hex")}`,
+        name: householdName,
+        ownerId: normalizeUserId(ownerId),
+        members: [
+          { userId: normalizeUserId(ownerId), role: "owner", joinedAt: now },
+        ],
+        invitations: [],
+        ...(await userManager().takeSharedData(ownerId)),
+        createdAt: now,
+      };
+
+      await this._writeHousehold(household);
+      await consumptionLogManager().moveLogs(
+        toStorageKey(ownerId),
+        household.householdId,
+        { householdId: household.householdId }
+      );
+
+      membership.householdId = household.householdId;
+      await this._writeMembership(membership);
+
+      return household;
+    });
+  }
+
+  /**
+   * Rename the user's household (owner only)
+   */
+  static async renameHousehold(userId, name) {
+    const householdName = normalizeName(name);
+
+    return householdLocks.run(MEMBERSHIP_LOCK, async () => {
+      const household = await this._requireHousehold(userId);
+      this._requireOwner(household, userId);
+
+      household.name = householdName;
+      await this._writeMembershipChange(household);
+      return household;
+    });
+  }
+
+  /**
+   * Invite a registered user to the owner's household
+   * @returns {Object} Invitation
+   */
+  static async inviteMember(ownerId, inviteeId) {
+    const invitee = await userManager().findUser(inviteeId);
+    if (!invitee || !invitee.auth || invitee.auth.role === "guest") {
+      throw new HouseholdError(
+        "No registered user with that ID",
+        "USER_NOT_FOUND",
+        404
+      );
+    }
+
+    return householdLocks.run(MEMBERSHIP_LOCK, async () => {
+      const household = await this._requireHousehold(ownerId);
+      this._requireOwner(household, ownerId);
+
+      if (this._memberOf(household, inviteeId)) {
+        throw new HouseholdError(
+          "That user is already a member",
+          "ALREADY_MEMBER",
+          409
+        );
+      }
+
+      const inviteeMembership = await this._readMembership(inviteeId);
+      if (inviteeMembership.householdId) {
+        throw new HouseholdError(
+          "That user is already in another household",
+          "ALREADY_IN_HOUSEHOLD",
+          409
+        );
+      }
+
+      household.invitations = household.invitations.filter(
+        (invitation) => !isExpired(invitation)
+      );
+      if (
+        household.invitations.some((invitation) =>
+          sameUserId(invitation.invitedUserId, inviteeId)
+        )
+      ) {
+        throw new HouseholdError(
+          "That user already has a pending invitation",
+          "ALREADY_INVITED",
+          409
+        );
+      }
+
+      const seats = household.members.length + household.invitations.length;
+      if (seats >= MAX_MEMBERS) {
+        throw new HouseholdError(
+          `A household can have at most ${MAX_MEMBERS} members`,
+          "HOUSEHOLD_FULL",
+          409
+        );
+      }
+
+      const now = new Date();
+      const invitation = {
+        invitationId: `inv_${crypto.randomBytes(8).toString("hex")}`,
+        householdId: household.householdId,
+        householdName: household.name,
+        invitedUserId: invitee.userId,
+        invitedBy: normalizeUserId(ownerId),
+        role: "member",
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + INVITATION_TTL_DAYS * 86400000),
+      };
+
+      household.invitations.push(invitation);
+      await this._writeMembershipChange(household);
+
+      inviteeMembership.invitations = inviteeMembership.invitations
+        .filter((pending) => !isExpired(pending))
+        .concat(invitation);
+      await this._writeMembership(inviteeMembership);
+
+      return invitation;
+    });
+  }
+
+  /**
+   * Withdraw a pending invitation (owner only)
+   */
+  static async revokeInvitation(ownerId, invitationId) {
+    return householdLocks.run(MEMBERSHIP_LOCK, async () => {
+      const household = await this._requireHousehold(ownerId);
+      this._requireOwner(household, ownerId);
+
+      const invitation = household.invitations.find(
+        (pending) => pending.invitationId === invitationId
+      );
+      if (!invitation) {
+        throw new HouseholdError(
+          "Invitation not found",
+          "INVITATION_NOT_FOUND",
+          404
+        );
+      }
+
+      await this._dropInvitation(household, invitation);
+      return invitation;
+    });
+  }
+
+  /**
+   * Remove an invitation from both the household and the invitee's index
+   */
+  static async _dropInvitation(household, invitation) {
+    household.invitations = household.invitations.filter(
+      (pending) => pending.invitationId !== invitation.invitationId
+    );
+    await this._writeMembershipChange(household);
+
+    const membership = await this._readMembership(invitation.invitedUserId);
+    membership.invitations = membership.invitations.filter(
+      (pending) => pending.invitationId !== invitation.invitationId
+    );
+    await this._writeMembership(membership);
+  }
+
+  /**
+   * Accept an invitation and join its household
+   */
+  static async acceptInvitation(userId, invitationId) {
+    return householdLocks.run(MEMBERSHIP_LOCK, async () => {
+      const membership = await this._readMembership(userId);
+      const invitation = membership.invitations.find(
+        (pending) => pending.invitationId === invitationId
+      );
+
+      if (!invitation) {
+        throw new HouseholdError(
+          "Invitation not found",
+          "INVITATION_NOT_FOUND",
+          404
+        );
+      }
+      if (membership.householdId) {
+        throw new HouseholdError(
+          "Leave your current household before joining another",
+          "ALREADY_IN_HOUSEHOLD",
+          409
+        );
+      }
+
+      const household = await this._readHousehold(invitation.householdId);
+      const current =
+        household &&
+        household.invitations.find(
+          (pending) => pending.invitationId === invitationId
+        );
+
+      if (!current || isExpired(current)) {
+        membership.invitations = membership.invitations.filter(
+          (pending) => pending.invitationId !== invitationId
+        );
+        await this._writeMembership(membership);
+        throw new HouseholdError(
+          "This invitation has expired or was withdrawn",
+          "INVITATION_EXPIRED",
+          410
+        );
+      }
+
+      household.members.push({
+        userId: normalizeUserId(userId),
+        role: "member",
+        joinedAt: new Date(),
+      });
+      household.invitations = household.invitations.filter(
+        (pending) => pending.invitationId !== invitationId
+      );
+      await this._writeMembershipChange(household);
+
+      membership.householdId = household.householdId;
+      membership.invitations = membership.invitations.filter(
+        (pending) => pending.invitationId !== invitationId
+      );
+      await this._writeMembership(membership);
+
+      return household;
+    });
+  }
+
+  /**
+   * Decline an invitation
+   */
+  static async declineInvitation(userId, invitationId) {
+    return householdLocks.run(MEMBERSHIP_LOCK, async () => {
+      const membership = await this._readMembership(userId);
+      const invitation = membership.invitations.find(
+        (pending) => pending.invitationId === invitationId
+      );
+
+      if (!invitation) {
+        throw new HouseholdError(
+          "Invitation not found",
+          "INVITATION_NOT_FOUND",
+          404
+        );
+      }
+
+      const household = await this._readHousehold(invitation.householdId);
+      if (household) {
+        await this._dropInvitation(household, invitation);
+      } else {
+        membership.invitations = membership.invitations.filter(
+          (pending) => pending.invitationId !== invitationId
+        );
+        await this._writeMembership(membership);
+      }
+      return invitation;
+    });
+  }
+
+  /**
+   * Take a member out of a household record and clear their membership
+   */
+  static async _removeMember(household, memberId) {
+    household.members = household.members.filter(
+      (member) => !sameUserId(member.userId, memberId)
+    );
+    await this._writeMembershipChange(household);
+
+    const membership = await this._readMembership(memberId);
+    membership.householdId = null;
+    await this._writeMembership(membership);
+  }
+
+  /**
+   * Leave the user's household
+   * The owner must transfer ownership first, unless they are the last member
+   * (then the household is disbanded).
+   */
+  static async leaveHousehold(userId) {
+    return householdLocks.run(MEMBERSHIP_LOCK, async () => {
+      const household = await this._requireHousehold(userId);
+      const member = this._memberOf(household, userId);
+
+      if (member.role === "owner") {
+        if (household.members.length > 1) {
+          throw new HouseholdError(
+            "Transfer ownership to another member before leaving",
+            "OWNER_MUST_TRANSFER",
+            409
+          );
+        }
+        await this._disband(household, { returnTo: userId });
+        return { disbanded: true };
+      }
+
+      await this._removeMember(household, userId);
+      return { disbanded: false };
+    });
+  }
+
+  /**
+   * Remove another member (owner only)
+   */
+  static async removeMember(ownerId, memberId) {
+    return householdLocks.run(MEMBERSHIP_LOCK, async () => {
+      const household = await this._requireHousehold(ownerId);
+      this._requireOwner(household, ownerId);
+
+      const member = this._memberOf(household, memberId);
+      if (!member) {
+        throw new HouseholdError("Member not found", "NOT_A_MEMBER", 404);
+      }
+      if (member.role === "owner") {
+        throw new HouseholdError(
+          "The owner cannot be removed; leave or disband instead",
+          "OWNER_MUST_TRANSFER",
+          409
+        );
+      }
+
+      await this._removeMember(household, memberId);
+      return household;
+    });
+  }
+
+  /**
+   * Make another member the owner; the current owner becomes a member
+   */
+  static async transferOwnership(ownerId, memberId) {
+    return householdLocks.run(MEMBERSHIP_LOCK, async () => {
+      const household = await this._requireHousehold(ownerId);
+      this._requireOwner(household, ownerId);
+
+      const member = this._memberOf(household, memberId);
+      if (!member) {
+        throw new HouseholdError("Member not found", "NOT_A_MEMBER", 404);
+      }
+
+      this._memberOf(household, ownerId).role = "member";
+      member.role = "owner";
+      household.ownerId = member.userId;
+      await this._writeMembershipChange(household);
+      return household;
+    });
+  }
+
+  /**
+   * Disband the owner's household
+   * Shared inventory and logs go back to the owner; members keep their own.
+   */
+  static async disbandHousehold(ownerId) {
+    return householdLocks.run(MEMBERSHIP_LOCK, async () => {
+      const household = await this._requireHousehold(ownerId);
+      this._requireOwner(household, ownerId);
+
+      await this._disband(household, { returnTo: ownerId });
+      return household;
+    });
+  }
+
+  /**
+   * Delete a household, clearing every membership and invitation
+   * @param {Object} options - { returnTo } user who receives the shared
+   *   inventory and logs (they are deleted when omitted)
+   */
+  static async _disband(household, { returnTo = null } = {}) {
+    await householdLocks.run(household.householdId, async () => {
+      const current = await this._readHousehold(household.householdId);
+
+      if (returnTo) {
+        await userManager().restoreSharedData(returnTo, {
+          inventory: current.inventory,
+          dietaryProfiles: current.dietaryProfiles || [],
+        });
+        await consumptionLogManager().moveLogs(
+          household.householdId,
+          toStorageKey(returnTo),
+          { userId: normalizeUserId(returnTo) }
+        );
+        await auditLog().moveEntries(
+          auditLog().householdScope(household.householdId),
+          auditLog().userScope(returnTo)
+        );
+      } else {
+        await consumptionLogManager().deleteLogsByKey(household.householdId);
+        await auditLog().deleteEntries(
+          auditLog().householdScope(household.householdId)
+        );
+      }
+
+      for (const invitation of current.invitations) {
+        const invitee = await this._readMembership(invitation.invitedUserId);
+        invitee.invitations = invitee.invitations.filter(
+          (pending) => pending.invitationId !== invitation.invitationId
+        );
+        await this._writeMembership(invitee);
+      }
+
+      for (const member of current.members) {
+        const membership = await this._readMembership(member.userId);
+        membership.householdId = null;
+        await this._writeMembership(membership);
+      }
+
+      await this.getStorage().remove(household.householdId);
+    });
+  }
+
+  /**
+   * Clean up household data for a deleted account
+   * An owner with other members hands ownership to the longest-standing
+   * member; a sole owner's household is deleted with its data.
+   * @returns {String|null} ID of the household the user left (null if they
+   *   had none or it was deleted)
+   */
+  static async handleAccountDeletion(userId) {
+    return householdLocks.run(MEMBERSHIP_LOCK, async () => {
+      const membership = await this._readMembership(userId);
+
+      for (const invitation of membership.invitations) {
+        const invitingHousehold = await this._readHousehold(
+          invitation.householdId
+        );
+        if (invitingHousehold) {
+          invitingHousehold.invitations = invitingHousehold.invitations.filter(
+            (pending) => pending.invitationId !== invitation.invitationId
+          );
+          await this._writeMembershipChange(invitingHousehold);
+        }
+      }
+      membership.invitations = [];
+
+      const household = membership.householdId
+        ? await this._readHousehold(membership.householdId)
+        : null;
+
+      if (household) {
+        const member = this._memberOf(household, userId);
+        const others = household.members.filter(
+          (other) => !sameUserId(other.userId, userId)
+        );
+
+        if (others.length === 0) {
+          await this._disband(household);
+          return null;
+        }
+
+        if (member && member.role === "owner") {
+          const successor = others.sort(
+            (a, b) => new Date(a.joinedAt) - new Date(b.joinedAt)
+          )[0];
+          successor.role = "owner";
+          household.ownerId = successor.userId;
+        }
+        household.members = others;
+        await this._writeMembershipChange(household);
+      }
+
+      membership.householdId = null;
+      await this._writeMembership(membership);
+      return household ? household.householdId : null;
+    });
+  }
+
+  // ==========================================================================
+  // Shared inventory
+  // ==========================================================================
+
+  static async getInventory(householdId) {
+    const household = await this._readHousehold(householdId);
+    return household ? household.inventory : [];
+  }
+
+  /**
+   * Serialized change to a household's inventory
+   * @param {Function} mutator - (inventory) => result; may modify inventory in place
+   */
+  static async updateInventory(householdId, mutator) {
+    return householdLocks.run(householdId, async () => {
+      const household = await this._readHousehold(householdId);
+      if (!household) {
+        throw new HouseholdError(
+          "Household not found",
+          "NOT_IN_HOUSEHOLD",
+          404
+        );
+      }
+
+      const result = await mutator(household.inventory);
+      await this._writeHousehold(household);
+      return result;
+    });
+  }
+
+  // ==========================================================================
+  // Shared dietary profiles
+  // ==========================================================================
+
+  /**
+   * Serialized change to a household's dietary profiles (any member may edit)
+   * @param {Function} mutator - (profiles) => result; may modify profiles in place
+   */
+  static async updateDietaryProfiles(householdId, mutator) {
+    return householdLocks.run(householdId, async () => {
+      const household = await this._readHousehold(householdId);
+      if (!household) {
+        throw new HouseholdError(
+          "Household not found",
+          "NOT_IN_HOUSEHOLD",
+          404
+        );
+      }
+
+      household.dietaryProfiles = household.dietaryProfiles || [];
+      const result = await mutator(household.dietaryProfiles);
+      await this._writeHousehold(household);
+      return result;
+    });
+  }
+}
+
+HouseholdManager.HouseholdError = HouseholdError;
+HouseholdManager.MAX_MEMBERS = MAX_MEMBERS;
+HouseholdManager.isHouseholdId = isHouseholdId;
+
+module.exports = HouseholdManager;
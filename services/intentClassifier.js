@@ -0,0 +1,298 @@
+/**
+ * Intent Classifier
+ * One intent model for chat messages in English, Bengali and Banglish
+ *
+ * A multinomial naive Bayes model over character n-grams, trained on the
+ * labeled examples bundled in data/intentDataset.json when first used.
+ * Character n-grams match across inflections ("ভাত", "ভাতের") and loose
+ * Banglish spellings ("ranna", "rana korbo") without a stemmer.
+ *
+ * classifyIntent() returns a confidence per intent. Messages that ask two
+ * things ("I wasted rice - what can I cook with leftovers?") are also
+ * classified clause by clause, so both intents are reported.
+ *
+ * Intents (see the dataset for descriptions): wasteReduction, mealPlanning,
+ * nutritionBalance, leftoverRecipes, foodSharing, environmentalImpact,
+ * expiryAlert, foodLogging, inventoryUpdate, progressTracking, general.
+ *
+ * Banglish messages are transliterated into Bengali script first (see
+ * ./banglish), and the model also learns the Banglish examples in Bengali
+ * script, so they share what the Bengali examples teach.
+ *
+ * To improve it, add examples to the dataset and check the cross-validated
+ * accuracy with `npm run intents:eval`.
+ */
+
+const dataset = require("../data/intentDataset.json");
+const {
+  transliterate,
+  isTransliterationEnabled,
+  normalizeMessage,
+} = require("./banglish");
+
+const FALLBACK_INTENT = "general";
+const NGRAM_SIZES = [2, 3, 4];
+const SMOOTHING = 0.1; // Additive (Lidstone) smoothing
+// Naive Bayes scores grow with message length, so they are divided by
+// (features / FEATURES_PER_UNIT) before the softmax. 4 gave the best
+// cross-validated log loss, i.e. confidences closest to real accuracy.
+const FEATURES_PER_UNIT = 4;
+// Text mostly made of n-grams the model never saw (typos, other topics)
+// is too unfamiliar to classify
+const MIN_KNOWN_FEATURES = 0.5;
+const MIN_CONFIDENCE = 0.3; // Intents of the whole message (else general)
+const CLAUSE_CONFIDENCE = 0.5; // Intents of a single clause
+const MIN_CLAUSE_WORDS = 3;
+
+const BENGALI_DIGITS = "০১২৩৪৫৬৭৮৯";
+
+// Clause boundaries: sentence ends and "and/but/also" between requests
+const CLAUSE_SPLIT =
+  /[.!?।\n;]+|,?\s+(?:and|but|also|then|plus)\s+|\s+(?:আর|এবং|তারপর|কিন্তু)\s+|,?\s+(?:ar|kintu|tarpor)\s+/i;
+
+/**
+ * Lowercase words of a message (digits become "0" so quantities generalize)
+ */
+function toWords(text) {
+  return String(text || "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[০-৯]/g, (digit) => String(BENGALI_DIGITS.indexOf(digit)))
+    .replace(/\d+/g, "0")
+    .split(/[^a-z0-9ঀ-৿']+/)
+    .map((word) => word.replace(/'/g, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Features of a message: each word plus its padded character n-grams
+ * Counted once per message (binary features suit short texts best).
+ */
+function toFeatures(text) {
+  const features = new Set();
+  for (const word of toWords(text)) {
+    features.add(`w:${word}`);
+
+    const chars = Array.from(`<${word}>`);
+    for (const size of NGRAM_SIZES) {
+      for (let i = 0; i + size <= chars.length; i++) {
+        features.add(chars.slice(i, i + size).join(""));
+      }
+    }
+  }
+  return [...features];
+}
+
+function softmax(scores) {
+  const max = Math.max(...Object.values(scores));
+  const exp = Object.fromEntries(
+    Object.entries(scores).map(([label, score]) => [label, Math.exp(score - max)])
+  );
+  const total = Object.values(exp).reduce((sum, value) => sum + value, 0);
+  return Object.fromEntries(
+    Object.entries(exp).map(([label, value]) => [label, value / total])
+  );
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+class IntentModel {
+  /**
+   * Train a model
+   * @param {Array} examples - [{ text, intent }]
+   * @returns {IntentModel}
+   */
+  static train(examples) {
+    const model = new IntentModel();
+    for (const { text, intent } of examples) {
+      model._learn(text, intent);
+    }
+    return model;
+  }
+
+  constructor() {
+    this.labels = [];
+    this.documents = {}; // label -> number of examples
+    this.featureCounts = {}; // label -> { feature: count }
+    this.totals = {}; // label -> sum of feature counts
+    this.vocabulary = new Set();
+    this.exampleCount = 0;
+  }
+
+  _learn(text, label) {
+    if (!this.documents[label]) {
+      this.labels.push(label);
+      this.documents[label] = 0;
+      this.featureCounts[label] = {};
+      this.totals[label] = 0;
+    }
+
+    this.documents[label] += 1;
+    this.exampleCount += 1;
+    for (const feature of toFeatures(text)) {
+      this.featureCounts[label][feature] =
+        (this.featureCounts[label][feature] || 0) + 1;
+      this.totals[label] += 1;
+      this.vocabulary.add(feature);
+    }
+  }
+
+  /**
+   * Confidence per intent for one piece of text
+   * @returns {Object} { label: probability } (sums to 1); null for text too
+   *   unfamiliar to classify
+   */
+  predict(text) {
+    const all = toFeatures(text);
+    const features = all.filter((feature) => this.vocabulary.has(feature));
+    if (features.length === 0 || features.length < all.length * MIN_KNOWN_FEATURES) {
+      return null;
+    }
+
+    const vocabularySize = this.vocabulary.size;
+    const temperature = Math.max(features.length / FEATURES_PER_UNIT, 1);
+    const scores = {};
+
+    for (const label of this.labels) {
+      let score = Math.log(this.documents[label] / this.exampleCount);
+      const counts = this.featureCounts[label];
+      const denominator = this.totals[label] + SMOOTHING * vocabularySize;
+
+      for (const feature of features) {
+        score += Math.log(((counts[feature] || 0) + SMOOTHING) / denominator);
+      }
+      scores[label] = score / temperature;
+    }
+
+    return softmax(scores);
+  }
+
+  /**
+   * Classify a message
+   * @returns {Object} { intent, confidence, intents: [{ intent, confidence }],
+   *   scores: { label: probability } } - intents lists every intent the
+   *   message carries, most confident first; intent is the first of them
+   */
+  classify(message) {
+    const scores = this.predict(message);
+    if (!scores) {
+      return {
+        intent: FALLBACK_INTENT,
+        confidence: 0,
+        intents: [{ intent: FALLBACK_INTENT, confidence: 0 }],
+        scores: {},
+      };
+    }
+
+    const found = {};
+    for (const [label, probability] of Object.entries(scores)) {
+      if (probability >= MIN_CONFIDENCE) found[label] = probability;
+    }
+
+    const clauses = String(message)
+      .split(CLAUSE_SPLIT)
+      .filter((clause) => clause && toWords(clause).length >= MIN_CLAUSE_WORDS);
+    if (clauses.length > 1) {
+      for (const clause of clauses) {
+        const clauseScores = this.predict(clause);
+        if (!clauseScores) continue;
+
+        const [label, probability] = Object.entries(clauseScores).sort(
+          (a, b) => b[1] - a[1]
+        )[0];
+        if (probability >= CLAUSE_CONFIDENCE) {
+          found[label] = Math.max(found[label] || 0, probability);
+        }
+      }
+    }
+
+    let intents = Object.entries(found)
+      .sort((a, b) => b[1] - a[1])
+      .map(([intent, confidence]) => ({ intent, confidence: round(confidence) }));
+
+    // "general" only stands alone
+    const specific = intents.filter((i) => i.intent !== FALLBACK_INTENT);
+    if (specific.length > 0) intents = specific;
+    if (intents.length === 0) {
+      intents = [
+        { intent: FALLBACK_INTENT, confidence: round(scores[FALLBACK_INTENT] || 0) },
+      ];
+    }
+
+    return {
+      intent: intents[0].intent,
+      confidence: intents[0].confidence,
+      intents,
+      scores: Object.fromEntries(
+        Object.entries(scores).map(([label, p]) => [label, round(p)])
+      ),
+    };
+  }
+}
+
+let defaultModel = null;
+
+/**
+ * Examples to train on: the Banglish ones are added again in Bengali script
+ * when messages get transliterated
+ * @param {Array} examples - [{ text, intent, lang }]
+ */
+function trainingExamples(examples) {
+  if (!isTransliterationEnabled()) return examples;
+
+  return [
+    ...examples,
+    ...examples
+      .filter((example) => example.lang === "banglish")
+      .map((example) => ({ ...example, text: transliterate(example.text) })),
+  ];
+}
+
+/**
+ * The model trained on the bundled dataset (trained on first use)
+ */
+function getIntentModel() {
+  if (!defaultModel) {
+    defaultModel = IntentModel.train(trainingExamples(dataset.examples));
+  }
+  return defaultModel;
+}
+
+/**
+ * Classify a chat message with the bundled model
+ * @param {String} message - User message (English, Bengali or Banglish)
+ * @returns {Object} { intent, confidence, intents, scores } - see
+ *   IntentModel.classify()
+ */
+function classifyIntent(message) {
+  return getIntentModel().classify(normalizeMessage(message).text);
+}
+
+/**
+ * Most likely intent of a message
+ * @returns {String} Intent label ("general" if unclear)
+ */
+function detectIntent(message) {
+  return classifyIntent(message).intent;
+}
+
+/**
+ * Whether a message carries an intent (primary or secondary)
+ */
+function hasIntent(classification, ...labels) {
+  return classification.intents.some(({ intent }) => labels.includes(intent));
+}
+
+module.exports = {
+  INTENTS: Object.keys(dataset.labels),
+  FALLBACK_INTENT,
+  IntentModel,
+  toFeatures,
+  trainingExamples,
+  getIntentModel,
+  classifyIntent,
+  detectIntent,
+  hasIntent,
+};
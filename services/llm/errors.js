@@ -0,0 +1,68 @@
+/**
+ * LLM Errors
+ */
+
+/**
+ * A failed provider call
+ * retryable is true for timeouts, rate limits, 5xx and network failures -
+ * the same model may succeed on a second try. Anything else (bad key,
+ * unknown model, blocked prompt) moves straight on to the next model.
+ */
+class LLMError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "LLMError";
+    this.code = details.code || "LLM_ERROR";
+    this.statusCode = details.statusCode || 502;
+    this.provider = details.provider || null;
+    this.model = details.model || null;
+    this.retryable = !!details.retryable;
+    this.cause = details.cause;
+  }
+}
+
+/**
+ * HTTP status of an SDK error, if it carries one
+ * (OpenAI errors have .status; Gemini errors put "[429 Too Many Requests]"
+ * in the message)
+ */
+function statusOf(error) {
+  if (Number.isInteger(error?.status)) return error.status;
+  const match = /\[(\d{3})[ \]]/.exec(error?.message || "");
+  return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Wrap an SDK error as an LLMError, deciding whether to retry
+ */
+function toLLMError(error, { provider, model }) {
+  if (error instanceof LLMError) return error;
+
+  const status = statusOf(error);
+  const text = error?.message || "";
+  const network =
+    status === null &&
+    /fetch failed|connection error|ECONNRESET|ECONNREFUSED|ENOTFOUND|socket hang up/i.test(
+      text
+    );
+  const aborted =
+    error?.name === "AbortError" || /aborted|timed out|ETIMEDOUT/i.test(text);
+
+  let code = "LLM_ERROR";
+  if (aborted) code = "LLM_TIMEOUT";
+  else if (status === 429) code = "LLM_RATE_LIMITED";
+
+  return new LLMError(text || "LLM request failed", {
+    code,
+    provider,
+    model,
+    retryable:
+      aborted || network || status === 429 || (status !== null && status >= 500),
+    cause: error,
+  });
+}
+
+module.exports = {
+  LLMError,
+  toLLMError,
+};
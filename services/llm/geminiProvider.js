@@ -0,0 +1,180 @@
+/**
+ * Gemini Provider
+ * Google Gemini through @google/generative-ai
+ *
+ * Config: GEMINI_API_KEY, GEMINI_MODELS (comma-separated, tried in order)
+ */
+
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+const DEFAULT_MODELS = ["gemini-2.0-flash", "gemini-1.5-flash"];
+
+/**
+ * JSON Schema -> Gemini schema (upper-case type names)
+ */
+function toGeminiSchema(schema) {
+  const converted = { ...schema, type: schema.type.toUpperCase() };
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [
+        key,
+        toGeminiSchema(value),
+      ])
+    );
+  }
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  return converted;
+}
+
+/**
+ * Tool definition -> Gemini function declaration (Gemini rejects an object
+ * schema with no properties, so parameterless tools leave it out)
+ */
+function toFunctionDeclaration(tool) {
+  const declaration = { name: tool.name, description: tool.description };
+  if (Object.keys(tool.parameters?.properties || {}).length > 0) {
+    declaration.parameters = toGeminiSchema(tool.parameters);
+  }
+  return declaration;
+}
+
+class GeminiProvider {
+  constructor(options = {}) {
+    this.name = "gemini";
+    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY || null;
+    this.models = options.models || DEFAULT_MODELS;
+    this.client = this.apiKey ? new GoogleGenerativeAI(this.apiKey) : null;
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  /**
+   * Chat history in Gemini's format (user/model turns)
+   */
+  _history(history = []) {
+    return history.map((turn) => ({
+      role: turn.role === "assistant" ? "model" : "user",
+      parts: [{ text: turn.content }],
+    }));
+  }
+
+  /**
+   * Earlier turns plus what to send now
+   * The system prompt travels with the user's message, as this SDK version
+   * has no separate system instruction. After tool calls, the user's message
+   * and each round of calls/results move into the history and the latest
+   * results are sent.
+   * @returns {Object} { history, send }
+   */
+  _conversation({ systemPrompt, history, message, toolTurns = [] }) {
+    const prompt = `${systemPrompt}\n\nUser: ${message}`;
+    if (toolTurns.length === 0) {
+      return { history: this._history(history), send: prompt };
+    }
+
+    const contents = [
+      ...this._history(history),
+      { role: "user", parts: [{ text: prompt }] },
+    ];
+    for (const turn of toolTurns) {
+      contents.push({
+        role: "model",
+        parts: [
+          ...(turn.text ? [{ text: turn.text }] : []),
+          ...turn.calls.map((call) => ({
+            functionCall: { name: call.name, args: call.args },
+          })),
+        ],
+      });
+      contents.push({
+        role: "function",
+        parts: turn.calls.map((call) => ({
+          functionResponse: { name: call.name, response: call.result },
+        })),
+      });
+    }
+
+    const latest = contents.pop();
+    return { history: contents, send: latest.parts };
+  }
+
+  _startChat(request) {
+    const { model, tools, timeoutMs } = request;
+    const generativeModel = this.client.getGenerativeModel(
+      {
+        model,
+        tools: tools
+          ? [{ functionDeclarations: tools.map(toFunctionDeclaration) }]
+          : undefined,
+      },
+      { timeout: timeoutMs }
+    );
+    const { history, send } = this._conversation(request);
+
+    return { chat: generativeModel.startChat({ history }), send };
+  }
+
+  /**
+   * Text, tool calls and usage of a finished response
+   */
+  _reply(response) {
+    const parts = response.candidates?.[0]?.content?.parts || [];
+    const toolCalls = parts
+      .filter((part) => part.functionCall)
+      .map((part) => ({
+        name: part.functionCall.name,
+        args: part.functionCall.args || {},
+      }));
+    const usageMetadata = response.usageMetadata;
+
+    return {
+      // text() only reads the first part, which is a call when there are any
+      text: toolCalls.length
+        ? parts
+            .filter((part) => part.text)
+            .map((part) => part.text)
+            .join("")
+        : response.text(),
+      toolCalls,
+      usage: {
+        totalTokens: (usageMetadata && usageMetadata.totalTokenCount) || null,
+      },
+    };
+  }
+
+  /**
+   * Generate one reply
+   * @param {Object} request - { model, systemPrompt, history, message,
+   *   tools, toolTurns, timeoutMs }
+   * @returns {Promise<Object>} { text, toolCalls, usage: { totalTokens } }
+   */
+  async generate(request) {
+    const { chat, send } = this._startChat(request);
+
+    const result = await chat.sendMessage(send);
+
+    return this._reply(result.response);
+  }
+
+  /**
+   * Stream one reply
+   * @param {Object} request - As for generate()
+   * @yields {Object} { text } per chunk, then { toolCalls, usage }
+   */
+  async *stream(request) {
+    const { chat, send } = this._startChat(request);
+
+    const result = await chat.sendMessageStream(send);
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield { text };
+    }
+
+    const { toolCalls, usage } = this._reply(await result.response);
+    yield { toolCalls, usage };
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,517 @@
+/**
+ * LLM Client
+ * One entry point for every LLM call, over interchangeable providers
+ *
+ * Every provider implements:
+ *   name, models, isConfigured(),
+ *   generate({ model, systemPrompt, history, message, context, tools,
+ *              toolTurns, toolChoice, responseFormat, timeoutMs })
+ *     -> { text, toolCalls: [{ id, name, args }], usage: { totalTokens } }
+ *   stream({ ...same, signal })
+ *     -> async iterator of { text } chunks, optionally ending with
+ *        { toolCalls, usage }
+ *
+ * history is [{ role: "user" | "assistant", content }], oldest first.
+ * tools are { name, description, parameters (JSON Schema) }; toolTurns are
+ * the rounds of calls already made for this message,
+ * [{ text, calls: [{ id, name, args, result }] }]. responseFormat "json"
+ * asks for a JSON object where the provider supports it (the prompt must
+ * still describe the JSON; see ../structuredResponses).
+ *
+ * The client tries providers in order and, within a provider, its models in
+ * order. A timed-out, rate-limited or 5xx call is retried on the same model
+ * (with backoff) before moving on; other errors move on at once. When every
+ * real provider fails - or none is configured - the mock provider answers,
+ * so chat keeps working without API keys.
+ *
+ * Streaming falls back the same way, but only until the first chunk has been
+ * passed on: after that a failure ends the stream (LLM_STREAM_INTERRUPTED),
+ * since the caller has already shown part of the reply. The timeout applies
+ * to the gap between chunks rather than to the whole reply.
+ *
+ * Tool calling: pass request.tools = { definitions, execute(name, args) }.
+ * When the model asks for tools the client runs them and calls the model
+ * again with the results, up to MAX_TOOL_ROUNDS times. Each round goes
+ * through the full provider fallback, so a provider that fails after tools
+ * ran hands the results (not the calls) to the next one and nothing runs
+ * twice.
+ *
+ * Quotas: request.beforeCall, if given, is awaited before every tool round
+ * after the first; when it returns false no more rounds are made and the
+ * tool results are described instead. Results report calls, the number of
+ * calls a real provider (not the mock) answered.
+ *
+ * Configuration (env):
+ *   LLM_PROVIDERS      - Order to try, default "gemini,openai"
+ *                        (unconfigured providers are skipped)
+ *   LLM_MOCK_FALLBACK  - "disabled" to fail instead of answering from the mock
+ *   LLM_TIMEOUT_MS     - Per-attempt timeout (default 20000)
+ *   LLM_MAX_RETRIES    - Retries per model on retryable errors (default 1)
+ *   LLM_RETRY_DELAY_MS - First backoff delay, doubled per retry (default 500)
+ *   GEMINI_API_KEY, GEMINI_MODELS                   - see ./geminiProvider
+ *   OPENAI_API_KEY, OPENAI_BASE_URL, OPENAI_MODELS  - see ./openaiProvider
+ */
+
+const GeminiProvider = require("./geminiProvider");
+const OpenAICompatibleProvider = require("./openaiProvider");
+const MockProvider = require("./mockProvider");
+const { LLMError, toLLMError } = require("./errors");
+
+const providerClasses = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider,
+};
+
+const DEFAULT_PROVIDERS = "gemini,openai";
+const DEFAULT_TIMEOUT_MS = 20000;
+const DEFAULT_MAX_RETRIES = 1;
+const DEFAULT_RETRY_DELAY_MS = 500;
+const MAX_TOOL_ROUNDS = 3;
+const MAX_TOOL_CALLS_PER_ROUND = 5;
+
+let client = null;
+
+/**
+ * Comma-separated env list (null when unset)
+ */
+function envList(name) {
+  const value = process.env[name];
+  if (!value || !value.trim()) return null;
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function envNumber(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * Text of two rounds of a reply, with a paragraph break between them
+ */
+function joinText(first, second) {
+  if (!first || !second) return first + second;
+  return /\s$/.test(first) ? first + second : `${first}\n\n${second}`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Reject if a call outlives its timeout (providers also pass the timeout to
+ * their SDK so the request itself is aborted)
+ */
+function withTimeout(promise, timeoutMs, details) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () =>
+        reject(
+          new LLMError(`No response within ${timeoutMs}ms`, {
+            ...details,
+            code: "LLM_TIMEOUT",
+            statusCode: 504,
+            retryable: true,
+          })
+        ),
+      timeoutMs
+    );
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Stop a stream whose caller has gone away (e.g. the browser disconnected)
+ */
+function throwIfAborted(signal, details) {
+  if (signal && signal.aborted) {
+    throw new LLMError("The request was cancelled", {
+      ...details,
+      code: "LLM_ABORTED",
+      statusCode: 499,
+    });
+  }
+}
+
+class LLMClient {
+  /**
+   * @param {Object} options - { providers: [provider], mockFallback,
+   *   timeoutMs, maxRetries, retryDelayMs }
+   */
+  constructor(options = {}) {
+    this.providers = (options.providers || []).filter((provider) =>
+      provider.isConfigured()
+    );
+    this.fallback = options.mockFallback === false ? null : new MockProvider();
+    this.timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.retryDelayMs = options.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS;
+  }
+
+  /**
+   * Names of the providers that will be tried, in order
+   */
+  describe() {
+    return {
+      providers: this.providers.map((provider) => ({
+        name: provider.name,
+        models: provider.models,
+      })),
+      mockFallback: !!this.fallback,
+      timeoutMs: this.timeoutMs,
+      maxRetries: this.maxRetries,
+    };
+  }
+
+  /**
+   * Note a failed attempt
+   */
+  _recordFailure(attempts, llmError) {
+    attempts.push({
+      provider: llmError.provider,
+      model: llmError.model,
+      code: llmError.code,
+      error: llmError.message.substring(0, 200),
+    });
+    console.warn(
+      `⚠️ ${llmError.provider}/${llmError.model} failed (${llmError.code}): ${llmError.message.substring(0, 100)}`
+    );
+  }
+
+  /**
+   * Call one model, retrying retryable failures with exponential backoff
+   * @param {Array} attempts - Failed attempts are appended here
+   */
+  async _callModel(provider, model, request, attempts) {
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (attempt > 0) await sleep(this.retryDelayMs * 2 ** (attempt - 1));
+
+      const details = { provider: provider.name, model };
+      try {
+        return await withTimeout(
+          provider.generate({ ...request, model, timeoutMs: this.timeoutMs }),
+          this.timeoutMs,
+          details
+        );
+      } catch (error) {
+        const llmError = toLLMError(error, details);
+        this._recordFailure(attempts, llmError);
+        if (!llmError.retryable) break;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Stream from one model, retrying like _callModel until a chunk has been
+   * passed to onToken
+   * @throws {LLMError} LLM_ABORTED, or LLM_STREAM_INTERRUPTED after the
+   *   first chunk
+   */
+  async _streamModel(provider, model, request, attempts, onToken) {
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (attempt > 0) await sleep(this.retryDelayMs * 2 ** (attempt - 1));
+
+      const details = { provider: provider.name, model };
+      const iterator = provider
+        .stream({ ...request, model, timeoutMs: this.timeoutMs })
+        [Symbol.asyncIterator]();
+      let text = "";
+      let toolCalls = [];
+      let usage = null;
+      let finished = false;
+
+      try {
+        while (!finished) {
+          throwIfAborted(request.signal, details);
+          const next = await withTimeout(
+            iterator.next(),
+            this.timeoutMs,
+            details
+          );
+          finished = next.done;
+          if (finished) break;
+
+          if (next.value.usage) usage = next.value.usage;
+          if (next.value.toolCalls) toolCalls = next.value.toolCalls;
+          if (next.value.text) {
+            text += next.value.text;
+            onToken(next.value.text);
+          }
+        }
+        return { text, toolCalls, usage };
+      } catch (error) {
+        throwIfAborted(request.signal, details);
+        const llmError = toLLMError(error, details);
+        this._recordFailure(attempts, llmError);
+
+        if (text) {
+          throw new LLMError("The reply stream was interrupted", {
+            ...details,
+            code: "LLM_STREAM_INTERRUPTED",
+            cause: llmError,
+          });
+        }
+        if (!llmError.retryable) break;
+      } finally {
+        // Release the provider's connection when we stop early
+        if (!finished && iterator.return) {
+          iterator.return().catch(() => {});
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Try every provider/model in order, then the mock
+   * @param {Function} callModel - (provider, model, attempts) => result | null
+   */
+  async _run(callModel) {
+    const attempts = [];
+
+    for (const provider of this.providers) {
+      for (const model of provider.models) {
+        const result = await callModel(provider, model, attempts);
+        if (result) {
+          return {
+            text: result.text,
+            toolCalls: result.toolCalls || [],
+            provider: provider.name,
+            model,
+            usage: result.usage || { totalTokens: null },
+            usingMock: provider.name === "mock",
+            attempts,
+          };
+        }
+      }
+    }
+
+    if (!this.fallback) {
+      throw new LLMError(
+        this.providers.length === 0
+          ? "No LLM provider is configured"
+          : "Every LLM provider failed",
+        {
+          code:
+            this.providers.length === 0
+              ? "LLM_NOT_CONFIGURED"
+              : "LLM_UNAVAILABLE",
+          statusCode: 503,
+        }
+      );
+    }
+
+    const result = await callModel(
+      this.fallback,
+      this.fallback.models[0],
+      attempts
+    );
+    return {
+      text: result.text,
+      toolCalls: result.toolCalls || [],
+      provider: this.fallback.name,
+      model: this.fallback.models[0],
+      usage: result.usage,
+      usingMock: true,
+      attempts,
+    };
+  }
+
+  /**
+   * Call the model, run any tools it asks for and call it again with the
+   * results, until it answers in text
+   * @param {Function} callRound - (providerRequest, roundIndex) => _run() result
+   * @returns {Promise<Object>} Combined reply (text of every round, summed
+   *   usage, every attempt) with toolCalls: [{ name, arguments, result }]
+   */
+  async _withTools(request, callRound) {
+    const toolset = request.tools || null;
+    const toolTurns = [];
+    const toolCalls = [];
+    const rounds = [];
+
+    for (let round = 0; ; round++) {
+      // Out of quota for another call: describe what the tools did
+      if (round > 0 && request.beforeCall && !(await request.beforeCall())) {
+        break;
+      }
+
+      const lastRound = round === MAX_TOOL_ROUNDS;
+      const reply = await callRound(
+        {
+          ...request,
+          tools: toolset ? toolset.definitions : null,
+          toolTurns: [...toolTurns],
+          toolChoice: toolset && lastRound ? "none" : undefined,
+        },
+        round
+      );
+      rounds.push(reply);
+
+      if (!toolset || lastRound || reply.toolCalls.length === 0) break;
+
+      // Every call needs a result (and an id, for providers that match them)
+      const calls = [];
+      for (const [index, call] of reply.toolCalls.entries()) {
+        const result =
+          index < MAX_TOOL_CALLS_PER_ROUND
+            ? await toolset.execute(call.name, call.args)
+            : { error: "Too many tool calls at once - try again" };
+        calls.push({
+          id: call.id || `call_${round}_${index}`,
+          name: call.name,
+          args: call.args,
+          result,
+        });
+        toolCalls.push({ name: call.name, arguments: call.args, result });
+      }
+      toolTurns.push({ text: reply.text, calls });
+    }
+
+    const final = rounds[rounds.length - 1];
+    const tokens = rounds
+      .map((reply) => reply.usage.totalTokens)
+      .filter((count) => count !== null && count !== undefined);
+    let text = rounds.reduce((all, reply) => joinText(all, reply.text), "");
+
+    // The model stopped without saying anything after using tools
+    if (!text.trim() && toolTurns.length > 0) {
+      text = MockProvider.describeToolTurns(
+        toolTurns,
+        request.message,
+        request.context
+      );
+    }
+
+    return {
+      text,
+      provider: final.provider,
+      model: final.model,
+      usage: {
+        totalTokens: tokens.length
+          ? tokens.reduce((sum, count) => sum + count, 0)
+          : null,
+      },
+      usingMock: rounds.every((reply) => reply.usingMock),
+      calls: rounds.filter((reply) => !reply.usingMock).length,
+      attempts: rounds.flatMap((reply) => reply.attempts),
+      toolCalls,
+    };
+  }
+
+  /**
+   * Generate a reply
+   * @param {Object} request - { systemPrompt, history, message, context,
+   *   tools, beforeCall } (context is only used by the mock provider; tools
+   *   is optional, { definitions, execute(name, args) -> Promise<result> };
+   *   beforeCall is optional, async () => Boolean)
+   * @returns {Promise<Object>} { text, provider, model, usage: { totalTokens },
+   *   usingMock, calls, attempts: [{ provider, model, code, error }],
+   *   toolCalls: [{ name, arguments, result }] }
+   * @throws {LLMError} When every provider fails and the mock fallback is disabled
+   */
+  async generate(request) {
+    return this._withTools(request, (roundRequest) =>
+      this._run((provider, model, attempts) =>
+        provider === this.fallback
+          ? provider.generate(roundRequest)
+          : this._callModel(provider, model, roundRequest, attempts)
+      )
+    );
+  }
+
+  /**
+   * Stream a reply, passing each chunk of text to onToken as it arrives
+   * @param {Object} request - As for generate(), plus an optional AbortSignal
+   *   (signal) that stops the stream
+   * @param {Function} onToken - Called with each chunk of text
+   * @returns {Promise<Object>} The full reply, shaped like generate()'s
+   * @throws {LLMError} As for generate(); also LLM_STREAM_INTERRUPTED when a
+   *   provider fails mid-reply and LLM_ABORTED when the signal fires
+   */
+  async stream(request, onToken) {
+    let streamed = "";
+
+    return this._withTools(request, (roundRequest) => {
+      // Separate text from an earlier round the same way joinText() does
+      let roundStarted = false;
+      const onRoundToken = (text) => {
+        if (!roundStarted && streamed && !/\s$/.test(streamed)) {
+          onToken("\n\n");
+          streamed += "\n\n";
+        }
+        roundStarted = true;
+        streamed += text;
+        onToken(text);
+      };
+
+      return this._run((provider, model, attempts) =>
+        this._streamModel(provider, model, roundRequest, attempts, onRoundToken)
+      );
+    });
+  }
+}
+
+/**
+ * Build a client from environment configuration
+ * @param {Object} overrides - LLMClient options to use instead of env values
+ */
+function createLLMClient(overrides = {}) {
+  const names = envList("LLM_PROVIDERS") || DEFAULT_PROVIDERS.split(",");
+
+  const providers = names.map((name) => {
+    const key = name.toLowerCase();
+    const Provider = providerClasses[key];
+    if (!Provider) {
+      throw new Error(
+        `Unknown LLM provider "${name}". Use any of: ${Object.keys(providerClasses).join(", ")}`
+      );
+    }
+    // GEMINI_MODELS, OPENAI_MODELS
+    return new Provider({
+      models: envList(`${key.toUpperCase()}_MODELS`) || undefined,
+    });
+  });
+
+  return new LLMClient({
+    providers,
+    mockFallback: process.env.LLM_MOCK_FALLBACK !== "disabled",
+    timeoutMs: envNumber("LLM_TIMEOUT_MS", DEFAULT_TIMEOUT_MS),
+    maxRetries: envNumber("LLM_MAX_RETRIES", DEFAULT_MAX_RETRIES),
+    retryDelayMs: envNumber("LLM_RETRY_DELAY_MS", DEFAULT_RETRY_DELAY_MS),
+    ...overrides,
+  });
+}
+
+/**
+ * Shared client (created from env on first use)
+ */
+function getLLMClient() {
+  if (!client) client = createLLMClient();
+  return client;
+}
+
+/**
+ * Replace the shared client (e.g. a mock-only client for tests)
+ */
+function useLLMClient(llmClient) {
+  client = llmClient;
+  return client;
+}
+
+module.exports = {
+  LLMClient,
+  LLMError,
+  createLLMClient,
+  getLLMClient,
+  useLLMClient,
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  MockProvider,
+};
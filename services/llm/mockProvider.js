@@ -0,0 +1,459 @@
+/**
+ * Mock Provider
+ * Canned, context-aware replies with no network access
+ *
+ * Used when no real provider is configured (e.g. GEMINI_API_KEY missing in
+ * development) and as the last fallback when every real provider fails, so
+ * /api/chat always answers. Replies follow the chatbot's format rules: one
+ * language, BDT prices, a blank line between bullets.
+ */
+
+const { classifyIntent, hasIntent } = require("../intentClassifier");
+const { replyLanguage } = require("../banglish");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether to answer in Bengali (the user's language preference, else the
+ * message's language - Banglish included)
+ */
+function repliesInBengali(message, context) {
+  return replyLanguage(message, context?.preferences) === "bengali";
+}
+
+/**
+ * Inventory items expiring within the given number of days, soonest first
+ */
+function expiringItems(context, days) {
+  const now = Date.now();
+  return (context?.inventory || [])
+    .map((item) => ({
+      name: item.name,
+      daysLeft: Math.ceil(
+        (new Date(item.expiryDate || item.expiry) - now) / DAY_MS
+      ),
+    }))
+    .filter((item) => !isNaN(item.daysLeft) && item.daysLeft <= days)
+    .sort((a, b) => a.daysLeft - b.daysLeft);
+}
+
+/**
+ * Canned reply for a message
+ * @param {String} message - User message
+ * @param {Object} context - User context (inventory, statistics)
+ * @returns {String} Bot response
+ */
+function mockLLMResponse(message, context = {}) {
+  const intent = classifyIntent(message);
+  const bengali = repliesInBengali(message, context);
+
+  if (hasIntent(intent, "mealPlanning", "leftoverRecipes")) {
+    const expiring = expiringItems(context, 3);
+    if (expiring.length > 0) {
+      const names = expiring.map((i) => i.name).join(", ");
+      return bengali
+        ? `আপনার ${names} শীঘ্রই নষ্ট হবে। কিছু সহজ রান্না:
+
+• ভাজি বা ভর্তা (খরচ: ৩০ টাকা)
+
+• খিচুড়িতে মিশিয়ে দিন (খরচ: ৫০ টাকা)
+
+পরবর্তী পদক্ষেপ: আজ রাতেই ${expiring[0].name} দিয়ে রান্না করুন।`
+        : `You have ${names} expiring soon. Quick ideas:
+
+• Stir-fry with garlic and onion (30 BDT)
+
+• Add to khichuri or a curry (50 BDT)
+
+Next step: Cook the ${expiring[0].name} tonight!`;
+    }
+    return bengali
+      ? "রান্নায় সাহায্য করতে পারি! আগে যে খাবারের মেয়াদ শেষ হচ্ছে সেগুলো দিয়ে শুরু করুন।\n\nপরবর্তী পদক্ষেপ: আপনার ইনভেন্টরিতে খাবার যোগ করুন।"
+      : "I'd love to help you cook! Start with what expires soonest.\n\nNext step: Add your food to the inventory so I can suggest recipes.";
+  }
+
+  if (hasIntent(intent, "progressTracking")) {
+    const score = context?.statistics?.sdgScore ?? 50;
+    return bengali
+      ? `আপনার SDG স্কোর: ${score}/100
+
+• যে খাবারের মেয়াদ আগে শেষ হবে, সেটি আগে খান
+
+পরবর্তী পদক্ষেপ: প্রতিদিন খাবার লগ করুন।`
+      : `Your SDG score: ${score}/100
+
+• Use the items that expire soonest first
+
+Next step: Log what you eat and waste each day.`;
+  }
+
+  if (hasIntent(intent, "expiryAlert")) {
+    const expiring = expiringItems(context, 2);
+    if (expiring.length > 0) {
+      const names = expiring.map((i) => i.name).join(", ");
+      return bengali
+        ? `সতর্কতা! আপনার ${names} শীঘ্রই নষ্ট হবে।\n\nপরবর্তী পদক্ষেপ: আজ বা কাল ব্যবহার করুন।`
+        : `Heads up! Your ${names} will expire soon.\n\nNext step: Use them today or tomorrow.`;
+    }
+    return bengali
+      ? "দুই দিনের মধ্যে কোনো খাবারের মেয়াদ শেষ হচ্ছে না। 🎉"
+      : "Your fridge looks good - nothing expires within 2 days! 🎉";
+  }
+
+  if (hasIntent(intent, "foodLogging")) {
+    return "Got it! Keep tracking - every log helps me give better suggestions. 📝";
+  }
+
+  return bengali
+    ? `আমি খাবার অপচয় কমাতে ও টাকা বাঁচাতে সাহায্য করি।
+
+• "কী রান্না করব?" - মেয়াদ শেষ হওয়া খাবার দিয়ে রেসিপি
+
+• "আমার স্কোর কত?" - আপনার SDG স্কোর
+
+পরবর্তী পদক্ষেপ: একটি প্রশ্ন করুন!`
+    : `I'm here to help you reduce food waste and save money.
+
+• "What should I cook?" - Recipes for what's expiring
+
+• "How am I doing?" - Your SDG score
+
+Next step: Ask me anything!`;
+}
+
+const UNIT_WORDS = {
+  kg: "kg",
+  kgs: "kg",
+  g: "g",
+  gm: "g",
+  gram: "g",
+  grams: "g",
+  l: "litre",
+  litre: "litre",
+  litres: "litre",
+  liter: "litre",
+  liters: "litre",
+  pcs: "pcs",
+  pieces: "pcs",
+  dozen: "dozen",
+  কেজি: "kg",
+  গ্রাম: "g",
+  লিটার: "litre",
+  টি: "pcs",
+  টা: "pcs",
+  ডজন: "dozen",
+};
+
+// "2 kg potatoes", "3 eggs" (the food name stops at "for 60 taka" etc.)
+const EN_QUANTITY =
+  "(\\d+(?:\\.\\d+)?)\\s*(kgs?|gm|grams?|g|litres?|liters?|l|pcs|pieces|dozen)?" +
+  "\\s+(?:of\\s+)?([a-z][a-z ]*?)" +
+  "(?=\\s+(?:for|at|and|from|today|yesterday)\\b|\\s*[.,!?\\d]|\\s*$)";
+// "২ কেজি আলু"
+const BN_QUANTITY =
+  "([\\d০-৯]+(?:\\.[\\d০-৯]+)?)\\s*(কেজি|গ্রাম|লিটার|ডজন|টি|টা)?\\s+(\\S+)";
+const PRICE = /(\d+|[০-৯]+)\s*(?:bdt|tk|taka|৳|টাকা)/i;
+
+const LOG_VERBS = [
+  [/^(?:ate|eaten|had|consumed)$/i, "CONSUMED"],
+  [/^(?:wasted|threw away|thrown away|binned)$/i, "WASTED"],
+  [/^(?:donated|gave away|shared)$/i, "DONATED"],
+];
+const BN_LOG_VERBS = {
+  খেয়েছি: "CONSUMED",
+  "ফেলে দিয়েছি": "WASTED",
+  "নষ্ট হয়েছে": "WASTED",
+  "দান করেছি": "DONATED",
+};
+
+/**
+ * Bengali digits -> number
+ */
+function toNumber(text) {
+  return parseFloat(
+    text.replace(/[০-৯]/g, (digit) => String(digit.charCodeAt(0) - 0x09e6))
+  );
+}
+
+/**
+ * Keyword tool calls, so tools can be exercised without an API key
+ * @param {String} message - User message
+ * @param {String[]} available - Names of the tools on offer
+ * @returns {Object[]} [{ name, args }]
+ */
+function mockToolCalls(message, available) {
+  const calls = [];
+  const price = PRICE.exec(message);
+  const offer = (name, args) => {
+    if (available.includes(name)) calls.push({ name, args });
+  };
+
+  let match = new RegExp(
+    `\\b(?:bought|buy|got|purchased)\\s+${EN_QUANTITY}`,
+    "i"
+  ).exec(message);
+  if (match) {
+    offer("add_inventory_item", {
+      name: match[3].trim(),
+      quantity: parseFloat(match[1]),
+      unit: match[2] ? UNIT_WORDS[match[2].toLowerCase()] : "pcs",
+      price: price ? toNumber(price[1]) : undefined,
+    });
+  }
+  match = new RegExp(`${BN_QUANTITY}\\s+(?:\\S+\\s+){0,2}কিনেছি`).exec(message);
+  if (match) {
+    offer("add_inventory_item", {
+      name: match[3],
+      quantity: toNumber(match[1]),
+      unit: UNIT_WORDS[match[2]] || "pcs",
+      price: price ? toNumber(price[1]) : undefined,
+    });
+  }
+
+  match = new RegExp(
+    `\\b(ate|eaten|had|consumed|wasted|threw away|thrown away|binned|donated|gave away|shared)\\s+${EN_QUANTITY}`,
+    "i"
+  ).exec(message);
+  if (match) {
+    offer("log_food", {
+      foodName: match[4].trim(),
+      actionType: LOG_VERBS.find(([verb]) => verb.test(match[1]))[1],
+      quantity: parseFloat(match[2]),
+      unit: match[3] ? UNIT_WORDS[match[3].toLowerCase()] : "pcs",
+    });
+  }
+  match = new RegExp(
+    `${BN_QUANTITY}\\s+(${Object.keys(BN_LOG_VERBS).join("|")})`
+  ).exec(message);
+  if (match) {
+    offer("log_food", {
+      foodName: match[3],
+      actionType: BN_LOG_VERBS[match[4]],
+      quantity: toNumber(match[1]),
+      unit: UNIT_WORDS[match[2]] || "pcs",
+    });
+  }
+
+  if (
+    /plan my week|weekly (?:meal )?plan|meal plan|সাপ্তাহিক|পরিকল্পনা/i.test(
+      message
+    )
+  ) {
+    offer("generate_meal_plan", {
+      weekly: /week|সাপ্তাহিক/i.test(message),
+    });
+  }
+
+  match = /\brecipes?\s+(?:with|using|for)\s+([a-z]+)/i.exec(message);
+  if (match) {
+    offer("get_recipes_by_ingredient", { ingredient: match[1] });
+  }
+
+  if (calls.length === 0 && /\b(?:sdg|score)\b|স্কোর/i.test(message)) {
+    offer("get_sdg_profile", {});
+  }
+
+  return calls;
+}
+
+const BN_ACTIONS = { CONSUMED: "খাওয়া", WASTED: "নষ্ট", DONATED: "দান" };
+
+/**
+ * One line describing a tool result
+ */
+function describeToolCall(call, bengali) {
+  const result = call.result || {};
+  if (result.error) {
+    return bengali
+      ? `${call.name} করা যায়নি: ${result.error}`
+      : `Couldn't run ${call.name}: ${result.error}`;
+  }
+
+  switch (call.name) {
+    case "add_inventory_item": {
+      const { name, quantity, unit, expiryDate } = result.added;
+      return bengali
+        ? `${quantity} ${unit} ${name} ইনভেন্টরিতে যোগ হয়েছে (মেয়াদ: ${expiryDate})`
+        : `Added ${quantity} ${unit} ${name} to your inventory (use by ${expiryDate})`;
+    }
+    case "update_inventory_item": {
+      const { name, quantity, unit } = result.updated;
+      return bengali
+        ? `${name} হালনাগাদ হয়েছে: এখন ${quantity} ${unit}`
+        : `Updated ${name}: now ${quantity} ${unit}`;
+    }
+    case "log_food": {
+      const { foodName, actionType, quantity, unit } = result.logged;
+      return bengali
+        ? `লগ হয়েছে: ${quantity} ${unit} ${foodName} (${BN_ACTIONS[actionType]})`
+        : `Logged ${quantity} ${unit} ${foodName} as ${actionType.toLowerCase()}`;
+    }
+    case "generate_meal_plan": {
+      const meals = result.weeklyPlan
+        ? result.weeklyPlan.map((day) => `${day.day}: ${day.meal}`)
+        : (result.mealPlan || []).map((meal) => meal.recipe);
+      if (meals.length === 0) {
+        return bengali
+          ? "এই মুহূর্তে মিলে যাওয়া রেসিপি পাওয়া যায়নি"
+          : "No matching recipes for your inventory yet";
+      }
+      return (bengali ? "খাবারের পরিকল্পনা: " : "Meal plan: ") +
+        meals.slice(0, 3).join(", ");
+    }
+    case "get_recipes_by_ingredient": {
+      const names = result.recipes.slice(0, 3).map((recipe) => recipe.name);
+      return bengali
+        ? `${result.ingredient} দিয়ে ${result.count}টি রেসিপি: ${names.join(", ")}`
+        : `${result.count} recipes with ${result.ingredient}: ${names.join(", ")}`;
+    }
+    case "get_sdg_profile":
+      return result.hasData
+        ? bengali
+          ? `আপনার SDG স্কোর: ${result.personalSDGScore}/100`
+          : `Your SDG score: ${result.personalSDGScore}/100`
+        : bengali
+          ? "এখনো কোনো খাবার লগ করা হয়নি"
+          : "Nothing logged yet, so there's no SDG score";
+    default:
+      return call.name;
+  }
+}
+
+/**
+ * Reply summing up the tools run for this message
+ */
+function describeToolTurns(toolTurns, message, context) {
+  const bengali = repliesInBengali(message, context);
+  const lines = toolTurns
+    .flatMap((turn) => turn.calls)
+    .map((call) => `• ${describeToolCall(call, bengali)}`);
+
+  return `${lines.join("\n\n")}\n\n${
+    bengali
+      ? "পরবর্তী পদক্ষেপ: আর কিছু লাগলে জিজ্ঞেস করুন।"
+      : "Next step: Ask me if you need anything else."
+  }`;
+}
+
+const MOCK_MEAL_COST_BDT = 50;
+
+/**
+ * Cards for structured mode (see ../structuredResponses): a recipe card for
+ * cooking questions when something is about to expire, and a meal plan card
+ * after the meal planner tool ran
+ */
+function mockCards(message, context, toolTurns) {
+  const bengali = repliesInBengali(message, context);
+  const plan = toolTurns
+    .flatMap((turn) => turn.calls)
+    .find((call) => call.name === "generate_meal_plan" && !call.result.error);
+
+  if (plan) {
+    const days = plan.result.weeklyPlan
+      ? plan.result.weeklyPlan.map((day) => ({ day: day.day, meal: day.meal }))
+      : (plan.result.mealPlan || []).map((meal, index) => ({
+          day: bengali ? `দিন ${index + 1}` : `Day ${index + 1}`,
+          meal: meal.recipe,
+        }));
+    if (days.length === 0) return [];
+
+    return [
+      {
+        type: "mealPlan",
+        title: bengali ? "খাবারের পরিকল্পনা" : "Meal plan",
+        days: days.map(({ day, meal }) => ({
+          day,
+          meals: [{ name: meal, costBDT: MOCK_MEAL_COST_BDT }],
+        })),
+        totalCostBDT: days.length * MOCK_MEAL_COST_BDT,
+      },
+    ];
+  }
+
+  const expiring = expiringItems(context, 3);
+  const cooking = hasIntent(
+    classifyIntent(message),
+    "mealPlanning",
+    "leftoverRecipes"
+  );
+  if (!cooking || expiring.length === 0) return [];
+
+  const { name } = expiring[0];
+  return [
+    {
+      type: "recipe",
+      title: bengali ? `${name} ভাজি` : `${name} stir-fry`,
+      servings: 2,
+      timeMinutes: 15,
+      ingredients: [
+        { name, quantity: bengali ? "যা আছে" : "what you have", costBDT: 0 },
+        { name: bengali ? "রসুন ও পেঁয়াজ" : "Garlic and onion", costBDT: 20 },
+        { name: bengali ? "তেল" : "Oil", costBDT: 10 },
+      ],
+      steps: bengali
+        ? ["কেটে নিন", "রসুন-পেঁয়াজ দিয়ে ১০ মিনিট ভাজুন"]
+        : ["Chop it", "Stir-fry with garlic and onion for 10 minutes"],
+      totalCostBDT: 30,
+      usesExpiring: [name],
+    },
+  ];
+}
+
+class MockProvider {
+  constructor(options = {}) {
+    this.name = "mock";
+    this.models = options.models || ["mock"];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Canned reply, keyword tool calls, or a summary once tools have run
+   * @param {Object} request - { message, context, tools, toolTurns }
+   */
+  _reply({ message, context, tools, toolTurns = [], responseFormat }) {
+    const toolCalls =
+      tools && toolTurns.length === 0
+        ? mockToolCalls(message, tools.map((tool) => tool.name))
+        : [];
+    if (toolCalls.length > 0) return { text: "", toolCalls };
+
+    const text =
+      toolTurns.length > 0
+        ? describeToolTurns(toolTurns, message, context)
+        : mockLLMResponse(message, context);
+    if (responseFormat !== "json") return { text, toolCalls };
+
+    const cards = mockCards(message, context, toolTurns);
+    return { text: JSON.stringify({ text, cards }), toolCalls };
+  }
+
+  /**
+   * @param {Object} request - { message, context, tools, toolTurns,
+   *   responseFormat }
+   * @returns {Promise<Object>} { text, toolCalls, usage: { totalTokens: 0 } }
+   */
+  async generate(request) {
+    return { ...this._reply(request), usage: { totalTokens: 0 } };
+  }
+
+  /**
+   * Stream the reply a word at a time
+   * @param {Object} request - As for generate()
+   * @yields {Object} { text } per word, then { toolCalls, usage }
+   */
+  async *stream(request) {
+    const { text, toolCalls } = this._reply(request);
+    for (const word of text.match(/\S+\s*|\s+/g) || []) {
+      yield { text: word };
+    }
+    yield { toolCalls, usage: { totalTokens: 0 } };
+  }
+}
+
+MockProvider.mockLLMResponse = mockLLMResponse;
+MockProvider.describeToolTurns = describeToolTurns;
+
+module.exports = MockProvider;
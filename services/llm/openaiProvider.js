@@ -0,0 +1,160 @@
+/**
+ * OpenAI-Compatible Provider
+ * Any chat-completions API: OpenAI itself, or a compatible server
+ * (Groq, OpenRouter, Ollama, vLLM...) via OPENAI_BASE_URL
+ *
+ * Config: OPENAI_API_KEY, OPENAI_BASE_URL (optional),
+ *         OPENAI_MODELS (comma-separated, tried in order)
+ */
+
+const OpenAI = require("openai");
+
+const DEFAULT_MODELS = ["gpt-4o-mini"];
+
+/**
+ * Tool-call arguments arrive as a JSON string; a malformed one becomes {}
+ * (the tool then reports what's missing)
+ */
+function parseArguments(json) {
+  try {
+    const args = JSON.parse(json || "{}");
+    return args && typeof args === "object" ? args : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = "openai";
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY || null;
+    this.baseURL = options.baseURL || process.env.OPENAI_BASE_URL || undefined;
+    this.models = options.models || DEFAULT_MODELS;
+    this.client = this.apiKey
+      ? new OpenAI({
+          apiKey: this.apiKey,
+          baseURL: this.baseURL,
+          maxRetries: 0, // retries are handled by the LLM client
+        })
+      : null;
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  /**
+   * Generate one reply
+   * @param {Object} request - { model, systemPrompt, history, message,
+   *   tools, toolTurns, toolChoice, responseFormat, timeoutMs }
+   * @returns {Promise<Object>} { text, toolCalls, usage: { totalTokens } }
+   */
+  async generate(request) {
+    const completion = await this.client.chat.completions.create(
+      this._body(request),
+      { timeout: request.timeoutMs }
+    );
+    const reply = completion.choices[0]?.message || {};
+
+    return {
+      text: reply.content || "",
+      toolCalls: (reply.tool_calls || []).map((call) => ({
+        id: call.id,
+        name: call.function.name,
+        args: parseArguments(call.function.arguments),
+      })),
+      usage: {
+        totalTokens: completion.usage ? completion.usage.total_tokens : null,
+      },
+    };
+  }
+
+  /**
+   * Stream one reply
+   * @param {Object} request - As for generate(), plus signal
+   * @yields {Object} { text } per chunk, then { toolCalls, usage }
+   */
+  async *stream(request) {
+    const stream = await this.client.chat.completions.create(
+      {
+        ...this._body(request),
+        stream: true,
+        stream_options: { include_usage: true },
+      },
+      { timeout: request.timeoutMs, signal: request.signal }
+    );
+
+    let totalTokens = null;
+    const calls = []; // Tool calls arrive in pieces, keyed by index
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta || {};
+      if (delta.content) yield { text: delta.content };
+
+      for (const piece of delta.tool_calls || []) {
+        const call = (calls[piece.index] ||= { id: null, name: "", args: "" });
+        if (piece.id) call.id = piece.id;
+        if (piece.function?.name) call.name += piece.function.name;
+        if (piece.function?.arguments) call.args += piece.function.arguments;
+      }
+      if (chunk.usage) totalTokens = chunk.usage.total_tokens;
+    }
+
+    yield {
+      toolCalls: calls.filter(Boolean).map((call) => ({
+        ...call,
+        args: parseArguments(call.args),
+      })),
+      usage: { totalTokens },
+    };
+  }
+
+  /**
+   * Chat-completions request body
+   */
+  _body({
+    model,
+    systemPrompt,
+    history = [],
+    message,
+    tools,
+    toolTurns = [],
+    toolChoice,
+    responseFormat,
+  }) {
+    const messages = [
+      { role: "system", content: systemPrompt },
+      ...history.map((turn) => ({ role: turn.role, content: turn.content })),
+      { role: "user", content: message },
+    ];
+    for (const turn of toolTurns) {
+      messages.push({
+        role: "assistant",
+        content: turn.text || null,
+        tool_calls: turn.calls.map((call) => ({
+          id: call.id,
+          type: "function",
+          function: { name: call.name, arguments: JSON.stringify(call.args) },
+        })),
+      });
+      for (const call of turn.calls) {
+        messages.push({
+          role: "tool",
+          tool_call_id: call.id,
+          content: JSON.stringify(call.result),
+        });
+      }
+    }
+
+    const body = { model, messages };
+    if (responseFormat === "json") {
+      body.response_format = { type: "json_object" };
+    }
+    if (tools) {
+      body.tools = tools.map((tool) => ({ type: "function", function: tool }));
+      if (toolChoice) body.tool_choice = toolChoice;
+    }
+    return body;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -4,6 +4,9 @@
  * Requirement 2: Meal Optimization
  */
 
+const { checkIngredients } = require("./dietaryProfiles");
+const { toIngredientName } = require("./banglish");
+
 /**
  * STEP 1: Recipe Database (Mock - can integrate with real API later)
  * Maps ingredients to potential recipes
@@ -99,10 +102,11 @@ const recipeDatabase = {
 /**
  * STEP 2: Score Recipes by Inventory Match
  * Higher score = more ingredients available
+ * Inventory names in Banglish or Bengali count too ("alu" for potato).
  */
 function scoreRecipeMatch(recipe, userInventory) {
   const inventoryNames = userInventory.map((item) =>
-    item.name.toLowerCase()
+    toIngredientName(item.name).toLowerCase()
   );
 
   const matchedIngredients = recipe.ingredients.filter((ing) =>
@@ -126,8 +130,11 @@ function scoreRecipeMatch(recipe, userInventory) {
 /**
  * STEP 3: Generate Meal Plan
  * Creates a prioritized meal plan based on expiring items
+ * @param {Object} restrictions - Combined household restrictions (see
+ *   dietaryProfiles.combineRestrictions); recipes with an avoided ingredient
+ *   are left out and limited ones are flagged
  */
-function generateMealPlan(userInventory, preferences = []) {
+function generateMealPlan(userInventory, preferences = [], restrictions = null) {
   // Step 1: Prioritize items by expiration
   const sortedByExpiry = [...userInventory].sort(
     (a, b) => new Date(a.expiry) - new Date(b.expiry)
@@ -137,7 +144,8 @@ function generateMealPlan(userInventory, preferences = []) {
   const recommendedMeals = [];
 
   for (const item of sortedByExpiry) {
-    const itemRecipes = recipeDatabase[item.name.toLowerCase()] || [];
+    const itemRecipes =
+      recipeDatabase[toIngredientName(item.name).toLowerCase()] || [];
 
     for (const recipe of itemRecipes) {
       const scoredRecipe = scoreRecipeMatch(recipe, userInventory);
@@ -180,10 +188,26 @@ function generateMealPlan(userInventory, preferences = []) {
     return true;
   });
 
+  // Step 5: Apply household dietary restrictions (allergies, conditions)
+  let excludedForRestrictions = 0;
+  const safeMeals = [];
+  for (const meal of filteredMeals) {
+    const check = checkIngredients(meal.ingredients, restrictions);
+    if (!check.allowed) {
+      excludedForRestrictions++;
+      continue;
+    }
+    safeMeals.push(
+      check.cautions.length > 0 ? { ...meal, cautions: check.cautions } : meal
+    );
+  }
+
   return {
-    totalRecommendations: filteredMeals.length,
-    mealPlan: filteredMeals.slice(0, 5), // Top 5 recommendations
-    summary: `Found ${filteredMeals.length} recipes to use your expiring items`,
+    totalRecommendations: safeMeals.length,
+    mealPlan: safeMeals.slice(0, 5), // Top 5 recommendations
+    summary: `Found ${safeMeals.length} recipes to use your expiring items`,
+    excludedForRestrictions,
+    nutritionNotes: restrictions ? restrictions.nutritionNeeds : [],
   };
 }
 
@@ -203,8 +227,8 @@ function calculateUrgency(daysLeft) {
  * STEP 5: Generate Weekly Meal Plan
  * Creates a 7-day plan with shopping list
  */
-function generateWeeklyMealPlan(userInventory, mealCount = 7) {
-  const mealPlan = generateMealPlan(userInventory);
+function generateWeeklyMealPlan(userInventory, mealCount = 7, restrictions = null) {
+  const mealPlan = generateMealPlan(userInventory, [], restrictions);
   const selectedMeals = mealPlan.mealPlan.slice(0, mealCount);
 
   // Generate shopping list for missing ingredients
@@ -229,12 +253,15 @@ function generateWeeklyMealPlan(userInventory, mealCount = 7) {
       time: meal.time,
       difficulty: meal.difficulty,
       focusItem: meal.focusItem,
+      cautions: meal.cautions || [],
     })),
     shoppingList: Object.entries(shoppingList).map(([item, count]) => ({
       item,
       quantity: count,
     })),
     totalMeals: selectedMeals.length,
+    excludedForRestrictions: mealPlan.excludedForRestrictions,
+    nutritionNotes: mealPlan.nutritionNotes,
   };
 }
 
@@ -263,16 +290,18 @@ function getRecipeDetails(mealName) {
 
 /**
  * STEP 7: Get Recipes by Ingredient
- * Find all recipes that use a specific ingredient
+ * Find all recipes that use a specific ingredient (English, Banglish or
+ * Bengali name)
  */
 function getRecipesByIngredient(ingredient) {
   const recipes = [];
+  const name = toIngredientName(ingredient).toLowerCase();
 
   for (const [, categoryRecipes] of Object.entries(recipeDatabase)) {
     categoryRecipes.forEach((recipe) => {
       if (
         recipe.ingredients.some((ing) =>
-          ing.toLowerCase().includes(ingredient.toLowerCase())
+          ing.toLowerCase().includes(name)
         )
       ) {
         recipes.push(recipe);
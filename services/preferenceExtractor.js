@@ -0,0 +1,253 @@
+/**
+ * Preference Extractor
+ * Spots profile facts in chat messages (Bengali, English and Banglish)
+ *
+ * After each chat turn the user's message is checked for things that belong
+ * in their preferences: a new allergy, a diet, the household size or a budget
+ * change. Matches become suggestions the user accepts or rejects (see
+ * UserManager.addPreferenceSuggestions) - nothing changes on its own.
+ *
+ * A suggestion is { field, operation, value, evidence }:
+ *   allergies / dietaryPreferences - operation "add", one value
+ *   familySize / budget            - operation "set"
+ */
+
+const {
+  ALLERGEN_KEYWORDS,
+  ALLERGEN_ALIASES,
+  PREFERENCE_RULES,
+} = require("./dietaryProfiles");
+
+const MAX_FAMILY_SIZE = 20;
+const MAX_EVIDENCE_LENGTH = 160;
+
+const BENGALI_DIGITS = "০১২৩৪৫৬৭৮৯";
+
+/**
+ * Pattern with its Bengali text in NFC, the form messages are compared in
+ * (characters like "য়" and "ড়" have two encodings)
+ */
+function nfc(pattern) {
+  return new RegExp(pattern.source.normalize("NFC"), pattern.flags);
+}
+
+function nfcPatterns(groups) {
+  return Object.fromEntries(
+    Object.entries(groups).map(([key, patterns]) => [key, patterns.map(nfc)])
+  );
+}
+
+// Number words from one up, in English, Bengali and Banglish
+const NUMBER_WORDS = Object.fromEntries(
+  [
+    "one two three four five six seven eight nine ten eleven twelve",
+    "এক দুই তিন চার পাঁচ ছয় সাত আট নয় দশ",
+    "ek dui tin char pach choy",
+  ].flatMap((words) =>
+    words.split(" ").map((word, index) => [word.normalize("NFC"), index + 1])
+  )
+);
+
+// "badam" on its own means peanuts in Bangladesh
+const EXTRA_ALLERGEN_TERMS = { badam: "peanut", বাদাম: "peanut" };
+
+// Every word that names an allergen, longest first so "chinabadam" beats "badam"
+const ALLERGEN_TERMS = [
+  ...Object.keys(ALLERGEN_KEYWORDS).map((allergen) => [
+    allergen.replace("_", " "),
+    allergen,
+  ]),
+  ...Object.entries(ALLERGEN_ALIASES),
+  ...Object.entries(ALLERGEN_KEYWORDS).flatMap(([allergen, keywords]) =>
+    keywords.map((keyword) => [keyword, allergen])
+  ),
+  ...Object.entries(EXTRA_ALLERGEN_TERMS),
+]
+  .map(([term, allergen]) => [term.normalize("NFC"), allergen])
+  .sort((a, b) => b[0].length - a[0].length);
+
+const ALLERGY_PATTERN = nfc(
+  /\ballerg(?:y|ies|ic)\b|এলার্জি|অ্যালার্জি|এলার্জী|অ্যালার্জী/i
+);
+const NO_ALLERGY_PATTERN = nfc(
+  /\b(?:not|no|never been|isn'?t|aren'?t)\s+(?:\w+\s+)?allerg|এলার্জি নেই|অ্যালার্জি নেই|এলার্জি নাই/i
+);
+
+const DIET_PATTERNS = nfcPatterns({
+  vegetarian: [
+    /\b(?:i|we|i'm|we're|i am|we are)\b[^.!?]*\bvegetarian/i,
+    /\b(?:i|we)\s+(?:don'?t|do not|never)\s+eat\s+(?:any\s+)?(?:meat|fish or meat|meat or fish)\b/i,
+    /নিরামিষ(?:ভোজী|ভোজি)|(?:আমি|আমরা)\s*(?:\S+\s+){0,2}?নিরামিষ\s*খাই|মাছ[-\s]?মাংস\s*খাই\s*না/,
+  ],
+  vegan: [/\b(?:i|we|i'm|we're|i am|we are)\b[^.!?]*\bvegan\b/i],
+  "gluten-free": [
+    /\b(?:i|we)\b[^.!?]*\bgluten[-\s]free\b/i,
+    /\b(?:i|we)\s+(?:can'?t|cannot|don'?t)\s+eat\s+gluten\b/i,
+  ],
+  halal: [
+    /\b(?:i|we)\s+(?:only\s+)?eat\s+(?:only\s+)?halal\b/i,
+    /(?:আমরা|আমি)\s*(?:\S+\s+){0,2}?হালাল\s*(?:খাবার\s*)?খাই/,
+  ],
+});
+
+const FAMILY_PATTERNS = [
+  /\bfamily of (\w+)\b/i,
+  /\b(?:we are|we're|there are)\s+(\w+)\s+(?:of us|people|members|in (?:my|our|the) (?:family|household|house|home))\b/i,
+  /\b(\w+)\s+(?:people|members)\s+in\s+(?:my|our)\s+(?:family|household|house|home)\b/i,
+  /\bcook(?:ing)?\s+for\s+(\w+)\s+(?:people|persons|of us)\b/i,
+  /(?:আমরা|পরিবারে|সংসারে|বাসায়|বাড়িতে)\s*(?:\S+\s+){0,2}?([০-৯\d]+|\S+)\s*জন/,
+  /\b(?:amra|poribare|basay)\s+(\w+)\s*jon\b/i,
+].map(nfc);
+
+const BUDGET_PATTERNS = nfcPatterns({
+  low: [
+    /\b(?:tight|low|limited|small|strict|very little)\s+budget\b/i,
+    /\bbudget\s+(?:is\s+)?(?:very\s+|really\s+|quite\s+)?(?:tight|low|limited|small)\b/i,
+    /\bmoney is (?:very\s+)?tight\b|\b(?:lost my job|can'?t afford much)\b/i,
+    /(?:আমাদের|আমার)\s*(?:\S+\s+){0,2}?(?:বাজেট|টাকা)\s*(?:খুব\s*)?(?:কম|সীমিত)|টানাটানি/,
+  ],
+  moderate: [
+    /\b(?:moderate|medium|average|normal)\s+budget\b/i,
+    /\bbudget\s+(?:is\s+)?(?:moderate|medium|average|normal)\b/i,
+    /মাঝারি\s*বাজেট|বাজেট\s*মাঝারি/,
+  ],
+  high: [
+    /\b(?:big|high|large|generous|good)\s+budget\b/i,
+    /\b(?:budget|money)\s+(?:is\s*n[o']t|is not)\s+(?:a|an)\s+(?:problem|issue)\b/i,
+    /(?:আমাদের|আমার)\s*(?:\S+\s+){0,2}?বাজেট\s*(?:অনেক\s*)?বেশি|টাকার\s*(?:কোনো\s*)?সমস্যা\s*(?:নেই|নাই)/,
+  ],
+});
+
+/**
+ * Sentences of a message (questions are dropped - "what can a family of 4
+ * cook?" is not a statement about the user)
+ */
+function statements(message) {
+  return String(message || "")
+    .normalize("NFC")
+    .split(/(?<=[.!?।\n])\s*/)
+    .map((sentence) => sentence.trim())
+    .filter((sentence) => sentence && !sentence.endsWith("?"));
+}
+
+function evidenceOf(sentence) {
+  return sentence.length > MAX_EVIDENCE_LENGTH
+    ? `${sentence.slice(0, MAX_EVIDENCE_LENGTH - 3)}...`
+    : sentence;
+}
+
+function toCount(word) {
+  const digits = String(word).replace(/[০-৯]/g, (digit) =>
+    String(BENGALI_DIGITS.indexOf(digit))
+  );
+  const count = /^\d+$/.test(digits)
+    ? parseInt(digits)
+    : NUMBER_WORDS[digits.normalize("NFC").toLowerCase()];
+  return count >= 1 && count <= MAX_FAMILY_SIZE ? count : null;
+}
+
+/**
+ * Whether a term appears as a word (Latin) or a word start (Bengali,
+ * where case endings attach: "বাদামে")
+ */
+function mentions(text, term) {
+  if (/^[a-z ]+$/.test(term)) {
+    return new RegExp(`\\b${term}s?\\b`, "i").test(text);
+  }
+  return text.includes(term);
+}
+
+function allergensIn(sentence) {
+  if (!ALLERGY_PATTERN.test(sentence) || NO_ALLERGY_PATTERN.test(sentence)) {
+    return [];
+  }
+
+  let text = sentence.toLowerCase();
+  const found = [];
+  for (const [term, allergen] of ALLERGEN_TERMS) {
+    if (mentions(text, term)) {
+      if (!found.includes(allergen)) found.push(allergen);
+      // So "chinabadam" doesn't also count as "badam"
+      text = text.split(term).join(" ");
+    }
+  }
+  return found;
+}
+
+/**
+ * Candidate preference changes in a message
+ * Facts the preferences already hold are left out.
+ * @param {String} message - The user's chat message
+ * @param {Object} preferences - Current user preferences
+ * @returns {Array} [{ field, operation, value, evidence }]
+ */
+function extractPreferenceSuggestions(message, preferences = {}) {
+  const suggestions = [];
+  const suggest = (field, operation, value, sentence) => {
+    const exists = suggestions.some(
+      (s) => s.field === field && s.value === value
+    );
+    if (!exists) {
+      suggestions.push({
+        field,
+        operation,
+        value,
+        evidence: evidenceOf(sentence),
+      });
+    }
+  };
+
+  const allergies = (preferences.allergies || []).map((allergy) => {
+    const lower = String(allergy).toLowerCase();
+    return ALLERGEN_ALIASES[lower] || lower.replace(/\s+/g, "_");
+  });
+  const diets = preferences.dietaryPreferences || [];
+
+  for (const sentence of statements(message)) {
+    for (const allergen of allergensIn(sentence)) {
+      if (!allergies.includes(allergen)) {
+        suggest("allergies", "add", allergen, sentence);
+      }
+    }
+
+    for (const [diet, patterns] of Object.entries(DIET_PATTERNS)) {
+      if (
+        PREFERENCE_RULES[diet] &&
+        !diets.includes(diet) &&
+        patterns.some((pattern) => pattern.test(sentence))
+      ) {
+        suggest("dietaryPreferences", "add", diet, sentence);
+      }
+    }
+
+    for (const pattern of FAMILY_PATTERNS) {
+      const match = pattern.exec(sentence);
+      const count = match && toCount(match[1]);
+      if (count && count !== preferences.familySize) {
+        suggest("familySize", "set", count, sentence);
+        break;
+      }
+    }
+
+    for (const [budget, patterns] of Object.entries(BUDGET_PATTERNS)) {
+      if (
+        budget !== preferences.budget &&
+        patterns.some((pattern) => pattern.test(sentence))
+      ) {
+        suggest("budget", "set", budget, sentence);
+        break;
+      }
+    }
+  }
+
+  // One value per "set" field - the last one mentioned wins
+  return suggestions.filter(
+    (s, index) =>
+      s.operation === "add" ||
+      !suggestions.slice(index + 1).some((later) => later.field === s.field)
+  );
+}
+
+module.exports = {
+  extractPreferenceSuggestions,
+};
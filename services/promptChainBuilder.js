@@ -4,25 +4,50 @@
  */
 
 const bangladeshFoodDatabase = require("./bangladeshFoodDatabase");
+const { hasRestrictions } = require("./dietaryProfiles");
+const { detectIntent } = require("./intentClassifier");
+const { detectLanguage, replyLanguage } = require("./banglish");
 
 class PromptChainBuilder {
   /**
    * Detect language from message
+   * @returns {String} "bengali", "banglish" (romanized Bengali) or "english"
    */
   static detectLanguage(message) {
-    // Bengali Unicode range check
-    const bengaliPattern = /[\u0980-\u09FF]/;
-    return bengaliPattern.test(message) ? "bengali" : "english";
+    return detectLanguage(message);
+  }
+
+  /**
+   * Instruction on the language to reply in
+   * The user's language preference wins over the language of the message.
+   */
+  static _languageInstruction(userContext, userMessage) {
+    const preferences = userContext?.preferences || {};
+    const language = replyLanguage(userMessage, preferences);
+    const chosen =
+      language === preferences.language
+        ? " (the user's chosen reply language)"
+        : "";
+
+    if (language === "english") {
+      return `RESPOND ONLY IN ENGLISH${chosen}. Do not use Bengali words or transliteration. Keep it simple and clear.`;
+    }
+
+    const banglish =
+      !chosen && this.detectLanguage(userMessage) === "banglish"
+        ? "The user writes Bengali in English letters (Banglish). "
+        : "";
+    return `${banglish}RESPOND ONLY IN BENGALI${chosen}, in Bengali script. Do not use any English words except BDT. No English phrases.`;
   }
 
   /**
    * Build comprehensive system prompt with user context
    */
   static buildSystemPrompt(userContext, userMessage) {
-    const language = this.detectLanguage(userMessage);
-    const languageInstruction = language === "bengali" 
-      ? "RESPOND ONLY IN BENGALI. Do not use any English words except BDT. No English phrases."
-      : "RESPOND ONLY IN ENGLISH. Do not use Bengali words or transliteration. Keep it simple and clear.";
+    const languageInstruction = this._languageInstruction(
+      userContext,
+      userMessage
+    );
     const systemPrompt = `You are NourishAI, a food waste reduction chatbot specialized for Bangladesh.
 
 ⚠️  LANGUAGE REQUIREMENT (MOST IMPORTANT):
@@ -45,21 +70,20 @@ BANGLADESH CONTEXT:
 
 USER PROFILE:
 - Budget Level: ${userContext?.preferences?.budget || "moderate"}
-- Family Size: ${userContext?.preferences?.familySize || 1}
+- Family Size: ${userContext?.preferences?.familySize || 1}${userContext?.household ? `\n- Household: ${userContext.household.name} (${userContext.household.memberCount} members sharing this inventory)` : ""}
 - Dietary Preferences: ${userContext?.preferences?.dietaryPreferences?.join(", ") || "Omnivore"}
 - Allergies: ${userContext?.preferences?.allergies?.join(", ") || "None"}
 - Current SDG Score: ${userContext?.statistics?.sdgScore || 50}/100
 
-CONVERSATION HISTORY (Last 3 messages):
+${this._formatMemory(userContext?.memory)}CONVERSATION HISTORY (Last 3 messages in this conversation):
 ${this._formatConversationHistory(userContext?.recentConversations || [])}
 
 CURRENT INVENTORY:
 ${this._formatInventory(userContext?.inventory || [])}
-
+${this._formatDietaryNeeds(userContext?.dietary)}
 RESPONSE GUIDELINES - CRITICAL:
 1. SINGLE LANGUAGE ONLY: 
-   - User used Bengali? → Respond ONLY in Bengali (NO English at all)
-   - User used English? → Respond ONLY in English (NO Bengali at all)
+   - Respond ONLY in the language required above (NO other language at all)
    - NEVER mix languages in a single response
 
 2. FORMATTING - VERY IMPORTANT:
@@ -104,11 +128,20 @@ RESPONSE GUIDELINES - CRITICAL:
    • Reference their budget/family size if it matters
    • NO unnecessary elaboration on unrelated topics
 
+7. ACTIONS (TOOLS):
+   • User bought, ate, wasted or donated food? → Use the tools to update
+     their inventory or log it, then confirm in one line what changed
+   • Meal plan, recipes for an ingredient or their SDG score? → Use the tools
+     instead of guessing
+   • NEVER say you changed something unless a tool did it
+
 CRITICAL FORMAT EXAMPLE FOR BENGALI:
 আলাইকুম আস্সালাম! আপনার ভাত খুবই মূল্যবান।
 
 • প্রধান পরামর্শ: ভাতের ভর্তা (খরচ: ২০ টাকা)
+
 • বিকল্প ১: ভাজা ভাত (খরচ: ৩০ টাকা)
+
 • বিকল্প ২: খিচুড়ি (খরচ: ৫০ টাকা)
 
 পরবর্তী পদক্ষেপ: আজ রাতে ভর্তা বানিয়ে দেখুন।
@@ -117,7 +150,9 @@ CRITICAL FORMAT EXAMPLE FOR ENGLISH:
 Great! You have lots of rice. Here are practical options:
 
 • Main: Fried rice with eggs (30 BDT)
+
 • Option 1: Rice porridge (20 BDT)
+
 • Option 2: Rice cutlets (40 BDT)
 
 Next step: Try fried rice tonight!
@@ -127,6 +162,59 @@ ABSOLUTE RULE: NO MIXING LANGUAGES!`;
     return systemPrompt;
   }
 
+  /**
+   * Format long-term memory (facts from older conversations)
+   * Empty when nothing is remembered yet.
+   */
+  static _formatMemory(facts) {
+    if (!facts || facts.length === 0) return "";
+
+    return `WHAT YOU REMEMBER ABOUT THIS USER (from earlier conversations - respect it, don't ask again):
+${facts.map((fact) => `- ${fact}`).join("\n")}
+
+`;
+  }
+
+  /**
+   * Format the household's combined dietary restrictions and nutrition needs
+   * Empty when nobody has recorded any, so the prompt stays short.
+   */
+  static _formatDietaryNeeds(dietary) {
+    if (!hasRestrictions(dietary)) return "";
+
+    const lines = [
+      "",
+      "HOUSEHOLD DIETARY NEEDS (every suggestion must suit ALL of these people):",
+    ];
+
+    for (const { allergen, members } of dietary.allergens) {
+      lines.push(`- Allergy: ${allergen} (${members.join(", ")}) - NEVER suggest it`);
+    }
+    for (const { condition, members, guidance } of dietary.conditions) {
+      lines.push(
+        `- Condition: ${condition} (${members.join(", ")})${guidance ? ` - ${guidance}` : ""}`
+      );
+    }
+    for (const { preference, members } of dietary.dietaryPreferences) {
+      lines.push(`- Diet: ${preference} (${members.join(", ")})`);
+    }
+
+    const avoid = dietary.avoid.map((rule) => rule.keyword);
+    if (avoid.length > 0) {
+      lines.push(`- Avoid ingredients: ${avoid.join(", ")}`);
+    }
+    const limit = dietary.limit.map((rule) => rule.keyword);
+    if (limit.length > 0) {
+      lines.push(`- Use sparingly: ${limit.join(", ")}`);
+    }
+
+    for (const { member, nutrient, reason, guidance } of dietary.nutritionNeeds) {
+      lines.push(`- ${member} needs ${nutrient} (${reason}): ${guidance}`);
+    }
+
+    return `${lines.join("\n")}\n`;
+  }
+
   /**
    * Format conversation history for context
    */
@@ -163,10 +251,45 @@ Bot: ${conv.botResponse}`
       .join("\n");
   }
 
+  /**
+   * Inventory items by expiry date, soonest first, with days left
+   */
+  static _formatExpiringItems(inventory, limit = 8) {
+    const dated = inventory.filter(
+      (item) => !isNaN(new Date(item.expiryDate).getTime())
+    );
+    if (dated.length === 0) {
+      return "No items with an expiry date.";
+    }
+
+    const today = new Date();
+    return dated
+      .map((item) => ({
+        item,
+        daysLeft: Math.ceil((new Date(item.expiryDate) - today) / 86400000),
+      }))
+      .sort((a, b) => a.daysLeft - b.daysLeft)
+      .slice(0, limit)
+      .map(
+        ({ item, daysLeft }) =>
+          `- ${item.name} (${item.quantity} ${item.unit}): ${
+            daysLeft < 0 ? `expired ${-daysLeft} days ago` : `${daysLeft} days left`
+          }`
+      )
+      .join("\n");
+  }
+
   /**
    * Build contextual prompt for specific intent
+   * @param {Array} otherIntents - Further intents the message carries (the
+   *   answer should cover them too)
    */
-  static buildContextualPrompt(intent, userContext, userMessage) {
+  static buildContextualPrompt(
+    intent,
+    userContext,
+    userMessage,
+    otherIntents = []
+  ) {
     const baseContext = this.buildSystemPrompt(userContext, userMessage);
 
     const intentPrompts = {
@@ -267,6 +390,73 @@ ANSWER DIRECTLY - Environmental facts only:
 Format: Each bullet point on NEW LINE with blank line between.
 NO lengthy explanations. Facts + action only.
 Max 100 words.
+Question: ${userMessage}`,
+
+      expiryAlert: `
+FEATURE: EXPIRY ALERTS
+Soonest to expire:
+${this._formatExpiringItems(userContext?.inventory || [])}
+
+ANSWER DIRECTLY - What to use first:
+• Items expiring soonest (days left)
+
+• ONE way to use or store each before it spoils (with BDT cost)
+
+• What can wait
+
+Format: Each bullet point on NEW LINE with blank line between.
+Only use the inventory above - never invent items or dates.
+Max 100 words.
+Question: ${userMessage}`,
+
+      foodLogging: `
+FEATURE: FOOD LOGGING
+Inventory: ${userContext?.inventory?.map((i) => i.name).join(", ") || "Empty"}
+
+ANSWER DIRECTLY - Log what they reported:
+• Use the log tool for each item eaten, wasted or donated (ask for the
+  quantity only if they gave none)
+
+• Confirm in one line what was logged
+
+• ONE tip to waste less of it next time (if wasted)
+
+Format: Each bullet point on NEW LINE with blank line between.
+NEVER say it was logged unless the tool did it.
+Max 100 words.
+Question: ${userMessage}`,
+
+      inventoryUpdate: `
+FEATURE: INVENTORY UPDATE
+Inventory: ${userContext?.inventory?.map((i) => `${i.name} (${i.quantity} ${i.unit || "kg"})`).join(", ") || "Empty"}
+
+ANSWER DIRECTLY - Update the inventory:
+• Use the inventory tools to add, change or remove the items
+
+• Confirm in one line what changed
+
+• Storage tip for new items (shelf life)
+
+Format: Each bullet point on NEW LINE with blank line between.
+NEVER say it changed unless the tool did it.
+Max 100 words.
+Question: ${userMessage}`,
+
+      progressTracking: `
+FEATURE: PROGRESS TRACKING
+SDG Score (last calculated): ${userContext?.statistics?.sdgScore ?? "Not calculated yet"}
+
+ANSWER DIRECTLY - Their progress:
+• Current SDG score and what it means (use the SDG profile tool for fresh
+  figures)
+
+• Money wasted (BDT) and share of food eaten or donated
+
+• ONE step to improve the score
+
+Format: Each bullet point on NEW LINE with blank line between.
+Only use real figures - never invent them.
+Max 100 words.
 Question: ${userMessage}`,
 
       general: `
@@ -288,75 +478,16 @@ Max 100 words.
 Question: ${userMessage}`,
     };
 
-    return baseContext + "\n\n" + (intentPrompts[intent] || intentPrompts.general);
-  }
+    const alsoAsked = otherIntents.length
+      ? `\n\nThe message also asks about: ${otherIntents.join(", ")}. Cover that briefly too.`
+      : "";
 
-  /**
-   * Detect user intent from message
-   */
-  static detectIntent(userMessage) {
-    const message = userMessage.toLowerCase();
-
-    if (
-      message.includes("waste") ||
-      message.includes("store") ||
-      message.includes("spoil") ||
-      message.includes("fresh") ||
-      message.includes("preserve")
-    ) {
-      return "wasteReduction";
-    }
-    if (
-      message.includes("meal") ||
-      message.includes("plan") ||
-      message.includes("cook") ||
-      message.includes("recipe") ||
-      message.includes("budget") ||
-      message.includes("খরচ") ||
-      message.includes("budget")
-    ) {
-      return "mealPlanning";
-    }
-    if (
-      message.includes("nutrition") ||
-      message.includes("healthy") ||
-      message.includes("protein") ||
-      message.includes("vitamin") ||
-      message.includes("balanced") ||
-      message.includes("deficiency")
-    ) {
-      return "nutritionBalance";
-    }
-    if (
-      message.includes("leftover") ||
-      message.includes("stale") ||
-      message.includes("old") ||
-      message.includes("extra") ||
-      message.includes("transform")
-    ) {
-      return "leftoverRecipes";
-    }
-    if (
-      message.includes("share") ||
-      message.includes("donate") ||
-      message.includes("community") ||
-      message.includes("ngo") ||
-      message.includes("network")
-    ) {
-      return "foodSharing";
-    }
-    if (
-      message.includes("environment") ||
-      message.includes("impact") ||
-      message.includes("carbon") ||
-      message.includes("sustainable") ||
-      message.includes("sdg") ||
-      message.includes("climate")
-    ) {
-      return "environmentalImpact";
-    }
-
-    return "general";
+    return (
+      baseContext +
+      "\n\n" +
+      (intentPrompts[intent] || intentPrompts.general) +
+      alsoAsked
+    );
   }
 
   /**
@@ -366,7 +497,7 @@ Question: ${userMessage}`,
     // Extract key information from recent conversations
     const recentIntents = conversationHistory
       .slice(-5)
-      .map((conv) => this.detectIntent(conv.userMessage));
+      .map((conv) => detectIntent(conv.userMessage));
 
     const topicProgression = this._detectTopicProgression(
       conversationHistory
@@ -402,13 +533,13 @@ This helps create a coherent, natural conversation rather than isolated response
     const patterns = {
       "wasteReduction → mealPlanning": "Learning waste reduction → Practical meal ideas",
       "mealPlanning → nutritionBalance": "Meal planning → Nutritional concerns",
-      "wastReduction → leftoverRecipes": "Waste awareness → Practical leftover use",
+      "wasteReduction → leftoverRecipes": "Waste awareness → Practical leftover use",
       "nutritionBalance → mealPlanning": "Nutrition goals → Creating meal plans",
     };
 
     const recent = conversationHistory
       .slice(-2)
-      .map((c) => this.detectIntent(c.userMessage))
+      .map((c) => detectIntent(c.userMessage))
       .join(" → ");
 
     return patterns[recent] || "Multi-topic discussion";
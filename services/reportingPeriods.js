@@ -0,0 +1,241 @@
+/**
+ * Reporting Periods
+ * Calendar bucketing (day, week, month, custom range) in the Asia/Dhaka timezone
+ *
+ * Bangladesh Standard Time is a fixed UTC+6 with no daylight saving, so dates
+ * are shifted by a constant offset instead of pulling in a timezone library.
+ * All ranges are half-open: start <= date < end.
+ */
+
+const TIMEZONE = "Asia/Dhaka";
+const DHAKA_OFFSET_MS = 6 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bangladeshi calendar weeks start on Saturday (0 = Sunday ... 6 = Saturday)
+const DEFAULT_WEEK_START = 6;
+
+const INTERVALS = ["day", "week", "month"];
+const MAX_BUCKETS = 366;
+const PERIODS = ["week", "month", "custom"];
+
+/**
+ * Shift a UTC instant so its UTC fields read as Dhaka wall-clock time
+ */
+function toDhaka(date) {
+  return new Date(new Date(date).getTime() + DHAKA_OFFSET_MS);
+}
+
+/**
+ * Inverse of toDhaka()
+ */
+function fromDhaka(shifted) {
+  return new Date(shifted.getTime() - DHAKA_OFFSET_MS);
+}
+
+/**
+ * Format an instant as a Dhaka calendar date (YYYY-MM-DD)
+ */
+function formatDhakaDate(date) {
+  return toDhaka(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a date input. Plain "YYYY-MM-DD" strings are read as Dhaka midnight.
+ * @returns {Date|null} Parsed date, or null if invalid
+ */
+function parseDhakaDate(value) {
+  if (value === undefined || value === null || value === "") return null;
+
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split("-").map(Number);
+    return fromDhaka(new Date(Date.UTC(year, month - 1, day)));
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Start of the Dhaka calendar bucket containing a date
+ * @param {Date} date - Any instant
+ * @param {String} interval - "day", "week" or "month"
+ * @param {Number} weekStartsOn - First day of the week (default Saturday)
+ * @returns {Date} Bucket start
+ */
+function startOf(date, interval, weekStartsOn = DEFAULT_WEEK_START) {
+  const d = toDhaka(date);
+  d.setUTCHours(0, 0, 0, 0);
+
+  if (interval === "week") {
+    const diff = (d.getUTCDay() - weekStartsOn + 7) % 7;
+    d.setUTCDate(d.getUTCDate() - diff);
+  } else if (interval === "month") {
+    d.setUTCDate(1);
+  }
+
+  return fromDhaka(d);
+}
+
+/**
+ * Move a bucket start by a number of intervals (negative to go back)
+ */
+function addIntervals(date, interval, count) {
+  const d = toDhaka(date);
+
+  if (interval === "month") {
+    d.setUTCMonth(d.getUTCMonth() + count);
+  } else {
+    d.setUTCDate(d.getUTCDate() + count * (interval === "week" ? 7 : 1));
+  }
+
+  return fromDhaka(d);
+}
+
+/**
+ * Build the current and previous ranges for a reporting period
+ * @param {Object} options - { period, from, to, referenceDate, weekStartsOn }
+ *   period: "week" | "month" (calendar bucket containing referenceDate)
+ *           | "custom" (from..to inclusive days; previous = same length before)
+ * @returns {Object} { period, current: {start, end, label}, previous: {...} }
+ */
+function resolvePeriod(options = {}) {
+  const period = options.period || "week";
+  const weekStartsOn =
+    options.weekStartsOn !== undefined ? options.weekStartsOn : DEFAULT_WEEK_START;
+
+  if (!PERIODS.includes(period)) {
+    throw new Error(`Invalid period "${period}". Use one of: ${PERIODS.join(", ")}`);
+  }
+
+  if (period === "custom") {
+    const from = parseDhakaDate(options.from);
+    const to = parseDhakaDate(options.to);
+    if (!from || !to) {
+      throw new Error("Custom period requires valid from and to dates");
+    }
+
+    const start = startOf(from, "day");
+    const end = addIntervals(startOf(to, "day"), "day", 1); // "to" is inclusive
+    if (end <= start) {
+      throw new Error("Custom period end must be on or after its start");
+    }
+
+    const length = end - start;
+    const previousStart = new Date(start.getTime() - length);
+
+    return {
+      period,
+      timezone: TIMEZONE,
+      current: buildRange(start, end),
+      previous: buildRange(previousStart, start),
+    };
+  }
+
+  const reference = parseDhakaDate(options.referenceDate) || new Date();
+  const start = startOf(reference, period, weekStartsOn);
+  const end = addIntervals(start, period, 1);
+  const previousStart = addIntervals(start, period, -1);
+
+  return {
+    period,
+    timezone: TIMEZONE,
+    current: buildRange(start, end),
+    previous: buildRange(previousStart, start),
+  };
+}
+
+/**
+ * Range object with a human-readable Dhaka label
+ */
+function buildRange(start, end) {
+  const lastDay = new Date(end.getTime() - DAY_MS);
+  return {
+    start,
+    end,
+    label:
+      end - start <= DAY_MS
+        ? formatDhakaDate(start)
+        : `${formatDhakaDate(start)} to ${formatDhakaDate(lastDay)}`,
+  };
+}
+
+/**
+ * Split a span of time into consecutive calendar buckets
+ * @param {Object} options - { interval, from, to, count, weekStartsOn }
+ *   Without from, returns the last `count` buckets (default 12, at most 366)
+ *   ending at `to` (default now); a from..to span over 366 buckets throws
+ * @returns {Array} [{ start, end, label }]
+ */
+function buildBuckets(options = {}) {
+  const interval = options.interval || "week";
+  const weekStartsOn =
+    options.weekStartsOn !== undefined ? options.weekStartsOn : DEFAULT_WEEK_START;
+
+  if (!INTERVALS.includes(interval)) {
+    throw new Error(
+      `Invalid interval "${interval}". Use one of: ${INTERVALS.join(", ")}`
+    );
+  }
+
+  const to = options.to ? parseDhakaDate(options.to) : new Date();
+  if (!to) throw new Error("Invalid to date");
+  const lastStart = startOf(to, interval, weekStartsOn);
+
+  let firstStart;
+  if (options.from) {
+    const from = parseDhakaDate(options.from);
+    if (!from) throw new Error("Invalid from date");
+    firstStart = startOf(from, interval, weekStartsOn);
+  } else {
+    const count = Math.min(
+      Math.max(parseInt(options.count) || 12, 1),
+      MAX_BUCKETS
+    );
+    firstStart = addIntervals(lastStart, interval, -(count - 1));
+  }
+
+  if (firstStart > lastStart) {
+    throw new Error("from must be before to");
+  }
+
+  const buckets = [];
+  for (
+    let start = firstStart;
+    start <= lastStart;
+    start = addIntervals(start, interval, 1)
+  ) {
+    if (buckets.length === MAX_BUCKETS) {
+      throw new Error(
+        `from..to spans more than ${MAX_BUCKETS} ${interval}s; narrow the range or use a longer interval`
+      );
+    }
+    buckets.push(buildRange(start, addIntervals(start, interval, 1)));
+  }
+
+  return buckets;
+}
+
+/**
+ * Filter history entries whose date falls inside a range
+ * @param {Array} history - Entries with logDate (or date / timestamp)
+ * @param {Object} range - { start, end }
+ */
+function entriesInRange(history, range) {
+  return history.filter((entry) => {
+    const date = new Date(entry.logDate || entry.date || entry.timestamp);
+    return date >= range.start && date < range.end;
+  });
+}
+
+module.exports = {
+  TIMEZONE,
+  PERIODS,
+  INTERVALS,
+  formatDhakaDate,
+  parseDhakaDate,
+  startOf,
+  addIntervals,
+  resolvePeriod,
+  buildBuckets,
+  entriesInRange,
+};
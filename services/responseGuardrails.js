@@ -0,0 +1,261 @@
+/**
+ * Response Guardrails
+ * Checks a chat reply against the system prompt's hard rules after it is
+ * generated, and has a failing reply written again once
+ *
+ * Rules:
+ *   scriptPurity  - one language: no English words in a Bengali reply (BDT,
+ *                   SDG and units excepted) and no Bengali script in an
+ *                   English one; names from the user's inventory are allowed
+ *   length        - at most MAX_WORDS words
+ *   bdtPrice      - a cost question gets at least one BDT figure
+ *   bulletSpacing - a blank line between bullet points
+ *
+ * A failing reply gets one regeneration: the model sees its answer and what
+ * was wrong with it (like the structured-response repair). The tools already
+ * ran, so none are offered again. The better of the two replies is kept, so
+ * a guardrail never makes an answer worse or fails the chat.
+ */
+
+const RULES = ["scriptPurity", "length", "bdtPrice", "bulletSpacing"];
+
+const MAX_WORDS = 140; // "Keep responses brief (100-140 words max)"
+const MAX_FOREIGN_WORDS = 2; // Room for a name, e.g. an NGO
+const ALLOWED_LATIN = new Set(["bdt", "sdg", "tk", "kg", "g", "ml"]);
+
+const LATIN_WORD = /[A-Za-z][A-Za-z'-]*/g;
+const BENGALI_WORD = /[ঀ-৿]+/g;
+const BULLET = /^\s*(?:[•*–-]|\d+[.)]|[০-৯]+[.)])\s+/;
+const PRICE =
+  /[\d০-৯][\d০-৯,.]*\s*(?:BDT|Tk\b|taka\b|টাকা|৳)|(?:BDT|Tk\.?|৳)\s*[\d০-৯]/i;
+
+// Questions about money ("how much does ... cost", "কত টাকা", "dam koto")
+const COST_QUESTION = new RegExp(
+  [
+    /\b(?:cost|costs|price|prices|priced|cheap|cheaper|cheapest|budget|afford|expensive|bdt|taka|spend)\b/i,
+    /দাম|খরচ|টাকা|বাজেট|সস্তা|ব্যয়/,
+    /\b(?:dam|daam|khoroch|khorcha)\b/i,
+  ]
+    .map((pattern) => pattern.source)
+    .join("|"),
+  "i"
+);
+
+/**
+ * Words of a reply (anything with a letter or digit)
+ */
+function countWords(text) {
+  return String(text || "")
+    .split(/\s+/)
+    .filter((word) => /[\p{L}\p{N}]/u.test(word)).length;
+}
+
+function isCostQuestion(message) {
+  return COST_QUESTION.test(String(message || "").normalize("NFC"));
+}
+
+/**
+ * Words written in the wrong script for the reply language
+ */
+function foreignWords(text, language, allowedTerms) {
+  const allowed = new Set(
+    allowedTerms.flatMap((term) =>
+      String(term).toLowerCase().match(/[a-z]+|[ঀ-৿]+/g) || []
+    )
+  );
+  const words =
+    language === "bengali"
+      ? text.match(LATIN_WORD) || []
+      : text.match(BENGALI_WORD) || [];
+
+  return words.filter((word) => {
+    const lower = word.toLowerCase();
+    return !ALLOWED_LATIN.has(lower) && !allowed.has(lower);
+  });
+}
+
+/**
+ * Check a reply against the guardrail rules
+ * @param {String} text - The reply
+ * @param {Object} options - { language: "bengali" | "english" (the reply
+ *   language), message (the user's message), allowedTerms (names that may
+ *   appear in either script, e.g. inventory items) }
+ * @returns {Object} { valid, violations: [{ rule, detail }] }
+ */
+function validateResponse(text, options = {}) {
+  const reply = String(text || "").normalize("NFC");
+  const { language = "english", message = "", allowedTerms = [] } = options;
+  const violations = [];
+
+  const foreign = foreignWords(reply, language, allowedTerms);
+  if (foreign.length > MAX_FOREIGN_WORDS) {
+    violations.push({
+      rule: "scriptPurity",
+      detail:
+        language === "bengali"
+          ? `English words in a Bengali reply: ${foreign.slice(0, 5).join(", ")}`
+          : `Bengali words in an English reply: ${foreign.slice(0, 5).join(", ")}`,
+    });
+  }
+
+  const words = countWords(reply);
+  if (words > MAX_WORDS) {
+    violations.push({
+      rule: "length",
+      detail: `${words} words (max ${MAX_WORDS})`,
+    });
+  }
+
+  if (isCostQuestion(message) && !PRICE.test(reply)) {
+    violations.push({
+      rule: "bdtPrice",
+      detail: "Cost question answered without a BDT figure",
+    });
+  }
+
+  const lines = reply.split("\n");
+  const adjacent = lines.filter(
+    (line, index) => BULLET.test(line) && BULLET.test(lines[index + 1] || "")
+  ).length;
+  if (adjacent > 0) {
+    violations.push({
+      rule: "bulletSpacing",
+      detail: `${adjacent} bullet point(s) not followed by a blank line`,
+    });
+  }
+
+  return { valid: violations.length === 0, violations };
+}
+
+const FIXES = {
+  scriptPurity: (language) =>
+    language === "bengali"
+      ? "Write ONLY in Bengali script. The only English word allowed is BDT."
+      : "Write ONLY in English. No Bengali script, no transliteration.",
+  length: () => `Use at most ${MAX_WORDS} words.`,
+  bdtPrice: (language) =>
+    language === "bengali"
+      ? 'The user asked about cost: give prices as taka figures, e.g. "৫০ টাকা".'
+      : 'The user asked about cost: give prices as BDT figures, e.g. "50 BDT".',
+  bulletSpacing: () => "Put a blank line between bullet points.",
+};
+
+/**
+ * Corrective instruction for a reply that broke the rules
+ */
+function buildCorrection(violations, language) {
+  const problems = violations
+    .map(({ rule, detail }) => `- ${detail}. ${FIXES[rule](language)}`)
+    .join("\n");
+
+  return `Your last answer broke these rules:
+${problems}
+
+Answer my last question again, following every rule. Keep the facts, prices and any changes you confirmed. Reply with the new answer only.`;
+}
+
+/**
+ * The reply kept, with the usage and attempts of both LLM calls
+ */
+function combineReplies(kept, first, second) {
+  const tokens = [first, second].map((reply) => reply.usage?.totalTokens);
+  return {
+    ...kept,
+    usage: {
+      totalTokens: tokens.some(Boolean)
+        ? tokens.reduce((sum, count) => sum + (count || 0), 0)
+        : null,
+    },
+    calls: (first.calls || 0) + (second.calls || 0),
+    attempts: [...first.attempts, ...second.attempts],
+    toolCalls: first.toolCalls,
+  };
+}
+
+/**
+ * Check a generated reply and regenerate it once if it breaks the rules
+ * Mock replies aren't checked (they follow the rules by construction).
+ * @param {Object} client - LLM client
+ * @param {Object} request - The request that produced the reply (its
+ *   beforeCall, if any, is awaited before regenerating)
+ * @param {Object} reply - LLM client result (generate() or stream())
+ * @param {Object} options - { language, regenerate } (regenerate: false only
+ *   checks, e.g. for structured replies)
+ * @returns {Promise<Object>} { reply, guardrails } - guardrails is
+ *   { checked, valid, regenerated, violations, remaining }: violations of
+ *   the first reply, remaining those of the reply kept
+ */
+async function enforceGuardrails(client, request, reply, options = {}) {
+  const { language = "english", regenerate = true } = options;
+  if (reply.usingMock) {
+    return { reply, guardrails: { checked: false } };
+  }
+
+  const checkOptions = {
+    language,
+    message: request.message,
+    allowedTerms: (request.context?.inventory || []).map((item) => item.name),
+  };
+  const first = validateResponse(reply.text, checkOptions);
+  const guardrails = {
+    checked: true,
+    valid: first.valid,
+    regenerated: false,
+    violations: first.violations,
+    remaining: first.violations,
+  };
+  if (first.valid || !regenerate) return { reply, guardrails };
+
+  // The regeneration is a call of its own, within the user's quota
+  if (request.beforeCall && !(await request.beforeCall())) {
+    return { reply, guardrails };
+  }
+
+  console.warn(
+    `⚠️ Reply broke guardrails (${first.violations.map((v) => v.rule).join(", ")}) - regenerating`
+  );
+
+  let retry;
+  try {
+    retry = await client.generate({
+      systemPrompt: request.systemPrompt,
+      history: [
+        ...(request.history || []),
+        { role: "user", content: request.message },
+        { role: "assistant", content: reply.text },
+      ],
+      message: buildCorrection(first.violations, language),
+      context: request.context,
+    });
+  } catch (error) {
+    console.error("Guardrail regeneration failed:", error.message);
+    return { reply, guardrails };
+  }
+
+  // A mock fallback is no rewrite of the answer
+  if (retry.usingMock) {
+    return { reply: combineReplies(reply, reply, retry), guardrails };
+  }
+
+  const second = validateResponse(retry.text, checkOptions);
+  const keepRetry = second.violations.length <= first.violations.length;
+
+  return {
+    reply: combineReplies(keepRetry ? retry : reply, reply, retry),
+    guardrails: {
+      ...guardrails,
+      valid: keepRetry ? second.valid : false,
+      regenerated: true,
+      remaining: keepRetry ? second.violations : first.violations,
+    },
+  };
+}
+
+module.exports = {
+  RULES,
+  MAX_WORDS,
+  isCostQuestion,
+  validateResponse,
+  buildCorrection,
+  enforceGuardrails,
+};
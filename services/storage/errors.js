@@ -0,0 +1,26 @@
+/**
+ * Storage Errors
+ */
+
+/**
+ * Thrown when a stored record cannot be parsed and no backup could restore it.
+ * Callers must not treat this as "record not found" - doing so would let a new
+ * empty record overwrite the user's data.
+ */
+class StorageCorruptionError extends Error {
+  constructor(key, details = {}) {
+    super(
+      `Stored data for "${key}" is corrupted and could not be recovered automatically`
+    );
+    this.name = "StorageCorruptionError";
+    this.code = "RECORD_CORRUPT";
+    this.statusCode = 500;
+    this.key = key;
+    this.quarantinedAs = details.quarantinedAs || null;
+    this.cause = details.cause;
+  }
+}
+
+module.exports = {
+  StorageCorruptionError,
+};
@@ -0,0 +1,212 @@
+/**
+ * File Storage Adapter
+ * Persists each record as a JSON file under data/<namespace> (data/users by default)
+ *
+ * Keys are opaque storage keys (see ../userIdPolicy), never raw user input;
+ * anything that could escape the directory is rejected.
+ *
+ * Writes are atomic: the record is written to a temp file, fsynced and renamed
+ * over the original, so a crash mid-write never leaves half a JSON file behind.
+ * The previous good version is kept as <key>.json.bak and used to recover a
+ * record whose file fails to parse; the unreadable file is moved aside as
+ * <key>.json.corrupt-<timestamp> for inspection.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { StorageCorruptionError } = require("./errors");
+
+// Root directory for all file-backed data
+const DATA_DIR = path.join(__dirname, "../../data");
+
+// Storage keys are generated, so they only ever use this safe alphabet
+const SAFE_KEY_PATTERN = /^[A-Za-z0-9_~-]+$/;
+
+class FileStorageAdapter {
+  constructor(options = {}) {
+    this.name = "file";
+    this.directory =
+      options.directory || path.join(DATA_DIR, options.namespace || "users");
+
+    // Ensure data directory exists
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    // Clean up temp files left behind by a crash mid-write
+    for (const file of fs.readdirSync(this.directory)) {
+      if (file.endsWith(".tmp")) {
+        fs.rmSync(path.join(this.directory, file), { force: true });
+      }
+    }
+  }
+
+  /**
+   * Resolve the JSON file for a storage key
+   */
+  _userFile(key) {
+    if (typeof key !== "string" || !SAFE_KEY_PATTERN.test(key)) {
+      throw new Error(`Unsafe storage key: ${JSON.stringify(key)}`);
+    }
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  /**
+   * Parse a JSON record file, throwing on empty or non-object content
+   */
+  _parseFile(file) {
+    const data = fs.readFileSync(file, "utf-8");
+    const record = JSON.parse(data);
+
+    if (!record || typeof record !== "object" || Array.isArray(record)) {
+      throw new Error("Record is not a JSON object");
+    }
+
+    return record;
+  }
+
+  /**
+   * Read a record file, recovering from the .bak copy if it is corrupted
+   */
+  _readFile(key, file) {
+    try {
+      return this._parseFile(file);
+    } catch (error) {
+      const quarantinedAs = `${file}.corrupt-${Date.now()}`;
+      try {
+        fs.renameSync(file, quarantinedAs);
+        console.error(
+          `⚠️  Corrupted record ${path.basename(file)} moved to ${path.basename(quarantinedAs)}:`,
+          error.message
+        );
+      } catch (renameError) {
+        // Another request already quarantined (and maybe restored) this file
+        if (renameError.code !== "ENOENT") throw renameError;
+        if (fs.existsSync(file)) return this._parseFile(file);
+      }
+
+      const backupFile = `${file}.bak`;
+      if (fs.existsSync(backupFile)) {
+        try {
+          const record = this._parseFile(backupFile);
+          this._writeAtomic(file, record, { backup: false });
+          console.warn(`♻️  Restored ${path.basename(file)} from backup`);
+          return record;
+        } catch (backupError) {
+          console.error(
+            `Backup for ${path.basename(file)} is unusable:`,
+            backupError.message
+          );
+        }
+      }
+
+      throw new StorageCorruptionError(key, { quarantinedAs, cause: error });
+    }
+  }
+
+  /**
+   * Write via temp file + fsync + rename, keeping the previous version as .bak
+   */
+  _writeAtomic(file, record, { backup = true } = {}) {
+    const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+    const fd = fs.openSync(tempFile, "w");
+
+    try {
+      fs.writeSync(fd, JSON.stringify(record, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    try {
+      if (backup && fs.existsSync(file)) {
+        fs.copyFileSync(file, `${file}.bak`);
+      }
+      fs.renameSync(tempFile, file);
+    } catch (error) {
+      fs.rmSync(tempFile, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Path of the file backing a record (used in migration reports)
+   */
+  locate(userId) {
+    return this._userFile(userId);
+  }
+
+  async connect() {}
+
+  async close() {}
+
+  /**
+   * Check whether a user record exists
+   */
+  async exists(userId) {
+    return fs.existsSync(this._userFile(userId));
+  }
+
+  /**
+   * Read a user record (null if missing, StorageCorruptionError if unrecoverable)
+   */
+  async read(userId) {
+    const userFile = this._userFile(userId);
+    if (!fs.existsSync(userFile)) return null;
+
+    return this._readFile(userId, userFile);
+  }
+
+  /**
+   * Write a full user record atomically
+   */
+  async write(userId, record) {
+    this._writeAtomic(this._userFile(userId), record);
+    return record;
+  }
+
+  /**
+   * Remove a user record (and its backup)
+   */
+  async remove(userId) {
+    const userFile = this._userFile(userId);
+    if (!fs.existsSync(userFile)) return false;
+
+    fs.unlinkSync(userFile);
+    fs.rmSync(`${userFile}.bak`, { force: true });
+    return true;
+  }
+
+  /**
+   * List the keys of every stored record
+   */
+  async keys() {
+    return fs
+      .readdirSync(this.directory)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => path.basename(file, ".json"));
+  }
+
+  /**
+   * Read every user record (unrecoverable files are returned as null)
+   */
+  async list() {
+    const files = fs
+      .readdirSync(this.directory)
+      .filter((file) => file.endsWith(".json"));
+
+    return files.map((file) => {
+      try {
+        return this._readFile(
+          path.basename(file, ".json"),
+          path.join(this.directory, file)
+        );
+      } catch (error) {
+        console.error(`Error reading ${file}:`, error.message);
+        return null;
+      }
+    });
+  }
+}
+
+module.exports = FileStorageAdapter;
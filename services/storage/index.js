@@ -0,0 +1,65 @@
+/**
+ * Storage Adapter Factory
+ * Picks the user storage backend from configuration
+ *
+ * Every adapter implements the same async interface:
+ *   connect(), close(), exists(key), read(key),
+ *   write(key, record), remove(key), keys(), list()
+ *
+ * Keys are opaque storage keys derived from user IDs by
+ * ../userIdPolicy.toStorageKey(), never raw request input.
+ *
+ * Pass options.namespace to keep a separate set of records on the same
+ * backend (e.g. "consumption_logs" -> data/consumption_logs or a Mongo
+ * collection of that name).
+ *
+ * Backend selection (USER_STORAGE env var):
+ *   file   - JSON files under data/users (default)
+ *   mongo  - MongoDB collection, using DATABASE_URL
+ *   memory - In-process Map, for tests
+ *
+ * Run ONE app instance per store, whichever backend: read-modify-write
+ * cycles are serialized by an in-process KeyedLock, so two instances sharing
+ * a Mongo database can overwrite each other's changes.
+ */
+
+const FileStorageAdapter = require("./fileStorageAdapter");
+const MongoStorageAdapter = require("./mongoStorageAdapter");
+const MemoryStorageAdapter = require("./memoryStorageAdapter");
+const KeyedLock = require("./keyedLock");
+const { StorageCorruptionError } = require("./errors");
+
+const adapters = {
+  file: FileStorageAdapter,
+  mongo: MongoStorageAdapter,
+  mongodb: MongoStorageAdapter,
+  memory: MemoryStorageAdapter,
+};
+
+/**
+ * Create a storage adapter
+ * @param {String} backend - "file", "mongo" or "memory" (defaults to USER_STORAGE)
+ * @param {Object} options - Adapter-specific options
+ * @returns {Object} Storage adapter instance
+ */
+function createStorageAdapter(backend, options = {}) {
+  const name = (backend || process.env.USER_STORAGE || "file").toLowerCase();
+  const Adapter = adapters[name];
+
+  if (!Adapter) {
+    throw new Error(
+      `Unknown USER_STORAGE backend "${name}". Use one of: file, mongo, memory`
+    );
+  }
+
+  return new Adapter(options);
+}
+
+module.exports = {
+  createStorageAdapter,
+  FileStorageAdapter,
+  MongoStorageAdapter,
+  MemoryStorageAdapter,
+  KeyedLock,
+  StorageCorruptionError,
+};
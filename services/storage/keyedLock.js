@@ -0,0 +1,49 @@
+/**
+ * Keyed Lock
+ * Serializes async tasks that share a key (e.g. one user's read-modify-write)
+ * while tasks for different keys still run concurrently.
+ *
+ * This is an in-process lock: it protects a single server instance.
+ */
+
+class KeyedLock {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  /**
+   * Run a task once every earlier task for the same key has settled
+   * @param {String} key - Lock key
+   * @param {Function} task - Async function to run exclusively
+   * @returns {Promise<*>} The task's result
+   */
+  async run(key, task) {
+    const previous = this.tails.get(key) || Promise.resolve();
+
+    let release;
+    const current = new Promise((resolve) => {
+      release = resolve;
+    });
+    const tail = previous.then(() => current);
+    this.tails.set(key, tail);
+
+    try {
+      await previous;
+      return await task();
+    } finally {
+      release();
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Whether any task is running or queued for a key
+   */
+  isLocked(key) {
+    return this.tails.has(key);
+  }
+}
+
+module.exports = KeyedLock;
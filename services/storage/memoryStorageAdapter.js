@@ -0,0 +1,57 @@
+/**
+ * In-Memory Storage Adapter
+ * Keeps user records in a Map - intended for tests and throwaway demos
+ */
+
+class MemoryStorageAdapter {
+  constructor(options = {}) {
+    this.name = "memory";
+    this.records = new Map();
+
+    // options.seed: { storageKey: record }
+    for (const [key, record] of Object.entries(options.seed || {})) {
+      this.records.set(key, this._clone(record));
+    }
+  }
+
+  /**
+   * Round-trip through JSON so callers get the same shapes as from disk
+   */
+  _clone(record) {
+    return JSON.parse(JSON.stringify(record));
+  }
+
+  async connect() {}
+
+  async close() {}
+
+  async exists(userId) {
+    return this.records.has(userId);
+  }
+
+  async read(userId) {
+    const record = this.records.get(userId);
+    return record ? this._clone(record) : null;
+  }
+
+  async write(userId, record) {
+    this.records.set(userId, this._clone(record));
+    return record;
+  }
+
+  async remove(userId) {
+    return this.records.delete(userId);
+  }
+
+  async keys() {
+    return Array.from(this.records.keys());
+  }
+
+  async list() {
+    return Array.from(this.records.values()).map((record) =>
+      this._clone(record)
+    );
+  }
+}
+
+module.exports = MemoryStorageAdapter;
@@ -0,0 +1,125 @@
+/**
+ * MongoDB Storage Adapter
+ * Stores each record as one document keyed by its storageKey field
+ * (collection "users" by default, or the namespace option)
+ *
+ * write() replaces the whole document without a version check; callers
+ * serialize updates with an in-process KeyedLock, so only one app instance
+ * may use a database at a time.
+ */
+
+const { MongoClient } = require("mongodb");
+
+const DEFAULT_COLLECTION = "users";
+
+class MongoStorageAdapter {
+  constructor(options = {}) {
+    this.name = "mongo";
+    this.url = options.url || process.env.DATABASE_URL;
+    this.dbName = options.dbName || process.env.MONGODB_DB || undefined;
+    this.collectionName =
+      options.collection ||
+      options.namespace ||
+      process.env.MONGODB_USERS_COLLECTION ||
+      DEFAULT_COLLECTION;
+    this.client = options.client || null;
+    this.collection = null;
+    this._connecting = null;
+
+    if (!this.url && !this.client) {
+      throw new Error(
+        "MongoDB storage requires DATABASE_URL (or a url option) to be set"
+      );
+    }
+  }
+
+  /**
+   * Connect once and reuse the collection handle
+   */
+  async connect() {
+    if (this.collection) return this.collection;
+
+    if (!this._connecting) {
+      this._connecting = (async () => {
+        if (!this.client) {
+          this.client = new MongoClient(this.url);
+        }
+        await this.client.connect();
+
+        const collection = this.client
+          .db(this.dbName)
+          .collection(this.collectionName);
+        await collection.createIndex({ storageKey: 1 }, { unique: true });
+
+        this.collection = collection;
+        return collection;
+      })().catch((error) => {
+        this._connecting = null;
+        throw error;
+      });
+    }
+
+    return this._connecting;
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.close();
+    }
+    this.collection = null;
+    this._connecting = null;
+  }
+
+  /**
+   * Drop _id and storageKey so records look the same as file-backed ones
+   */
+  _toRecord(document) {
+    if (!document) return null;
+    const { _id, storageKey, ...record } = document;
+    return record;
+  }
+
+  async exists(key) {
+    const collection = await this.connect();
+    const count = await collection.countDocuments(
+      { storageKey: key },
+      { limit: 1 }
+    );
+    return count > 0;
+  }
+
+  async read(key) {
+    const collection = await this.connect();
+    return this._toRecord(await collection.findOne({ storageKey: key }));
+  }
+
+  async write(key, record) {
+    const collection = await this.connect();
+    const { _id, ...document } = record;
+    await collection.replaceOne(
+      { storageKey: key },
+      { ...document, storageKey: key },
+      { upsert: true }
+    );
+    return record;
+  }
+
+  async remove(key) {
+    const collection = await this.connect();
+    const result = await collection.deleteOne({ storageKey: key });
+    return result.deletedCount > 0;
+  }
+
+  async keys() {
+    const collection = await this.connect();
+    return collection.distinct("storageKey");
+  }
+
+  async list() {
+    const collection = await this.connect();
+    const documents = await collection.find({}).toArray();
+    return documents.map((document) => this._toRecord(document));
+  }
+}
+
+module.exports = MongoStorageAdapter;
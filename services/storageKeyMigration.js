@@ -0,0 +1,234 @@
+/**
+ * Storage Key Migration
+ * Moves records from legacy user-ID keys to opaque storage keys
+ *
+ * Older versions stored records under the raw userId
+ * ("data/users/123 User.json", or Mongo documents matched by userId). The
+ * migration:
+ *   - renames IDs that break the userId policy ("123 User" -> "123_User";
+ *     case-insensitive clashes get a numeric suffix)
+ *   - rewrites users, consumption logs and the conversation archive under
+ *     toStorageKey(userId)
+ *   - drops legacy search indexes (they are rebuilt on the next search)
+ * Legacy files are kept as <name>.json.migrated; legacy Mongo documents
+ * are removed.
+ *
+ * Uses the configured backend (USER_STORAGE). The server runs it on startup;
+ * scripts/migrateStorageKeys.js runs it by hand (with --dry-run).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createStorageAdapter } = require("./storage");
+const {
+  isValidUserId,
+  isStorageKey,
+  canonicalUserId,
+  sanitizeLegacyUserId,
+  toStorageKey,
+} = require("./userIdPolicy");
+
+const SEGMENT_KEY_PATTERN = /^u_[0-9a-f]{32}~\d+$/;
+const HOUSEHOLD_KEY_PATTERN = /^hh_[0-9a-f]{16}$/; // shared household logs
+
+/**
+ * Access to records still stored under legacy keys, for one namespace
+ * @returns {Object} { adapter, list(): [{ legacyKey, record }], retire(legacyKey) }
+ */
+async function openLegacySource(namespace) {
+  const adapter = createStorageAdapter(undefined, { namespace });
+  await adapter.connect();
+
+  const isCurrent = (key) =>
+    isStorageKey(key) ||
+    SEGMENT_KEY_PATTERN.test(key) ||
+    HOUSEHOLD_KEY_PATTERN.test(key);
+
+  if (adapter.name === "file") {
+    const fileFor = (key) => path.join(adapter.directory, `${key}.json`);
+
+    return {
+      adapter,
+      async list() {
+        const entries = [];
+        for (const file of fs.readdirSync(adapter.directory)) {
+          const key = path.basename(file, ".json");
+          if (!file.endsWith(".json") || isCurrent(key)) continue;
+
+          try {
+            entries.push({
+              legacyKey: key,
+              record: JSON.parse(fs.readFileSync(fileFor(key), "utf-8")),
+            });
+          } catch (error) {
+            console.warn(`⚠️  [${namespace}] Skipping unreadable ${file}`);
+          }
+        }
+        return entries;
+      },
+      async retire(key) {
+        fs.renameSync(fileFor(key), `${fileFor(key)}.migrated`);
+        fs.rmSync(`${fileFor(key)}.bak`, { force: true });
+      },
+    };
+  }
+
+  if (adapter.name === "mongo") {
+    const collection = await adapter.connect();
+
+    return {
+      adapter,
+      async list() {
+        const documents = await collection
+          .find({ storageKey: { $exists: false } })
+          .toArray();
+        return documents.map(({ _id, ...record }) => ({
+          legacyKey: _id,
+          record,
+        }));
+      },
+      async retire(id) {
+        await collection.deleteOne({ _id: id });
+      },
+    };
+  }
+
+  // In-memory storage never outlives the process, so it has no legacy keys
+  return { adapter, list: async () => [], retire: async () => {} };
+}
+
+/**
+ * Pick a policy-compliant, unused public ID for a legacy ID
+ */
+function assignUserId(legacyId, taken) {
+  const base = isValidUserId(legacyId)
+    ? legacyId.normalize("NFKC").trim()
+    : sanitizeLegacyUserId(legacyId);
+
+  let userId = base;
+  for (let n = 2; taken.has(canonicalUserId(userId)); n++) {
+    userId = `${base}_${n}`;
+  }
+
+  taken.add(canonicalUserId(userId));
+  return userId;
+}
+
+/**
+ * Migrate every namespace
+ * @param {Object} options - { dryRun }
+ * @returns {Object} { renamed: [{ from, to }], moved: { namespace: count }, droppedIndexes }
+ */
+async function migrateStorageKeys({ dryRun = false } = {}) {
+  const report = { renamed: [], moved: {}, droppedIndexes: 0 };
+  const idMap = new Map(); // legacy userId -> new userId
+
+  const users = await openLegacySource("users");
+  const legacyUsers = await users.list();
+
+  // IDs already stored under opaque keys are taken
+  const taken = new Set();
+  for (const key of (await users.adapter.keys()).filter(isStorageKey)) {
+    const record = await users.adapter.read(key).catch(() => null);
+    if (record && record.userId) taken.add(canonicalUserId(record.userId));
+  }
+
+  for (const { legacyKey, record } of legacyUsers) {
+    const legacyId = record.userId || String(legacyKey);
+    const userId = assignUserId(legacyId, taken);
+    idMap.set(legacyId, userId);
+
+    if (userId !== legacyId) {
+      report.renamed.push({ from: legacyId, to: userId });
+    }
+
+    if (!dryRun) {
+      await users.adapter.write(toStorageKey(userId), { ...record, userId });
+      await users.retire(legacyKey);
+    }
+  }
+  report.moved.users = legacyUsers.length;
+
+  const resolve = (legacyId) =>
+    idMap.get(legacyId) ||
+    (isValidUserId(legacyId) ? legacyId : sanitizeLegacyUserId(legacyId));
+
+  // Consumption logs: { userId, entries }
+  const logs = await openLegacySource("consumption_logs");
+  const legacyLogs = await logs.list();
+  for (const { legacyKey, record } of legacyLogs) {
+    const userId = resolve(record.userId || String(legacyKey));
+
+    if (!dryRun) {
+      await logs.adapter.write(toStorageKey(userId), {
+        ...record,
+        userId,
+        entries: (record.entries || []).map((entry) => ({ ...entry, userId })),
+      });
+      await logs.retire(legacyKey);
+    }
+  }
+  report.moved.consumption_logs = legacyLogs.length;
+
+  // Conversation archive: index records point at their segments by key
+  const archive = await openLegacySource("conversation_archive");
+  const segments = await openLegacySource("conversation_segments");
+  const legacySegments = new Map(
+    (await segments.list()).map((entry) => [String(entry.legacyKey), entry])
+  );
+  if (segments.adapter.name === "mongo") {
+    // Mongo legacy segments were matched by their userId field
+    for (const entry of legacySegments.values()) {
+      legacySegments.set(entry.record.userId, entry);
+    }
+  }
+
+  const legacyIndexes = await archive.list();
+  for (const { legacyKey, record } of legacyIndexes) {
+    const userId = resolve(record.userId || String(legacyKey));
+    const newSegments = [];
+
+    for (const segment of record.segments || []) {
+      const key = `${toStorageKey(userId)}~${String(segment.id).padStart(4, "0")}`;
+      const legacySegment = legacySegments.get(segment.key);
+
+      if (!dryRun && legacySegment) {
+        await segments.adapter.write(key, {
+          ownerId: userId,
+          segmentId: segment.id,
+          messages: legacySegment.record.messages || [],
+        });
+        await segments.retire(legacySegment.legacyKey);
+      }
+      newSegments.push({ ...segment, key });
+    }
+
+    if (!dryRun) {
+      await archive.adapter.write(toStorageKey(userId), {
+        ...record,
+        userId,
+        segments: newSegments,
+      });
+      await archive.retire(legacyKey);
+    }
+  }
+  report.moved.conversation_archive = legacyIndexes.length;
+
+  // Search indexes are derived data - drop them and let them rebuild
+  const search = await openLegacySource("conversation_search");
+  const legacySearch = await search.list();
+  if (!dryRun) {
+    for (const { legacyKey } of legacySearch) {
+      await search.retire(legacyKey);
+    }
+  }
+  report.droppedIndexes = legacySearch.length;
+
+  for (const source of [users, logs, archive, segments, search]) {
+    await source.adapter.close();
+  }
+
+  return report;
+}
+
+module.exports = { migrateStorageKeys };
@@ -0,0 +1,433 @@
+/**
+ * Structured Responses
+ * Optional JSON reply mode: a plain-text answer plus typed cards (recipe,
+ * meal plan, storage tip, donation suggestion) that clients can render
+ *
+ * The model is asked for JSON matching the card schemas below. Its output is
+ * validated here; an invalid reply gets one repair attempt (the model sees
+ * its output and the validation errors), and if that fails too the plain
+ * text is returned with no cards, so the chat always has an answer.
+ *
+ * Reply shape:
+ *   { "text": "Plain-text answer", "cards": [{ "type": "recipe", ... }] }
+ */
+
+const MAX_CARDS = 4;
+
+const COST = { type: "number", minimum: 0 };
+const TEXT = { type: "string", minLength: 1 };
+const TEXT_LIST = { type: "array", items: TEXT, minItems: 1 };
+
+const CARD_SCHEMAS = {
+  recipe: {
+    type: "object",
+    required: ["title", "ingredients", "steps", "totalCostBDT"],
+    properties: {
+      title: TEXT,
+      servings: { type: "integer", minimum: 1 },
+      timeMinutes: { type: "integer", minimum: 1 },
+      ingredients: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          required: ["name"],
+          properties: { name: TEXT, quantity: TEXT, costBDT: COST },
+        },
+      },
+      steps: TEXT_LIST,
+      totalCostBDT: COST,
+      usesExpiring: { type: "array", items: TEXT },
+    },
+  },
+  mealPlan: {
+    type: "object",
+    required: ["title", "days", "totalCostBDT"],
+    properties: {
+      title: TEXT,
+      days: {
+        type: "array",
+        minItems: 1,
+        maxItems: 7,
+        items: {
+          type: "object",
+          required: ["day", "meals"],
+          properties: {
+            day: TEXT,
+            meals: {
+              type: "array",
+              minItems: 1,
+              items: {
+                type: "object",
+                required: ["name", "costBDT"],
+                properties: { name: TEXT, costBDT: COST },
+              },
+            },
+          },
+        },
+      },
+      totalCostBDT: COST,
+      shoppingList: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["item"],
+          properties: { item: TEXT, quantity: TEXT, costBDT: COST },
+        },
+      },
+    },
+  },
+  storageTip: {
+    type: "object",
+    required: ["food", "method", "tips"],
+    properties: {
+      food: TEXT,
+      method: TEXT,
+      lastsDays: { type: "integer", minimum: 0 },
+      tips: TEXT_LIST,
+      savingsBDT: COST,
+    },
+  },
+  donation: {
+    type: "object",
+    required: ["food", "recipients"],
+    properties: {
+      food: TEXT,
+      quantity: TEXT,
+      valueBDT: COST,
+      recipients: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          required: ["name"],
+          properties: { name: TEXT, area: TEXT, howToReach: TEXT },
+        },
+      },
+      notes: TEXT,
+    },
+  },
+};
+
+const CARD_TYPES = Object.keys(CARD_SCHEMAS);
+
+/**
+ * One example per card type, shown to the model
+ */
+const CARD_EXAMPLES = {
+  recipe: {
+    type: "recipe",
+    title: "Begun Bharta",
+    servings: 2,
+    timeMinutes: 20,
+    ingredients: [
+      { name: "Eggplant", quantity: "1 large", costBDT: 40 },
+      { name: "Mustard oil", quantity: "1 tbsp", costBDT: 5 },
+    ],
+    steps: ["Roast the eggplant", "Mash with onion, chilli and mustard oil"],
+    totalCostBDT: 45,
+    usesExpiring: ["Eggplant"],
+  },
+  mealPlan: {
+    type: "mealPlan",
+    title: "3-day budget plan",
+    days: [{ day: "Monday", meals: [{ name: "Khichuri", costBDT: 60 }] }],
+    totalCostBDT: 180,
+    shoppingList: [{ item: "Dal", quantity: "500 g", costBDT: 60 }],
+  },
+  storageTip: {
+    type: "storageTip",
+    food: "Spinach",
+    method: "Wrap in a damp cloth and refrigerate",
+    lastsDays: 4,
+    tips: ["Don't wash until you cook it"],
+    savingsBDT: 30,
+  },
+  donation: {
+    type: "donation",
+    food: "Cooked rice",
+    quantity: "2 kg",
+    valueBDT: 100,
+    recipients: [
+      { name: "Local mosque or madrasa", area: "Your neighbourhood" },
+    ],
+    notes: "Donate within 4 hours of cooking",
+  },
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  object: (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+};
+
+/**
+ * Check a value against a (small subset of) JSON Schema
+ * @returns {String[]} Errors, e.g. "cards[0].totalCostBDT must be a number"
+ */
+function validateSchema(value, schema, path) {
+  if (!TYPE_CHECKS[schema.type](value)) {
+    const article = /^[aeiou]/.test(schema.type) ? "an" : "a";
+    return [`${path} must be ${article} ${schema.type}`];
+  }
+
+  const errors = [];
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be at least ${schema.minimum}`);
+  }
+  if (schema.minLength && !value.trim()) {
+    errors.push(`${path} cannot be empty`);
+  }
+  if (schema.type === "array") {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path} needs at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems && value.length > schema.maxItems) {
+      errors.push(`${path} can have at most ${schema.maxItems} items`);
+    }
+    value.forEach((item, index) =>
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`))
+    );
+  }
+  if (schema.type === "object") {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined || value[field] === null) {
+        errors.push(`${path}.${field} is required`);
+      }
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+      if (value[field] !== undefined && value[field] !== null) {
+        errors.push(
+          ...validateSchema(value[field], fieldSchema, `${path}.${field}`)
+        );
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a parsed reply
+ * @returns {String[]} Errors (empty when valid)
+ */
+function validateReply(reply) {
+  if (!TYPE_CHECKS.object(reply)) return ["The reply must be a JSON object"];
+
+  const errors = [];
+  if (typeof reply.text !== "string" || !reply.text.trim()) {
+    errors.push("text is required (the plain-text answer)");
+  }
+  if (reply.cards === undefined) return errors;
+  if (!Array.isArray(reply.cards)) return [...errors, "cards must be an array"];
+  if (reply.cards.length > MAX_CARDS) {
+    errors.push(`cards can have at most ${MAX_CARDS} items`);
+  }
+
+  reply.cards.forEach((card, index) => {
+    const path = `cards[${index}]`;
+    if (!TYPE_CHECKS.object(card) || !CARD_SCHEMAS[card.type]) {
+      errors.push(`${path}.type must be one of: ${CARD_TYPES.join(", ")}`);
+      return;
+    }
+    errors.push(...validateSchema(card, CARD_SCHEMAS[card.type], path));
+  });
+  return errors;
+}
+
+/**
+ * Parse model output as a structured reply
+ * Tolerates markdown code fences and text around the JSON object.
+ * @returns {Object} { reply } when valid, otherwise { errors, partial }
+ *   (partial: the parsed object, if the JSON itself was readable)
+ */
+function parseReply(raw) {
+  const text = String(raw || "")
+    .replace(/```(?:json)?/gi, "")
+    .trim();
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end < start) {
+    return { errors: ["The reply must be a JSON object"], partial: null };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return { errors: [`Invalid JSON: ${error.message}`], partial: null };
+  }
+
+  const errors = validateReply(parsed);
+  if (errors.length > 0) return { errors, partial: parsed };
+
+  return {
+    reply: {
+      text: parsed.text.trim(),
+      cards: (parsed.cards || []).map((card) => ({ ...card })),
+    },
+  };
+}
+
+/**
+ * Best plain text from output that failed validation
+ */
+function fallbackText(raw, partial) {
+  if (partial && typeof partial.text === "string" && partial.text.trim()) {
+    return partial.text.trim();
+  }
+
+  const text = String(raw || "").trim();
+  // A "text" field in JSON that didn't parse
+  const match = /"text"\s*:\s*"((?:\\.|[^"\\])*)"/.exec(text);
+  if (match) {
+    try {
+      return JSON.parse(`"${match[1]}"`);
+    } catch (error) {
+      // Fall through to the raw output
+    }
+  }
+  return text.startsWith("{") ? "" : text;
+}
+
+/**
+ * Instructions appended to the system prompt in structured mode
+ */
+function buildInstructions() {
+  const cards = CARD_TYPES.map((type) => {
+    const required = CARD_SCHEMAS[type].required.join(", ");
+    return `- ${type} (required: ${required}):\n  ${JSON.stringify(CARD_EXAMPLES[type])}`;
+  }).join("\n");
+
+  return `STRUCTURED RESPONSE MODE - reply with ONE JSON object and nothing else
+(no markdown, no code fences):
+{"text": "<your full answer as plain text, following every rule above>",
+ "cards": [<0-${MAX_CARDS} cards>]}
+
+Add a card only when it fits the question. Card types:
+${cards}
+
+Rules:
+- All costs are numbers in BDT (no currency symbols or ranges)
+- Card text uses the same single language as "text"
+- Only list ingredients the user has or can buy cheaply in Bangladesh`;
+}
+
+/**
+ * Correction request after invalid output
+ */
+function buildRepairMessage(errors) {
+  return `Your last reply was not valid structured JSON:
+${errors
+  .slice(0, 10)
+  .map((error) => `- ${error}`)
+  .join("\n")}
+
+Reply again with ONLY the corrected JSON object.`;
+}
+
+/**
+ * Generate a structured reply, repairing invalid output once
+ * @param {Object} client - LLM client
+ * @param {Object} request - LLM client request (systemPrompt, history,
+ *   message, context, tools)
+ * @returns {Promise<Object>} { reply, text, structured } - reply is the
+ *   combined LLM client result (usage and attempts of both calls);
+ *   structured is { valid, repaired, cards, errors? }
+ */
+async function generateStructured(client, request) {
+  const systemPrompt = `${request.systemPrompt}\n\n${buildInstructions()}`;
+  const first = await client.generate({
+    ...request,
+    systemPrompt,
+    responseFormat: "json",
+  });
+
+  let parsed = parseReply(first.text);
+  if (parsed.reply) {
+    return {
+      reply: first,
+      text: parsed.reply.text,
+      structured: { valid: true, repaired: false, cards: parsed.reply.cards },
+    };
+  }
+
+  console.warn(`⚠️ Invalid structured reply: ${parsed.errors.join("; ")}`);
+
+  // The repair is a call of its own, within the user's quota
+  if (request.beforeCall && !(await request.beforeCall())) {
+    return {
+      reply: first,
+      text:
+        fallbackText(first.text, parsed.partial) ||
+        "Sorry, I couldn't put that answer together. Please ask again.",
+      structured: {
+        valid: false,
+        repaired: false,
+        cards: [],
+        errors: parsed.errors,
+      },
+    };
+  }
+
+  // One repair attempt - the tools already ran, so none are offered again
+  const repair = await client.generate({
+    systemPrompt,
+    history: [
+      ...(request.history || []),
+      { role: "user", content: request.message },
+      { role: "assistant", content: first.text },
+    ],
+    message: buildRepairMessage(parsed.errors),
+    context: request.context,
+    responseFormat: "json",
+  });
+  const reply = {
+    ...repair,
+    usage: {
+      totalTokens:
+        first.usage.totalTokens === null && repair.usage.totalTokens === null
+          ? null
+          : (first.usage.totalTokens || 0) + (repair.usage.totalTokens || 0),
+    },
+    usingMock: first.usingMock && repair.usingMock,
+    calls: first.calls + repair.calls,
+    attempts: [...first.attempts, ...repair.attempts],
+    toolCalls: first.toolCalls,
+  };
+
+  const repaired = parseReply(repair.text);
+  if (repaired.reply) {
+    return {
+      reply,
+      text: repaired.reply.text,
+      structured: { valid: true, repaired: true, cards: repaired.reply.cards },
+    };
+  }
+
+  return {
+    reply,
+    text:
+      fallbackText(repair.text, repaired.partial) ||
+      fallbackText(first.text, parsed.partial) ||
+      "Sorry, I couldn't put that answer together. Please ask again.",
+    structured: {
+      valid: false,
+      repaired: false,
+      cards: [],
+      errors: repaired.errors,
+    },
+  };
+}
+
+module.exports = {
+  CARD_SCHEMAS,
+  CARD_TYPES,
+  validateReply,
+  parseReply,
+  buildInstructions,
+  generateStructured,
+};
@@ -0,0 +1,561 @@
+/**
+ * Usage Limits
+ * Request-rate limiting and LLM usage quotas for the chat endpoint
+ *
+ * Two independent layers:
+ *   - Rate limits: sliding one-minute windows per user and per client IP,
+ *     kept in memory (they only need to survive a minute)
+ *   - Quotas: LLM calls and tokens per user per Dhaka calendar day and month,
+ *     persisted as { userId, daily, monthly } records in the "llm_usage"
+ *     namespace of the configured storage backend
+ *
+ * Every provider call of a chat turn counts: the first answer, each tool
+ * round and any repair or guardrail regeneration. A ChatUsageMeter reserves
+ * each call before it is made (check and count in one locked step, so
+ * concurrent requests can't all slip under the limit) and settles the turn
+ * afterwards: tokens are added and calls the mock answered are given back.
+ *
+ * Configuration (0 disables a limit):
+ *   CHAT_RATE_LIMIT_USER_PER_MINUTE - Chat requests per user (default 10)
+ *   CHAT_RATE_LIMIT_IP_PER_MINUTE   - Chat requests per IP (default 30)
+ *   LLM_DAILY_CALL_QUOTA            - LLM calls per user per day (default 100)
+ *   LLM_MONTHLY_CALL_QUOTA          - LLM calls per user per month (default 2000)
+ *   LLM_DAILY_TOKEN_QUOTA           - Tokens per user per day (default 200000)
+ *   LLM_MONTHLY_TOKEN_QUOTA         - Tokens per user per month (default 3000000)
+ *   LLM_GUEST_DAILY_CALL_QUOTA      - LLM calls per guest session per day (default 20)
+ */
+
+const { createStorageAdapter, KeyedLock } = require("./storage");
+const { toStorageKey } = require("./userIdPolicy");
+const {
+  TIMEZONE,
+  formatDhakaDate,
+  startOf,
+  addIntervals,
+} = require("./reportingPeriods");
+const { replyLanguage } = require("./banglish");
+
+const USAGE_NAMESPACE = "llm_usage";
+const RATE_WINDOW_MS = 60 * 1000;
+
+let storage = null;
+const usageLocks = new KeyedLock();
+
+// UserManager depends on this module (through ConversationMemory), so it is
+// required lazily for the stored reply language
+function userManager() {
+  return require("./userManager");
+}
+
+/**
+ * Read a non-negative integer setting from the environment
+ */
+function envLimit(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * Current limits (read on each call so tests and deployments can change env)
+ */
+function getLimits(role = "user") {
+  const dailyCalls = envLimit("LLM_DAILY_CALL_QUOTA", 100);
+
+  return {
+    ratePerMinute: {
+      user: envLimit("CHAT_RATE_LIMIT_USER_PER_MINUTE", 10),
+      ip: envLimit("CHAT_RATE_LIMIT_IP_PER_MINUTE", 30),
+    },
+    daily: {
+      calls:
+        role === "guest"
+          ? envLimit("LLM_GUEST_DAILY_CALL_QUOTA", 20)
+          : dailyCalls,
+      tokens: envLimit("LLM_DAILY_TOKEN_QUOTA", 200000),
+    },
+    monthly: {
+      calls: envLimit("LLM_MONTHLY_CALL_QUOTA", 2000),
+      tokens: envLimit("LLM_MONTHLY_TOKEN_QUOTA", 3000000),
+    },
+  };
+}
+
+/**
+ * Rough token count for providers that don't report usage (~4 chars/token)
+ */
+function estimateTokens(...texts) {
+  const chars = texts.reduce((sum, text) => sum + String(text || "").length, 0);
+  return Math.ceil(chars / 4);
+}
+
+// ============================================================================
+// Localized limit messages
+// ============================================================================
+
+const MESSAGES = {
+  rate: {
+    english: (seconds) =>
+      `You're sending messages too quickly. Please wait ${seconds} seconds and try again.`,
+    bengali: (seconds) =>
+      `আপনি খুব দ্রুত বার্তা পাঠাচ্ছেন। অনুগ্রহ করে ${toBengaliDigits(seconds)} সেকেন্ড পরে আবার চেষ্টা করুন।`,
+  },
+  daily: {
+    english: () =>
+      "You've used today's AI chat quota. It resets at midnight Bangladesh time.",
+    bengali: () =>
+      "আজকের এআই চ্যাট কোটা শেষ হয়ে গেছে। বাংলাদেশ সময় রাত ১২টায় আবার চালু হবে।",
+  },
+  monthly: {
+    english: () =>
+      "You've used this month's AI chat quota. It resets on the 1st of next month (Bangladesh time).",
+    bengali: () =>
+      "এই মাসের এআই চ্যাট কোটা শেষ হয়ে গেছে। আগামী মাসের ১ তারিখে আবার চালু হবে।",
+  },
+};
+
+function toBengaliDigits(value) {
+  return String(value).replace(/\d/g, (d) => "০১২৩৪৫৬৭৮৯"[d]);
+}
+
+/**
+ * Localized limit message
+ * @param {String} kind - "rate", "daily" or "monthly"
+ * @param {String} language - "bengali" or "english"
+ */
+function limitMessage(kind, language, retryAfterSeconds) {
+  const messages = MESSAGES[kind];
+  return (messages[language] || messages.english)(retryAfterSeconds);
+}
+
+// ============================================================================
+// Request-rate limiting
+// ============================================================================
+
+/**
+ * Sliding-window request counter keyed by user or IP
+ */
+class RateLimiter {
+  constructor(windowMs = RATE_WINDOW_MS) {
+    this.windowMs = windowMs;
+    this.hits = new Map(); // key -> [timestamps]
+    this.checks = 0;
+  }
+
+  /**
+   * Whether a request would fit under the limit (without counting it)
+   * @returns {Object} { allowed, remaining, retryAfterMs }
+   */
+  check(key, limit, now = Date.now()) {
+    if (!limit) return { allowed: true, remaining: null, retryAfterMs: 0 };
+
+    const recent = (this.hits.get(key) || []).filter(
+      (time) => now - time < this.windowMs
+    );
+    this.hits.set(key, recent);
+
+    if (recent.length >= limit) {
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfterMs: recent[0] + this.windowMs - now,
+      };
+    }
+    return { allowed: true, remaining: limit - recent.length, retryAfterMs: 0 };
+  }
+
+  /**
+   * Count a request if it fits under the limit
+   * @returns {Object} { allowed, remaining, retryAfterMs }
+   */
+  hit(key, limit, now = Date.now()) {
+    const result = this.check(key, limit, now);
+    if (!limit || !result.allowed) return result;
+
+    const recent = this.hits.get(key);
+    recent.push(now);
+    this._sweep(now);
+
+    return { allowed: true, remaining: limit - recent.length, retryAfterMs: 0 };
+  }
+
+  /**
+   * Requests left in the current window (without counting one)
+   */
+  remaining(key, limit, now = Date.now()) {
+    if (!limit) return null;
+    const recent = (this.hits.get(key) || []).filter(
+      (time) => now - time < this.windowMs
+    );
+    return Math.max(limit - recent.length, 0);
+  }
+
+  /**
+   * Drop idle keys now and then so the map doesn't grow without bound
+   */
+  _sweep(now) {
+    if (++this.checks % 1000 !== 0) return;
+    for (const [key, times] of this.hits) {
+      if (!times.length || now - times[times.length - 1] >= this.windowMs) {
+        this.hits.delete(key);
+      }
+    }
+  }
+}
+
+const chatRateLimiter = new RateLimiter();
+
+// ============================================================================
+// LLM usage quotas
+// ============================================================================
+
+/**
+ * Current Dhaka day and month with their reset instants
+ */
+function currentPeriods(now = new Date()) {
+  const dayStart = startOf(now, "day");
+  const monthStart = startOf(now, "month");
+
+  return {
+    day: formatDhakaDate(dayStart),
+    month: formatDhakaDate(monthStart).slice(0, 7),
+    dayResetsAt: addIntervals(dayStart, "day", 1),
+    monthResetsAt: addIntervals(monthStart, "month", 1),
+  };
+}
+
+/**
+ * The period whose call or token quota is used up
+ * @returns {String|null} "monthly", "daily" or null
+ */
+function exceededPeriod(record, limits) {
+  const exhausted = (used, limit) =>
+    (limit.calls && used.calls >= limit.calls) ||
+    (limit.tokens && used.tokens >= limit.tokens);
+
+  if (exhausted(record.monthly, limits.monthly)) return "monthly";
+  if (exhausted(record.daily, limits.daily)) return "daily";
+  return null;
+}
+
+class UsageQuota {
+  /**
+   * Get the active storage adapter (created from config on first use)
+   */
+  static getStorage() {
+    if (!storage) {
+      storage = createStorageAdapter(undefined, { namespace: USAGE_NAMESPACE });
+    }
+    return storage;
+  }
+
+  /**
+   * Replace the storage adapter (e.g. in-memory for tests)
+   */
+  static useStorage(adapter) {
+    storage = adapter;
+    return storage;
+  }
+
+  static async init() {
+    const adapter = this.getStorage();
+    await adapter.connect();
+    return adapter;
+  }
+
+  /**
+   * Read a user's usage, resetting counters from past periods
+   */
+  static async _readUsage(userId, periods = currentPeriods()) {
+    const record = (await this.getStorage().read(toStorageKey(userId))) || {
+      userId,
+    };
+
+    if (!record.daily || record.daily.date !== periods.day) {
+      record.daily = { date: periods.day, calls: 0, tokens: 0 };
+    }
+    if (!record.monthly || record.monthly.month !== periods.month) {
+      record.monthly = { month: periods.month, calls: 0, tokens: 0 };
+    }
+
+    return record;
+  }
+
+  /**
+   * Count one LLM call if the user has quota left
+   * The check and the count are one locked step.
+   * @returns {Promise<Object>} { reserved, exceeded } - exceeded is
+   *   "daily", "monthly" or null
+   */
+  static async reserveCall(userId, role = "user") {
+    return usageLocks.run(toStorageKey(userId), async () => {
+      const record = await this._readUsage(userId);
+      const exceeded = exceededPeriod(record, getLimits(role));
+      if (exceeded) return { reserved: false, exceeded };
+
+      record.daily.calls++;
+      record.monthly.calls++;
+      record.updatedAt = new Date();
+
+      await this.getStorage().write(toStorageKey(userId), record);
+      return { reserved: true, exceeded: null };
+    });
+  }
+
+  /**
+   * Record tokens and correct the call count of reserved calls
+   * @param {String} userId - User ID
+   * @param {Object} usage - { tokens (prompt + response), calls (made beyond
+   *   those reserved; negative gives reserved calls back) }
+   */
+  static async recordUsage(userId, { tokens = 0, calls = 0 } = {}) {
+    return usageLocks.run(toStorageKey(userId), async () => {
+      const record = await this._readUsage(userId);
+
+      record.daily.calls = Math.max(record.daily.calls + calls, 0);
+      record.daily.tokens += tokens;
+      record.monthly.calls = Math.max(record.monthly.calls + calls, 0);
+      record.monthly.tokens += tokens;
+      record.updatedAt = new Date();
+
+      await this.getStorage().write(toStorageKey(userId), record);
+      return record;
+    });
+  }
+
+  /**
+   * Usage, limits and remaining quota for a user
+   * @returns {Object} { timezone, daily, monthly, exceeded }
+   *   exceeded is "daily", "monthly" or null
+   */
+  static async getStatus(userId, role = "user") {
+    const periods = currentPeriods();
+    const record = await this._readUsage(userId, periods);
+    const limits = getLimits(role);
+
+    const describe = (used, limit, resetsAt) => ({
+      used: { calls: used.calls, tokens: used.tokens },
+      limit,
+      remaining: {
+        calls: limit.calls ? Math.max(limit.calls - used.calls, 0) : null,
+        tokens: limit.tokens ? Math.max(limit.tokens - used.tokens, 0) : null,
+      },
+      resetsAt,
+    });
+
+    const daily = describe(record.daily, limits.daily, periods.dayResetsAt);
+    const monthly = describe(
+      record.monthly,
+      limits.monthly,
+      periods.monthResetsAt
+    );
+
+    return {
+      timezone: TIMEZONE,
+      daily,
+      monthly,
+      exceeded: exceededPeriod(record, limits),
+    };
+  }
+
+  /**
+   * Remove a user's usage record (e.g. on account deletion)
+   */
+  static async deleteUsage(userId) {
+    const key = toStorageKey(userId);
+    return usageLocks.run(key, () => this.getStorage().remove(key));
+  }
+}
+
+/**
+ * The LLM calls of one chat turn
+ * reserve() before each provider call; settle() once the reply is in, or
+ * release() if the turn fails first.
+ */
+class ChatUsageMeter {
+  constructor(userId, role = "user") {
+    this.userId = userId;
+    this.role = role;
+    this.reserved = 0;
+    this.exceeded = null; // Period that refused the last reservation
+    this.settled = false;
+  }
+
+  /**
+   * Reserve the next call
+   * @returns {Promise<Boolean>} false when the quota is used up
+   */
+  async reserve() {
+    const { reserved, exceeded } = await UsageQuota.reserveCall(
+      this.userId,
+      this.role
+    );
+    this.exceeded = exceeded;
+    if (reserved) this.reserved++;
+    return reserved;
+  }
+
+  /**
+   * Record the turn's tokens and give back reserved calls that weren't made
+   * (e.g. answered by the mock)
+   * @param {Number} calls - Provider calls made (reply.calls)
+   * @param {Number} tokens - Tokens used
+   * @returns {Promise<Object>} The updated usage record
+   */
+  async settle(calls, tokens = 0) {
+    const record = await UsageQuota.recordUsage(this.userId, {
+      tokens,
+      calls: calls - this.reserved,
+    });
+    this.reserved = calls;
+    this.settled = true;
+    return record;
+  }
+
+  /**
+   * Give back the calls of a turn that failed before it was settled
+   * @returns {Promise<Object|null>} The updated usage record (null if there
+   *   was nothing to give back)
+   */
+  async release() {
+    if (this.settled || this.reserved === 0) return null;
+    return this.settle(0);
+  }
+}
+
+// ============================================================================
+// Express middleware
+// ============================================================================
+
+/**
+ * Language to answer limit errors in: the user's reply language (from the
+ * request's or their stored preferences, else the message's), else
+ * Accept-Language
+ */
+async function detectRequestLanguage(req) {
+  const body = req.body || {};
+  const user = await userManager().findUser(req.user.userId);
+  const preferences = {
+    ...(user ? user.preferences : {}),
+    ...(body.preferences || {}),
+  };
+
+  if (typeof body.message === "string" && body.message) {
+    return replyLanguage(body.message, preferences);
+  }
+  if (["bengali", "english"].includes(preferences.language)) {
+    return preferences.language;
+  }
+  return /^bn\b/i.test(req.headers["accept-language"] || "")
+    ? "bengali"
+    : "english";
+}
+
+/**
+ * Send the 429 for a used-up quota
+ * @param {String} exceeded - "daily" or "monthly"
+ * @param {Object} status - From UsageQuota.getStatus()
+ */
+async function sendQuotaExceeded(req, res, exceeded, status) {
+  const language = await detectRequestLanguage(req);
+  const quota =
+    status || (await UsageQuota.getStatus(req.user.userId, req.user.role));
+  const period = quota[exceeded];
+  const retryAfter = Math.ceil((new Date(period.resetsAt) - Date.now()) / 1000);
+
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    error: "Quota exceeded",
+    code: "QUOTA_EXCEEDED",
+    period: exceeded,
+    message: limitMessage(exceeded, language),
+    language,
+    retryAfter,
+    resetsAt: period.resetsAt,
+  });
+}
+
+/**
+ * Express middleware: enforce rate limits and quotas before an LLM call
+ * Must run after requireAuth. Sets req.usageStatus and req.usageMeter (a
+ * ChatUsageMeter the handler reserves each LLM call with) for the handler.
+ */
+async function enforceChatLimits(req, res, next) {
+  const limits = getLimits(req.user.role);
+
+  const rejectRate = async (scope, result) => {
+    const language = await detectRequestLanguage(req);
+    const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+      error: "Rate limit exceeded",
+      code: "RATE_LIMITED",
+      scope,
+      message: limitMessage("rate", language, retryAfter),
+      language,
+      retryAfter,
+    });
+  };
+
+  try {
+    const userKey = `user:${toStorageKey(req.user.userId)}`;
+    const ipKey = `ip:${req.ip}`;
+
+    // Check both windows before counting, so a refused request uses neither
+    const byUser = chatRateLimiter.check(userKey, limits.ratePerMinute.user);
+    if (!byUser.allowed) return await rejectRate("user", byUser);
+
+    const byIp = chatRateLimiter.check(ipKey, limits.ratePerMinute.ip);
+    if (!byIp.allowed) return await rejectRate("ip", byIp);
+
+    chatRateLimiter.hit(userKey, limits.ratePerMinute.user);
+    chatRateLimiter.hit(ipKey, limits.ratePerMinute.ip);
+
+    // Fails fast when nothing is left; each call is still reserved on its own
+    const status = await UsageQuota.getStatus(req.user.userId, req.user.role);
+    if (status.exceeded) {
+      return await sendQuotaExceeded(req, res, status.exceeded, status);
+    }
+
+    req.usageStatus = status;
+    req.usageMeter = new ChatUsageMeter(req.user.userId, req.user.role);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remaining requests in the current rate windows for a session
+ */
+function getRateStatus(req) {
+  const limits = getLimits(req.user.role);
+  return {
+    windowSeconds: RATE_WINDOW_MS / 1000,
+    user: {
+      limit: limits.ratePerMinute.user || null,
+      remaining: chatRateLimiter.remaining(
+        `user:${toStorageKey(req.user.userId)}`,
+        limits.ratePerMinute.user
+      ),
+    },
+    ip: {
+      limit: limits.ratePerMinute.ip || null,
+      remaining: chatRateLimiter.remaining(
+        `ip:${req.ip}`,
+        limits.ratePerMinute.ip
+      ),
+    },
+  };
+}
+
+module.exports = {
+  RateLimiter,
+  UsageQuota,
+  ChatUsageMeter,
+  getLimits,
+  estimateTokens,
+  limitMessage,
+  sendQuotaExceeded,
+  enforceChatLimits,
+  getRateStatus,
+};
@@ -0,0 +1,149 @@
+/**
+ * User ID Policy
+ * Validation, normalization and opaque storage keys for public user IDs
+ *
+ * Public user IDs are what people type and what appears in URLs:
+ *   - 3 to 64 characters after Unicode NFKC normalization and trimming
+ *   - letters (any script, including Bengali), digits, "_", "-" and "."
+ *   - must start with a letter or digit; no ".." sequences
+ * IDs are case-insensitive: "Punam" and "punam" are the same account.
+ *
+ * Storage never sees the public ID. toStorageKey() hashes the canonical form
+ * into an opaque key ("u_" + 32 hex chars), so no request input can shape a
+ * file path or database key.
+ */
+
+const crypto = require("crypto");
+
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 64;
+const ALLOWED_PATTERN = /^[\p{L}\p{N}][\p{L}\p{M}\p{N}_.-]*$/u;
+const STORAGE_KEY_PATTERN = /^u_[0-9a-f]{32}$/;
+
+const RULES = {
+  minLength: MIN_LENGTH,
+  maxLength: MAX_LENGTH,
+  allowed: "letters (any language), digits, underscore, hyphen and dot",
+  mustStartWith: "a letter or digit",
+};
+
+/**
+ * Normalize a raw user ID (NFKC + trim); does not validate
+ */
+function normalizeUserId(raw) {
+  return typeof raw === "string" ? raw.normalize("NFKC").trim() : "";
+}
+
+/**
+ * Validate a raw user ID
+ * @returns {Object} { userId: normalized ID, error: String|null }
+ */
+function validateUserId(raw) {
+  if (typeof raw !== "string" || !raw.trim()) {
+    return { userId: null, error: "userId is required" };
+  }
+
+  const userId = normalizeUserId(raw);
+  const length = [...userId].length;
+
+  if (length < MIN_LENGTH || length > MAX_LENGTH) {
+    return {
+      userId,
+      error: `userId must be ${MIN_LENGTH}-${MAX_LENGTH} characters long`,
+    };
+  }
+
+  if (!ALLOWED_PATTERN.test(userId) || userId.includes("..")) {
+    return {
+      userId,
+      error: `userId may only contain ${RULES.allowed}, and must start with ${RULES.mustStartWith}`,
+    };
+  }
+
+  return { userId, error: null };
+}
+
+function isValidUserId(raw) {
+  return !validateUserId(raw).error;
+}
+
+/**
+ * Canonical form used for identity comparisons
+ */
+function canonicalUserId(userId) {
+  return normalizeUserId(userId).toLowerCase();
+}
+
+function sameUserId(a, b) {
+  return canonicalUserId(a) === canonicalUserId(b);
+}
+
+/**
+ * Opaque storage key for a public user ID
+ */
+function toStorageKey(userId) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(canonicalUserId(userId))
+    .digest("hex");
+  return `u_${hash.slice(0, 32)}`;
+}
+
+function isStorageKey(key) {
+  return STORAGE_KEY_PATTERN.test(key);
+}
+
+/**
+ * Turn a legacy ID that breaks the policy into a valid one
+ * ("123 User" -> "123_User"); used by the storage key migration
+ */
+function sanitizeLegacyUserId(raw) {
+  let userId = normalizeUserId(String(raw || ""))
+    .replace(/[^\p{L}\p{M}\p{N}_.-]+/gu, "_")
+    .replace(/\.{2,}/g, ".")
+    .replace(/^[^\p{L}\p{N}]+/u, "");
+
+  userId = [...userId].slice(0, MAX_LENGTH).join("").replace(/_+$/, "");
+  if (!userId) userId = "user";
+  while ([...userId].length < MIN_LENGTH) {
+    userId += "_";
+  }
+  return userId;
+}
+
+/**
+ * Standard 400 body for a rejected user ID
+ */
+function invalidUserIdResponse(error) {
+  return {
+    error: "Invalid userId",
+    code: "INVALID_USER_ID",
+    message: error,
+    rules: RULES,
+  };
+}
+
+/**
+ * Express middleware: reject routes whose :userId breaks the policy
+ */
+function requireValidUserIdParam(req, res, next) {
+  const { error } = validateUserId(req.params.userId);
+  if (error) {
+    return res.status(400).json(invalidUserIdResponse(error));
+  }
+  next();
+}
+
+module.exports = {
+  RULES,
+  normalizeUserId,
+  validateUserId,
+  isValidUserId,
+  canonicalUserId,
+  sameUserId,
+  toStorageKey,
+  isStorageKey,
+  sanitizeLegacyUserId,
+  invalidUserIdResponse,
+  requireValidUserIdParam,
+};
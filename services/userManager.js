@@ -1,83 +1,337 @@
 /**
  * User Account & Conversation History Service
  * Manages user accounts, preferences, and conversation history persistence
+ *
+ * Records are persisted through a pluggable storage adapter (see ./storage),
+ * under an opaque key derived from the public userId (see ./userIdPolicy).
+ * The backend is chosen by the USER_STORAGE env var; tests can swap it with
+ * UserManager.useStorage(new MemoryStorageAdapter()).
+ *
+ * Every change goes through _mutate(), which serializes read-modify-write
+ * cycles per user so overlapping requests cannot overwrite each other.
+ *
+ * Records carry a schemaVersion; outdated records are upgraded (and saved)
+ * the first time they are loaded - see ./userMigrations.
+ *
+ * Conversations are grouped into named threads (user.threads). Each entry in
+ * conversationHistory carries the conversationId of its thread; chats sent
+ * without one go to the "default" thread, created on first use. Once a thread
+ * holds more than 100 messages the oldest move to ./conversationArchive.
+ * Every saved exchange is also added to the ./conversationSearch index, and
+ * older exchanges are summarized into long-term ./conversationMemory.
  */
 
-const fs = require("fs");
-const path = require("path");
+const { createStorageAdapter, KeyedLock } = require("./storage");
+const { normalizeUserId, toStorageKey } = require("./userIdPolicy");
+const ConversationArchive = require("./conversationArchive");
+const ConversationSearch = require("./conversationSearch");
+const ConversationMemory = require("./conversationMemory");
+const HouseholdManager = require("./householdManager");
+const ConsumptionLogManager = require("./consumptionLogManager");
+const { UsageQuota } = require("./usageLimits");
+const AuditLog = require("./auditLog");
+const {
+  MAX_PROFILES,
+  validateProfile,
+  combineRestrictions,
+} = require("./dietaryProfiles");
+const {
+  CURRENT_SCHEMA_VERSION,
+  needsMigration,
+  migrateUserRecord,
+} = require("./userMigrations");
+const { REPLY_LANGUAGES } = require("./banglish");
 
-// Directory to store user data
-const USER_DATA_DIR = path.join(__dirname, "../data/users");
+const DEFAULT_THREAD_ID = "default";
+const DEFAULT_THREAD_TITLE = "General";
+const MAX_MESSAGES_PER_THREAD = 100;
+const MAX_THREAD_TITLE_LENGTH = 80;
+const MAX_ANSWERED_SUGGESTIONS = 50;
+const INVENTORY_FIELDS = [
+  "name",
+  "quantity",
+  "unit",
+  "expiryDate",
+  "category",
+  "price",
+];
 
-// Ensure data directory exists
-if (!fs.existsSync(USER_DATA_DIR)) {
-  fs.mkdirSync(USER_DATA_DIR, { recursive: true });
-}
+let storage = null;
+const userLocks = new KeyedLock();
 
 class UserManager {
   /**
-   * Create or get user account
+   * Get the active storage adapter (created from config on first use)
+   */
+  static getStorage() {
+    if (!storage) {
+      storage = createStorageAdapter();
+    }
+    return storage;
+  }
+
+  /**
+   * Replace the storage adapter (e.g. in-memory for tests)
+   */
+  static useStorage(adapter) {
+    storage = adapter;
+    return storage;
+  }
+
+  /**
+   * Connect the storage backend before serving requests
    */
-  static createUser(userId, userData = {}) {
-    const userFile = path.join(USER_DATA_DIR, `${userId}.json`);
+  static async init() {
+    const adapter = this.getStorage();
+    await adapter.connect();
+    await ConversationArchive.init();
+    await ConversationSearch.init();
+    await ConversationMemory.init();
+    await HouseholdManager.init();
+    await AuditLog.init();
+    return adapter;
+  }
+
+  /**
+   * Persist a full user record
+   */
+  static async _save(user) {
+    await this.getStorage().write(toStorageKey(user.userId), user);
+    return user;
+  }
 
-    // If user exists, return existing data
-    if (fs.existsSync(userFile)) {
-      return this.getUserData(userId);
+  /**
+   * Load a record and apply pending schema migrations
+   * Caller must hold the user's lock (the migrated record is saved)
+   */
+  static async _load(userId) {
+    const record = await this.getStorage().read(toStorageKey(userId));
+    if (!record) return null;
+
+    const { record: migrated, changed } = migrateUserRecord(record);
+    if (changed) {
+      await this._save(migrated);
     }
+    return migrated;
+  }
 
-    // Create new user
-    const defaultUser = {
-      userId,
+  /**
+   * Read a record without locking, upgrading it under the lock if outdated
+   */
+  static async _read(userId) {
+    const record = await this.getStorage().read(toStorageKey(userId));
+    if (!needsMigration(record)) return record;
+
+    return userLocks.run(toStorageKey(userId), () => this._load(userId));
+  }
+
+  /**
+   * Default record for a new account
+   */
+  static _buildDefaultUser(userId, userData = {}) {
+    return {
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      userId: normalizeUserId(userId),
       createdAt: new Date(),
       lastActive: new Date(),
       preferences: {
-        language: "English",
+        language: "auto", // Reply language: auto, bengali, english
         budget: userData.budget || "moderate", // low, moderate, high
         dietaryPreferences: userData.dietaryPreferences || [],
         familySize: userData.familySize || 1,
         allergies: userData.allergies || [],
         location: userData.location || "Bangladesh",
       },
+      auth: null, // { passwordHash, role, tokenVersion } once registered
       inventory: [],
+      dietaryProfiles: [],
+      preferenceSuggestions: [], // Changes spotted in chat, awaiting the user
+      threads: [],
       conversationHistory: [],
       statistics: {
         totalWasteReduced: 0,
-        mealsPlanedCount: 0,
+        mealsPlannedCount: 0,
         messagesCount: 0,
         sdgScore: 50,
       },
     };
+  }
+
+  /**
+   * Serialized read-modify-write of one user record
+   * Missing users are created with defaults (same as getUserData)
+   * @param {String} userId - User ID
+   * @param {Function} mutator - (user) => result; may modify user in place
+   * @returns {Promise<*>} The mutator's result
+   */
+  static async _mutate(userId, mutator) {
+    return userLocks.run(toStorageKey(userId), async () => {
+      const user =
+        (await this._load(userId)) || this._buildDefaultUser(userId);
+
+      const result = await mutator(user);
+      await this._save(user);
 
-    fs.writeFileSync(userFile, JSON.stringify(defaultUser, null, 2));
-    return defaultUser;
+      return result;
+    });
   }
 
   /**
-   * Get user data
+   * Create or get user account
    */
-  static getUserData(userId) {
-    const userFile = path.join(USER_DATA_DIR, `${userId}.json`);
+  static async createUser(userId, userData = {}) {
+    return userLocks.run(toStorageKey(userId), async () => {
+      const existing = await this._load(userId);
 
-    if (!fs.existsSync(userFile)) {
-      return this.createUser(userId);
-    }
+      // If user exists, return existing data
+      if (existing) {
+        return existing;
+      }
+
+      // Create new user
+      return this._save(this._buildDefaultUser(userId, userData));
+    });
+  }
 
-    try {
-      const data = fs.readFileSync(userFile, "utf-8");
-      return JSON.parse(data);
-    } catch (error) {
-      console.error(`Error reading user data for ${userId}:`, error);
-      return null;
+  /**
+   * Register an account with credentials
+   * Any stored record makes the ID taken - including accounts from before
+   * passwords existed, which are claimed through setPassword() by an admin.
+   * @param {String} userId - User ID
+   * @param {Object} auth - { passwordHash, role } (role "user" or "guest")
+   * @param {Object} userData - Initial preferences
+   * @returns {Object|null} The user record, or null if the ID is taken
+   */
+  static async registerUser(userId, auth, userData = {}) {
+    return userLocks.run(toStorageKey(userId), async () => {
+      if (await this._load(userId)) {
+        return null;
+      }
+
+      const user = this._buildDefaultUser(userId, userData);
+      user.auth = {
+        passwordHash: auth.passwordHash || null,
+        role: auth.role || "user",
+        tokenVersion: 0,
+        createdAt: new Date(),
+      };
+
+      return this._save(user);
+    });
+  }
+
+  /**
+   * Set an existing account's password (admin reset, or claiming an account
+   * from before passwords existed). Tokens issued before are revoked.
+   * @returns {Object|null} The user record, or null if there is no account
+   */
+  static async setPassword(userId, passwordHash) {
+    return userLocks.run(toStorageKey(userId), async () => {
+      const user = await this._load(userId);
+      if (!user) return null;
+
+      user.auth = user.auth
+        ? {
+            ...user.auth,
+            passwordHash,
+            tokenVersion: (user.auth.tokenVersion || 0) + 1,
+          }
+        : {
+            passwordHash,
+            role: "user",
+            tokenVersion: 0,
+            createdAt: new Date(),
+          };
+
+      return this._save(user);
+    });
+  }
+
+  /**
+   * Get a user's credentials (null if the user doesn't exist or never registered)
+   * Unlike getUserData, this never creates an account.
+   */
+  static async getAuth(userId) {
+    const user = await this._read(userId);
+    return user ? user.auth : null;
+  }
+
+  /**
+   * Revoke every token issued to a user (logout everywhere)
+   */
+  static async revokeSessions(userId) {
+    return this._mutate(userId, (user) => {
+      if (!user.auth) return false;
+      user.auth.tokenVersion = (user.auth.tokenVersion || 0) + 1;
+      return true;
+    });
+  }
+
+  /**
+   * Get a user record without creating one (null if missing)
+   */
+  static async findUser(userId) {
+    return this._read(userId);
+  }
+
+  /**
+   * Change a registered user's role
+   * @returns {String|null} New role, or null if the user never registered
+   */
+  static async setRole(userId, role) {
+    return userLocks.run(toStorageKey(userId), async () => {
+      const user = await this._load(userId);
+      if (!user || !user.auth) return null;
+
+      user.auth.role = role;
+      await this._save(user);
+      return role;
+    });
+  }
+
+  /**
+   * Get user data
+   * Throws StorageCorruptionError if the record exists but can't be read,
+   * so a damaged account is never mistaken for a missing one.
+   */
+  static async getUserData(userId) {
+    const user = await this._read(userId);
+    if (!user) {
+      return this.createUser(userId);
     }
+    return user;
   }
 
   /**
    * Update user preferences
+   * @param {Object} options - { source } for the audit log (default "rest")
    */
-  static updateUserPreferences(userId, preferences) {
-    const user = this.getUserData(userId);
-    if (!user) return null;
+  static async updateUserPreferences(userId, preferences, options = {}) {
+    let changes;
+    const updated = await this._mutate(userId, (user) => {
+      changes = this._applyPreferences(user, preferences);
+      return user;
+    });
+
+    await this._auditPreferences(userId, changes, options);
+    return updated;
+  }
+
+  /**
+   * Merge preferences into a user record (inside _mutate)
+   * @returns {Object} { before, after } - the fields that changed
+   */
+  static _applyPreferences(user, preferences) {
+    const before = {};
+    const after = {};
+
+    for (const [field, value] of Object.entries(preferences || {})) {
+      const current = user.preferences[field];
+      if (JSON.stringify(current) !== JSON.stringify(value)) {
+        before[field] = current === undefined ? null : current;
+        after[field] = value;
+      }
+    }
 
     user.preferences = {
       ...user.preferences,
@@ -85,154 +339,940 @@ class UserManager {
     };
     user.lastActive = new Date();
 
-    const userFile = path.join(USER_DATA_DIR, `${userId}.json`);
-    fs.writeFileSync(userFile, JSON.stringify(user, null, 2));
+    return { before, after };
+  }
 
-    return user;
+  /**
+   * Audit a preference change from _applyPreferences (if anything changed)
+   */
+  static async _auditPreferences(userId, { before, after }, options = {}) {
+    if (Object.keys(after).length === 0) return;
+
+    await AuditLog.record(AuditLog.userScope(userId), {
+      actor: userId,
+      action: "preferences.update",
+      source: options.source,
+      target: {
+        type: "preferences",
+        id: null,
+        name: Object.keys(after).join(", "),
+      },
+      before,
+      after,
+    });
   }
 
   /**
-   * Save conversation to history
+   * Store preference changes spotted in a chat message as pending suggestions
+   * Skips anything already pending or that the user rejected before; a new
+   * familySize/budget suggestion replaces a pending one for the same field.
+   * @param {Array} candidates - From extractPreferenceSuggestions()
+   * @param {Object} origin - { conversationId, messageId } of the exchange
+   * @returns {Promise<Array>} The suggestions added
    */
-  static saveConversation(userId, message, response, intent = "general") {
-    const user = this.getUserData(userId);
-    if (!user) return null;
+  static async addPreferenceSuggestions(userId, candidates = [], origin = {}) {
+    if (candidates.length === 0) return [];
 
-    const conversation = {
-      id: `msg_${Date.now()}`,
-      timestamp: new Date(),
-      userMessage: message,
-      botResponse: response,
-      intent,
-      userPreferences: user.preferences,
-    };
+    return this._mutate(userId, (user) => {
+      const added = [];
 
-    user.conversationHistory.push(conversation);
-    user.statistics.messagesCount += 1;
-    user.lastActive = new Date();
+      for (const candidate of candidates) {
+        const known = user.preferenceSuggestions.some(
+          (s) =>
+            s.field === candidate.field &&
+            JSON.stringify(s.value) === JSON.stringify(candidate.value) &&
+            (s.status === "pending" || s.status === "rejected")
+        );
+        if (known) continue;
+
+        if (candidate.operation === "set") {
+          user.preferenceSuggestions = user.preferenceSuggestions.filter(
+            (s) => !(s.field === candidate.field && s.status === "pending")
+          );
+        }
+
+        const suggestion = {
+          id: `sugg_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+          field: candidate.field,
+          operation: candidate.operation,
+          value: candidate.value,
+          evidence: candidate.evidence,
+          conversationId: origin.conversationId || null,
+          messageId: origin.messageId || null,
+          status: "pending",
+          createdAt: new Date(),
+          resolvedAt: null,
+        };
+        user.preferenceSuggestions.push(suggestion);
+        added.push(suggestion);
+      }
+
+      // Keep every pending suggestion and the most recent answered ones
+      const answered = user.preferenceSuggestions.filter(
+        (s) => s.status !== "pending"
+      );
+      const dropped = new Set(
+        answered
+          .slice(0, Math.max(answered.length - MAX_ANSWERED_SUGGESTIONS, 0))
+          .map((s) => s.id)
+      );
+      user.preferenceSuggestions = user.preferenceSuggestions.filter(
+        (s) => !dropped.has(s.id)
+      );
 
-    // Keep only last 100 conversations per session
-    if (user.conversationHistory.length > 100) {
-      user.conversationHistory = user.conversationHistory.slice(-100);
+      return added;
+    });
+  }
+
+  /**
+   * Preference suggestions, newest first
+   * @param {String} status - pending (default), accepted, rejected or all
+   */
+  static async getPreferenceSuggestions(userId, status = "pending") {
+    const user = await this.getUserData(userId);
+    return user.preferenceSuggestions
+      .filter((s) => status === "all" || s.status === status)
+      .reverse();
+  }
+
+  /**
+   * Accept or reject a pending suggestion
+   * Accepting applies it through updateUserPreferences (audited with
+   * source "chat", where the fact came from).
+   * @param {String} decision - "accept" or "reject"
+   * @returns {Object|null} { suggestion, preferences } or { error }; null if
+   *   the suggestion isn't found
+   */
+  static async resolvePreferenceSuggestion(userId, suggestionId, decision) {
+    const resolved = await this._mutate(userId, (user) => {
+      const suggestion = user.preferenceSuggestions.find(
+        (s) => s.id === suggestionId
+      );
+      if (!suggestion) return null;
+      if (suggestion.status !== "pending") {
+        return { error: `Suggestion was already ${suggestion.status}` };
+      }
+
+      suggestion.status = decision === "accept" ? "accepted" : "rejected";
+      suggestion.resolvedAt = new Date();
+
+      // Applied under the same lock as the status change, so the change is
+      // made once and on the current preferences
+      let changes = null;
+      if (suggestion.status === "accepted") {
+        const current = user.preferences[suggestion.field];
+        changes = this._applyPreferences(
+          user,
+          suggestion.operation === "add"
+            ? {
+                [suggestion.field]: [
+                  ...new Set([...(current || []), suggestion.value]),
+                ],
+              }
+            : { [suggestion.field]: suggestion.value }
+        );
+      }
+
+      return {
+        suggestion: { ...suggestion },
+        preferences: { ...user.preferences },
+        changes,
+      };
+    });
+    if (!resolved || resolved.error) return resolved;
+
+    if (resolved.changes) {
+      await this._auditPreferences(userId, resolved.changes, {
+        source: "chat",
+      });
     }
+    return {
+      suggestion: resolved.suggestion,
+      preferences: resolved.preferences,
+    };
+  }
+
+  /**
+   * Clean up a thread title (falls back to the given default)
+   */
+  static _normalizeTitle(title, fallback) {
+    const trimmed = typeof title === "string" ? title.trim() : "";
+    return trimmed ? trimmed.slice(0, MAX_THREAD_TITLE_LENGTH) : fallback;
+  }
+
+  /**
+   * Thread summary with message count and last activity
+   */
+  static _describeThread(user, thread) {
+    const messages = user.conversationHistory.filter(
+      (conv) => conv.conversationId === thread.id
+    );
+    const last = messages[messages.length - 1];
+
+    return {
+      ...thread,
+      messageCount: messages.length,
+      lastMessage: last ? last.userMessage : null,
+    };
+  }
+
+  /**
+   * Create a new conversation thread
+   * @param {String} userId - User ID
+   * @param {String} title - Optional title; untitled threads are named after their first message
+   * @returns {Object} Thread summary
+   */
+  static async createThread(userId, title) {
+    return this._mutate(userId, (user) => {
+      const now = new Date();
+      const thread = {
+        id: `conv_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        title: this._normalizeTitle(title, "New conversation"),
+        autoTitle: !this._normalizeTitle(title, null),
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      user.threads.push(thread);
+      user.lastActive = now;
+
+      return this._describeThread(user, thread);
+    });
+  }
+
+  /**
+   * List a user's threads, most recently active first
+   */
+  static async listThreads(userId) {
+    const user = await this.getUserData(userId);
+
+    return user.threads
+      .map((thread) => this._describeThread(user, thread))
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  }
+
+  /**
+   * Get one thread summary (null if it doesn't exist)
+   */
+  static async getThread(userId, conversationId) {
+    const user = await this.getUserData(userId);
+    const thread = user.threads.find((t) => t.id === conversationId);
+
+    return thread ? this._describeThread(user, thread) : null;
+  }
+
+  /**
+   * Rename a thread
+   * @returns {Object|null} Updated thread summary, or null if not found
+   */
+  static async renameThread(userId, conversationId, title) {
+    return this._mutate(userId, (user) => {
+      const thread = user.threads.find((t) => t.id === conversationId);
+      if (!thread) return null;
+
+      thread.title = this._normalizeTitle(title, thread.title);
+      thread.autoTitle = false;
+      thread.updatedAt = new Date();
+
+      return this._describeThread(user, thread);
+    });
+  }
+
+  /**
+   * Delete a thread and its messages
+   * @returns {Boolean} Whether the thread existed
+   */
+  static async deleteThread(userId, conversationId) {
+    return this._mutate(userId, async (user) => {
+      const before = user.threads.length;
+      user.threads = user.threads.filter((t) => t.id !== conversationId);
+      user.conversationHistory = user.conversationHistory.filter(
+        (conv) => conv.conversationId !== conversationId
+      );
 
-    const userFile = path.join(USER_DATA_DIR, `${userId}.json`);
-    fs.writeFileSync(userFile, JSON.stringify(user, null, 2));
+      if (user.threads.length === before) return false;
 
-    return conversation;
+      await ConversationArchive.removeConversation(userId, conversationId);
+      await ConversationSearch.removeConversation(userId, conversationId);
+      await ConversationMemory.removeConversation(userId, conversationId);
+      return true;
+    });
+  }
+
+  /**
+   * Save conversation to history
+   * @param {String} conversationId - Thread ID (the default thread is created on demand)
+   * @returns {Object} The saved exchange, with the user's messagesCount
+   *   including it
+   */
+  static async saveConversation(
+    userId,
+    message,
+    response,
+    intent = "general",
+    conversationId = DEFAULT_THREAD_ID
+  ) {
+    return this._mutate(userId, async (user) => {
+      const now = new Date();
+      let thread = user.threads.find((t) => t.id === conversationId);
+      if (!thread) {
+        thread = {
+          id: conversationId,
+          title:
+            conversationId === DEFAULT_THREAD_ID
+              ? DEFAULT_THREAD_TITLE
+              : "New conversation",
+          autoTitle: false,
+          createdAt: now,
+          updatedAt: now,
+        };
+        user.threads.push(thread);
+      }
+
+      // Name untitled threads after their first message
+      if (thread.autoTitle) {
+        thread.title = this._normalizeTitle(message, thread.title);
+        thread.autoTitle = false;
+      }
+      thread.updatedAt = now;
+
+      const conversation = {
+        id: `msg_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        conversationId,
+        timestamp: now,
+        userMessage: message,
+        botResponse: response,
+        intent,
+      };
+
+      user.conversationHistory.push(conversation);
+      user.statistics.messagesCount += 1;
+      user.lastActive = now;
+
+      await ConversationSearch.indexConversation(
+        userId,
+        conversation,
+        user.conversationHistory
+      );
+
+      // Keep the last 100 messages of each thread live; archive the rest
+      const threadMessages = user.conversationHistory.filter(
+        (conv) => conv.conversationId === conversationId
+      );
+      if (threadMessages.length > MAX_MESSAGES_PER_THREAD) {
+        const overflow = threadMessages.slice(
+          0,
+          threadMessages.length - MAX_MESSAGES_PER_THREAD
+        );
+        await ConversationArchive.archiveMessages(userId, overflow);
+
+        const archived = new Set(overflow.map((conv) => conv.id));
+        user.conversationHistory = user.conversationHistory.filter(
+          (conv) => !archived.has(conv.id)
+        );
+      }
+
+      return {
+        ...conversation,
+        messagesCount: user.statistics.messagesCount,
+      };
+    });
   }
 
   /**
    * Get conversation history
+   * @param {String} conversationId - Optional thread ID; all threads if omitted
    */
-  static getConversationHistory(userId, limit = 20) {
-    const user = this.getUserData(userId);
+  static async getConversationHistory(userId, limit = 20, conversationId = null) {
+    const user = await this.getUserData(userId);
     if (!user) return [];
 
-    return user.conversationHistory.slice(-limit);
+    const history = conversationId
+      ? user.conversationHistory.filter(
+          (conv) => conv.conversationId === conversationId
+        )
+      : user.conversationHistory;
+
+    return history.slice(-limit);
+  }
+
+  /**
+   * Page through live and archived conversations, newest first
+   * @param {String} userId - User ID
+   * @param {Object} query - { limit, cursor, from, to, intent, conversationId }
+   * @returns {Object} { conversations (oldest first within the page), nextCursor, hasMore, limit }
+   * @throws {Error} On an invalid cursor or date filter
+   */
+  static async queryConversations(userId, query = {}) {
+    const filters = ConversationArchive.parseHistoryQuery(query);
+    const user = await this.getUserData(userId);
+
+    const live = user.conversationHistory.filter(
+      ConversationArchive.buildMatcher(filters)
+    );
+    const archived = await ConversationArchive.collect(
+      userId,
+      filters,
+      filters.limit + 1,
+      live
+    );
+
+    // A message can briefly exist in both places if a save was interrupted
+    const seen = new Set();
+    const matching = live
+      .concat(archived)
+      .filter((conv) => !seen.has(conv.id) && seen.add(conv.id))
+      .sort(ConversationArchive.compareNewestFirst);
+
+    const page = matching.slice(0, filters.limit);
+    const oldest = page[page.length - 1];
+    const hasMore = matching.length > filters.limit;
+
+    return {
+      conversations: page.reverse(),
+      nextCursor: hasMore ? ConversationArchive.encodeCursor(oldest) : null,
+      hasMore,
+      limit: filters.limit,
+    };
+  }
+
+  /**
+   * Full-text search over live and archived conversations
+   * @param {String} userId - User ID
+   * @param {Object} query - { q, intent, from, to, conversationId, limit, offset }
+   * @returns {Object} { results, total, limit, offset, hasMore, terms }
+   */
+  static async searchConversations(userId, query = {}) {
+    const user = await this.getUserData(userId);
+    return ConversationSearch.search(userId, user.conversationHistory, query);
+  }
+
+  /**
+   * Summarize older exchanges into long-term memory when enough are pending
+   * @returns {Promise<Object|null>} The updated memory, or null if unchanged
+   */
+  static async refreshConversationMemory(userId, options = {}) {
+    const user = await this.getUserData(userId);
+    if (!user) return null;
+    return ConversationMemory.refresh(userId, user.conversationHistory, options);
+  }
+
+  /**
+   * Forget the user's long-term memory
+   * @returns {Promise<Object|null>} The cleared memory, or null if no such user
+   */
+  static async clearConversationMemory(userId) {
+    const user = await this.getUserData(userId);
+    if (!user) return null;
+    return ConversationMemory.clear(userId, user.conversationHistory);
   }
 
   /**
    * Get user context for prompt
+   * @param {Object} options - { conversationId } scopes recentConversations to one thread
    */
-  static getUserContext(userId) {
-    const user = this.getUserData(userId);
+  static async getUserContext(userId, options = {}) {
+    const user = await this.getUserData(userId);
     if (!user) return null;
 
+    const conversationId = options.conversationId || DEFAULT_THREAD_ID;
+    const household = await HouseholdManager.getHouseholdForUser(userId);
+
     return {
       userId,
+      conversationId,
       preferences: user.preferences,
-      inventory: user.inventory,
+      inventory: household ? household.inventory : user.inventory,
+      household: household
+        ? {
+            householdId: household.householdId,
+            name: household.name,
+            memberCount: household.members.length,
+          }
+        : null,
+      dietary: await this._combineRestrictions(user, household),
       statistics: user.statistics,
-      recentConversations: user.conversationHistory.slice(-5),
+      recentConversations: user.conversationHistory
+        .filter((conv) => conv.conversationId === conversationId)
+        .slice(-ConversationMemory.RECENT_EXCHANGES),
+      // Lasting facts from older exchanges, within the prompt's token budget
+      memory: await ConversationMemory.getPromptFacts(userId),
     };
   }
 
   /**
-   * Update user inventory
+   * Inventory item record
    */
-  static updateInventory(userId, item) {
-    const user = this.getUserData(userId);
-    if (!user) return null;
-
-    user.inventory.push({
-      id: `item_${Date.now()}`,
+  static _buildInventoryItem(item, addedBy) {
+    return {
+      id: `item_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
       name: item.name,
       quantity: item.quantity,
       unit: item.unit || "kg",
       expiryDate: item.expiryDate,
       addedDate: new Date(),
       category: item.category,
+      price: parseFloat(item.price) || 0, // BDT value, used for waste-risk estimates
+      addedBy,
+    };
+  }
+
+  /**
+   * Validate preference changes
+   * @returns {String|null} Error message, or null if valid
+   */
+  static validatePreferences(preferences) {
+    if (
+      preferences.language !== undefined &&
+      !REPLY_LANGUAGES.includes(preferences.language)
+    ) {
+      return `language must be one of: ${REPLY_LANGUAGES.join(", ")}`;
+    }
+    return null;
+  }
+
+  /**
+   * Validate inventory item changes
+   * @returns {String|null} Error message, or null if valid
+   */
+  static validateInventoryChanges(changes) {
+    if (changes.name !== undefined && !String(changes.name).trim()) {
+      return "name cannot be empty";
+    }
+    if (
+      changes.quantity !== undefined &&
+      (isNaN(parseFloat(changes.quantity)) || parseFloat(changes.quantity) < 0)
+    ) {
+      return "quantity must be a non-negative number";
+    }
+    if (
+      changes.expiryDate !== undefined &&
+      isNaN(new Date(changes.expiryDate).getTime())
+    ) {
+      return "expiryDate must be a valid date";
+    }
+    if (
+      changes.price !== undefined &&
+      (isNaN(parseFloat(changes.price)) || parseFloat(changes.price) < 0)
+    ) {
+      return "price must be a non-negative number (BDT)";
+    }
+    return null;
+  }
+
+  /**
+   * Serialized change to the user's (or household's) inventory
+   * @param {Function} mutator - (inventory) => result; may modify inventory in place
+   */
+  static async _mutateInventory(userId, mutator) {
+    const householdId = await HouseholdManager.getHouseholdId(userId);
+
+    if (householdId) {
+      const result = await HouseholdManager.updateInventory(
+        householdId,
+        mutator
+      );
+      await this._mutate(userId, (user) => {
+        user.lastActive = new Date();
+      });
+      return result;
+    }
+
+    return this._mutate(userId, (user) => {
+      user.lastActive = new Date();
+      return mutator(user.inventory);
     });
+  }
 
-    user.lastActive = new Date();
+  /**
+   * Update user inventory (the household's when the user is in one)
+   * @param {Object} options - { source } for the audit log (default "rest")
+   * @returns {Array} Updated inventory
+   */
+  static async updateInventory(userId, item, options = {}) {
+    const record = this._buildInventoryItem(item, normalizeUserId(userId));
 
-    const userFile = path.join(USER_DATA_DIR, `${userId}.json`);
-    fs.writeFileSync(userFile, JSON.stringify(user, null, 2));
+    const inventory = await this._mutateInventory(userId, (items) => {
+      items.push(record);
+      return items;
+    });
 
-    return user.inventory;
+    await AuditLog.record(await AuditLog.resolveScope(userId), {
+      actor: userId,
+      action: "inventory.add",
+      source: options.source,
+      target: { type: "inventoryItem", id: record.id, name: record.name },
+      after: record,
+    });
+
+    return inventory;
+  }
+
+  /**
+   * Edit an inventory item (name, quantity, unit, expiryDate, category, price)
+   * @param {Object} options - { source } for the audit log
+   * @returns {Object|null} { item } or { error }; null if the item isn't found
+   */
+  static async updateInventoryItem(userId, itemId, changes = {}, options = {}) {
+    const fields = {};
+    for (const field of INVENTORY_FIELDS) {
+      if (changes[field] !== undefined) fields[field] = changes[field];
+    }
+    if (Object.keys(fields).length === 0) {
+      return { error: "Nothing to update" };
+    }
+
+    const error = this.validateInventoryChanges(fields);
+    if (error) return { error };
+    if (fields.price !== undefined) fields.price = parseFloat(fields.price);
+
+    const change = await this._mutateInventory(userId, (items) => {
+      const index = items.findIndex((item) => item.id === itemId);
+      if (index === -1) return null;
+
+      const before = { ...items[index] };
+      items[index] = { ...items[index], ...fields, updatedAt: new Date() };
+      return { before, after: items[index] };
+    });
+    if (!change) return null;
+
+    await AuditLog.record(await AuditLog.resolveScope(userId), {
+      actor: userId,
+      action: "inventory.update",
+      source: options.source,
+      target: { type: "inventoryItem", id: itemId, name: change.after.name },
+      before: change.before,
+      after: change.after,
+    });
+
+    return { item: change.after };
   }
 
   /**
-   * Get user inventory
+   * Remove an inventory item
+   * @param {Object} options - { source } for the audit log
+   * @returns {Object|null} Removed item, or null if not found
    */
-  static getInventory(userId) {
-    const user = this.getUserData(userId);
+  static async removeInventoryItem(userId, itemId, options = {}) {
+    const removed = await this._mutateInventory(userId, (items) => {
+      const index = items.findIndex((item) => item.id === itemId);
+      if (index === -1) return null;
+      return items.splice(index, 1)[0];
+    });
+    if (!removed) return null;
+
+    await AuditLog.record(await AuditLog.resolveScope(userId), {
+      actor: userId,
+      action: "inventory.remove",
+      source: options.source,
+      target: { type: "inventoryItem", id: itemId, name: removed.name },
+      before: removed,
+    });
+
+    return removed;
+  }
+
+  /**
+   * Get user inventory (the household's when the user is in one)
+   */
+  static async getInventory(userId) {
+    const household = await HouseholdManager.getHouseholdForUser(userId);
+    if (household) return household.inventory;
+
+    const user = await this.getUserData(userId);
     if (!user) return [];
 
     return user.inventory;
   }
 
   /**
-   * Update SDG score
+   * Inventory in the shape the meal planner expects (items still in stock),
+   * soonest expiry first
    */
-  static updateSDGScore(userId, newScore) {
-    const user = this.getUserData(userId);
-    if (!user) return null;
+  static async getPlanningInventory(userId) {
+    const inventory = await this.getInventory(userId);
 
-    user.statistics.sdgScore = Math.min(100, Math.max(0, newScore));
-    user.lastActive = new Date();
+    return inventory
+      .filter((item) => parseFloat(item.quantity) > 0)
+      .map((item) => ({
+        name: item.name,
+        quantity: item.quantity,
+        unit: item.unit,
+        expiry: item.expiryDate,
+        daysLeft: Math.ceil(
+          (new Date(item.expiryDate) - new Date()) / (1000 * 60 * 60 * 24)
+        ),
+      }))
+      .sort((a, b) => a.daysLeft - b.daysLeft);
+  }
+
+  /**
+   * Empty a user's personal inventory and dietary profiles, returning them
+   * Used when they become a new household's
+   * @returns {Object} { inventory, dietaryProfiles }
+   */
+  static async takeSharedData(userId) {
+    return this._mutate(userId, (user) => {
+      const shared = {
+        inventory: user.inventory,
+        dietaryProfiles: user.dietaryProfiles,
+      };
+      user.inventory = [];
+      user.dietaryProfiles = [];
+      return shared;
+    });
+  }
 
-    const userFile = path.join(USER_DATA_DIR, `${userId}.json`);
-    fs.writeFileSync(userFile, JSON.stringify(user, null, 2));
+  /**
+   * Add items and profiles back to a user's personal record (e.g. on disbanding)
+   */
+  static async restoreSharedData(userId, { inventory = [], dietaryProfiles = [] } = {}) {
+    return this._mutate(userId, (user) => {
+      user.inventory.push(...inventory);
+      user.dietaryProfiles.push(...dietaryProfiles);
+      return user.inventory;
+    });
+  }
+
+  // ==========================================================================
+  // Dietary profiles
+  // ==========================================================================
 
-    return user.statistics.sdgScore;
+  /**
+   * Dietary profiles of the people the user cooks for
+   * (the household's when the user is in one)
+   */
+  static async getDietaryProfiles(userId) {
+    const household = await HouseholdManager.getHouseholdForUser(userId);
+    if (household) return household.dietaryProfiles || [];
+
+    const user = await this.getUserData(userId);
+    return user.dietaryProfiles;
   }
 
   /**
-   * Get all users (for analytics)
+   * Serialized change to the user's (or household's) dietary profiles
+   * @param {Function} mutator - (profiles) => result; may modify profiles in place
    */
-  static getAllUsers() {
-    const files = fs.readdirSync(USER_DATA_DIR);
-    return files.map((file) => {
-      try {
-        const data = fs.readFileSync(path.join(USER_DATA_DIR, file), "utf-8");
-        return JSON.parse(data);
-      } catch (error) {
-        console.error(`Error reading ${file}:`, error);
-        return null;
+  static async _mutateDietaryProfiles(userId, mutator) {
+    const householdId = await HouseholdManager.getHouseholdId(userId);
+    if (householdId) {
+      return HouseholdManager.updateDietaryProfiles(householdId, mutator);
+    }
+
+    return this._mutate(userId, (user) => {
+      user.lastActive = new Date();
+      return mutator(user.dietaryProfiles);
+    });
+  }
+
+  /**
+   * Add a dietary profile
+   * @returns {Object} { profile } or { error }
+   */
+  static async addDietaryProfile(userId, input, options = {}) {
+    const { profile, error } = validateProfile(input);
+    if (error) return { error };
+
+    const result = await this._mutateDietaryProfiles(userId, (profiles) => {
+      if (profiles.length >= MAX_PROFILES) {
+        return { error: `At most ${MAX_PROFILES} dietary profiles are allowed` };
       }
+      profiles.push(profile);
+      return { profile };
+    });
+
+    if (result.profile) {
+      await this._auditProfile(
+        userId,
+        "dietaryProfile.add",
+        null,
+        profile,
+        options
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Update a dietary profile
+   * @returns {Object|null} { profile } or { error }; null if not found
+   */
+  static async updateDietaryProfile(userId, profileId, changes, options = {}) {
+    let before = null;
+    const result = await this._mutateDietaryProfiles(userId, (profiles) => {
+      const index = profiles.findIndex((p) => p.profileId === profileId);
+      if (index === -1) return null;
+
+      const { profileId: _ignored, ...fields } = changes || {};
+      const { profile, error } = validateProfile(fields, profiles[index]);
+      if (error) return { error };
+
+      before = profiles[index];
+      profiles[index] = profile;
+      return { profile };
     });
+
+    if (result && result.profile) {
+      await this._auditProfile(
+        userId,
+        "dietaryProfile.update",
+        before,
+        result.profile,
+        options
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Remove a dietary profile
+   * @returns {Boolean} Whether a profile was removed
+   */
+  static async removeDietaryProfile(userId, profileId, options = {}) {
+    const removed = await this._mutateDietaryProfiles(userId, (profiles) => {
+      const index = profiles.findIndex((p) => p.profileId === profileId);
+      if (index === -1) return null;
+
+      return profiles.splice(index, 1)[0];
+    });
+    if (!removed) return false;
+
+    await this._auditProfile(
+      userId,
+      "dietaryProfile.remove",
+      removed,
+      null,
+      options
+    );
+    return true;
+  }
+
+  /**
+   * Record a dietary profile change in the audit log
+   */
+  static async _auditProfile(userId, action, before, after, options = {}) {
+    const profile = after || before;
+    await AuditLog.record(await AuditLog.resolveScope(userId), {
+      actor: userId,
+      action,
+      source: options.source,
+      target: {
+        type: "dietaryProfile",
+        id: profile.profileId,
+        name: profile.name,
+      },
+      before,
+      after,
+    });
+  }
+
+  /**
+   * Union of every dietary restriction for the people the user cooks for
+   * Covers the dietary profiles plus the account preferences of the user
+   * (or of every household member).
+   */
+  static async getDietaryRestrictions(userId) {
+    const household = await HouseholdManager.getHouseholdForUser(userId);
+    const user = await this.getUserData(userId);
+    return this._combineRestrictions(user, household);
+  }
+
+  /**
+   * Combine restrictions for a loaded user record and household
+   */
+  static async _combineRestrictions(user, household) {
+    const accounts = household
+      ? await Promise.all(
+          household.members.map((member) => this.findUser(member.userId))
+        )
+      : [user];
+
+    const accountPreferences = accounts.filter(Boolean).map((account) => ({
+      name: account.userId,
+      allergies: account.preferences.allergies,
+      dietaryPreferences: account.preferences.dietaryPreferences,
+    }));
+
+    const profiles = household
+      ? household.dietaryProfiles || []
+      : user.dietaryProfiles;
+
+    return combineRestrictions([...accountPreferences, ...profiles]);
+  }
+
+  /**
+   * Update SDG score
+   */
+  static async updateSDGScore(userId, newScore) {
+    return this._mutate(userId, (user) => {
+      user.statistics.sdgScore = Math.min(100, Math.max(0, newScore));
+      user.lastActive = new Date();
+
+      return user.statistics.sdgScore;
+    });
+  }
+
+  /**
+   * Get all users (for analytics)
+   */
+  static async getAllUsers() {
+    const users = await this.getStorage().list();
+    return users.map((user) => (user ? migrateUserRecord(user).record : null));
   }
 
   /**
    * Delete user account
+   * Removes the record, conversation archive, search index, memory, personal
+   * consumption log and LLM usage, and leaves (or disbands) the household.
+   * The user's own audit history goes with it; the deletion itself is
+   * recorded for the platform and for the household they belonged to.
+   * @param {Object} options - { actorId, source } (default: the user, "rest")
    */
-  static deleteUser(userId) {
-    const userFile = path.join(USER_DATA_DIR, `${userId}.json`);
-    if (fs.existsSync(userFile)) {
-      fs.unlinkSync(userFile);
-      return true;
+  static async deleteUser(userId, options = {}) {
+    const householdId = await HouseholdManager.handleAccountDeletion(userId);
+
+    const deleted = await userLocks.run(toStorageKey(userId), async () => {
+      await ConversationArchive.deleteArchive(userId);
+      await ConversationSearch.deleteIndex(userId);
+      await ConversationMemory.deleteMemory(userId);
+      return this.getStorage().remove(toStorageKey(userId));
+    });
+
+    if (deleted) {
+      await ConsumptionLogManager.deleteLogs(userId);
+      await UsageQuota.deleteUsage(userId);
+      await AuditLog.deleteEntries(AuditLog.userScope(userId));
+
+      const change = {
+        actor: options.actorId || userId,
+        action: "account.delete",
+        source: options.source,
+        target: { type: "account", id: null, name: normalizeUserId(userId) },
+      };
+      await AuditLog.record(AuditLog.platformScope(), change);
+      if (householdId) {
+        await AuditLog.record(AuditLog.householdScope(householdId), change);
+      }
     }
-    return false;
+
+    return deleted;
   }
 
   /**
-   * Export user data
+   * Export user data (including archived conversations)
    */
-  static exportUserData(userId) {
-    return this.getUserData(userId);
+  static async exportUserData(userId) {
+    const { auth, ...user } = await this.getUserData(userId);
+    return {
+      ...user,
+      role: auth ? auth.role : null,
+      archivedConversations: await ConversationArchive.getAllMessages(userId),
+      memory: await ConversationMemory.getMemory(userId),
+    };
   }
 }
 
+UserManager.DEFAULT_THREAD_ID = DEFAULT_THREAD_ID;
+
 module.exports = UserManager;
@@ -0,0 +1,197 @@
+/**
+ * User Record Schema Migrations
+ * Ordered, versioned upgrades for stored user records
+ *
+ * Every record carries a schemaVersion. Records without one are version 0.
+ * UserManager applies pending migrations lazily when a record is loaded;
+ * scripts/migrateUserRecords.js applies them in bulk (with --dry-run).
+ *
+ * To add a migration: append an entry with the next version number.
+ * Never edit or reorder a migration that has already shipped.
+ */
+
+const migrations = [
+  {
+    version: 1,
+    name: "baseShape",
+    description: "Fill in missing inventory, conversationHistory and statistics fields",
+    up(record) {
+      record.preferences = record.preferences || {};
+      record.inventory = Array.isArray(record.inventory) ? record.inventory : [];
+      record.conversationHistory = Array.isArray(record.conversationHistory)
+        ? record.conversationHistory
+        : [];
+      record.statistics = {
+        totalWasteReduced: 0,
+        mealsPlanedCount: 0,
+        messagesCount: record.conversationHistory.length,
+        sdgScore: 50,
+        ...(record.statistics || {}),
+      };
+      return record;
+    },
+  },
+  {
+    version: 2,
+    name: "renameMealsPlannedCount",
+    description: "Rename statistics.mealsPlanedCount to statistics.mealsPlannedCount",
+    up(record) {
+      const { mealsPlanedCount, ...statistics } = record.statistics;
+      record.statistics = {
+        ...statistics,
+        mealsPlannedCount:
+          statistics.mealsPlannedCount !== undefined
+            ? statistics.mealsPlannedCount
+            : mealsPlanedCount || 0,
+      };
+      return record;
+    },
+  },
+  {
+    version: 3,
+    name: "dropConversationPreferenceSnapshots",
+    description: "Remove userPreferences snapshots copied into each conversation entry",
+    up(record) {
+      record.conversationHistory = record.conversationHistory.map(
+        ({ userPreferences, ...conversation }) => conversation
+      );
+      return record;
+    },
+  },
+  {
+    version: 4,
+    name: "conversationThreads",
+    description: "Move the flat conversation history into a default \"General\" thread",
+    up(record) {
+      const history = record.conversationHistory;
+      record.threads = Array.isArray(record.threads) ? record.threads : [];
+
+      if (history.length > 0 && !record.threads.some((t) => t.id === "default")) {
+        record.threads.push({
+          id: "default",
+          title: "General",
+          createdAt: history[0].timestamp || record.createdAt,
+          updatedAt: history[history.length - 1].timestamp || record.lastActive,
+        });
+      }
+
+      record.conversationHistory = history.map((conversation) => ({
+        ...conversation,
+        conversationId: conversation.conversationId || "default",
+      }));
+      return record;
+    },
+  },
+  {
+    version: 5,
+    name: "authCredentials",
+    description: "Add the auth field (null until the account registers a password)",
+    up(record) {
+      record.auth = record.auth || null;
+      return record;
+    },
+  },
+  {
+    version: 6,
+    name: "dietaryProfiles",
+    description: "Add per-member dietary profiles for the people the user cooks for",
+    up(record) {
+      record.dietaryProfiles = Array.isArray(record.dietaryProfiles)
+        ? record.dietaryProfiles
+        : [];
+      return record;
+    },
+  },
+  {
+    version: 7,
+    name: "preferenceSuggestions",
+    description: "Add preference changes suggested from chat, pending the user's answer",
+    up(record) {
+      record.preferenceSuggestions = Array.isArray(record.preferenceSuggestions)
+        ? record.preferenceSuggestions
+        : [];
+      return record;
+    },
+  },
+  {
+    version: 8,
+    name: "replyLanguage",
+    description: "Make preferences.language the reply language: auto, bengali or english",
+    up(record) {
+      // The old "English" default was never read (replies followed the
+      // message's language), so only an explicit Bengali choice is kept
+      const language = String(record.preferences.language || "").toLowerCase();
+      record.preferences.language = ["bengali", "bangla", "bn"].includes(
+        language
+      )
+        ? "bengali"
+        : "auto";
+      return record;
+    },
+  },
+];
+
+const CURRENT_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Schema version of a stored record (0 if it predates versioning)
+ */
+function getSchemaVersion(record) {
+  return Number.isInteger(record?.schemaVersion) ? record.schemaVersion : 0;
+}
+
+/**
+ * Whether a record is behind the current schema
+ */
+function needsMigration(record) {
+  return !!record && getSchemaVersion(record) < CURRENT_SCHEMA_VERSION;
+}
+
+/**
+ * Apply every pending migration to a record
+ * The input is not modified; a migrated copy is returned.
+ * @param {Object} record - Stored user record
+ * @returns {Object} { record, changed, fromVersion, toVersion, applied: [names] }
+ */
+function migrateUserRecord(record) {
+  const fromVersion = getSchemaVersion(record);
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(
+      `User record ${record.userId} has schemaVersion ${fromVersion}, newer than this server supports (${CURRENT_SCHEMA_VERSION})`
+    );
+  }
+
+  const pending = migrations.filter((m) => m.version > fromVersion);
+  if (pending.length === 0) {
+    return {
+      record,
+      changed: false,
+      fromVersion,
+      toVersion: fromVersion,
+      applied: [],
+    };
+  }
+
+  let migrated = JSON.parse(JSON.stringify(record));
+  for (const migration of pending) {
+    migrated = migration.up(migrated) || migrated;
+    migrated.schemaVersion = migration.version;
+  }
+
+  return {
+    record: migrated,
+    changed: true,
+    fromVersion,
+    toVersion: CURRENT_SCHEMA_VERSION,
+    applied: pending.map((m) => m.name),
+  };
+}
+
+module.exports = {
+  migrations,
+  CURRENT_SCHEMA_VERSION,
+  getSchemaVersion,
+  needsMigration,
+  migrateUserRecord,
+};
@@ -0,0 +1,28 @@
+process.env.USER_STORAGE = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const UserManager = require("../services/userManager");
+const HouseholdManager = require("../services/householdManager");
+const ConsumptionLogManager = require("../services/consumptionLogManager");
+const { summarizeUser } = require("../services/adminService");
+
+test("summarizeUser counts only the logs deleting the account removes", async () => {
+  await UserManager.registerUser("owner1", { passwordHash: "hash" });
+  await UserManager.registerUser("member1", { passwordHash: "hash" });
+  await HouseholdManager.createHousehold("owner1", "Home");
+  const invitation = await HouseholdManager.inviteMember("owner1", "member1");
+  await HouseholdManager.acceptInvitation("member1", invitation.invitationId);
+  await ConsumptionLogManager.addLog("member1", {
+    foodName: "Dal",
+    actionType: "CONSUMED",
+    quantity: 1,
+  });
+
+  const summary = await summarizeUser(await UserManager.findUser("member1"));
+
+  // The entry went to the household log, which stays with owner1
+  assert.strictEqual(summary.logCount, 0);
+  assert.notStrictEqual(summary.sdgScore, null);
+});
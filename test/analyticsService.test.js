@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const {
+  generateWeeklyInsights,
+  generateInsightsTimeSeries,
+} = require("../services/analyticsService");
+
+const wasted = (logDate, price) => ({
+  foodName: "Fish",
+  actionType: "WASTED",
+  quantity: 1,
+  price,
+  logDate,
+});
+
+test("weekly insights only report money saved when waste cost fell", () => {
+  const options = { period: "custom", from: "2026-03-08", to: "2026-03-14" };
+  const history = [
+    // Previous period: two cheap items
+    wasted("2026-03-02T06:00:00Z", 50),
+    wasted("2026-03-03T06:00:00Z", 50),
+    // This period: one expensive item
+    wasted("2026-03-10T06:00:00Z", 400),
+  ];
+
+  const { deltas, insights } = generateWeeklyInsights(history, options);
+
+  assert.strictEqual(deltas.wasteCount, -1);
+  assert.strictEqual(deltas.wastedBDT, 300);
+  const line = insights.find((insight) => insight.includes("fewer items"));
+  assert.ok(line);
+  assert.ok(!line.includes("BDT saved"));
+});
+
+test("insights time series rejects an invalid to date", () => {
+  assert.throws(
+    () => generateInsightsTimeSeries([], { interval: "week", to: "someday" }),
+    /Invalid to date/
+  );
+});
+
+test("insights time series rejects more than 366 buckets", () => {
+  assert.throws(
+    () =>
+      generateInsightsTimeSeries([], {
+        interval: "day",
+        from: "2025-01-01",
+        to: "2026-06-30",
+      }),
+    /spans more than 366 days/
+  );
+
+  const { series } = generateInsightsTimeSeries([], {
+    interval: "day",
+    to: "2026-06-30",
+    count: 1000,
+  });
+  assert.strictEqual(series.length, 366);
+  assert.strictEqual(series[series.length - 1].label, "2026-06-30");
+});
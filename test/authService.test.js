@@ -0,0 +1,39 @@
+process.env.USER_STORAGE = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const UserManager = require("../services/userManager");
+const {
+  issueToken,
+  verifyToken,
+  isTokenCurrent,
+} = require("../services/authService");
+
+test("tokens of a deleted account don't work for a new owner of the ID", async () => {
+  const first = await UserManager.registerUser("reused", { passwordHash: "a" });
+  const payload = verifyToken(issueToken(first).token);
+  assert.ok(isTokenCurrent(payload, await UserManager.getAuth("reused")));
+
+  await UserManager.deleteUser("reused");
+  await UserManager.registerUser("reused", { passwordHash: "b" });
+  const auth = await UserManager.getAuth("reused");
+
+  // The old token was issued before the new registration
+  const earlier = {
+    ...payload,
+    iat: Math.floor(new Date(auth.createdAt).getTime() / 1000) - 60,
+  };
+  assert.strictEqual(earlier.ver, auth.tokenVersion);
+  assert.strictEqual(isTokenCurrent(earlier, auth), false);
+});
+
+test("isTokenCurrent rejects revoked tokens", async () => {
+  const user = await UserManager.registerUser("revoked", { passwordHash: "a" });
+  const payload = verifyToken(issueToken(user).token);
+
+  await UserManager.revokeSessions("revoked");
+
+  const auth = await UserManager.getAuth("revoked");
+  assert.strictEqual(isTokenCurrent(payload, auth), false);
+});
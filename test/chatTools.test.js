@@ -0,0 +1,51 @@
+process.env.USER_STORAGE = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const UserManager = require("../services/userManager");
+const ConsumptionLogManager = require("../services/consumptionLogManager");
+const { executeTool } = require("../services/chatTools");
+const { generateCompleteSDGProfile } = require("../services/analyticsService");
+
+test("get_sdg_profile reports the profile's waste and nutrition figures", async () => {
+  const userId = "tooluser";
+  await UserManager.createUser(userId);
+  await ConsumptionLogManager.addLog(userId, {
+    foodName: "Rice",
+    actionType: "CONSUMED",
+    quantity: 1,
+    price: 80,
+    category: "grains",
+  });
+  await ConsumptionLogManager.addLog(userId, {
+    foodName: "Fish",
+    actionType: "WASTED",
+    quantity: 0.5,
+    price: 150,
+    category: "proteins",
+  });
+
+  const result = await executeTool(userId, "get_sdg_profile");
+  const profile = generateCompleteSDGProfile(
+    await ConsumptionLogManager.getAllLogs(userId),
+    await UserManager.getInventory(userId),
+    new Date()
+  );
+
+  assert.strictEqual(result.hasData, true);
+  assert.strictEqual(result.personalSDGScore, profile.personalSDGScore);
+  assert.strictEqual(result.wastedBDT, profile.waste.totalWastedMoney);
+  assert.strictEqual(result.wastedBDT, 150);
+  assert.strictEqual(result.successRate, profile.waste.successRate);
+  assert.strictEqual(result.nutritionScore, profile.nutrition.score);
+  assert.strictEqual(typeof result.nutritionScore, "number");
+});
+
+test("get_sdg_profile without logs has no score", async () => {
+  const result = await executeTool("newtooluser", "get_sdg_profile");
+
+  assert.strictEqual(result.hasData, false);
+  assert.strictEqual(result.wastedBDT, 0);
+  assert.strictEqual(result.nutritionScore, null);
+});
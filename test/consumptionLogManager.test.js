@@ -0,0 +1,39 @@
+process.env.USER_STORAGE = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const ConsumptionLogManager = require("../services/consumptionLogManager");
+
+test("validateEntry checks quantity as a number", () => {
+  const entry = { foodName: "Rice", actionType: "WASTED" };
+
+  assert.strictEqual(
+    ConsumptionLogManager.validateEntry({ ...entry, quantity: 0 }),
+    "quantity must be a positive number"
+  );
+  assert.strictEqual(
+    ConsumptionLogManager.validateEntry(entry),
+    "Missing required fields: foodName, actionType, quantity"
+  );
+  assert.strictEqual(
+    ConsumptionLogManager.validateEntry({ ...entry, quantity: "0.5" }),
+    null
+  );
+});
+
+test("getLogs rejects dates it cannot parse", async () => {
+  assert.strictEqual(
+    ConsumptionLogManager.validateFilters({ from: "last week" }),
+    "from must be a valid date"
+  );
+  await assert.rejects(
+    ConsumptionLogManager.getLogs("loguser", { to: "soon" }),
+    /to must be a valid date/
+  );
+
+  const result = await ConsumptionLogManager.getLogs("loguser", {
+    from: "2026-01-01",
+  });
+  assert.strictEqual(result.total, 0);
+});
@@ -0,0 +1,34 @@
+process.env.USER_STORAGE = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const UserManager = require("../services/userManager");
+const HouseholdManager = require("../services/householdManager");
+
+test("an inventory add during an accepted invitation is kept", async () => {
+  await UserManager.registerUser("hhowner", { passwordHash: "hash" });
+  await UserManager.registerUser("hhmember", { passwordHash: "hash" });
+  await HouseholdManager.createHousehold("hhowner", "Home");
+  const invitation = await HouseholdManager.inviteMember(
+    "hhowner",
+    "hhmember"
+  );
+
+  await Promise.all([
+    HouseholdManager.acceptInvitation("hhmember", invitation.invitationId),
+    UserManager.updateInventory("hhowner", {
+      name: "Rice",
+      quantity: 5,
+      unit: "kg",
+      expiryDate: "2026-12-31",
+    }),
+  ]);
+
+  const household = await HouseholdManager.getHouseholdForUser("hhowner");
+  assert.strictEqual(household.members.length, 2);
+  assert.deepStrictEqual(
+    household.inventory.map((item) => item.name),
+    ["Rice"]
+  );
+});
@@ -0,0 +1,161 @@
+process.env.USER_STORAGE = "memory";
+process.env.LLM_DAILY_CALL_QUOTA = "3";
+process.env.CHAT_RATE_LIMIT_IP_PER_MINUTE = "2";
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const UserManager = require("../services/userManager");
+const {
+  UsageQuota,
+  ChatUsageMeter,
+  sendQuotaExceeded,
+  enforceChatLimits,
+  getRateStatus,
+} = require("../services/usageLimits");
+const { LLMClient } = require("../services/llm");
+
+/**
+ * Provider that asks for a tool in every round until told not to
+ */
+function toolHappyProvider() {
+  return {
+    name: "fake",
+    models: ["fake-1"],
+    calls: 0,
+    isConfigured: () => true,
+    async generate(request) {
+      this.calls++;
+      return request.toolChoice === "none"
+        ? { text: "Done.", toolCalls: [], usage: { totalTokens: 10 } }
+        : {
+            text: "",
+            toolCalls: [{ name: "look", args: {} }],
+            usage: { totalTokens: 10 },
+          };
+    },
+  };
+}
+
+/**
+ * Minimal Express response that keeps what was sent
+ */
+function fakeResponse() {
+  return {
+    sent: {},
+    set: () => {},
+    status(code) {
+      this.sent.status = code;
+      return this;
+    },
+    json(body) {
+      this.sent.body = body;
+      return this;
+    },
+  };
+}
+
+const toolset = {
+  definitions: [{ name: "look", description: "", parameters: {} }],
+  execute: async () => ({ ok: true }),
+};
+
+test("reserveCall never lets concurrent requests pass the quota", async () => {
+  const results = await Promise.all(
+    Array.from({ length: 6 }, () => UsageQuota.reserveCall("racer"))
+  );
+
+  assert.strictEqual(results.filter((r) => r.reserved).length, 3);
+  assert.strictEqual(results.find((r) => !r.reserved).exceeded, "daily");
+  const status = await UsageQuota.getStatus("racer");
+  assert.strictEqual(status.daily.used.calls, 3);
+});
+
+test("each tool round is a counted call", async () => {
+  const provider = toolHappyProvider();
+  const client = new LLMClient({ providers: [provider], maxRetries: 0 });
+  const meter = new ChatUsageMeter("roundsuser");
+
+  await meter.reserve();
+  const reply = await client.generate({
+    message: "hi",
+    tools: toolset,
+    beforeCall: () => meter.reserve(),
+  });
+  await meter.settle(reply.calls, reply.usage.totalTokens);
+
+  const status = await UsageQuota.getStatus("roundsuser");
+  assert.strictEqual(reply.calls, provider.calls);
+  assert.strictEqual(status.daily.used.calls, 3);
+  // The quota ran out before the last round, so only three calls were made
+  assert.strictEqual(provider.calls, 3);
+  assert.strictEqual(status.daily.used.tokens, 30);
+});
+
+test("calls answered by the mock are given back", async () => {
+  const client = new LLMClient({ providers: [] });
+  const meter = new ChatUsageMeter("mockuser");
+
+  await meter.reserve();
+  const reply = await client.generate({ message: "hello" });
+  await meter.settle(reply.calls, 0);
+
+  assert.strictEqual(reply.calls, 0);
+  const status = await UsageQuota.getStatus("mockuser");
+  assert.strictEqual(status.daily.used.calls, 0);
+});
+
+test("quota errors use the user's stored reply language", async () => {
+  await UserManager.createUser("bengaliuser");
+  await UserManager.updateUserPreferences("bengaliuser", {
+    language: "bengali",
+  });
+  for (let i = 0; i < 3; i++) await UsageQuota.reserveCall("bengaliuser");
+
+  const res = fakeResponse();
+  const req = {
+    user: { userId: "bengaliuser", role: "user" },
+    body: { message: "What should I cook?" },
+    headers: {},
+  };
+  await sendQuotaExceeded(req, res, "daily");
+
+  assert.strictEqual(res.sent.status, 429);
+  assert.strictEqual(res.sent.body.language, "bengali");
+});
+
+test("release gives back the calls of a failed turn", async () => {
+  const meter = new ChatUsageMeter("faileduser");
+  await meter.reserve();
+  await meter.reserve();
+
+  await meter.release();
+
+  const status = await UsageQuota.getStatus("faileduser");
+  assert.strictEqual(status.daily.used.calls, 0);
+  // Nothing more to give back once settled
+  assert.strictEqual(await meter.release(), null);
+});
+
+test("a request refused by the IP limit doesn't use the user's limit", async () => {
+  const send = async (userId) => {
+    const req = {
+      user: { userId, role: "user" },
+      body: {},
+      headers: {},
+      ip: "10.0.0.9",
+    };
+    const res = fakeResponse();
+    let passed = false;
+    await enforceChatLimits(req, res, () => (passed = true));
+    return { req, res, passed };
+  };
+
+  assert.ok((await send("ipuser1")).passed);
+  assert.ok((await send("ipuser1")).passed);
+  const refused = await send("ipuser2");
+
+  assert.strictEqual(refused.passed, false);
+  assert.strictEqual(refused.res.sent.body.scope, "ip");
+  assert.strictEqual(getRateStatus(refused.req).user.remaining, 10);
+});
@@ -0,0 +1,108 @@
+process.env.USER_STORAGE = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const UserManager = require("../services/userManager");
+
+test("registerUser creates an account with credentials", async () => {
+  const user = await UserManager.registerUser("newuser", {
+    passwordHash: "hash",
+  });
+
+  assert.strictEqual(user.auth.passwordHash, "hash");
+  assert.strictEqual(user.auth.role, "user");
+});
+
+test("registerUser rejects an ID that already has credentials", async () => {
+  await UserManager.registerUser("takenuser", { passwordHash: "first" });
+  const second = await UserManager.registerUser("takenuser", {
+    passwordHash: "second",
+  });
+
+  assert.strictEqual(second, null);
+  const auth = await UserManager.getAuth("takenuser");
+  assert.strictEqual(auth.passwordHash, "first");
+});
+
+test("registerUser rejects an account stored without credentials", async () => {
+  // Accounts from before passwords existed were stored with auth: null
+  await UserManager.createUser("legacyuser", { familySize: 5 });
+  await UserManager.saveConversation("legacyuser", "Hello", "Hi!", "general");
+
+  const user = await UserManager.registerUser("legacyuser", {
+    passwordHash: "hash",
+  });
+
+  assert.strictEqual(user, null);
+  assert.strictEqual(await UserManager.getAuth("legacyuser"), null);
+});
+
+test("setPassword lets an admin hand over a legacy account", async () => {
+  await UserManager.createUser("olduser", { familySize: 5 });
+
+  const user = await UserManager.setPassword("olduser", "hash");
+
+  assert.strictEqual(user.auth.passwordHash, "hash");
+  assert.strictEqual(user.auth.role, "user");
+  assert.strictEqual(user.preferences.familySize, 5);
+  assert.strictEqual(await UserManager.setPassword("nobody", "hash"), null);
+});
+
+test("setPassword revokes tokens issued before", async () => {
+  await UserManager.registerUser("resetuser", { passwordHash: "first" });
+
+  const user = await UserManager.setPassword("resetuser", "second");
+
+  assert.strictEqual(user.auth.passwordHash, "second");
+  assert.strictEqual(user.auth.tokenVersion, 1);
+});
+
+test("deleteUser removes the account's logs and LLM usage", async () => {
+  const ConsumptionLogManager = require("../services/consumptionLogManager");
+  const { UsageQuota } = require("../services/usageLimits");
+
+  await UserManager.createUser("leavinguser");
+  await ConsumptionLogManager.addLog("leavinguser", {
+    foodName: "Rice",
+    actionType: "CONSUMED",
+    quantity: 1,
+  });
+  await UsageQuota.recordUsage("leavinguser", { tokens: 100, calls: 1 });
+
+  assert.ok(await UserManager.deleteUser("leavinguser"));
+
+  assert.strictEqual(await UserManager.findUser("leavinguser"), null);
+  const logs = await ConsumptionLogManager.getAllLogs("leavinguser");
+  assert.strictEqual(logs.length, 0);
+  const usage = await UsageQuota.getStatus("leavinguser");
+  assert.strictEqual(usage.daily.used.calls, 0);
+});
+
+test("accepting a suggestion doesn't undo a later preference update", async () => {
+  await UserManager.createUser("suggester");
+  const [suggestion] = await UserManager.addPreferenceSuggestions(
+    "suggester",
+    [{ field: "allergies", operation: "add", value: "peanut", evidence: "" }]
+  );
+
+  const [first, second] = await Promise.all([
+    UserManager.resolvePreferenceSuggestion(
+      "suggester",
+      suggestion.id,
+      "accept"
+    ),
+    UserManager.resolvePreferenceSuggestion(
+      "suggester",
+      suggestion.id,
+      "accept"
+    ),
+    UserManager.updateUserPreferences("suggester", { allergies: ["egg"] }),
+  ]);
+
+  assert.deepStrictEqual(first.preferences.allergies, ["peanut"]);
+  assert.strictEqual(second.error, "Suggestion was already accepted");
+  // The update came after the acceptance, so its list stands
+  const user = await UserManager.getUserData("suggester");
+  assert.deepStrictEqual(user.preferences.allergies, ["egg"]);
+});